@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Snapshot Backfill - rebuild daily snapshots from the transaction ledger
+ *
+ * Usage:
+ *   node backfill-snapshots.js                              # First transaction through yesterday
+ *   node backfill-snapshots.js --from 2023-01-01 --to 2023-12-31
+ *   node backfill-snapshots.js --force                      # Rebuild earlier backfilled days too
+ *   node backfill-snapshots.js --dry-run                    # Only report what would be written
+ *   node backfill-snapshots.js --portfolio fund             # Backfill another portfolio than the default one
+ *
+ * Uses the same storage driver and price providers as the server. Days that
+ * already have a snapshot are skipped.
+ */
+
+const path = require('path');
+const { createStorage } = require('./lib/storage');
+const { createPriceService } = require('./lib/prices');
+const { createFxService } = require('./lib/fx');
+const { backfillSnapshots } = require('./lib/backfill');
+const { PORTFOLIOS_KEY, DEFAULT_PORTFOLIO_ID, listPortfolios } = require('./lib/portfolios');
+const { loadEnv } = require('./lib/env');
+
+function parseArgs(argv) {
+    const options = { dryRun: false, force: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--from' || arg === '--to' || arg === '--portfolio') {
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--from=') || arg.startsWith('--to=') || arg.startsWith('--portfolio=')) {
+            const [name, value] = arg.slice(2).split('=');
+            options[name] = value;
+        } else {
+            console.log('Usage: node backfill-snapshots.js [--from <date>] [--to <date>] [--force] [--dry-run] [--portfolio <id>]');
+            process.exit(arg === '--help' || arg === '-h' ? 0 : 1);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    loadEnv();
+    const options = parseArgs(process.argv.slice(2));
+
+    const dirs = {
+        dataDir: path.join(__dirname, 'data'),
+        snapshotDir: path.join(__dirname, 'snapshot')
+    };
+    // Prices, FX rates and the asset registry are shared by every portfolio
+    const storage = createStorage(dirs);
+    if (options.portfolio && !listPortfolios(await storage.get(PORTFOLIOS_KEY)).some(p => p.id === options.portfolio)) {
+        await storage.close();
+        throw new Error(`Portfolio "${options.portfolio}" not found`);
+    }
+    const portfolioStorage = options.portfolio && options.portfolio !== DEFAULT_PORTFOLIO_ID
+        ? createStorage({ ...dirs, namespace: options.portfolio })
+        : storage;
+    const priceService = createPriceService({ storage });
+    const fxService = createFxService({ storage });
+
+    try {
+        const portfolio = options.portfolio ? ` of portfolio ${options.portfolio}` : '';
+        console.log(`⏪ Backfilling snapshots${portfolio} in ${storage.name} storage${options.dryRun ? ' (dry run)' : ''}...`);
+        const result = await backfillSnapshots(portfolioStorage, priceService, { ...options, fxService, assetStorage: storage });
+
+        if (!result.from) {
+            console.log('📭 No dated transactions to replay');
+            return;
+        }
+        console.log(`📅 Range: ${result.from} → ${result.to} (${result.days} days, ${result.skipped} already covered)`);
+        for (const [symbol, provider] of Object.entries(result.providers)) {
+            console.log(`   ${symbol}: ${provider}`);
+        }
+        for (const [symbol, days] of Object.entries(result.missing)) {
+            console.warn(`⚠️  No price for ${symbol} on ${days} day(s); valued at zero`);
+        }
+        result.errors.forEach(error => console.warn(`⚠️  ${error}`));
+        console.log(`${result.dryRun ? '🔍 Would write' : '📸 Wrote'}: ${result.created} new, ${result.replaced} replaced`);
+    } finally {
+        if (portfolioStorage !== storage) await portfolioStorage.close();
+        await storage.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+});
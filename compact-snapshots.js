@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Snapshot Compaction - apply the retention policy to stored snapshots
+ *
+ * Usage:
+ *   node compact-snapshots.js                          # Compact with SNAPSHOT_RETENTION or the default policy
+ *   node compact-snapshots.js --dry-run                # Only report what would be removed
+ *   node compact-snapshots.js --policy 7d:all,*:day    # Use a specific policy
+ *   node compact-snapshots.js --portfolio fund         # Compact another portfolio than the default one
+ *
+ * Uses the same storage driver as the server (STORAGE_DRIVER, or Upstash
+ * when .env.local provides KV_REST_API_URL and KV_REST_API_TOKEN).
+ * Manual and pinned snapshots are never removed.
+ */
+
+const path = require('path');
+const { createStorage } = require('./lib/storage');
+const { compactSnapshots, DEFAULT_RETENTION_SPEC } = require('./lib/retention');
+const { PORTFOLIOS_KEY, DEFAULT_PORTFOLIO_ID, listPortfolios } = require('./lib/portfolios');
+const { loadEnv } = require('./lib/env');
+
+function parseArgs(argv) {
+    const options = { dryRun: false, spec: process.env.SNAPSHOT_RETENTION };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--policy') {
+            options.spec = argv[++i];
+        } else if (arg.startsWith('--policy=')) {
+            options.spec = arg.slice('--policy='.length);
+        } else if (arg === '--portfolio') {
+            options.portfolio = argv[++i];
+        } else if (arg.startsWith('--portfolio=')) {
+            options.portfolio = arg.slice('--portfolio='.length);
+        } else {
+            console.log('Usage: node compact-snapshots.js [--dry-run] [--policy <spec>] [--portfolio <id>]');
+            console.log(`Default policy: ${DEFAULT_RETENTION_SPEC}`);
+            process.exit(arg === '--help' || arg === '-h' ? 0 : 1);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    loadEnv();
+    const options = parseArgs(process.argv.slice(2));
+
+    const dirs = {
+        dataDir: path.join(__dirname, 'data'),
+        snapshotDir: path.join(__dirname, 'snapshot')
+    };
+    if (options.portfolio && options.portfolio !== DEFAULT_PORTFOLIO_ID) {
+        const registry = createStorage(dirs);
+        const portfolios = listPortfolios(await registry.get(PORTFOLIOS_KEY));
+        await registry.close();
+        if (!portfolios.some(p => p.id === options.portfolio)) {
+            throw new Error(`Portfolio "${options.portfolio}" not found`);
+        }
+    }
+    const storage = createStorage({
+        ...dirs,
+        namespace: options.portfolio && options.portfolio !== DEFAULT_PORTFOLIO_ID ? options.portfolio : null
+    });
+
+    try {
+        const portfolio = options.portfolio ? ` of portfolio ${options.portfolio}` : '';
+        console.log(`🧹 Compacting snapshots${portfolio} in ${storage.name} storage${options.dryRun ? ' (dry run)' : ''}...`);
+        const result = await compactSnapshots(storage, options);
+
+        console.log(`📋 Policy: ${result.policy}`);
+        console.log(`📸 Snapshots: ${result.total} total, ${result.protected} manual or pinned`);
+        console.log(`${result.dryRun ? '🔍 Would remove' : '🗑️  Removed'}: ${result.removed}`);
+        console.log(`✅ Kept: ${result.kept}`);
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Compaction failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,131 @@
+/**
+ * Accounts: the exchanges, wallets and custodians holdings are kept in.
+ *
+ * The registry is stored under the `accounts` key as a list of
+ * `{ id, name, type, createdAt, updatedAt }`. Transactions name the account
+ * they belong to in `account` (an account id), and positions are split per
+ * symbol and account. The empty id is the default account, which is not
+ * stored in the registry.
+ *
+ * Before accounts existed the free-text `note` was used to split a symbol
+ * across places. A schema migration turned every distinct note in the
+ * ledger into an account of that name (see moveNotesToAccounts).
+ */
+
+const ACCOUNTS_KEY = 'accounts';
+
+const ACCOUNT_TYPES = ['exchange', 'wallet', 'custodian', 'other'];
+
+const DEFAULT_ACCOUNT = '';
+
+// Stable id for an account name: lower case, runs of anything but letters
+// and digits become a dash. "Binance Spot" → "binance-spot"
+function accountId(name) {
+    return String(name || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// The account a transaction belongs to. Transactions recorded before
+// accounts existed fall back to the account their note maps to.
+function transactionAccount(transaction) {
+    return transaction.account !== undefined ? transaction.account : accountId(transaction.note);
+}
+
+// The account a transfer or swap moves coins into, or undefined when not set
+function transactionToAccount(transaction) {
+    if (transaction.toAccount !== undefined) return transaction.toAccount;
+    return transaction.toNote !== undefined ? accountId(transaction.toNote) : undefined;
+}
+
+// The account of a position; positions saved before accounts existed (old
+// snapshots and exports) only have a note
+function positionAccount(position) {
+    return position.account !== undefined ? position.account : accountId(position.note);
+}
+
+// Build a registry entry from request input, or return { error }
+function buildAccount(input, existing = null) {
+    const name = input.name !== undefined ? String(input.name).trim() : existing && existing.name;
+    if (!name) {
+        return { error: 'Missing required field: name' };
+    }
+    const id = existing ? existing.id : accountId(name);
+    if (!id) {
+        return { error: 'name must contain a letter or digit' };
+    }
+    const type = input.type !== undefined ? String(input.type).trim().toLowerCase() : (existing ? existing.type : 'other');
+    if (!ACCOUNT_TYPES.includes(type)) {
+        return { error: `type must be one of: ${ACCOUNT_TYPES.join(', ')}` };
+    }
+
+    const now = new Date().toISOString();
+    return {
+        account: {
+            id,
+            name,
+            type,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        }
+    };
+}
+
+// Add an account named `name` (of `type`, `other` by default) unless one
+// with its id exists. Mutates `accounts`; returns the new entry or null.
+function addAccountForName(accounts, name, type) {
+    const id = accountId(name);
+    if (!id || accounts.some(account => account.id === id)) return null;
+    const { account } = buildAccount({ name, type });
+    accounts.push(account);
+    return account;
+}
+
+// Move the notes of transactions recorded before accounts existed onto
+// accounts: `note` becomes `account` (and `toNote` becomes `toAccount`).
+// Mutates `transactions`; returns the distinct note names that were moved.
+function moveNotesToAccounts(transactions) {
+    const names = new Set();
+    for (const transaction of transactions) {
+        if (transaction.account !== undefined) continue;
+        const note = String(transaction.note || '').trim();
+        if (!note && transaction.toNote === undefined) continue;
+
+        transaction.account = accountId(note);
+        if (note) {
+            names.add(note);
+            transaction.note = '';
+        }
+        if (transaction.toNote !== undefined) {
+            const toNote = String(transaction.toNote || '').trim();
+            transaction.toAccount = accountId(toNote);
+            if (toNote) names.add(toNote);
+            delete transaction.toNote;
+        }
+    }
+    return [...names];
+}
+
+// Positions saved before accounts existed (old snapshots and exports) name
+// their account in `note`; returns those names
+function positionNoteNames(positions) {
+    return positions
+        .filter(position => position.account === undefined && String(position.note || '').trim())
+        .map(position => String(position.note).trim());
+}
+
+module.exports = {
+    ACCOUNTS_KEY,
+    ACCOUNT_TYPES,
+    DEFAULT_ACCOUNT,
+    accountId,
+    transactionAccount,
+    transactionToAccount,
+    positionAccount,
+    buildAccount,
+    addAccountForName,
+    moveNotesToAccounts,
+    positionNoteNames
+};
@@ -0,0 +1,230 @@
+/**
+ * Asset registry: which coin, display name and price sources each portfolio
+ * symbol refers to.
+ *
+ * The registry is stored under the `assets` key as a list of
+ * `{ symbol, coingeckoId, name, createdAt, updatedAt }`, one entry per symbol.
+ * Entries may also set `providers` (price provider fallback order),
+ * `binanceSymbol` (Binance pair when it is not `<SYMBOL>USDT`) and
+ * `manualPrice` (static USD price). Until it is first written the registry
+ * falls back to DEFAULT_ASSETS, the symbols the app used to know about.
+ */
+
+const { PROVIDER_NAMES } = require('./prices');
+
+const ASSETS_KEY = 'assets';
+
+// [symbol, CoinGecko id, display name]: every coin the app used to map.
+// DPX and DOPEX are two symbols for the same coin.
+const DEFAULT_ASSET_ROWS = [
+    ['BTC', 'bitcoin', 'Bitcoin'],
+    ['ETH', 'ethereum', 'Ethereum'],
+    ['ADA', 'cardano', 'Cardano'],
+    ['DOT', 'polkadot', 'Polkadot'],
+    ['LINK', 'chainlink', 'Chainlink'],
+    ['LTC', 'litecoin', 'Litecoin'],
+    ['BCH', 'bitcoin-cash', 'Bitcoin Cash'],
+    ['XRP', 'ripple', 'Ripple'],
+    ['DOGE', 'dogecoin', 'Dogecoin'],
+    ['SHIB', 'shiba-inu', 'Shiba Inu'],
+    ['MATIC', 'matic-network', 'Polygon'],
+    ['AVAX', 'avalanche-2', 'Avalanche'],
+    ['SOL', 'solana', 'Solana'],
+    ['ATOM', 'cosmos', 'Cosmos'],
+    ['ALGO', 'algorand', 'Algorand'],
+    ['ASTER', 'aster-2', 'ASTER'],
+    ['VET', 'vechain', 'VeChain'],
+    ['FIL', 'filecoin', 'Filecoin'],
+    ['TRX', 'tron', 'TRON'],
+    ['EOS', 'eos', 'EOS'],
+    ['XLM', 'stellar', 'Stellar'],
+    ['HUMA', 'huma-finance', 'Huma Finance'],
+    ['S', 'sonic-3', 'Sonic'],
+    ['ENA', 'ethena', 'Ethena'],
+    ['HYPE', 'hyperliquid', 'Hyperliquid'],
+    ['USDC', 'usd-coin', 'USDC'],
+    ['USDT', 'tether', 'USDT'],
+    ['BNB', 'binancecoin', 'BNB'],
+    ['ARB', 'arbitrum', 'ARB'],
+    ['OP', 'optimism', 'OP'],
+    ['UNI', 'uniswap', 'UNI'],
+    ['AAVE', 'aave', 'AAVE'],
+    ['COMP', 'compound-governance-token', 'COMP'],
+    ['MKR', 'maker', 'MKR'],
+    ['CRV', 'curve-dao-token', 'CRV'],
+    ['SUSHI', 'sushi', 'SUSHI'],
+    ['1INCH', '1inch', '1INCH'],
+    ['YFI', 'yearn-finance', 'YFI'],
+    ['SNX', 'havven', 'SNX'],
+    ['BAL', 'balancer', 'BAL'],
+    ['LDO', 'lido-dao', 'LDO'],
+    ['RPL', 'rocket-pool', 'RPL'],
+    ['FXS', 'frax-share', 'FXS'],
+    ['FRAX', 'frax', 'FRAX'],
+    ['LQTY', 'liquity', 'LQTY'],
+    ['CVX', 'convex-finance', 'CVX'],
+    ['PENDLE', 'pendle', 'PENDLE'],
+    ['GMX', 'gmx', 'GMX'],
+    ['MAGIC', 'magic', 'MAGIC'],
+    ['RDNT', 'radiant-capital', 'RDNT'],
+    ['GRAIL', 'camelot-token', 'GRAIL'],
+    ['JONES', 'jones-dao', 'JONES'],
+    ['DPX', 'dopex', 'DPX'],
+    ['PLS', 'plutusdao', 'PLS'],
+    ['UMAMI', 'umami-finance', 'UMAMI'],
+    ['Y2K', 'y2k', 'Y2K'],
+    ['GMD', 'gmd-protocol', 'GMD'],
+    ['DOPEX', 'dopex', 'DOPEX'],
+    ['RND', 'random', 'RND'],
+    ['VSTA', 'vesta-finance', 'VSTA'],
+    ['HOP', 'hop-protocol', 'HOP'],
+    ['VELO', 'velodrome-finance', 'VELO'],
+    ['BEETS', 'beethoven-x', 'BEETS'],
+    ['SPIRIT', 'spiritswap', 'SPIRIT'],
+    ['BOO', 'spookyswap', 'BOO'],
+    ['TOMB', 'tomb', 'TOMB'],
+    ['SPELL', 'spell-token', 'SPELL'],
+    ['MIM', 'magic-internet-money', 'MIM'],
+    ['FTM', 'fantom', 'FTM'],
+    ['NEAR', 'near', 'NEAR'],
+    ['FTT', 'ftx-token', 'FTT'],
+    ['LUNA', 'terra-luna', 'LUNA'],
+    ['UST', 'terrausd', 'UST'],
+    ['LUNC', 'terra-luna-classic', 'LUNC'],
+    ['USTC', 'terrausd-classic', 'USTC'],
+    ['APT', 'aptos', 'APT'],
+    ['SUI', 'sui', 'SUI'],
+    ['SEI', 'sei-network', 'SEI'],
+    ['TIA', 'celestia', 'TIA'],
+    ['INJ', 'injective-protocol', 'INJ'],
+    ['OSMO', 'osmosis', 'OSMO'],
+    ['JUNO', 'juno-network', 'JUNO'],
+    ['SCRT', 'secret', 'SCRT'],
+    ['AKT', 'akash-network', 'AKT'],
+    ['REGEN', 'regen', 'REGEN'],
+    ['IOV', 'starname', 'IOV'],
+    ['NGM', 'e-money', 'NGM'],
+    ['BAND', 'band-protocol', 'BAND'],
+    ['KAVA', 'kava', 'KAVA'],
+    ['HARD', 'hard-protocol', 'HARD'],
+    ['SWP', 'kava-swap', 'SWP'],
+    ['XPRT', 'persistence', 'XPRT'],
+    ['PSTAKE', 'pstake-finance', 'PSTAKE'],
+    ['STKATOM', 'stkatom', 'STKATOM'],
+    ['STKOSMO', 'stkosmo', 'STKOSMO'],
+    ['STKJUNO', 'stkjuno', 'STKJUNO'],
+    ['STKSCRT', 'stksecret', 'STKSCRT'],
+    ['STKREGEN', 'stkregen', 'STKREGEN'],
+    ['STKIOV', 'stkiov', 'STKIOV'],
+    ['STKNGM', 'stkngm', 'STKNGM'],
+    ['STKBAND', 'stkband', 'STKBAND'],
+    ['STKKAVA', 'stkkava', 'STKKAVA'],
+    ['STKHARD', 'stkhard', 'STKHARD'],
+    ['STKSWP', 'stkswp', 'STKSWP'],
+    ['STKXPRT', 'stkxprt', 'STKXPRT'],
+    ['STKPSTAKE', 'stkpstake', 'STKPSTAKE'],
+    ['FORM', 'four', 'FORM'],
+    ['SYRUP', 'syrup', 'SYRUP'],
+    ['FF', 'falcon-finance-ff', 'FF']
+];
+
+const DEFAULT_ASSETS = DEFAULT_ASSET_ROWS.map(([symbol, coingeckoId, name]) => ({ symbol, coingeckoId, name }));
+
+const MAX_SEARCH_RESULTS = 20;
+
+function normalizeSymbol(symbol) {
+    return String(symbol || '').trim().toUpperCase();
+}
+
+// Build a registry entry from request input, or return { error }
+function buildAsset(input, existing = null) {
+    const symbol = existing ? existing.symbol : normalizeSymbol(input.symbol);
+    if (!symbol) {
+        return { error: 'Missing required field: symbol' };
+    }
+    if (input.coingeckoId !== undefined && input.coingeckoId !== null && typeof input.coingeckoId !== 'string') {
+        return { error: 'coingeckoId must be a string' };
+    }
+    if (input.providers !== undefined && input.providers !== null) {
+        if (!Array.isArray(input.providers) || input.providers.some(name => !PROVIDER_NAMES.includes(name))) {
+            return { error: `providers must be a list of: ${PROVIDER_NAMES.join(', ')}` };
+        }
+    }
+    if (input.binanceSymbol !== undefined && input.binanceSymbol !== null && input.binanceSymbol !== '' &&
+        !/^[A-Za-z0-9]+$/.test(String(input.binanceSymbol))) {
+        return { error: 'binanceSymbol must be a trading pair such as BTCUSDT' };
+    }
+    if (input.manualPrice !== undefined && input.manualPrice !== null && input.manualPrice !== '' &&
+        !(Number(input.manualPrice) >= 0)) {
+        return { error: 'manualPrice must be a non-negative number' };
+    }
+
+    const now = new Date().toISOString();
+    const asset = {
+        symbol,
+        coingeckoId: input.coingeckoId !== undefined ? (input.coingeckoId || null) : (existing ? existing.coingeckoId : null),
+        name: input.name !== undefined ? String(input.name).trim() || symbol : (existing ? existing.name : symbol),
+        createdAt: existing ? existing.createdAt || now : now,
+        updatedAt: now
+    };
+
+    // Optional price source settings are only stored when set
+    const providers = input.providers !== undefined ? input.providers : existing && existing.providers;
+    if (providers && providers.length > 0) asset.providers = [...new Set(providers)];
+
+    const binanceSymbol = input.binanceSymbol !== undefined ? input.binanceSymbol : existing && existing.binanceSymbol;
+    if (binanceSymbol) asset.binanceSymbol = String(binanceSymbol).toUpperCase();
+
+    const manualPrice = input.manualPrice !== undefined ? input.manualPrice : existing && existing.manualPrice;
+    if (manualPrice !== undefined && manualPrice !== null && manualPrice !== '') asset.manualPrice = Number(manualPrice);
+
+    return { asset };
+}
+
+// symbol → registry entry
+function assetMap(assets) {
+    const map = {};
+    for (const asset of assets) {
+        map[asset.symbol] = asset;
+    }
+    return map;
+}
+
+// Coins from the CoinGecko list whose symbol is exactly `symbol`
+function findCandidates(coinList, symbol) {
+    const wanted = normalizeSymbol(symbol);
+    return coinList.filter(coin => normalizeSymbol(coin.symbol) === wanted);
+}
+
+// Rank coins by how well they match `query`: exact symbol, then symbol or
+// name prefix, then id or name substring
+function searchCoins(coinList, query, limit = MAX_SEARCH_RESULTS) {
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return [];
+
+    const scored = [];
+    for (const coin of coinList) {
+        const symbol = String(coin.symbol || '').toLowerCase();
+        const name = String(coin.name || '').toLowerCase();
+        let score = 0;
+        if (symbol === q) score = 3;
+        else if (symbol.startsWith(q) || name.startsWith(q)) score = 2;
+        else if (coin.id.includes(q) || name.includes(q)) score = 1;
+        if (score > 0) scored.push({ coin, score });
+    }
+
+    return scored
+        .sort((a, b) => b.score - a.score || a.coin.name.localeCompare(b.coin.name))
+        .slice(0, limit)
+        .map(entry => entry.coin);
+}
+
+module.exports = {
+    ASSETS_KEY,
+    DEFAULT_ASSETS,
+    normalizeSymbol,
+    buildAsset,
+    assetMap,
+    findCandidates,
+    searchCoins
+};
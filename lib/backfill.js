@@ -0,0 +1,233 @@
+/**
+ * Historical backfill: daily snapshots rebuilt from the transaction ledger.
+ *
+ * For every UTC day between the first transaction and yesterday that has no
+ * snapshot yet, the ledger is replayed up to the end of that day and the
+ * positions are valued at the day's closing prices. Closing prices come from
+ * the price providers' history (see fetchHistory() in lib/prices), following
+ * each asset's provider order; the close of a day is the last price at or
+ * before its end.
+ *
+ * Backfilled snapshots have the usual snapshot shape plus
+ * `source: 'backfill'` and `backfilled: true`, with ids `backfill-<date>`, so
+ * running the job again replaces them instead of adding duplicates. With an
+ * FX service they also get the `fxRates` of their day, like live snapshots.
+ */
+
+const { sortTransactions, replayTransactions } = require('./ledger');
+const { ASSETS_KEY, DEFAULT_ASSETS, assetMap } = require('./assets');
+const { SETTINGS_KEY, withDefaults } = require('./settings');
+const { PriceUpstreamError } = require('./prices');
+const { DAY_MS } = require('./time');
+
+const BACKFILL_DESCRIPTION = 'Backfilled daily close';
+
+// Thrown for an invalid backfill range
+class BackfillRangeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackfillRangeError';
+    }
+}
+
+function dayKey(time) {
+    return new Date(time).toISOString().split('T')[0];
+}
+
+function startOfDay(day) {
+    return Date.parse(`${day}T00:00:00.000Z`);
+}
+
+function endOfDay(day) {
+    return startOfDay(day) + DAY_MS - 1;
+}
+
+function parseDay(value, name) {
+    const time = new Date(value).getTime();
+    if (!Number.isFinite(time)) {
+        throw new BackfillRangeError(`Invalid ${name} date "${value}"`);
+    }
+    return dayKey(time);
+}
+
+function backfillId(day) {
+    return `backfill-${day}`;
+}
+
+// The last [time, price] point at or before `time`, from time-ordered points
+function pointAt(points, time) {
+    let found = null;
+    let low = 0;
+    let high = points.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (points[middle][0] <= time) {
+            found = points[middle];
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return found;
+}
+
+// Value `positions` at the close of `day`. Symbols without a price that day
+// count as zero and are returned in `missing`. `fxSeries` are the daily
+// [time, rates] points of lib/fx.js, if any.
+function buildBackfillSnapshot(day, positions, history, fxSeries = []) {
+    const close = endOfDay(day);
+    const cryptoData = {};
+    const missing = [];
+
+    for (const symbol of new Set(positions.map(position => position.symbol))) {
+        const series = history[symbol];
+        const point = series && pointAt(series.points, close);
+        if (!point) {
+            missing.push(symbol);
+            continue;
+        }
+        const previous = pointAt(series.points, close - DAY_MS);
+        cryptoData[symbol] = {
+            price: point[1],
+            change24h: previous && previous[1] > 0 ? (point[1] / previous[1] - 1) * 100 : 0,
+            provider: series.provider,
+            updatedAt: new Date(point[0]).toISOString(),
+            stale: false,
+            backfilled: true
+        };
+    }
+
+    const totalValue = positions.reduce((total, position) => total + position.amount * (cryptoData[position.symbol]?.price || 0), 0);
+    const totalCost = positions.reduce((total, position) => total + position.totalCost, 0);
+    const totalPnl = totalValue - totalCost;
+
+    const snapshot = {
+        id: backfillId(day),
+        timestamp: new Date(close).toISOString(),
+        description: BACKFILL_DESCRIPTION,
+        source: 'backfill',
+        backfilled: true,
+        portfolio: positions,
+        cryptoData,
+        projects: [],
+        totalValue,
+        totalCost,
+        totalPnl,
+        totalPnlPercent: totalCost > 0 ? (totalPnl / totalCost) * 100 : 0
+    };
+    const fx = pointAt(fxSeries, close);
+    if (fx) {
+        snapshot.fxRates = fx[1];
+    }
+    if (missing.length > 0) {
+        snapshot.missingPrices = missing;
+    }
+    return { snapshot, missing };
+}
+
+// Backfill daily snapshots between `from` and `to` (any date strings; by
+// default the first transaction's day and yesterday). Days that already have
+// a snapshot are skipped; with `force`, earlier backfilled snapshots are
+// rebuilt. With `dryRun` nothing is written. The asset registry is read
+// from `assetStorage`, which differs from `storage` for portfolios other
+// than the default one.
+async function backfillSnapshots(storage, priceService, { fxService = null, assetStorage = storage, from, to, force = false, dryRun = false, now = Date.now() } = {}) {
+    const transactions = sortTransactions((await storage.get('transactions')) || []);
+    const dated = transactions.filter(transaction => Number.isFinite(new Date(transaction.timestamp).getTime()));
+
+    const firstDay = from !== undefined ? parseDay(from, 'from') : dated.length > 0 ? dayKey(dated[0].timestamp) : null;
+    const lastDay = to !== undefined ? parseDay(to, 'to') : dayKey(now - DAY_MS);
+    const result = { from: firstDay, to: lastDay, dryRun, days: 0, created: 0, replaced: 0, skipped: 0, providers: {}, missing: {}, errors: [] };
+    if (!firstDay || firstDay > lastDay) {
+        return result;
+    }
+    if (endOfDay(lastDay) >= now) {
+        throw new BackfillRangeError('Backfill can only cover days that are over');
+    }
+
+    // Days that already have a snapshot of their own are left alone
+    const { snapshots: existing } = await storage.querySnapshots({
+        from: startOfDay(firstDay),
+        to: endOfDay(lastDay),
+        fields: ['source']
+    });
+    const liveDays = new Set();
+    const backfilledDays = new Set();
+    for (const snapshot of existing) {
+        (snapshot.source === 'backfill' ? backfilledDays : liveDays).add(dayKey(snapshot.timestamp));
+    }
+
+    // Replay the ledger up to the end of each day that needs a snapshot
+    const { costBasisMethod: method } = withDefaults(await storage.get(SETTINGS_KEY));
+    const plan = [];
+    let applied = 0;
+    for (let day = firstDay; day <= lastDay; day = dayKey(startOfDay(day) + DAY_MS)) {
+        result.days++;
+        while (applied < transactions.length && !(new Date(transactions[applied].timestamp).getTime() > endOfDay(day))) {
+            applied++;
+        }
+        if (liveDays.has(day) || (backfilledDays.has(day) && !force)) {
+            result.skipped++;
+            continue;
+        }
+        const positions = replayTransactions(transactions.slice(0, applied), { method });
+        if (positions.length > 0) {
+            plan.push({ day, positions });
+        }
+    }
+    if (plan.length === 0) {
+        return result;
+    }
+
+    // One history request per asset covers the whole range, plus the day
+    // before it for the first 24h change
+    const registered = assetMap((await assetStorage.get(ASSETS_KEY)) || DEFAULT_ASSETS);
+    const assets = {};
+    for (const { positions } of plan) {
+        for (const { symbol } of positions) {
+            assets[symbol] = registered[symbol] || { symbol };
+        }
+    }
+    const { history, errors } = await priceService.getHistory(assets, startOfDay(plan[0].day) - DAY_MS, endOfDay(plan[plan.length - 1].day));
+    if (Object.keys(history).length === 0 && errors.length > 0) {
+        // Nothing could be priced; writing zero-valued days would only hide the outage
+        throw new PriceUpstreamError(`No price history available: ${errors[0]}`);
+    }
+    result.errors = errors;
+    for (const [symbol, series] of Object.entries(history)) {
+        result.providers[symbol] = series.provider;
+    }
+
+    // FX rates are optional; without them the snapshots convert at today's rates
+    let fxSeries = [];
+    if (fxService) {
+        try {
+            fxSeries = await fxService.getHistory(startOfDay(plan[0].day), endOfDay(plan[plan.length - 1].day));
+        } catch (error) {
+            result.errors.push(`FX rates: ${error.message}`);
+        }
+    }
+
+    const snapshots = plan.map(({ day, positions }) => {
+        const { snapshot, missing } = buildBackfillSnapshot(day, positions, history, fxSeries);
+        for (const symbol of missing) {
+            result.missing[symbol] = (result.missing[symbol] || 0) + 1;
+        }
+        if (backfilledDays.has(day)) result.replaced++;
+        else result.created++;
+        return snapshot;
+    });
+
+    if (!dryRun) {
+        await storage.upsertSnapshots(snapshots);
+    }
+    return result;
+}
+
+module.exports = {
+    BackfillRangeError,
+    BACKFILL_DESCRIPTION,
+    buildBackfillSnapshot,
+    backfillSnapshots,
+    pointAt
+};
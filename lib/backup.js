@@ -0,0 +1,333 @@
+/**
+ * Backup archives: everything an instance stores, in one versioned JSON
+ * document, and the plan for restoring one.
+ *
+ *   {
+ *     format: 'profolio-backup', version: 1, createdAt,
+ *     shared: { assets, portfolios },
+ *     portfolios: {
+ *       <id>: { documents: { transactions, accounts, ... }, snapshots: [...] }
+ *     }
+ *   }
+ *
+ * Only source documents are kept (see PORTFOLIO_DOCUMENTS and
+ * SHARED_DOCUMENTS). Positions are rebuilt from the transactions, and price
+ * and FX caches are fetched again.
+ *
+ * planRestore() compares a backup with the current archive, record by
+ * record. `merge` adds the records the instance does not have and updates
+ * those it has, by id; nothing is removed. `replace` makes the instance
+ * equal to the backup, removing portfolios and records it does not have.
+ *
+ * Payloads of the old /api/export and /api/migrate (`portfolio`,
+ * `transactions`, `projects`, `snapshots`) are read as a backup of one
+ * portfolio. Their positions are kept under `portfolio`, which the ledger
+ * adopts as opening balances.
+ */
+
+const { PORTFOLIOS_KEY, DEFAULT_PORTFOLIO_ID, AGGREGATE_PORTFOLIO_ID, listPortfolios } = require('./portfolios');
+const { ASSETS_KEY } = require('./assets');
+const { accountId } = require('./accounts');
+
+const BACKUP_FORMAT = 'profolio-backup';
+const BACKUP_VERSION = 1;
+
+const RESTORE_MODES = ['merge', 'replace'];
+
+class BackupFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupFormatError';
+    }
+}
+
+// How the records of each document are told apart. `list` documents are
+// arrays of records, `projects` holds a list and tags, `object` is a plain
+// object compared key by key.
+const PORTFOLIO_DOCUMENTS = {
+    transactions: { kind: 'list', id: transaction => transaction.id },
+    'transaction-history': { kind: 'list', id: entry => `${entry.transactionId}@${entry.changedAt}` },
+    accounts: { kind: 'list', id: account => account.id },
+    'cash-flows': { kind: 'list', id: flow => flow.id },
+    projects: { kind: 'projects', id: project => project.id },
+    settings: { kind: 'object' },
+    // Positions from old exports only, adopted as opening balances
+    portfolio: { kind: 'list', id: position => position.id || `${position.symbol}_${position.account || 'default'}`, legacy: true }
+};
+
+const SHARED_DOCUMENTS = {
+    [ASSETS_KEY]: { kind: 'list', id: asset => asset.symbol },
+    [PORTFOLIOS_KEY]: { kind: 'list', id: portfolio => portfolio.id }
+};
+
+const SNAPSHOTS = { kind: 'list', id: snapshot => String(snapshot.id) };
+
+// ============================================
+// Creating
+// ============================================
+
+// The archive of `storage` (the shared and default portfolio documents) and
+// `storageForPortfolio(id)` for the others. Without `snapshots` they are left
+// out, which keeps the file small. With `positions` the materialised
+// positions are added under `portfolio`, to compare old exports against.
+async function createBackup({ storage, storageForPortfolio, snapshots = true, positions = false }) {
+    const shared = {};
+    for (const key of Object.keys(SHARED_DOCUMENTS)) {
+        const value = await storage.get(key);
+        if (value !== null) shared[key] = value;
+    }
+
+    const portfolios = {};
+    for (const portfolio of listPortfolios(shared[PORTFOLIOS_KEY])) {
+        const book = storageForPortfolio(portfolio.id);
+        const documents = {};
+        for (const [key, spec] of Object.entries(PORTFOLIO_DOCUMENTS)) {
+            if (spec.legacy && !positions) continue;
+            const value = await book.get(key);
+            if (value !== null) documents[key] = value;
+        }
+        portfolios[portfolio.id] = {
+            documents,
+            snapshots: snapshots ? (await book.querySnapshots()).snapshots : undefined
+        };
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        shared,
+        portfolios
+    };
+}
+
+// `input` as a backup, converting the payloads of the old export and
+// migration endpoints into a backup of `portfolio`. Throws BackupFormatError.
+function readBackup(input, { portfolio = DEFAULT_PORTFOLIO_ID } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new BackupFormatError('A backup must be a JSON object');
+    }
+    if (input.format === undefined) {
+        if (!['portfolio', 'transactions', 'projects', 'snapshots'].some(key => input[key] !== undefined)) {
+            throw new BackupFormatError(`Not a backup: expected "format": "${BACKUP_FORMAT}"`);
+        }
+        const documents = {};
+        for (const key of ['portfolio', 'transactions', 'projects']) {
+            if (input[key] !== undefined) documents[key] = input[key];
+        }
+        input = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: input.exportDate || null,
+            shared: {},
+            portfolios: { [portfolio]: { documents, snapshots: input.snapshots } }
+        };
+    }
+
+    if (input.format !== BACKUP_FORMAT) {
+        throw new BackupFormatError(`Unknown backup format "${input.format}"`);
+    }
+    if (!Number.isInteger(input.version) || input.version < 1 || input.version > BACKUP_VERSION) {
+        throw new BackupFormatError(`Backup version ${input.version} is not supported; this instance reads up to version ${BACKUP_VERSION}`);
+    }
+    if (!input.portfolios || typeof input.portfolios !== 'object') {
+        throw new BackupFormatError('The backup has no portfolios');
+    }
+
+    checkDocuments(input.shared || {}, SHARED_DOCUMENTS, 'shared');
+    const registry = (input.shared || {})[PORTFOLIOS_KEY] || [];
+    for (const id of [...Object.keys(input.portfolios), ...registry.map(entry => entry && entry.id)]) {
+        checkPortfolioId(id);
+    }
+    for (const [id, book] of Object.entries(input.portfolios)) {
+        checkDocuments((book && book.documents) || {}, PORTFOLIO_DOCUMENTS, `portfolio "${id}"`);
+        if (book && book.snapshots !== undefined && !Array.isArray(book.snapshots)) {
+            throw new BackupFormatError(`The snapshots of portfolio "${id}" must be a list`);
+        }
+    }
+    return input;
+}
+
+// Portfolio ids name storage namespaces (directories on the filesystem), so
+// only ids buildPortfolio() could have made are accepted
+function checkPortfolioId(id) {
+    if (typeof id !== 'string' || !id || accountId(id) !== id) {
+        throw new BackupFormatError(`Invalid portfolio id ${JSON.stringify(id)}`);
+    }
+    if (id === AGGREGATE_PORTFOLIO_ID) {
+        throw new BackupFormatError(`"${AGGREGATE_PORTFOLIO_ID}" is reserved for the aggregate of every portfolio`);
+    }
+}
+
+function checkDocuments(documents, specs, where) {
+    for (const [key, value] of Object.entries(documents)) {
+        const spec = specs[key];
+        if (!spec) throw new BackupFormatError(`Unknown document "${key}" in ${where}`);
+        const valid = spec.kind === 'list' ? Array.isArray(value) : value && typeof value === 'object' && !Array.isArray(value);
+        if (!valid) throw new BackupFormatError(`Document "${key}" in ${where} has the wrong shape`);
+    }
+}
+
+// ============================================
+// Restoring
+// ============================================
+
+function emptyCounts() {
+    return { added: 0, changed: 0, removed: 0, unchanged: 0 };
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Restore a list of records by id. Resolves to { value, counts }.
+function restoreList(current, incoming, mode, id) {
+    const counts = emptyCounts();
+    const incomingById = new Map(incoming.map(record => [id(record), record]));
+    const value = [];
+    for (const record of current) {
+        const replacement = incomingById.get(id(record));
+        if (replacement === undefined) {
+            if (mode === 'replace') counts.removed++;
+            else value.push(record);
+            continue;
+        }
+        if (same(record, replacement)) counts.unchanged++;
+        else counts.changed++;
+        value.push(replacement);
+        incomingById.delete(id(record));
+    }
+    for (const record of incomingById.values()) {
+        counts.added++;
+        value.push(record);
+    }
+    return { value, counts };
+}
+
+// Restore a plain object key by key
+function restoreObject(current, incoming, mode) {
+    const counts = emptyCounts();
+    for (const key of new Set([...Object.keys(current), ...Object.keys(incoming)])) {
+        if (!(key in incoming)) {
+            if (mode === 'replace') counts.removed++;
+        } else if (!(key in current)) {
+            counts.added++;
+        } else if (same(current[key], incoming[key])) {
+            counts.unchanged++;
+        } else {
+            counts.changed++;
+        }
+    }
+    return { value: mode === 'replace' ? incoming : { ...current, ...incoming }, counts };
+}
+
+function restoreDocument(spec, current, incoming, mode) {
+    if (spec.kind === 'list') return restoreList(current || [], incoming || [], mode, spec.id);
+    if (spec.kind === 'object') return restoreObject(current || {}, incoming || {}, mode);
+
+    const projects = restoreList((current && current.projects) || [], (incoming && incoming.projects) || [], mode, spec.id);
+    const tags = restoreList(
+        ((current && current.customTags) || []).map(tag => ({ tag })),
+        ((incoming && incoming.customTags) || []).map(tag => ({ tag })),
+        mode,
+        entry => entry.tag
+    );
+    const counts = emptyCounts();
+    for (const key of Object.keys(counts)) counts[key] = projects.counts[key] + tags.counts[key];
+    return { value: { projects: projects.value, customTags: tags.value.map(entry => entry.tag) }, counts };
+}
+
+// Restore the documents of `specs` present on either side. Returns the
+// documents to write and the counts per document.
+function restoreDocuments(specs, current, incoming, mode) {
+    const writes = {};
+    const diff = {};
+    for (const [key, spec] of Object.entries(specs)) {
+        const has = incoming[key] !== undefined;
+        if (!has && (mode === 'merge' || spec.legacy || current[key] === undefined)) continue;
+        const { value, counts } = restoreDocument(spec, current[key], incoming[key], mode);
+        diff[key] = counts;
+        if (counts.added + counts.changed + counts.removed > 0) writes[key] = value;
+    }
+    return { writes, diff };
+}
+
+// The changes restoring `backup` over `current` (both archives) in `mode`
+// makes: { portfolios: { <id>: { action, writes, snapshots, diff } },
+// shared: { writes, diff }, summary }. Snapshots are only touched when the
+// backup has them. `action` is create, update or remove.
+function planRestore(current, backup, mode) {
+    if (!RESTORE_MODES.includes(mode)) {
+        throw new BackupFormatError(`mode must be one of: ${RESTORE_MODES.join(', ')}`);
+    }
+    const sharedIncoming = { ...(backup.shared || {}) };
+    // Every portfolio in the backup must end up in the registry
+    const registry = sharedIncoming[PORTFOLIOS_KEY] || [];
+    const kept = mode === 'merge' ? (current.shared || {})[PORTFOLIOS_KEY] || [] : [];
+    const registered = new Set(listPortfolios([...registry, ...kept]).map(p => p.id));
+    const missing = Object.keys(backup.portfolios).filter(id => !registered.has(id));
+    if (missing.length > 0) {
+        sharedIncoming[PORTFOLIOS_KEY] = [
+            ...registry,
+            ...missing.map(id => ({ id, name: id, createdAt: backup.createdAt || null, updatedAt: backup.createdAt || null }))
+        ];
+    }
+    const shared = restoreDocuments(SHARED_DOCUMENTS, current.shared || {}, sharedIncoming, mode);
+
+    const portfolios = {};
+    const ids = new Set([...Object.keys(current.portfolios), ...Object.keys(backup.portfolios)]);
+    for (const id of ids) {
+        const before = current.portfolios[id];
+        const after = backup.portfolios[id];
+        if (!after && mode === 'merge') continue;
+
+        const { writes, diff } = restoreDocuments(PORTFOLIO_DOCUMENTS, (before && before.documents) || {}, (after && after.documents) || {}, mode);
+        let snapshots = null;
+        if (after ? after.snapshots !== undefined : mode === 'replace') {
+            const result = restoreList((before && before.snapshots) || [], (after && after.snapshots) || [], mode, SNAPSHOTS.id);
+            diff.snapshots = result.counts;
+            if (result.counts.added + result.counts.changed + result.counts.removed > 0) snapshots = result.value;
+        }
+        const action = !before ? 'create' : (!after && id !== DEFAULT_PORTFOLIO_ID ? 'remove' : 'update');
+        portfolios[id] = { action, writes, snapshots, diff };
+    }
+
+    return { mode, shared, portfolios, summary: summarize(shared, portfolios) };
+}
+
+function summarize(shared, portfolios) {
+    const total = emptyCounts();
+    const add = diff => {
+        for (const counts of Object.values(diff)) {
+            for (const key of Object.keys(total)) total[key] += counts[key];
+        }
+    };
+    add(shared.diff);
+    Object.values(portfolios).forEach(book => add(book.diff));
+    return {
+        ...total,
+        portfoliosCreated: Object.values(portfolios).filter(book => book.action === 'create').length,
+        portfoliosRemoved: Object.values(portfolios).filter(book => book.action === 'remove').length
+    };
+}
+
+// The plan without the records, for dry runs
+function describePlan(plan) {
+    return {
+        mode: plan.mode,
+        summary: plan.summary,
+        shared: plan.shared.diff,
+        portfolios: Object.fromEntries(Object.entries(plan.portfolios).map(([id, book]) => [id, { action: book.action, ...book.diff }]))
+    };
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    RESTORE_MODES,
+    BackupFormatError,
+    createBackup,
+    readBackup,
+    planRestore,
+    describePlan
+};
@@ -0,0 +1,99 @@
+/**
+ * Cash flows: the fiat money put into and taken out of the portfolio.
+ *
+ * Stored under the `cash-flows` key as a list of
+ * `{ id, type, amount, timestamp, description, createdAt }` with amounts in
+ * USD. Deposits and withdrawals are positive amounts; their difference is the
+ * net invested capital, which is the portfolio's total cost once any are
+ * recorded. Until then the total cost is the cost basis of the positions.
+ *
+ * Manual adjustments are signed amounts added on top of either. "Set total
+ * cost" records the adjustment that brings the total cost to a figure, and
+ * resetting records the one that cancels all earlier adjustments, so every
+ * change stays in the list.
+ */
+
+const CASH_FLOWS_KEY = 'cash-flows';
+
+const CASH_FLOW_TYPES = ['deposit', 'withdrawal', 'adjustment'];
+
+// Differences below this are rounding, not an adjustment
+const CENT = 0.005;
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Build a cash flow from request input, or return { error }
+function buildCashFlow(input) {
+    const type = String(input.type || '').trim().toLowerCase();
+    if (!CASH_FLOW_TYPES.includes(type)) {
+        return { error: `type must be one of: ${CASH_FLOW_TYPES.join(', ')}` };
+    }
+    const amount = Number(input.amount);
+    if (type === 'adjustment' ? !(Number.isFinite(amount) && amount !== 0) : !(amount > 0)) {
+        return { error: type === 'adjustment' ? 'amount must be a non-zero number' : 'amount must be a positive number' };
+    }
+    if (input.timestamp !== undefined && input.timestamp !== '' && !Number.isFinite(new Date(input.timestamp).getTime())) {
+        return { error: 'timestamp must be a date' };
+    }
+
+    const now = new Date().toISOString();
+    return {
+        cashFlow: {
+            id: input.id || Date.now().toString(),
+            type,
+            amount: round(amount),
+            timestamp: input.timestamp ? new Date(input.timestamp).toISOString() : now,
+            description: String(input.description || '').trim(),
+            createdAt: now
+        }
+    };
+}
+
+// Totals of the ledger. `positionsCost` is the cost basis of the positions,
+// the total cost while no deposit or withdrawal is recorded.
+function summarizeCashFlows(cashFlows, positionsCost = 0) {
+    const sum = type => (cashFlows || []).filter(flow => flow.type === type).reduce((total, flow) => total + flow.amount, 0);
+    const deposits = sum('deposit');
+    const withdrawals = sum('withdrawal');
+    const adjustments = sum('adjustment');
+    const hasFlows = (cashFlows || []).some(flow => flow.type !== 'adjustment');
+    const base = hasFlows ? deposits - withdrawals : positionsCost;
+
+    return {
+        deposits: round(deposits),
+        withdrawals: round(withdrawals),
+        netInvested: round(deposits - withdrawals),
+        adjustments: round(adjustments),
+        basis: hasFlows ? 'cash-flows' : 'positions',
+        totalCost: base + adjustments
+    };
+}
+
+// The adjustment that makes the total cost `totalCost`, or that cancels the
+// earlier adjustments when `totalCost` is null. Returns null when nothing
+// would change.
+function buildTotalCostAdjustment(cashFlows, positionsCost, totalCost) {
+    const summary = summarizeCashFlows(cashFlows, positionsCost);
+    const reset = totalCost === null;
+    const amount = reset ? -summary.adjustments : totalCost - summary.totalCost;
+    if (Math.abs(amount) < CENT) return null;
+
+    const { cashFlow } = buildCashFlow({
+        type: 'adjustment',
+        amount,
+        description: reset
+            ? 'Manual adjustment: earlier adjustments reset'
+            : `Manual adjustment: total cost set to $${totalCost.toFixed(2)}`
+    });
+    return cashFlow;
+}
+
+module.exports = {
+    CASH_FLOWS_KEY,
+    CASH_FLOW_TYPES,
+    buildCashFlow,
+    summarizeCashFlows,
+    buildTotalCostAdjustment
+};
@@ -0,0 +1,20 @@
+/**
+ * CSV text for the exports.
+ */
+
+// A field as CSV, quoted when it holds a comma, quote or line break. Null
+// and undefined are empty.
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows (lists of fields) as CSV, one line each
+function toCsv(rows) {
+    return rows.map(fields => fields.map(csvField).join(',')).join('\n');
+}
+
+module.exports = {
+    csvField,
+    toCsv
+};
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+const ENV_FILE = path.join(__dirname, '..', '.env.local');
+
+// Load .env.local (from `vercel env pull`) into process.env when present so
+// the CLIs pick up the Upstash credentials. Variables already set win.
+// Returns whether the file was found.
+function loadEnv(envPath = ENV_FILE) {
+    if (!fs.existsSync(envPath)) return false;
+
+    const content = fs.readFileSync(envPath, 'utf8');
+    content.split('\n').forEach(line => {
+        const [key, ...valueParts] = line.split('=');
+        if (key && valueParts.length && process.env[key.trim()] === undefined) {
+            process.env[key.trim()] = valueParts.join('=').trim().replace(/^["']|["']$/g, '');
+        }
+    });
+    return true;
+}
+
+module.exports = { loadEnv };
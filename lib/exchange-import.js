@@ -0,0 +1,640 @@
+/**
+ * Transactions from exchange trade and ledger CSV exports.
+ *
+ * readImport() parses a CSV and recognises its layout from the header row:
+ * Binance trade history and transaction history, Coinbase transaction
+ * history, Kraken trades and ledgers, and OKX trade history. Other layouts
+ * are read with a column mapping (see MAPPING_FIELDS); without one the
+ * caller gets the headers, a sample and a suggested mapping back.
+ *
+ * Each row becomes an entry: a trade of one asset against another, or a
+ * deposit, withdrawal, reward, airdrop or fee of one asset. buildImport()
+ * turns entries into transaction inputs valued in USD:
+ * - Trades against USD, a stablecoin or another fiat currency are buys and
+ *   sells. Trades between two coins are swaps.
+ * - Fees paid in the coin bought reduce the amount received. Other fees are
+ *   added to the cost of a buy, or taken off the proceeds of a sale.
+ * - Rewards, airdrops and fees are valued at the market price. Deposits and
+ *   withdrawals carry no price: their cost basis comes from elsewhere.
+ * - Fiat deposits and withdrawals are not coins and are skipped.
+ *
+ * Every entry has an `externalId`, `<format>:<id>`, from the exchange's
+ * trade or ledger id. Exports without one get a hash of the row, numbered
+ * when identical rows repeat, so importing the same file twice is a no-op.
+ */
+
+const crypto = require('crypto');
+const { normalizeSymbol } = require('./assets');
+const { SUPPORTED_CURRENCIES } = require('./fx');
+const { pointAt } = require('./backfill');
+const { DAY_MS } = require('./time');
+
+// Quote currencies worth one US dollar
+const USD_STABLECOINS = ['USD', 'USDT', 'USDC', 'BUSD', 'DAI', 'FDUSD', 'TUSD', 'USDP', 'PYUSD'];
+
+// Fields a column mapping can name; the first three are required
+const MAPPING_FIELDS = ['timestamp', 'symbol', 'amount', 'type', 'quote', 'price', 'total', 'fee', 'feeAsset', 'id'];
+const REQUIRED_MAPPING_FIELDS = ['timestamp', 'symbol', 'amount'];
+
+// Header names a mapping field is guessed from, lower case
+const MAPPING_GUESSES = {
+    timestamp: ['timestamp', 'time', 'date', 'date(utc)', 'utc_time', 'datetime', 'trade time', 'created at'],
+    symbol: ['symbol', 'asset', 'coin', 'currency', 'pair', 'market', 'instrument', 'base'],
+    amount: ['amount', 'quantity', 'qty', 'executed', 'filled', 'size', 'volume', 'vol', 'change'],
+    type: ['type', 'side', 'operation', 'transaction type', 'action', 'kind'],
+    quote: ['quote', 'quote asset', 'quote currency', 'counter currency'],
+    price: ['price', 'rate', 'unit price', 'filled price', 'spot price'],
+    total: ['total', 'cost', 'value', 'subtotal', 'proceeds', 'notional'],
+    fee: ['fee', 'fees', 'commission'],
+    feeAsset: ['fee asset', 'fee coin', 'fee currency', 'fee unit', 'commission asset'],
+    id: ['id', 'txid', 'trade id', 'tradeid', 'transaction id', 'order id']
+};
+
+function isCash(asset) {
+    return USD_STABLECOINS.includes(asset) || SUPPORTED_CURRENCIES.includes(asset);
+}
+
+// ============================================
+// CSV parsing
+// ============================================
+
+// Rows of `text` as arrays of cells, each with the line it starts on
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push({ line: rowLine, cells: row });
+    }
+    return rows.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+}
+
+// A number from an export cell ("1,234.50", "$12.00", "-0.5"), or NaN
+function parseNumber(value) {
+    const cleaned = String(value === undefined ? '' : value).replace(/[^0-9.eE+-]/g, '');
+    return cleaned === '' ? NaN : Number(cleaned);
+}
+
+// An ISO timestamp from an export cell; times without a zone are UTC
+function parseTime(value) {
+    let text = String(value || '').trim().replace(/\s+UTC$/i, 'Z');
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        // Epoch seconds (Kraken) or milliseconds
+        const number = Number(text);
+        return new Date(number < 1e11 ? number * 1000 : number).toISOString();
+    }
+    if (/^\d{4}-\d{2}-\d{2}[ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+        text = `${text.replace(' ', 'T')}Z`;
+    }
+    const time = new Date(text).getTime();
+    return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+// "0.5BTC" → { amount: 0.5, asset: 'BTC' } (Binance trade history cells)
+function parseAmountWithAsset(value) {
+    const match = String(value || '').trim().match(/^(-?[\d.,]+(?:[eE][+-]?\d+)?)\s*([A-Za-z0-9]+)$/);
+    if (!match) return null;
+    return { amount: Math.abs(parseNumber(match[1])), asset: normalizeSymbol(match[2]) };
+}
+
+// "BTC-USDT", "BTC/USDT" or "BTC_USDT" → { base, quote }. Pairs written
+// together ("BTCUSDT") are split at a known quote currency.
+function splitPair(value, quotes = [...USD_STABLECOINS, ...SUPPORTED_CURRENCIES, 'BTC', 'ETH', 'BNB']) {
+    const text = String(value || '').trim().toUpperCase();
+    const parts = text.split(/[-/_ ]/).filter(Boolean);
+    if (parts.length === 2) return { base: parts[0], quote: parts[1] };
+    const quote = [...quotes].sort((a, b) => b.length - a.length).find(q => text.endsWith(q) && text.length > q.length);
+    return quote ? { base: text.slice(0, -quote.length), quote } : null;
+}
+
+// The transaction type a free-text kind ("Staking Income", "Withdraw") names
+function classifyKind(value) {
+    const kind = String(value || '').toLowerCase();
+    if (/buy|bid|long/.test(kind)) return 'buy';
+    if (/sell|ask|short/.test(kind)) return 'sell';
+    if (/airdrop|distribution|learning|bonus/.test(kind)) return 'airdrop';
+    if (/stak|reward|interest|income|earn|mining|inflation/.test(kind)) return 'staking_reward';
+    if (/fee|commission/.test(kind)) return 'fee';
+    if (/withdraw|send/.test(kind)) return 'withdrawal';
+    if (/deposit|receive/.test(kind)) return 'deposit';
+    if (/convert|trade|swap/.test(kind)) return 'trade';
+    return null;
+}
+
+// ============================================
+// Formats
+// ============================================
+
+// Each format names the columns that identify it and turns a record (an
+// object keyed by header) into an entry, { skip: reason } or null to ignore
+const FORMATS = [
+    {
+        id: 'binance-trades',
+        exchange: 'Binance',
+        name: 'Binance trade history',
+        columns: ['Date(UTC)', 'Pair', 'Side', 'Price', 'Executed', 'Amount', 'Fee'],
+        read(record) {
+            const executed = parseAmountWithAsset(record.Executed);
+            const total = parseAmountWithAsset(record.Amount);
+            const fee = parseAmountWithAsset(record.Fee);
+            if (!executed || !total) return { skip: 'Executed and Amount must be numbers with an asset, like 0.5BTC' };
+            return {
+                kind: 'trade',
+                side: classifyKind(record.Side),
+                timestamp: parseTime(record['Date(UTC)']),
+                symbol: executed.asset,
+                amount: executed.amount,
+                quote: total.asset,
+                total: total.amount,
+                fee: fee ? fee.amount : 0,
+                feeAsset: fee ? fee.asset : null
+            };
+        }
+    },
+    {
+        id: 'binance-ledger',
+        exchange: 'Binance',
+        name: 'Binance transaction history',
+        columns: ['UTC_Time', 'Account', 'Operation', 'Coin', 'Change'],
+        read(record) {
+            const kind = classifyKind(record.Operation);
+            // Trades and their fees come from the trade history export
+            if (!kind || ['buy', 'sell', 'trade', 'fee'].includes(kind)) {
+                return { skip: `"${record.Operation}" rows are not imported; use the trade history export for trades` };
+            }
+            return {
+                kind,
+                timestamp: parseTime(record.UTC_Time),
+                symbol: normalizeSymbol(record.Coin),
+                amount: Math.abs(parseNumber(record.Change)),
+                description: record.Remark || record.Operation
+            };
+        }
+    },
+    {
+        id: 'coinbase',
+        exchange: 'Coinbase',
+        name: 'Coinbase transaction history',
+        columns: ['Timestamp', 'Transaction Type', 'Asset', 'Quantity Transacted'],
+        read(record) {
+            const type = String(record['Transaction Type'] || '');
+            const kind = classifyKind(type);
+            const entry = {
+                id: record.ID || null,
+                timestamp: parseTime(record.Timestamp),
+                symbol: normalizeSymbol(record.Asset),
+                amount: Math.abs(parseNumber(record['Quantity Transacted'])),
+                description: record.Notes || type
+            };
+            const price = parseNumber(record['Spot Price at Transaction']);
+            const currency = normalizeSymbol(record['Spot Price Currency']) || 'USD';
+            const total = parseNumber(record['Total (inclusive of fees and/or spread)']);
+
+            if (kind === 'buy' || kind === 'sell') {
+                // The total already includes the fees
+                return { ...entry, kind: 'trade', side: kind, quote: currency, total: Number.isFinite(total) ? Math.abs(total) : entry.amount * price };
+            }
+            if (kind === 'trade') {
+                // "Converted 0.01 ETH to 20.5 USDC"
+                const match = String(record.Notes || '').match(/([\d.,]+)\s+(\w+)\s+to\s+([\d.,]+)\s+(\w+)/i);
+                if (!match) return { skip: 'Conversions need a note like "Converted 1 ETH to 2000 USDC"' };
+                return {
+                    ...entry,
+                    kind: 'trade',
+                    side: 'sell',
+                    symbol: normalizeSymbol(match[2]),
+                    amount: parseNumber(match[1]),
+                    quote: normalizeSymbol(match[4]),
+                    total: parseNumber(match[3])
+                };
+            }
+            if (!kind) return { skip: `"${type}" rows are not imported` };
+            return { ...entry, kind, price: Number.isFinite(price) ? price : undefined, priceAsset: currency };
+        }
+    },
+    {
+        id: 'kraken-trades',
+        exchange: 'Kraken',
+        name: 'Kraken trades',
+        columns: ['txid', 'pair', 'time', 'type', 'price', 'cost', 'fee', 'vol'],
+        read(record) {
+            const pair = splitKrakenPair(record.pair);
+            if (!pair) return { skip: `Unknown pair "${record.pair}"` };
+            return {
+                id: record.txid,
+                kind: 'trade',
+                side: classifyKind(record.type),
+                timestamp: parseTime(record.time),
+                symbol: pair.base,
+                amount: parseNumber(record.vol),
+                quote: pair.quote,
+                total: parseNumber(record.cost),
+                fee: parseNumber(record.fee) || 0,
+                feeAsset: pair.quote
+            };
+        }
+    },
+    {
+        id: 'kraken-ledgers',
+        exchange: 'Kraken',
+        name: 'Kraken ledgers',
+        columns: ['txid', 'refid', 'time', 'type', 'asset', 'amount', 'fee', 'balance'],
+        read(record) {
+            const kind = record.type === 'staking' || record.type === 'earn' ? 'staking_reward' : classifyKind(record.type);
+            if (kind !== 'deposit' && kind !== 'withdrawal' && kind !== 'staking_reward') {
+                return { skip: `"${record.type}" rows are not imported; use the trades export for trades` };
+            }
+            return {
+                id: record.txid,
+                kind,
+                timestamp: parseTime(record.time),
+                symbol: krakenAsset(record.asset),
+                amount: Math.abs(parseNumber(record.amount)),
+                fee: parseNumber(record.fee) || 0,
+                feeAsset: krakenAsset(record.asset)
+            };
+        }
+    },
+    {
+        id: 'okx-trades',
+        exchange: 'OKX',
+        name: 'OKX trade history',
+        columns: ['Trade ID', 'Trade Time', 'Instrument', 'Side', 'Filled Price', 'Filled Qty', 'Fee', 'Fee Currency'],
+        read(record) {
+            const pair = splitPair(record.Instrument);
+            if (!pair) return { skip: `Unknown instrument "${record.Instrument}"` };
+            const amount = parseNumber(record['Filled Qty']);
+            return {
+                id: record['Trade ID'],
+                kind: 'trade',
+                side: classifyKind(record.Side),
+                timestamp: parseTime(record['Trade Time']),
+                symbol: pair.base,
+                amount,
+                quote: pair.quote,
+                total: amount * parseNumber(record['Filled Price']),
+                // OKX reports fees as negative amounts
+                fee: Math.abs(parseNumber(record.Fee)) || 0,
+                feeAsset: normalizeSymbol(record['Fee Currency'])
+            };
+        }
+    }
+];
+
+// Kraken's legacy asset codes (XXBT, ZUSD, XXDG) as ordinary symbols
+function krakenAsset(code) {
+    const symbol = String(code || '').trim().toUpperCase();
+    const plain = symbol.length === 4 && /^[XZ]/.test(symbol) ? symbol.slice(1) : symbol;
+    return { XBT: 'BTC', XDG: 'DOGE' }[plain] || plain;
+}
+
+function splitKrakenPair(value) {
+    const text = String(value || '').trim().toUpperCase();
+    const quotes = ['ZUSD', 'ZEUR', 'ZGBP', 'ZCAD', 'ZJPY', 'ZCHF', 'ZAUD', 'XXBT', 'XETH', 'USDT', 'USDC', 'USD', 'EUR', 'GBP', 'CAD', 'JPY', 'CHF', 'AUD', 'XBT', 'ETH', 'DAI'];
+    const pair = text.includes('/') ? splitPair(text) : splitPair(text, quotes);
+    return pair && { base: krakenAsset(pair.base), quote: krakenAsset(pair.quote) };
+}
+
+// The column mapping layout, reading the columns `mapping` names
+function mappingFormat(mapping) {
+    const column = field => mapping[field];
+    const cell = (record, field) => (column(field) ? record[column(field)] : undefined);
+    return {
+        id: 'custom',
+        exchange: null,
+        name: 'Custom mapping',
+        columns: REQUIRED_MAPPING_FIELDS.map(column),
+        read(record) {
+            const kind = column('type') ? classifyKind(cell(record, 'type')) : 'buy';
+            if (!kind) return { skip: `Unknown type "${cell(record, 'type')}"` };
+
+            const symbolCell = String(cell(record, 'symbol') || '');
+            const pair = splitPair(symbolCell);
+            const quote = normalizeSymbol(cell(record, 'quote')) || (pair && pair.quote) || 'USD';
+            const symbol = pair ? pair.base : normalizeSymbol(symbolCell);
+            const amount = Math.abs(parseNumber(cell(record, 'amount')));
+            const total = Math.abs(parseNumber(cell(record, 'total')));
+            const price = parseNumber(cell(record, 'price'));
+            const entry = {
+                id: cell(record, 'id') || null,
+                timestamp: parseTime(cell(record, 'timestamp')),
+                symbol,
+                amount,
+                fee: Math.abs(parseNumber(cell(record, 'fee'))) || 0,
+                feeAsset: normalizeSymbol(cell(record, 'feeAsset')) || quote
+            };
+            if (kind === 'buy' || kind === 'sell' || kind === 'trade') {
+                return {
+                    ...entry,
+                    kind: 'trade',
+                    side: kind === 'trade' ? 'buy' : kind,
+                    quote,
+                    total: Number.isFinite(total) ? total : amount * price
+                };
+            }
+            return { ...entry, kind, price: Number.isFinite(price) ? price : undefined, priceAsset: quote };
+        }
+    };
+}
+
+// A mapping guessed from header names
+function suggestMapping(headers) {
+    const mapping = {};
+    for (const field of MAPPING_FIELDS) {
+        const header = headers.find(name => MAPPING_GUESSES[field].includes(name.trim().toLowerCase())
+            && !Object.values(mapping).includes(name));
+        if (header) mapping[field] = header;
+    }
+    return mapping;
+}
+
+function matchesFormat(format, cells) {
+    const headers = cells.map(cell => cell.trim());
+    return format.columns.every(column => headers.includes(column));
+}
+
+// ============================================
+// Reading
+// ============================================
+
+// Read `text` as `format` (a FORMATS id, detected when absent) or with a
+// column `mapping`. Resolves to { format, headers, entries, skipped, rows },
+// { needsMapping, headers, sample, suggestedMapping } or { error }.
+function readImport(text, { format: formatId, mapping } = {}) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return { error: 'The file is empty' };
+
+    let format = null;
+    let headerIndex = 0;
+    if (mapping) {
+        const missing = REQUIRED_MAPPING_FIELDS.filter(field => !mapping[field]);
+        if (missing.length > 0) return { error: `mapping must name the columns for: ${missing.join(', ')}` };
+        format = mappingFormat(mapping);
+    } else if (formatId) {
+        format = FORMATS.find(f => f.id === formatId);
+        if (!format) return { error: `Unknown format "${formatId}"; expected one of: ${FORMATS.map(f => f.id).join(', ')}` };
+    }
+
+    // Some exports (Coinbase) start with a few lines of preamble
+    const candidates = format ? [format] : FORMATS;
+    const found = rows.slice(0, 20).findIndex(({ cells }) => candidates.some(f => matchesFormat(f, cells)));
+    if (found !== -1) {
+        headerIndex = found;
+        format = format || FORMATS.find(f => matchesFormat(f, rows[found].cells));
+    } else if (formatId && !mapping) {
+        return { error: `The file does not have the columns of ${format.name}: ${format.columns.join(', ')}` };
+    }
+    const headers = rows[headerIndex].cells.map(cell => cell.trim());
+    const records = rows.slice(headerIndex + 1).map(({ line, cells }) => ({
+        line,
+        record: Object.fromEntries(headers.map((header, index) => [header, (cells[index] || '').trim()]))
+    }));
+
+    if (!format || (found === -1 && !mapping)) {
+        return {
+            needsMapping: true,
+            headers,
+            sample: records.slice(0, 5).map(({ record }) => record),
+            fields: MAPPING_FIELDS,
+            suggestedMapping: suggestMapping(headers)
+        };
+    }
+    if (mapping) {
+        const unknown = Object.values(mapping).filter(column => column && !headers.includes(column));
+        if (unknown.length > 0) return { error: `mapping names columns the file does not have: ${unknown.join(', ')}` };
+    }
+
+    const entries = [];
+    const skipped = [];
+    const seen = new Map();
+    for (const { line, record } of records) {
+        const entry = format.read(record);
+        if (!entry) continue;
+        if (entry.skip) {
+            skipped.push({ line, reason: entry.skip });
+            continue;
+        }
+        const problem = checkEntry(entry);
+        if (problem) {
+            skipped.push({ line, reason: problem });
+            continue;
+        }
+
+        // Identical rows without an id are told apart by how often they repeat
+        const key = entry.id ? String(entry.id) : hashRecord(record);
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        const id = entry.id && count === 1 ? key : `${key}#${count}`;
+        entries.push({ ...entry, line, externalId: `${format.exchange ? format.exchange.toLowerCase() : format.id}:${id}` });
+    }
+    return { format: { id: format.id, name: format.name, exchange: format.exchange }, headers, entries, skipped, rows: records.length };
+}
+
+function checkEntry(entry) {
+    if (!entry.timestamp) return 'The date could not be read';
+    if (!entry.symbol) return 'The asset is missing';
+    if (!(entry.amount > 0)) return 'The amount must be a positive number';
+    if (entry.kind === 'trade') {
+        if (entry.side !== 'buy' && entry.side !== 'sell') return 'A trade must be a buy or a sell';
+        if (!entry.quote) return 'The quote currency is missing';
+        if (entry.quote === entry.symbol) return 'A trade must be between two different assets';
+        if (!(entry.total >= 0)) return 'The trade total must be a number';
+    }
+    if (entry.kind !== 'trade' && isCash(entry.symbol)) {
+        return `${entry.symbol} is fiat or a stablecoin, not a tracked coin; record fiat as a cash flow`;
+    }
+    return null;
+}
+
+function hashRecord(record) {
+    return crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex').slice(0, 16);
+}
+
+// ============================================
+// Valuation
+// ============================================
+
+// What must be priced to value `entries` in USD: the fiat currencies and
+// coins involved, and the time range
+function valuationNeeds(entries) {
+    const currencies = new Set();
+    const assets = new Set();
+    let from = Infinity;
+    let to = -Infinity;
+    const add = asset => {
+        if (!asset || USD_STABLECOINS.includes(asset)) return;
+        if (SUPPORTED_CURRENCIES.includes(asset)) currencies.add(asset);
+        else assets.add(asset);
+    };
+    for (const entry of entries) {
+        const time = new Date(entry.timestamp).getTime();
+        from = Math.min(from, time);
+        to = Math.max(to, time);
+        if (entry.kind === 'trade') {
+            add(entry.quote);
+            // Coin-for-coin trades fall back to the price of the coin bought
+            if (!isCash(entry.quote)) add(entry.symbol);
+            if (entry.fee > 0) add(entry.feeAsset);
+        } else if (entry.kind !== 'deposit' && entry.kind !== 'withdrawal') {
+            if (entry.price === undefined) add(entry.symbol);
+            else add(entry.priceAsset);
+        }
+    }
+    return { currencies: [...currencies], assets: [...assets], from, to };
+}
+
+// usdRate() for buildImport() from the daily [time, rates] points of
+// lib/fx.js and the price `history` of lib/prices. A time before the first
+// point takes it if it is less than a day later.
+function createUsdRate({ fxSeries = [], history = {} } = {}) {
+    const at = (points, time) => {
+        const point = pointAt(points, time);
+        if (point) return point;
+        return points.length > 0 && points[0][0] - time < DAY_MS ? points[0] : null;
+    };
+    return (asset, timestamp) => {
+        const time = new Date(timestamp).getTime();
+        if (SUPPORTED_CURRENCIES.includes(asset)) {
+            const point = at(fxSeries, time);
+            return point && point[1][asset] > 0 ? 1 / point[1][asset] : undefined;
+        }
+        const point = history[asset] && at(history[asset].points, time);
+        return point ? point[1] : undefined;
+    };
+}
+
+// ============================================
+// Building transactions
+// ============================================
+
+// Transaction inputs for `entries`, each tagged with its externalId and
+// `account`. `usdRate(asset, timestamp)` gives the USD value of one unit, or
+// undefined when it is not known. Resolves to { transactions, skipped }.
+function buildImport(entries, { usdRate, account = '', description } = {}) {
+    const transactions = [];
+    const skipped = [];
+    const rate = (asset, timestamp) => (USD_STABLECOINS.includes(asset) ? 1 : usdRate(asset, timestamp));
+
+    entries.forEach((entry, index) => {
+        const result = entry.kind === 'trade' ? tradeInput(entry, rate) : transferInput(entry, rate);
+        if (result.error) {
+            skipped.push({ line: entry.line, reason: result.error });
+            return;
+        }
+        transactions.push({
+            ...result.input,
+            id: `${Date.now()}-imp${index}`,
+            timestamp: entry.timestamp,
+            account,
+            externalId: entry.externalId,
+            description: entry.description || description
+        });
+    });
+    return { transactions, skipped };
+}
+
+// USD value of a trade's fee, or 0 when it has none
+function feeValue(entry, rate, unitValue) {
+    if (!(entry.fee > 0)) return 0;
+    if (entry.feeAsset === entry.symbol) return entry.fee * unitValue;
+    const feeRate = rate(entry.feeAsset, entry.timestamp);
+    return feeRate !== undefined ? entry.fee * feeRate : undefined;
+}
+
+function tradeInput(entry, rate) {
+    const quoteRate = rate(entry.quote, entry.timestamp);
+    const baseRate = quoteRate === undefined && !isCash(entry.quote) ? rate(entry.symbol, entry.timestamp) : undefined;
+    if (quoteRate === undefined && baseRate === undefined) {
+        return { error: `No USD price for ${entry.quote} on ${entry.timestamp.split('T')[0]}` };
+    }
+    const value = quoteRate !== undefined ? entry.total * quoteRate : entry.amount * baseRate;
+    const fee = feeValue(entry, rate, value / entry.amount);
+    if (fee === undefined) {
+        return { error: `No USD price for the ${entry.feeAsset} fee on ${entry.timestamp.split('T')[0]}` };
+    }
+    const baseFee = entry.feeAsset === entry.symbol ? entry.fee : 0;
+    const quoteFee = entry.feeAsset === entry.quote ? entry.fee : 0;
+
+    if (isCash(entry.quote)) {
+        if (entry.side === 'buy') {
+            const amount = entry.amount - baseFee;
+            if (!(amount > 0)) return { error: 'The fee is more than the amount bought' };
+            return { input: { type: 'buy', symbol: entry.symbol, amount, totalCost: value + (baseFee > 0 ? 0 : fee) } };
+        }
+        return { input: { type: 'sell', symbol: entry.symbol, amount: entry.amount, totalCost: Math.max(value - fee, 0) } };
+    }
+
+    // Coin for coin: swap what was given up for what was received
+    if (entry.side === 'buy') {
+        const toAmount = entry.amount - baseFee;
+        if (!(toAmount > 0)) return { error: 'The fee is more than the amount bought' };
+        return { input: { type: 'swap', symbol: entry.quote, amount: entry.total + quoteFee, toSymbol: entry.symbol, toAmount, totalCost: value } };
+    }
+    const toAmount = entry.total - quoteFee;
+    if (!(toAmount > 0)) return { error: 'The fee is more than the amount received' };
+    return { input: { type: 'swap', symbol: entry.symbol, amount: entry.amount + baseFee, toSymbol: entry.quote, toAmount, totalCost: value } };
+}
+
+function transferInput(entry, rate) {
+    const input = { type: entry.kind, symbol: entry.symbol, amount: entry.amount };
+    if (entry.kind === 'deposit' || entry.kind === 'withdrawal') {
+        // A withdrawal fee in the coin itself leaves the account too
+        if (entry.kind === 'withdrawal' && entry.fee > 0 && entry.feeAsset === entry.symbol) input.amount += entry.fee;
+        return { input };
+    }
+
+    const price = entry.price !== undefined
+        ? (entry.priceAsset && entry.priceAsset !== 'USD' ? scale(entry.price, rate(entry.priceAsset, entry.timestamp)) : entry.price)
+        : rate(entry.symbol, entry.timestamp);
+    if (price !== undefined) input.purchasePrice = price;
+    return { input };
+}
+
+function scale(amount, factor) {
+    return factor === undefined ? undefined : amount * factor;
+}
+
+module.exports = {
+    FORMATS,
+    MAPPING_FIELDS,
+    parseCsv,
+    readImport,
+    valuationNeeds,
+    createUsdRate,
+    buildImport
+};
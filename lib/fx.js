@@ -0,0 +1,141 @@
+/**
+ * Foreign exchange rates for the base currency setting.
+ *
+ * Prices, costs and snapshots stay in USD; the base currency only changes
+ * how they are shown and exported. Rates are "units of currency per USD"
+ * (`{ USD: 1, EUR: 0.92, CNY: 7.1, ... }`) from the Frankfurter API (ECB
+ * reference rates, FX_API_URL). Latest rates are cached for a TTL and
+ * persisted so the last known rates are served, flagged stale, while the
+ * provider is unavailable. Snapshots store the rates they were taken with
+ * in `fxRates`, so history converts at the rates of its own day.
+ */
+
+const PriceProvider = require('./prices/base');
+const { DAY_MS } = require('./time');
+const { PriceUpstreamError } = PriceProvider;
+
+const FX_CACHE_KEY = 'fx-rates';
+const DEFAULT_FX_API_URL = 'https://api.frankfurter.app';
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+const BASE_CURRENCY = 'USD';
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'CNY', 'GBP', 'JPY', 'HKD', 'SGD', 'CHF', 'CAD', 'AUD', 'KRW'];
+
+// An upper-cased supported currency code, or null
+function normalizeCurrency(value) {
+    const currency = String(value || '').trim().toUpperCase();
+    return SUPPORTED_CURRENCIES.includes(currency) ? currency : null;
+}
+
+// Frankfurter client; the request() backoff is shared with the price providers
+class FrankfurterClient extends PriceProvider {
+    constructor({ baseUrl = DEFAULT_FX_API_URL, ...options } = {}) {
+        super('frankfurter', { label: 'Frankfurter', baseUrl, ...options });
+    }
+
+    get quoteCurrencies() {
+        return SUPPORTED_CURRENCIES.filter(currency => currency !== BASE_CURRENCY).join(',');
+    }
+
+    // Resolves to { date, rates } for the latest published day
+    async fetchLatest() {
+        const data = await this.request(`/latest?from=${BASE_CURRENCY}&to=${this.quoteCurrencies}`);
+        return { date: data.date, rates: { ...data.rates, [BASE_CURRENCY]: 1 } };
+    }
+
+    // Resolves to time-ordered [time, rates] points, one per published day
+    // between the two YYYY-MM-DD days
+    async fetchSeries(fromDay, toDay) {
+        const data = await this.request(`/${fromDay}..${toDay}?from=${BASE_CURRENCY}&to=${this.quoteCurrencies}`);
+        return Object.entries(data.rates || {})
+            .map(([day, rates]) => [Date.parse(`${day}T00:00:00.000Z`), { ...rates, [BASE_CURRENCY]: 1 }])
+            .sort((a, b) => a[0] - b[0]);
+    }
+}
+
+class FxService {
+    constructor({ client = new FrankfurterClient(), ttlMs = DEFAULT_TTL_MS, storage = null } = {}) {
+        this.client = client;
+        this.ttlMs = ttlMs;
+        this.storage = storage;
+
+        this.latest = null; // { date, rates, updatedAt }
+        this.inFlight = null;
+    }
+
+    async loadPersisted() {
+        if (this.latest || !this.storage) return;
+        try {
+            this.latest = (await this.storage.get(FX_CACHE_KEY)) || null;
+        } catch (error) {
+            console.warn('Could not load cached FX rates:', error.message);
+        }
+    }
+
+    isFresh() {
+        return Boolean(this.latest) && Date.now() - new Date(this.latest.updatedAt).getTime() < this.ttlMs;
+    }
+
+    async refresh() {
+        if (this.client.inBackoff()) {
+            throw new PriceUpstreamError(this.client.pausedMessage());
+        }
+        if (!this.inFlight) {
+            this.inFlight = this.client.fetchLatest().then(async ({ date, rates }) => {
+                this.latest = { date, rates, updatedAt: new Date().toISOString() };
+                if (this.storage) {
+                    await this.storage.set(FX_CACHE_KEY, this.latest).catch(error => {
+                        console.warn('Could not persist FX rates:', error.message);
+                    });
+                }
+            }).finally(() => {
+                this.inFlight = null;
+            });
+        }
+        await this.inFlight;
+    }
+
+    // Resolves to { base, date, rates, updatedAt, stale, error }. Without any
+    // rates yet only USD is listed, and `error` says why.
+    async getRates() {
+        await this.loadPersisted();
+        let error = null;
+        if (!this.isFresh()) {
+            try {
+                await this.refresh();
+            } catch (refreshError) {
+                error = refreshError.message;
+            }
+        }
+
+        if (!this.latest) {
+            return { base: BASE_CURRENCY, date: null, rates: { [BASE_CURRENCY]: 1 }, updatedAt: null, stale: false, error };
+        }
+        return { base: BASE_CURRENCY, ...this.latest, stale: !this.isFresh(), error };
+    }
+
+    // Daily rates between `from` and `to` (ms) as [time, rates] points.
+    // Days without a fixing (weekends, holidays) take the previous one.
+    async getHistory(from, to) {
+        const day = time => new Date(time).toISOString().split('T')[0];
+        // Start a week early so the first days have a fixing to fall back to
+        return this.client.fetchSeries(day(from - 7 * DAY_MS), day(to));
+    }
+}
+
+function createFxService(options = {}) {
+    const env = options.env || process.env;
+    return new FxService({
+        client: new FrankfurterClient({ baseUrl: env.FX_API_URL || undefined }),
+        ttlMs: env.FX_CACHE_TTL_MINUTES ? Number(env.FX_CACHE_TTL_MINUTES) * 60 * 1000 : DEFAULT_TTL_MS,
+        storage: options.storage || null
+    });
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    SUPPORTED_CURRENCIES,
+    normalizeCurrency,
+    FxService,
+    createFxService
+};
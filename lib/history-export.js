@@ -0,0 +1,233 @@
+/**
+ * Portfolio history export: snapshots bucketed by day, week or month.
+ *
+ * Buckets follow the calendar of a time zone (UTC by default). Weeks start
+ * on Monday and are labelled with that date; months are labelled YYYY-MM.
+ * Each bucket is its first or last snapshot, or the average of all of them.
+ *
+ * Every row has the portfolio value. Optional columns add the total cost,
+ * P&L and P&L %, and per asset the value and amount, summed over accounts
+ * from the snapshot's positions and priced with its `cryptoData`. Money is
+ * converted with `rate(snapshot)`, the rate of the export currency for that
+ * snapshot. P&L % is worked out from the row's cost and P&L, so averaged
+ * rows stay consistent.
+ */
+
+const { DAY_MS } = require('./time');
+const { toCsv } = require('./csv');
+
+const INTERVALS = ['daily', 'weekly', 'monthly'];
+const AGGREGATIONS = ['last', 'first', 'avg'];
+const COLUMNS = ['cost', 'pnl', 'pnl_percent', 'asset_value', 'asset_amount'];
+const FORMATS = ['csv', 'json'];
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Export options from query parameters: interval, aggregation, columns
+// (comma-separated), timezone and format. Returns { options } or { error }.
+function readExportOptions(query) {
+    const interval = String(query.interval || 'daily').toLowerCase();
+    if (!INTERVALS.includes(interval)) {
+        return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+    }
+    const aggregation = String(query.aggregation || 'last').toLowerCase();
+    if (!AGGREGATIONS.includes(aggregation)) {
+        return { error: `aggregation must be one of: ${AGGREGATIONS.join(', ')}` };
+    }
+    const columns = query.columns
+        ? String(query.columns).split(',').map(column => column.trim().toLowerCase()).filter(Boolean)
+        : [];
+    const unknown = columns.find(column => !COLUMNS.includes(column));
+    if (unknown) {
+        return { error: `Unknown column "${unknown}" (expected: ${COLUMNS.join(', ')})` };
+    }
+    const timeZone = String(query.timezone || 'UTC');
+    if (!isValidTimeZone(timeZone)) {
+        return { error: `Unknown timezone "${timeZone}"` };
+    }
+    const format = String(query.format || 'csv').toLowerCase();
+    if (!FORMATS.includes(format)) {
+        return { error: `format must be one of: ${FORMATS.join(', ')}` };
+    }
+    return { options: { interval, aggregation, columns, timeZone, format } };
+}
+
+// The calendar date of `time` in `timeZone` as { year, month, day }
+function zonedDate(time, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    }).formatToParts(new Date(time));
+    const part = type => Number(parts.find(p => p.type === type).value);
+    return { year: part('year'), month: part('month'), day: part('day') };
+}
+
+// How far `timeZone` is ahead of UTC at `time`, in ms
+function zoneOffset(time, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(time));
+    const part = type => Number(parts.find(p => p.type === type).value);
+    const local = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+    return local - Math.floor(time / 1000) * 1000;
+}
+
+// When the day `days` after `date` (YYYY-MM-DD) starts in `timeZone`, in ms,
+// or NaN
+function startOfDay(date, timeZone, days = 0) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+    if (!match) return NaN;
+    const midnight = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + days);
+    // The offset at midnight may differ from the one just before it (DST)
+    const guess = midnight - zoneOffset(midnight, timeZone);
+    return midnight - zoneOffset(guess, timeZone);
+}
+
+// The times from the start of `startDate` to the end of `endDate` in
+// `timeZone` as { from, to }, either undefined when its date is not given,
+// or { error }
+function dateRange(startDate, endDate, timeZone) {
+    const from = startDate ? startOfDay(startDate, timeZone) : undefined;
+    const to = endDate ? startOfDay(endDate, timeZone, 1) - 1 : undefined;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return { error: 'startDate and endDate must be dates (YYYY-MM-DD)' };
+    }
+    return { from, to };
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// The label of the bucket `time` falls in
+function bucketLabel(time, interval, timeZone) {
+    const { year, month, day } = zonedDate(time, timeZone);
+    if (interval === 'monthly') return `${year}-${pad(month)}`;
+    if (interval === 'weekly') {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+        return monday.toISOString().split('T')[0];
+    }
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// One snapshot's row in the export currency
+function snapshotRow(snapshot, rate, withAssets) {
+    const value = (Number(snapshot.totalValue) || 0) * rate;
+    const cost = (Number(snapshot.totalCost) || 0) * rate;
+    const row = { portfolio: value, cost, pnl: value - cost };
+    if (withAssets) {
+        row.assets = {};
+        for (const position of snapshot.portfolio || []) {
+            const asset = row.assets[position.symbol] || (row.assets[position.symbol] = { value: 0, amount: 0 });
+            const price = ((snapshot.cryptoData || {})[position.symbol] || {}).price || 0;
+            asset.amount += Number(position.amount) || 0;
+            asset.value += (Number(position.amount) || 0) * price * rate;
+        }
+    }
+    return row;
+}
+
+function averageRows(rows, withAssets) {
+    const average = field => rows.reduce((total, row) => total + row[field], 0) / rows.length;
+    const result = { portfolio: average('portfolio'), cost: average('cost'), pnl: average('pnl') };
+    if (withAssets) {
+        result.assets = {};
+        for (const symbol of new Set(rows.flatMap(row => Object.keys(row.assets)))) {
+            // An asset missing from a snapshot counts as zero there
+            const sum = field => rows.reduce((total, row) => total + (row.assets[symbol] ? row.assets[symbol][field] : 0), 0);
+            result.assets[symbol] = { value: sum('value') / rows.length, amount: sum('amount') / rows.length };
+        }
+    }
+    return result;
+}
+
+// The export of `snapshots`: { assets, rows: [{ date, portfolio, cost, pnl,
+// pnlPercent, assets: { <symbol>: { value, amount } }, snapshots }] }.
+// `rate(snapshot)` converts USD to the export currency.
+function buildHistoryExport(snapshots, { interval = 'daily', aggregation = 'last', timeZone = 'UTC', columns = [], rate = () => 1 } = {}) {
+    const withAssets = columns.includes('asset_value') || columns.includes('asset_amount');
+    const buckets = new Map();
+    const sorted = [...snapshots].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    for (const snapshot of sorted) {
+        const time = new Date(snapshot.timestamp).getTime();
+        if (!Number.isFinite(time)) continue;
+        const label = bucketLabel(time, interval, timeZone);
+        if (!buckets.has(label)) buckets.set(label, []);
+        buckets.get(label).push(snapshot);
+    }
+
+    const rows = [...buckets.entries()].map(([date, bucket]) => {
+        const chosen = aggregation === 'first' ? [bucket[0]] : (aggregation === 'last' ? [bucket[bucket.length - 1]] : bucket);
+        const row = averageRows(chosen.map(snapshot => snapshotRow(snapshot, rate(snapshot), withAssets)), withAssets);
+        return {
+            date,
+            ...row,
+            pnlPercent: row.cost > 0 ? (row.pnl / row.cost) * 100 : 0,
+            snapshots: bucket.length
+        };
+    });
+
+    const assets = withAssets
+        ? [...new Set(rows.flatMap(row => Object.keys(row.assets)))].sort()
+        : [];
+    return { assets, rows };
+}
+
+function formatAmount(amount) {
+    return String(Number(amount.toFixed(8)));
+}
+
+// The export as CSV: date, portfolio, the chosen columns, then currency
+function buildHistoryCsv({ assets, rows }, { columns = [], currency }) {
+    const header = ['date', 'portfolio'];
+    for (const column of ['cost', 'pnl', 'pnl_percent']) {
+        if (columns.includes(column)) header.push(column);
+    }
+    for (const symbol of assets) {
+        if (columns.includes('asset_value')) header.push(`${symbol}_value`);
+        if (columns.includes('asset_amount')) header.push(`${symbol}_amount`);
+    }
+    header.push('currency');
+
+    const lines = rows.map(row => {
+        const fields = [row.date, row.portfolio.toFixed(2)];
+        if (columns.includes('cost')) fields.push(row.cost.toFixed(2));
+        if (columns.includes('pnl')) fields.push(row.pnl.toFixed(2));
+        if (columns.includes('pnl_percent')) fields.push(row.pnlPercent.toFixed(2));
+        for (const symbol of assets) {
+            const asset = row.assets[symbol] || { value: 0, amount: 0 };
+            if (columns.includes('asset_value')) fields.push(asset.value.toFixed(2));
+            if (columns.includes('asset_amount')) fields.push(formatAmount(asset.amount));
+        }
+        fields.push(currency);
+        return fields;
+    });
+    return toCsv([header, ...lines]);
+}
+
+module.exports = {
+    INTERVALS,
+    AGGREGATIONS,
+    COLUMNS,
+    readExportOptions,
+    dateRange,
+    buildHistoryExport,
+    buildHistoryCsv
+};
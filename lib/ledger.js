@@ -0,0 +1,361 @@
+/**
+ * Transaction ledger → portfolio positions.
+ *
+ * The transaction list is the source of truth; positions are derived from it
+ * by replaying every transaction in time order. Positions keep the shape the
+ * frontend has always used (id, symbol, amount, purchasePrice, totalCost,
+ * averagePrice) plus the account they are held in, and are keyed by
+ * symbol + account (see lib/accounts.js). Each position also holds its tax
+ * lots, `{ id, acquiredAt, amount, totalCost }`, one per buy.
+ *
+ * Sells consume lots according to the portfolio's cost basis method:
+ * fifo (oldest first), lifo (newest first), hifo (highest unit cost first)
+ * or average (every lot in proportion, i.e. at the average cost).
+ *
+ * Transaction types and their effect:
+ *   buy            new lot at the purchase cost
+ *   sell           consumes lots and realizes proceeds - cost basis
+ *   deposit        coins brought in from outside; new lot at the given cost
+ *                  basis (default zero), acquired at `acquiredAt` if set
+ *   withdrawal     coins sent outside; lots leave with their cost, nothing
+ *                  is realized
+ *   transfer       lots move from `account` to `toAccount` keeping their cost
+ *                  and acquisition date
+ *   staking_reward / airdrop
+ *                  new lot at the market value when received (default zero)
+ *   fee            coins paid as a fee; lots are consumed, nothing realized
+ *   swap           `amount` of `symbol` sold for `totalCost` (USD value) and
+ *                  `toAmount` of `toSymbol` bought at that same value
+ *   adjustment     signed corrections when the portfolio is set wholesale
+ */
+
+const { transactionAccount, transactionToAccount, positionAccount } = require('./accounts');
+
+// Amounts and costs below this are treated as zero when replaying
+const EPSILON = 1e-9;
+
+// The positions replayed from the ledger are stored under `portfolio`, and
+// this records which ledger version and cost basis method they came from
+const PORTFOLIO_VIEW_KEY = 'portfolio-view';
+
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'hifo', 'average'];
+const DEFAULT_COST_BASIS_METHOD = 'average';
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'deposit', 'withdrawal', 'transfer', 'staking_reward', 'airdrop', 'fee', 'swap', 'adjustment'];
+// Types that take coins out of a position
+const OUTGOING_TYPES = ['sell', 'withdrawal', 'transfer', 'fee', 'swap'];
+// Types that realize a gain or loss
+const SALE_TYPES = ['sell', 'swap'];
+
+// Fields written onto sells and swaps from the replay
+const SALE_FIELDS = ['proceeds', 'costBasis', 'realizedPnl', 'costBasisMethod', 'lotsSold'];
+
+function positionId(symbol, account = '') {
+    return `${symbol}_${account || 'default'}`;
+}
+
+// Stable chronological order; transactions without a timestamp keep their place
+function sortTransactions(transactions) {
+    return transactions
+        .map((transaction, index) => ({ transaction, index }))
+        .sort((a, b) => {
+            const timeA = new Date(a.transaction.timestamp || 0).getTime();
+            const timeB = new Date(b.transaction.timestamp || 0).getTime();
+            return timeA - timeB || a.index - b.index;
+        })
+        .map(entry => entry.transaction);
+}
+
+function normalizeCostBasisMethod(method) {
+    const normalized = String(method || '').trim().toLowerCase();
+    return COST_BASIS_METHODS.includes(normalized) ? normalized : DEFAULT_COST_BASIS_METHOD;
+}
+
+// Lots in the order a sell consumes them
+function lotsInSaleOrder(lots, method) {
+    const unitCost = lot => (lot.amount > 0 ? lot.totalCost / lot.amount : 0);
+    const ordered = [...lots];
+    switch (method) {
+        case 'lifo':
+            return ordered.reverse();
+        case 'hifo':
+            return ordered.sort((a, b) => unitCost(b) - unitCost(a));
+        default:
+            return ordered;
+    }
+}
+
+// Remove `amount` from the position's lots. Returns the lots sold from, as
+// { lotId, acquiredAt, amount, costBasis }.
+function consumeLots(position, amount, method) {
+    const sold = [];
+    if (method === 'average') {
+        const fraction = Math.min(1, amount / position.amount);
+        for (const lot of position.lots) {
+            const lotAmount = lot.amount * fraction;
+            const lotCost = lot.totalCost * fraction;
+            lot.amount -= lotAmount;
+            lot.totalCost -= lotCost;
+            sold.push({ lotId: lot.id, acquiredAt: lot.acquiredAt, amount: lotAmount, costBasis: lotCost });
+        }
+    } else {
+        let remaining = amount;
+        for (const lot of lotsInSaleOrder(position.lots, method)) {
+            if (remaining <= EPSILON) break;
+            const lotAmount = Math.min(lot.amount, remaining);
+            const lotCost = lot.amount > 0 ? lot.totalCost * (lotAmount / lot.amount) : 0;
+            lot.amount -= lotAmount;
+            lot.totalCost -= lotCost;
+            remaining -= lotAmount;
+            sold.push({ lotId: lot.id, acquiredAt: lot.acquiredAt, amount: lotAmount, costBasis: lotCost });
+        }
+    }
+    position.lots = position.lots.filter(lot => lot.amount > EPSILON);
+    return sold;
+}
+
+// Adjustments carry no sale information, so a reduction (or a cost change)
+// rescales every lot to the new totals; an addition becomes a lot of its own
+function adjustLots(position, amount, cost, transaction) {
+    if (amount > EPSILON && cost >= 0) {
+        position.lots.push({ id: transaction.id, acquiredAt: transaction.timestamp || null, amount, totalCost: cost });
+        return;
+    }
+
+    const currentAmount = position.lots.reduce((total, lot) => total + lot.amount, 0);
+    const currentCost = position.lots.reduce((total, lot) => total + lot.totalCost, 0);
+    const newAmount = currentAmount + amount;
+    if (currentAmount <= EPSILON || newAmount <= EPSILON) {
+        position.lots = newAmount > EPSILON
+            ? [{ id: transaction.id, acquiredAt: transaction.timestamp || null, amount: newAmount, totalCost: currentCost + cost }]
+            : [];
+        return;
+    }
+
+    for (const lot of position.lots) {
+        const costShare = currentCost !== 0 ? lot.totalCost / currentCost : lot.amount / currentAmount;
+        lot.amount *= newAmount / currentAmount;
+        lot.totalCost += cost * costShare;
+    }
+}
+
+function ensurePosition(positions, symbol, account) {
+    const id = positionId(symbol, account);
+    let position = positions.get(id);
+    if (!position) {
+        position = { id, symbol, amount: 0, purchasePrice: 0, totalCost: 0, averagePrice: 0, account, lots: [] };
+        positions.set(id, position);
+    }
+    return position;
+}
+
+// Recompute a position's totals from its lots; empty positions are dropped
+function settlePosition(positions, position) {
+    position.amount = position.lots.reduce((total, lot) => total + lot.amount, 0);
+    position.totalCost = position.lots.reduce((total, lot) => total + lot.totalCost, 0);
+    if (position.amount <= EPSILON) {
+        positions.delete(position.id);
+        return;
+    }
+    position.averagePrice = position.totalCost / position.amount;
+    position.purchasePrice = position.averagePrice;
+}
+
+function transactionCost(transaction, amount) {
+    return transaction.totalCost !== undefined
+        ? Number(transaction.totalCost) || 0
+        : amount * (Number(transaction.purchasePrice) || 0);
+}
+
+// Take up to `amount` out of a position by the cost basis method. Resolves
+// to the lots taken, and the amount actually held that was taken.
+function takeFromPosition(position, amount, method) {
+    if (!position) return { taken: 0, lotsTaken: [] };
+    const taken = Math.min(amount, position.amount);
+    return { taken, lotsTaken: consumeLots(position, taken, method) };
+}
+
+function realize(proceeds, lotsSold, method) {
+    const costBasis = lotsSold.reduce((total, lot) => total + lot.costBasis, 0);
+    return { proceeds, costBasis, realizedPnl: proceeds - costBasis, costBasisMethod: method, lotsSold };
+}
+
+// Apply one transaction to `positions` (a Map keyed by positionId). Sells
+// and swaps resolve to their realization, other transactions to null.
+function applyTransaction(positions, transaction, method) {
+    const symbol = transaction.symbol;
+    const account = transactionAccount(transaction);
+    const amount = Number(transaction.amount) || 0;
+    const type = (transaction.type || 'buy').toLowerCase();
+    const position = positions.get(positionId(symbol, account));
+    const touched = [];
+    let sale = null;
+
+    switch (type) {
+        case 'buy':
+        case 'deposit':
+        case 'staking_reward':
+        case 'airdrop': {
+            const target = ensurePosition(positions, symbol, account);
+            const acquiredAt = (type === 'deposit' && transaction.acquiredAt) || transaction.timestamp || null;
+            target.lots.push({ id: transaction.id, acquiredAt, amount, totalCost: transactionCost(transaction, amount) });
+            touched.push(target);
+            break;
+        }
+        case 'sell': {
+            if (!position) return null;
+            const unitPrice = transaction.totalCost !== undefined && amount > 0
+                ? Number(transaction.totalCost) / amount
+                : Number(transaction.purchasePrice || 0);
+            const { taken, lotsTaken } = takeFromPosition(position, amount, method);
+            sale = realize(taken * unitPrice, lotsTaken, method);
+            touched.push(position);
+            break;
+        }
+        case 'withdrawal':
+        case 'fee': {
+            if (!position) return null;
+            takeFromPosition(position, amount, method);
+            touched.push(position);
+            break;
+        }
+        case 'transfer': {
+            if (!position) return null;
+            const { lotsTaken } = takeFromPosition(position, amount, method);
+            const target = ensurePosition(positions, symbol, transactionToAccount(transaction) || '');
+            for (const lot of lotsTaken) {
+                target.lots.push({ id: lot.lotId, acquiredAt: lot.acquiredAt, amount: lot.amount, totalCost: lot.costBasis });
+            }
+            touched.push(position, target);
+            break;
+        }
+        case 'swap': {
+            // The outgoing leg is a sale at the swap's value; the incoming
+            // leg is a new lot costing that same value
+            const value = transactionCost(transaction, amount);
+            const { taken, lotsTaken } = takeFromPosition(position, amount, method);
+            if (position) {
+                sale = realize(amount > 0 ? value * (taken / amount) : 0, lotsTaken, method);
+                touched.push(position);
+            }
+            const toAccount = transactionToAccount(transaction);
+            const target = ensurePosition(positions, transaction.toSymbol, toAccount !== undefined ? toAccount : account);
+            target.lots.push({ id: transaction.id, acquiredAt: transaction.timestamp || null, amount: Number(transaction.toAmount) || 0, totalCost: value });
+            touched.push(target);
+            break;
+        }
+        case 'adjustment': {
+            // Signed corrections recorded when the portfolio is set wholesale
+            if (!position && amount <= EPSILON) return null;
+            const target = ensurePosition(positions, symbol, account);
+            adjustLots(target, amount, Number(transaction.totalCost) || 0, transaction);
+            touched.push(target);
+            break;
+        }
+        default:
+            console.warn(`Skipping transaction ${transaction.id} with unknown type "${type}"`);
+            return null;
+    }
+
+    touched.forEach(target => settlePosition(positions, target));
+    return sale;
+}
+
+// Replay a transaction list into positions plus the realization of every
+// sell and swap, keyed by transaction id
+function replayLedger(transactions, { method = DEFAULT_COST_BASIS_METHOD } = {}) {
+    const costBasisMethod = normalizeCostBasisMethod(method);
+    const positions = new Map();
+    const sales = new Map();
+    for (const transaction of sortTransactions(transactions || [])) {
+        const sale = applyTransaction(positions, transaction, costBasisMethod);
+        if (sale) sales.set(transaction.id, sale);
+    }
+    return { positions: [...positions.values()], sales };
+}
+
+// Replay a transaction list into the current positions
+function replayTransactions(transactions, options) {
+    return replayLedger(transactions, options).positions;
+}
+
+// Store each sale's realized P&L on the transaction itself. Mutates
+// `transactions`; returns whether anything changed.
+function annotateSales(transactions, options) {
+    const { sales } = replayLedger(transactions, options);
+    let changed = false;
+    for (const transaction of transactions) {
+        if (!SALE_TYPES.includes((transaction.type || 'buy').toLowerCase())) continue;
+        const sale = sales.get(transaction.id);
+        for (const field of SALE_FIELDS) {
+            const value = sale ? sale[field] : undefined;
+            if (JSON.stringify(transaction[field]) === JSON.stringify(value)) continue;
+            if (value === undefined) delete transaction[field];
+            else transaction[field] = value;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+// Build the adjustment transactions that turn `positions` into `target`
+function reconcileTransactions(positions, target, { timestamp = new Date().toISOString(), description = 'Portfolio adjustment' } = {}) {
+    const current = new Map(positions.map(position => [positionId(position.symbol, position.account), position]));
+    const desired = new Map();
+    for (const position of target) {
+        const account = positionAccount(position);
+        const id = positionId(position.symbol, account);
+        const existing = desired.get(id);
+        const amount = Number(position.amount) || 0;
+        const totalCost = Number(position.totalCost) || 0;
+        desired.set(id, {
+            symbol: position.symbol,
+            account,
+            amount: (existing ? existing.amount : 0) + amount,
+            totalCost: (existing ? existing.totalCost : 0) + totalCost
+        });
+    }
+
+    const adjustments = [];
+    const ids = new Set([...current.keys(), ...desired.keys()]);
+    let sequence = 0;
+    for (const id of ids) {
+        const from = current.get(id) || { amount: 0, totalCost: 0 };
+        const to = desired.get(id) || { ...current.get(id), amount: 0, totalCost: 0 };
+        const amountDelta = to.amount - from.amount;
+        const costDelta = to.totalCost - from.totalCost;
+        if (Math.abs(amountDelta) <= EPSILON && Math.abs(costDelta) <= EPSILON) continue;
+
+        adjustments.push({
+            id: `${Date.now()}-adj${sequence++}`,
+            timestamp,
+            symbol: to.symbol,
+            amount: amountDelta,
+            purchasePrice: to.amount > 0 ? to.totalCost / to.amount : 0,
+            totalCost: costDelta,
+            account: to.account || '',
+            note: '',
+            type: 'adjustment',
+            description
+        });
+    }
+    return adjustments;
+}
+
+module.exports = {
+    PORTFOLIO_VIEW_KEY,
+    COST_BASIS_METHODS,
+    DEFAULT_COST_BASIS_METHOD,
+    TRANSACTION_TYPES,
+    OUTGOING_TYPES,
+    SALE_TYPES,
+    SALE_FIELDS,
+    positionId,
+    sortTransactions,
+    normalizeCostBasisMethod,
+    applyTransaction,
+    replayLedger,
+    replayTransactions,
+    annotateSales,
+    reconcileTransactions
+};
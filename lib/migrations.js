@@ -0,0 +1,281 @@
+/**
+ * Schema versioning: the ordered migrations that upgrade stored data to the
+ * shape the code expects.
+ *
+ * Each storage (the default portfolio's, and each namespaced one) records
+ * the schema version its data is at under the `schema` key:
+ * `{ version, migratedAt, applied: [{ version, name, at }] }`. Storage
+ * without it is at version 0. migrateStorage() runs the migrations above
+ * the stored version in order and then records the latest one.
+ *
+ * A migration resolves to the number of records it changed and must be
+ * idempotent: restoring a backup runs all of them again over the restored
+ * data. With `dryRun` nothing is written, so a migration sees the data as
+ * the earlier ones found it rather than as they would have left it.
+ *
+ * To change a stored shape, append a migration with the next version; never
+ * edit or reorder the ones below.
+ */
+
+const { PORTFOLIOS_KEY, listPortfolios } = require('./portfolios');
+const { PORTFOLIO_VIEW_KEY, replayTransactions, reconcileTransactions } = require('./ledger');
+const { ACCOUNTS_KEY, addAccountForName, moveNotesToAccounts, positionNoteNames } = require('./accounts');
+const { SETTINGS_KEY, withDefaults } = require('./settings');
+const { CASH_FLOWS_KEY, buildTotalCostAdjustment } = require('./cash-flows');
+
+const SCHEMA_KEY = 'schema';
+
+// Snapshots used to be stored one key each as `snapshot:<id>`
+const LEGACY_SNAPSHOT_PREFIX = 'snapshot:';
+
+const EMPTY_PROJECTS = { projects: [], customTags: [] };
+
+// Snapshot totals closer than this to their positions' cost were not overridden
+const CENT = 0.005;
+
+function positionCost(position) {
+    if (position.totalCost !== undefined) return Number(position.totalCost) || 0;
+    return (Number(position.amount) || 0) * (Number(position.purchasePrice) || 0);
+}
+
+function positionsCost(positions) {
+    return positions.reduce((total, position) => total + positionCost(position), 0);
+}
+
+async function costBasisMethod(storage) {
+    return withDefaults(await storage.get(SETTINGS_KEY)).costBasisMethod;
+}
+
+// Make sure accounts named `names` exist in the registry of `storage`
+async function registerAccounts(storage, names) {
+    await storage.update(ACCOUNTS_KEY, accounts => {
+        const added = names.filter(name => addAccountForName(accounts, name));
+        if (added.length === 0) return false;
+    }, { defaultValue: [] });
+}
+
+// Move the notes of `transactions` onto accounts; returns how many
+// transactions changed and the account names
+function moveNotes(transactions) {
+    const before = transactions.map(transaction => JSON.stringify(transaction));
+    const names = moveNotesToAccounts(transactions);
+    const changed = transactions.filter((transaction, index) => JSON.stringify(transaction) !== before[index]).length;
+    return { changed, names };
+}
+
+// Bring a projects document to the current shape; returns how many
+// projects were changed
+function upgradeProjects(data) {
+    if (!Array.isArray(data.projects)) data.projects = [];
+    if (!Array.isArray(data.customTags)) data.customTags = [];
+    let count = 0;
+    for (const project of data.projects) {
+        if (project.tag === undefined && Array.isArray(project.tags)) continue;
+        const tags = Array.isArray(project.tags) ? project.tags : [];
+        if (project.tag && !tags.includes(project.tag)) tags.push(project.tag);
+        project.tags = tags;
+        delete project.tag;
+        count++;
+    }
+    return count;
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'legacy-snapshot-keys',
+        description: 'Move snapshot:* keys into the snapshot index',
+        async up(storage, { dryRun }) {
+            const keys = await storage.keys(LEGACY_SNAPSHOT_PREFIX);
+            if (keys.length === 0) return 0;
+
+            const snapshots = [];
+            for (const key of keys) {
+                const snapshot = await storage.get(key);
+                if (snapshot) snapshots.push(snapshot);
+            }
+            // Keep the indexed copy of snapshots that were moved before
+            const { snapshots: indexed } = await storage.querySnapshots({ fields: ['id'] });
+            const indexedIds = new Set(indexed.map(snapshot => String(snapshot.id)));
+            const moved = snapshots.filter(snapshot => !indexedIds.has(String(snapshot.id)));
+            if (dryRun) return keys.length;
+
+            if (moved.length > 0) await storage.upsertSnapshots(moved);
+            for (const key of keys) {
+                await storage.delete(key);
+            }
+            return keys.length;
+        }
+    },
+    {
+        version: 2,
+        name: 'snapshot-totals',
+        description: 'Give snapshots without them a projects list, and a total cost (and P&L) from their positions',
+        async up(storage, { dryRun }) {
+            const { snapshots } = await storage.querySnapshots();
+            const changed = [];
+            for (const snapshot of snapshots) {
+                if (Array.isArray(snapshot.projects) && snapshot.totalCost !== undefined) continue;
+                const upgraded = { ...snapshot };
+                if (!Array.isArray(upgraded.projects)) upgraded.projects = [];
+                if (upgraded.totalCost === undefined) {
+                    upgraded.totalCost = positionsCost(upgraded.portfolio || []);
+                    if (upgraded.totalPnl === undefined && upgraded.totalValue !== undefined) {
+                        upgraded.totalPnl = upgraded.totalValue - upgraded.totalCost;
+                        upgraded.totalPnlPercent = upgraded.totalCost > 0 ? (upgraded.totalPnl / upgraded.totalCost) * 100 : 0;
+                    }
+                }
+                changed.push(upgraded);
+            }
+            if (!dryRun && changed.length > 0) await storage.upsertSnapshots(changed);
+            return changed.length;
+        }
+    },
+    {
+        version: 3,
+        name: 'project-tags',
+        description: 'Replace the single project `tag` with a `tags` list',
+        async up(storage, { dryRun }) {
+            const stored = await storage.get('projects');
+            if (!stored) return 0;
+            if (dryRun) return upgradeProjects(structuredClone(stored));
+
+            let count = 0;
+            await storage.update('projects', data => {
+                const before = JSON.stringify(data);
+                count = upgradeProjects(data);
+                if (JSON.stringify(data) === before) return false;
+            }, { defaultValue: EMPTY_PROJECTS });
+            return count;
+        }
+    },
+    {
+        version: 4,
+        name: 'transaction-accounts',
+        description: 'Move the account names kept in transaction notes onto accounts',
+        async up(storage, { dryRun }) {
+            const stored = await storage.get('transactions');
+            if (!stored) return 0;
+            if (dryRun) return moveNotes(structuredClone(stored)).changed;
+
+            let moved = { changed: 0, names: [] };
+            await storage.update('transactions', transactions => {
+                moved = moveNotes(transactions);
+                if (moved.changed === 0) return false;
+            }, { defaultValue: [] });
+            if (moved.names.length > 0) await registerAccounts(storage, moved.names);
+            return moved.changed;
+        }
+    },
+    {
+        version: 5,
+        name: 'opening-balances',
+        description: 'Record what the ledger is missing from the portfolio stored before it as opening balances',
+        async up(storage, { dryRun }) {
+            // Once the view exists, `portfolio` holds positions replayed from the ledger
+            const legacyPortfolio = await storage.get('portfolio');
+            if (!Array.isArray(legacyPortfolio) || await storage.get(PORTFOLIO_VIEW_KEY)) return 0;
+
+            const method = await costBasisMethod(storage);
+            const openingBalances = transactions => reconcileTransactions(replayTransactions(transactions, { method }), legacyPortfolio, {
+                description: 'Opening balance'
+            });
+            if (dryRun) return openingBalances((await storage.get('transactions')) || []).length;
+
+            const names = positionNoteNames(legacyPortfolio);
+            if (names.length > 0) await registerAccounts(storage, names);
+            let count = 0;
+            await storage.update('transactions', transactions => {
+                const adjustments = openingBalances(transactions);
+                count = adjustments.length;
+                if (count === 0) return false;
+                transactions.push(...adjustments);
+            }, { defaultValue: [] });
+            return count;
+        }
+    },
+    {
+        version: 6,
+        name: 'total-cost-override',
+        description: 'Record the total cost the latest snapshot overrode as a manual cash-flow adjustment',
+        async up(storage, { dryRun }) {
+            if (await storage.get(CASH_FLOWS_KEY)) return 0;
+            const { snapshots: [latest] } = await storage.querySnapshots({
+                order: 'desc',
+                limit: 1,
+                fields: ['totalCost', 'portfolio', 'description']
+            });
+            // Only an override makes a snapshot's total cost differ from its positions' cost
+            if (!latest || latest.totalCost === undefined) return 0;
+            if (Math.abs(latest.totalCost - positionsCost(latest.portfolio || [])) < CENT) return 0;
+
+            const method = await costBasisMethod(storage);
+            const positions = replayTransactions((await storage.get('transactions')) || [], { method });
+            const adjustment = buildTotalCostAdjustment([], positionsCost(positions), latest.totalCost);
+            if (!adjustment) return 0;
+            adjustment.description = `Manual adjustment carried over from snapshot "${latest.description || latest.id}"`;
+            if (!dryRun) await storage.set(CASH_FLOWS_KEY, [adjustment]);
+            return 1;
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function getSchemaVersion(storage) {
+    const schema = await storage.get(SCHEMA_KEY);
+    return schema ? schema.version : 0;
+}
+
+// Record that `storage` is at the current version, and when each migration
+// last ran. Storage created empty is marked without running any.
+async function markCurrent(storage, applied = []) {
+    const schema = (await storage.get(SCHEMA_KEY)) || { applied: [] };
+    const rerun = new Set(applied.map(migration => migration.version));
+    await storage.set(SCHEMA_KEY, {
+        version: SCHEMA_VERSION,
+        migratedAt: new Date().toISOString(),
+        applied: [...(schema.applied || []).filter(migration => !rerun.has(migration.version)), ...applied]
+    });
+}
+
+// Run the migrations `storage` has not had, or all of them from `from`.
+// Resolves to { from, to, migrations: [{ version, name, description, changed }] }.
+async function migrateStorage(storage, { dryRun = false, from } = {}) {
+    const current = from !== undefined ? from : await getSchemaVersion(storage);
+    if (current > SCHEMA_VERSION) {
+        throw new Error(`The data is at schema version ${current}, newer than this code (${SCHEMA_VERSION}); upgrade the app`);
+    }
+    const pending = MIGRATIONS.filter(migration => migration.version > current);
+    const report = { from: current, to: dryRun ? current : SCHEMA_VERSION, migrations: [] };
+
+    const applied = [];
+    for (const migration of pending) {
+        const changed = await migration.up(storage, { dryRun });
+        report.migrations.push({ version: migration.version, name: migration.name, description: migration.description, changed });
+        applied.push({ version: migration.version, name: migration.name, at: new Date().toISOString() });
+    }
+    if (!dryRun && pending.length > 0) await markCurrent(storage, applied);
+    return report;
+}
+
+// Migrate every portfolio of the instance (or only `portfolios`, a list of
+// ids). Resolves to { <id>: report }.
+async function migrateInstance({ storage, storageForPortfolio, dryRun = false, portfolios }) {
+    const reports = {};
+    for (const portfolio of listPortfolios(await storage.get(PORTFOLIOS_KEY))) {
+        if (portfolios && !portfolios.includes(portfolio.id)) continue;
+        reports[portfolio.id] = await migrateStorage(storageForPortfolio(portfolio.id), { dryRun });
+    }
+    return reports;
+}
+
+module.exports = {
+    SCHEMA_KEY,
+    SCHEMA_VERSION,
+    MIGRATIONS,
+    getSchemaVersion,
+    markCurrent,
+    migrateStorage,
+    migrateInstance
+};
@@ -0,0 +1,225 @@
+/**
+ * Time-weighted and money-weighted returns.
+ *
+ * The portfolio is valued by its snapshots (the last one of each UTC day).
+ * External cash flows come from the ledger: buys and deposits bring money
+ * in, sells and withdrawals take it out, and adjustments do either. Rewards,
+ * airdrops and fees are part of the return; transfers and swaps stay inside
+ * the portfolio. Flows without a cash amount (deposits, withdrawals and
+ * adjustments) are valued at the price of the nearest snapshot.
+ *
+ * The time-weighted return (TWR) chains the Modified Dietz return of every
+ * stretch between two snapshots, so it does not depend on when money came
+ * in. The money-weighted return comes from the XIRR of the period's flows,
+ * with the start value as the first and the end value as the last flow.
+ * Both are given over the whole period, and also per year for periods of a
+ * year or more; shorter periods are not annualized. Periods are month,
+ * quarter and year to date (UTC) and since the first transaction or
+ * snapshot.
+ */
+
+const { DAY_MS } = require('./time');
+
+const YEAR_DAYS = 365;
+
+const PERIODS = ['mtd', 'qtd', 'ytd', 'inception'];
+
+// Sign of the flow each transaction type makes into the portfolio
+const FLOW_SIGNS = {
+    buy: 1,
+    deposit: 1,
+    sell: -1,
+    withdrawal: -1
+};
+
+function toTime(value) {
+    return new Date(value).getTime();
+}
+
+// Where `period` starts for `now` (ms), or undefined for since inception
+function periodStart(period, now) {
+    const date = new Date(now);
+    const year = date.getUTCFullYear();
+    switch (period) {
+        case 'mtd': return Date.UTC(year, date.getUTCMonth(), 1);
+        case 'qtd': return Date.UTC(year, Math.floor(date.getUTCMonth() / 3) * 3, 1);
+        case 'ytd': return Date.UTC(year, 0, 1);
+        default: return undefined;
+    }
+}
+
+// The last snapshot of each UTC day as { time, value, prices }, oldest first
+function valuationPoints(snapshots) {
+    const byDay = new Map();
+    for (const snapshot of snapshots) {
+        const time = toTime(snapshot.timestamp);
+        if (!Number.isFinite(time)) continue;
+        const day = Math.floor(time / DAY_MS);
+        const current = byDay.get(day);
+        if (!current || time >= current.time) {
+            const prices = {};
+            for (const [symbol, quote] of Object.entries(snapshot.cryptoData || {})) {
+                if (quote && quote.price > 0) prices[symbol] = quote.price;
+            }
+            byDay.set(day, { time, value: Number(snapshot.totalValue) || 0, prices });
+        }
+    }
+    return [...byDay.values()].sort((a, b) => a.time - b.time);
+}
+
+// Price of `symbol` from the snapshot nearest to `time`, preferring earlier ones
+function priceNear(points, symbol, time) {
+    let best = null;
+    for (const point of points) {
+        if (point.prices[symbol] === undefined) continue;
+        if (point.time <= time || !best || best.time > time) best = point;
+        if (point.time > time) break;
+    }
+    return best ? best.prices[symbol] : undefined;
+}
+
+// External cash flows as { time, amount }, positive into the portfolio
+function externalFlows(transactions, points) {
+    const flows = [];
+    for (const transaction of transactions) {
+        const time = toTime(transaction.timestamp);
+        if (!Number.isFinite(time)) continue;
+
+        let amount = 0;
+        if (transaction.type === 'buy') {
+            amount = Number(transaction.totalCost) || 0;
+        } else if (transaction.type === 'sell') {
+            amount = -(transaction.proceeds !== undefined
+                ? transaction.proceeds
+                : transaction.amount * (transaction.purchasePrice || 0));
+        } else if (FLOW_SIGNS[transaction.type] || transaction.type === 'adjustment') {
+            const units = Math.abs(transaction.amount);
+            const price = priceNear(points, transaction.symbol, time)
+                ?? (transaction.purchasePrice || (units > 0 ? Math.abs(transaction.totalCost || 0) / units : 0));
+            const sign = FLOW_SIGNS[transaction.type] || Math.sign(transaction.amount);
+            amount = sign * units * price;
+        }
+        if (amount !== 0) flows.push({ time, amount });
+    }
+    return flows.sort((a, b) => a.time - b.time);
+}
+
+// Annual rate r with Σ amount / (1 + r)^years = 0, or null when there is none
+function xirr(cashFlows) {
+    if (!cashFlows.some(flow => flow.amount > 0) || !cashFlows.some(flow => flow.amount < 0)) return null;
+    const start = cashFlows[0].time;
+    const years = flow => (flow.time - start) / (YEAR_DAYS * DAY_MS);
+    const npv = rate => cashFlows.reduce((total, flow) => total + flow.amount / Math.pow(1 + rate, years(flow)), 0);
+
+    // Newton's method, falling back to bisection when it wanders off
+    let rate = 0.1;
+    for (let i = 0; i < 50; i++) {
+        const value = npv(rate);
+        const derivative = cashFlows.reduce((total, flow) => total - years(flow) * flow.amount / Math.pow(1 + rate, years(flow) + 1), 0);
+        if (!Number.isFinite(value) || !Number.isFinite(derivative) || derivative === 0) break;
+        const next = rate - value / derivative;
+        if (!(next > -1) || !Number.isFinite(next)) break;
+        if (Math.abs(next - rate) < 1e-10) return next;
+        rate = next;
+    }
+
+    let low = -0.999999;
+    let high = 1;
+    while (npv(high) > 0 && high < 1e9) high *= 10;
+    if (Math.sign(npv(low)) === Math.sign(npv(high))) return null;
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        if (Math.sign(npv(mid)) === Math.sign(npv(low))) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+// Returns over one period; `from` undefined means since inception
+function periodReturns(period, points, flows, from, to) {
+    const start = from !== undefined
+        ? from
+        : Math.min(...[points[0], flows[0]].filter(Boolean).map(entry => entry.time));
+    const before = points.filter(point => point.time <= start);
+    const startPoint = before.length > 0 ? before[before.length - 1] : null;
+    const startValue = startPoint ? startPoint.value : 0;
+    const inside = points.filter(point => point.time > start && point.time <= to);
+    // A snapshot already holds the flows up to its own time
+    const periodFlows = flows.filter(flow => flow.time >= start && flow.time <= to && !(startPoint && flow.time <= startPoint.time));
+
+    const result = {
+        period,
+        from: new Date(start).toISOString(),
+        to: new Date(to).toISOString(),
+        startValue,
+        endValue: inside.length > 0 ? inside[inside.length - 1].value : startValue,
+        netFlows: periodFlows.reduce((total, flow) => total + flow.amount, 0),
+        gain: 0,
+        twrPercent: null,
+        annualizedTwrPercent: null,
+        irrPercent: null,
+        annualizedIrrPercent: null
+    };
+    result.gain = result.endValue - result.startValue - result.netFlows;
+    if (inside.length === 0) return result;
+
+    // Chain Modified Dietz returns between consecutive valuations
+    let growth = 1;
+    let previous = { time: start, value: startValue };
+    let index = 0;
+    for (const point of inside) {
+        let net = 0;
+        let weighted = 0;
+        while (index < periodFlows.length && periodFlows[index].time <= point.time) {
+            const flow = periodFlows[index];
+            const span = point.time - previous.time;
+            net += flow.amount;
+            weighted += flow.amount * (span > 0 ? (point.time - flow.time) / span : 0);
+            index += 1;
+        }
+        const base = previous.value + weighted;
+        if (base > 0) growth *= 1 + (point.value - previous.value - net) / base;
+        previous = point;
+    }
+    result.twrPercent = (growth - 1) * 100;
+    const days = (inside[inside.length - 1].time - start) / DAY_MS;
+    if (days >= YEAR_DAYS) {
+        result.annualizedTwrPercent = (Math.pow(growth, YEAR_DAYS / days) - 1) * 100;
+    }
+
+    // Investor's view: money put in is negative, the end value comes back
+    const cashFlows = [
+        ...(startValue > 0 ? [{ time: start, amount: -startValue }] : []),
+        ...periodFlows.filter(flow => flow.time <= previous.time).map(flow => ({ time: flow.time, amount: -flow.amount })),
+        { time: previous.time, amount: result.endValue }
+    ];
+    const rate = previous.time > start ? xirr(cashFlows) : null;
+    if (rate !== null) {
+        result.irrPercent = (Math.pow(1 + rate, days / YEAR_DAYS) - 1) * 100;
+        if (days >= YEAR_DAYS) result.annualizedIrrPercent = rate * 100;
+    }
+    return result;
+}
+
+// Performance for `periods` (default all of PERIODS) up to the latest snapshot
+function buildPerformanceReport(transactions, snapshots, { periods = PERIODS, now = Date.now() } = {}) {
+    const points = valuationPoints(snapshots);
+    const flows = externalFlows(transactions || [], points);
+    const to = points.length > 0 ? points[points.length - 1].time : now;
+
+    return {
+        asOf: points.length > 0 ? new Date(to).toISOString() : null,
+        valuations: points.length,
+        cashFlows: flows.length,
+        periods: points.length > 0 || flows.length > 0
+            ? periods.map(period => periodReturns(period, points, flows, periodStart(period, to), to))
+            : []
+    };
+}
+
+module.exports = {
+    PERIODS,
+    externalFlows,
+    xirr,
+    buildPerformanceReport
+};
@@ -0,0 +1,186 @@
+/**
+ * Portfolios: separate books (personal, fund, kids, ...) kept by one
+ * deployment.
+ *
+ * Each portfolio has its own transactions, positions, snapshots, projects,
+ * accounts and settings, stored in a storage namespace named after its id
+ * (see createStorage in lib/storage). The `default` portfolio uses the
+ * un-namespaced keys, so data recorded before portfolios existed belongs to
+ * it. The registry is stored under the shared `portfolios` key as a list of
+ * `{ id, name, createdAt, updatedAt }`; the default portfolio is always
+ * listed, and only stored once it is renamed.
+ *
+ * `all` is the aggregate of every portfolio. It is read-only: positions,
+ * transactions, projects and cash flows are listed side by side, tagged with
+ * the portfolio they come from, and snapshots are summed per day.
+ */
+
+const { accountId } = require('./accounts');
+const { projectSnapshot } = require('./storage/snapshot-index');
+const { DAY_MS } = require('./time');
+
+const PORTFOLIOS_KEY = 'portfolios';
+
+const DEFAULT_PORTFOLIO_ID = 'default';
+
+const AGGREGATE_PORTFOLIO_ID = 'all';
+
+// The registry with the default portfolio first
+function listPortfolios(stored) {
+    const portfolios = (stored || []).filter(portfolio => portfolio.id !== DEFAULT_PORTFOLIO_ID);
+    const defaultPortfolio = (stored || []).find(portfolio => portfolio.id === DEFAULT_PORTFOLIO_ID)
+        || { id: DEFAULT_PORTFOLIO_ID, name: 'Default', createdAt: null, updatedAt: null };
+    return [defaultPortfolio, ...portfolios];
+}
+
+// Build a registry entry from request input, or return { error }
+function buildPortfolio(input, existing = null) {
+    const name = input.name !== undefined ? String(input.name).trim() : existing && existing.name;
+    if (!name) {
+        return { error: 'Missing required field: name' };
+    }
+    const id = existing ? existing.id : accountId(input.id || name);
+    if (!id) {
+        return { error: 'name must contain a letter or digit' };
+    }
+    if (id === AGGREGATE_PORTFOLIO_ID) {
+        return { error: `"${AGGREGATE_PORTFOLIO_ID}" is reserved for the aggregate of every portfolio` };
+    }
+
+    const now = new Date().toISOString();
+    return {
+        portfolio: {
+            id,
+            name,
+            createdAt: existing && existing.createdAt ? existing.createdAt : now,
+            updatedAt: now
+        }
+    };
+}
+
+// Tag a record with the portfolio it comes from
+function tagPortfolio(record, portfolio) {
+    return { ...record, portfolioId: portfolio.id, portfolioName: portfolio.name };
+}
+
+// Positions of every portfolio side by side. Ids are prefixed with the
+// portfolio id so they stay unique.
+function aggregatePositions(books) {
+    return books.flatMap(({ portfolio, positions }) => positions.map(position => ({
+        ...tagPortfolio(position, portfolio),
+        id: `${portfolio.id}/${position.id}`
+    })));
+}
+
+// Transactions of every portfolio, oldest first
+function aggregateTransactions(books) {
+    return books
+        .flatMap(({ portfolio, transactions }) => transactions.map(transaction => tagPortfolio(transaction, portfolio)))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+// Projects of every portfolio, and the custom tags of any of them
+function aggregateProjects(books) {
+    return {
+        projects: books.flatMap(({ portfolio, projects }) => (projects.projects || []).map(project => tagPortfolio(project, portfolio))),
+        customTags: [...new Set(books.flatMap(({ projects }) => projects.customTags || []))]
+    };
+}
+
+// Cash flows of every portfolio, newest first, with their summaries added up.
+// Each book's total cost is already worked out, so the sum is final.
+function aggregateCashFlows(books) {
+    const sum = field => books.reduce((total, { summary }) => total + summary[field], 0);
+    return {
+        cashFlows: books
+            .flatMap(({ portfolio, cashFlows }) => cashFlows.map(flow => tagPortfolio(flow, portfolio)))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)),
+        summary: {
+            deposits: sum('deposits'),
+            withdrawals: sum('withdrawals'),
+            netInvested: sum('netInvested'),
+            adjustments: sum('adjustments'),
+            basis: AGGREGATE_PORTFOLIO_ID,
+            totalCost: sum('totalCost')
+        }
+    };
+}
+
+function utcDay(time) {
+    return Math.floor(time / DAY_MS) * DAY_MS;
+}
+
+// One snapshot per UTC day that sums every portfolio. A portfolio without a
+// snapshot that day counts with its latest earlier one, so `snapshots` of
+// each book should start with the last one before the range. The aggregate
+// snapshot has the time of the latest one it includes; `fields` projects it.
+function aggregateSnapshots(books, { from, to, order = 'asc', limit, fields } = {}) {
+    const series = books.map(({ portfolio, snapshots }) => ({
+        portfolio,
+        snapshots: [...snapshots].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    }));
+    const days = new Set();
+    for (const { snapshots } of series) {
+        for (const snapshot of snapshots) {
+            const time = new Date(snapshot.timestamp).getTime();
+            if ((from === undefined || time >= from) && (to === undefined || time <= to)) days.add(utcDay(time));
+        }
+    }
+
+    // Walk each series forward, keeping its latest snapshot up to the day
+    const next = series.map(() => 0);
+    const latest = series.map(() => null);
+    const aggregated = [...days].sort((a, b) => a - b).map(day => {
+        const end = Math.min(day + DAY_MS - 1, to === undefined ? Infinity : to);
+        series.forEach(({ snapshots }, index) => {
+            while (next[index] < snapshots.length && new Date(snapshots[next[index]].timestamp).getTime() <= end) {
+                latest[index] = snapshots[next[index]];
+                next[index] += 1;
+            }
+        });
+        const included = series
+            .map(({ portfolio }, index) => (latest[index] ? { portfolio, snapshot: latest[index] } : null))
+            .filter(Boolean);
+        return sumSnapshots(day, included);
+    });
+
+    const ordered = order === 'desc' ? aggregated.reverse() : aggregated;
+    return (limit ? ordered.slice(0, limit) : ordered).map(snapshot => projectSnapshot(snapshot, fields));
+}
+
+function sumSnapshots(day, included) {
+    const latest = included.reduce((a, b) => (new Date(b.snapshot.timestamp) > new Date(a.snapshot.timestamp) ? b : a));
+    const sum = field => included.reduce((total, { snapshot }) => total + (Number(snapshot[field]) || 0), 0);
+    const totalValue = sum('totalValue');
+    const totalCost = sum('totalCost');
+    const totalPnl = totalValue - totalCost;
+
+    return {
+        id: `${AGGREGATE_PORTFOLIO_ID}-${new Date(day).toISOString().split('T')[0]}`,
+        timestamp: latest.snapshot.timestamp,
+        description: 'All portfolios',
+        source: 'aggregate',
+        portfolio: included.flatMap(({ portfolio, snapshot }) => aggregatePositions([{ portfolio, positions: snapshot.portfolio || [] }])),
+        cryptoData: Object.assign({}, ...included.map(({ snapshot }) => snapshot.cryptoData || {})),
+        projects: included.flatMap(({ portfolio, snapshot }) => (snapshot.projects || []).map(project => tagPortfolio(project, portfolio))),
+        totalValue,
+        totalCost,
+        totalPnl,
+        totalPnlPercent: totalCost > 0 ? (totalPnl / totalCost) * 100 : 0,
+        fxRates: latest.snapshot.fxRates,
+        portfolios: included.map(({ portfolio, snapshot }) => ({ portfolioId: portfolio.id, snapshotId: snapshot.id }))
+    };
+}
+
+module.exports = {
+    PORTFOLIOS_KEY,
+    DEFAULT_PORTFOLIO_ID,
+    AGGREGATE_PORTFOLIO_ID,
+    listPortfolios,
+    buildPortfolio,
+    aggregatePositions,
+    aggregateTransactions,
+    aggregateProjects,
+    aggregateSnapshots,
+    aggregateCashFlows
+};
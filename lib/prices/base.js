@@ -0,0 +1,106 @@
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+// Thrown when a provider cannot be reached or answers with an error
+class PriceUpstreamError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'PriceUpstreamError';
+        this.status = status;
+    }
+}
+
+/**
+ * Base class for price providers.
+ *
+ * A provider maps an asset from the registry to its own key (a CoinGecko id,
+ * an exchange pair, ...) and fetches USD quotes for batches of keys.
+ * Subclasses implement keyFor() and fetchQuotes(), and fetchHistory() when
+ * they can price past days; HTTP providers use request(), which backs off
+ * after rate limits and failures.
+ */
+class PriceProvider {
+    constructor(name, { label = name, baseUrl = '', timeoutMs = DEFAULT_TIMEOUT_MS, batchSize = 50 } = {}) {
+        this.name = name;
+        this.label = label;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeoutMs = timeoutMs;
+        this.batchSize = batchSize;
+
+        this.failures = 0;
+        this.backoffUntil = 0;
+    }
+
+    // The provider's key for `asset`, or null when it cannot price it
+    keyFor(asset) {
+        throw new Error(`${this.name} price provider does not implement keyFor()`);
+    }
+
+    // Resolves to { [key]: { price, change24h, updatedAt? } } for the keys it
+    // could price. `requests` are { key, asset } pairs, at most batchSize of them.
+    async fetchQuotes(requests) {
+        throw new Error(`${this.name} price provider does not implement fetchQuotes()`);
+    }
+
+    // Resolves to the provider's USD price history for `key` between `from`
+    // and `to` (ms) as time-ordered [time, price] points, or null when the
+    // provider keeps no history.
+    async fetchHistory(key, asset, from, to) {
+        return null;
+    }
+
+    // Whether quotes are cached and refreshed after the TTL. Providers that
+    // answer locally are asked on every request instead.
+    get cacheable() {
+        return true;
+    }
+
+    inBackoff() {
+        return Date.now() < this.backoffUntil;
+    }
+
+    pausedMessage() {
+        return `${this.label} requests are paused until ${new Date(this.backoffUntil).toISOString()}`;
+    }
+
+    // Rate limits honour Retry-After; other failures back off exponentially
+    backOff(retryAfterSeconds) {
+        const delay = retryAfterSeconds > 0
+            ? retryAfterSeconds * 1000
+            : Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** this.failures);
+        this.failures++;
+        this.backoffUntil = Date.now() + delay;
+        console.warn(`⏳ Backing off ${this.label} for ${Math.round(delay / 1000)}s`);
+    }
+
+    isRateLimited(response) {
+        return response.status === 429 || response.status >= 500;
+    }
+
+    // GET a path of the provider's API and parse the JSON response
+    async request(pathAndQuery) {
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${pathAndQuery}`, { signal: AbortSignal.timeout(this.timeoutMs) });
+        } catch (error) {
+            this.backOff();
+            throw new PriceUpstreamError(`${this.label} request failed: ${error.message}`);
+        }
+
+        if (this.isRateLimited(response)) {
+            this.backOff(Number(response.headers.get('Retry-After')));
+            throw new PriceUpstreamError(`${this.label} request failed with status ${response.status}`, response.status);
+        }
+        if (!response.ok) {
+            throw new PriceUpstreamError(`${this.label} request failed with status ${response.status}`, response.status);
+        }
+
+        this.failures = 0;
+        this.backoffUntil = 0;
+        return response.json();
+    }
+}
+
+module.exports = PriceProvider;
+module.exports.PriceUpstreamError = PriceUpstreamError;
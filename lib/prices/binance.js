@@ -0,0 +1,92 @@
+const PriceProvider = require('./base');
+const { PriceUpstreamError } = require('./base');
+
+// Override with BINANCE_API_URL, e.g. to point at a local mock server
+const BINANCE_API_URL = 'https://api.binance.com';
+const QUOTE_ASSET = 'USDT';
+const UNKNOWN_PAIR_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KLINES = 1000;
+
+/**
+ * Binance public 24h ticker, keyed by trading pair.
+ *
+ * Assets are priced against USDT, taken as USD; set `binanceSymbol` on an
+ * asset to use a different pair than `<SYMBOL>USDT`.
+ */
+class BinanceProvider extends PriceProvider {
+    constructor({ baseUrl = BINANCE_API_URL, timeoutMs, batchSize = 100 } = {}) {
+        super('binance', { label: 'Binance', baseUrl, timeoutMs, batchSize });
+        this.unknownPairs = new Map(); // pair → time Binance rejected it
+    }
+
+    // Pairs Binance rejected recently are skipped so the next provider is tried
+    keyFor(asset) {
+        const pair = asset.binanceSymbol || `${asset.symbol}${QUOTE_ASSET}`;
+        if (!/^[A-Z0-9]+$/.test(pair)) return null;
+
+        const rejectedAt = this.unknownPairs.get(pair);
+        if (rejectedAt && Date.now() - rejectedAt < UNKNOWN_PAIR_TTL_MS) return null;
+        return pair;
+    }
+
+    // Binance answers 418 once an IP keeps going after a 429
+    isRateLimited(response) {
+        return response.status === 418 || super.isRateLimited(response);
+    }
+
+    async fetchQuotes(requests) {
+        const pairs = requests.map(request => request.key);
+        let tickers;
+        try {
+            tickers = await this.request(`/api/v3/ticker/24hr?symbols=${encodeURIComponent(JSON.stringify(pairs))}`);
+        } catch (error) {
+            // A single unknown pair fails the whole batch, so ask for each one
+            if (!(error instanceof PriceUpstreamError) || error.status !== 400) throw error;
+            if (pairs.length === 1) {
+                this.unknownPairs.set(pairs[0], Date.now());
+                return {};
+            }
+            tickers = await this.fetchEach(pairs);
+        }
+
+        const quotes = {};
+        for (const ticker of Array.isArray(tickers) ? tickers : []) {
+            const price = Number(ticker && ticker.lastPrice);
+            if (ticker && pairs.includes(ticker.symbol) && Number.isFinite(price) && price > 0) {
+                quotes[ticker.symbol] = { price, change24h: Number(ticker.priceChangePercent) || 0 };
+            }
+        }
+        return quotes;
+    }
+
+    // Daily candles, as [close time, close price] points
+    async fetchHistory(pair, asset, from, to) {
+        const points = [];
+        let startTime = from;
+        while (startTime <= to) {
+            const klines = await this.request(`/api/v3/klines?symbol=${encodeURIComponent(pair)}&interval=1d&startTime=${startTime}&endTime=${to}&limit=${MAX_KLINES}`);
+            for (const kline of klines) {
+                points.push([kline[6], Number(kline[4])]);
+            }
+            if (klines.length < MAX_KLINES) break;
+            startTime = klines[klines.length - 1][6] + 1;
+        }
+        return points;
+    }
+
+    async fetchEach(pairs) {
+        const tickers = [];
+        for (const pair of pairs) {
+            try {
+                tickers.push(await this.request(`/api/v3/ticker/24hr?symbol=${encodeURIComponent(pair)}`));
+            } catch (error) {
+                if (error.status !== 400) throw error;
+                this.unknownPairs.set(pair, Date.now());
+            }
+        }
+        return tickers;
+    }
+}
+
+module.exports = BinanceProvider;
+module.exports.BINANCE_API_URL = BINANCE_API_URL;
@@ -0,0 +1,72 @@
+const PriceProvider = require('./base');
+const { PriceUpstreamError } = require('./base');
+
+// Override with COINGECKO_API_URL, e.g. to point at a local mock server
+const COINGECKO_API_URL = 'https://api.coingecko.com/api/v3';
+const COIN_LIST_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * CoinGecko simple price API, keyed by the asset's CoinGecko id.
+ *
+ * Also serves the CoinGecko coin list the asset registry searches.
+ */
+class CoinGeckoProvider extends PriceProvider {
+    constructor({ baseUrl = COINGECKO_API_URL, timeoutMs, batchSize = 50 } = {}) {
+        super('coingecko', { label: 'CoinGecko', baseUrl, timeoutMs, batchSize });
+        this.coinList = null; // { coins, fetchedAt }
+    }
+
+    keyFor(asset) {
+        return asset.coingeckoId || null;
+    }
+
+    async fetchQuotes(requests) {
+        const ids = requests.map(request => request.key);
+        const data = await this.request(`/simple/price?ids=${ids.map(encodeURIComponent).join(',')}&vs_currencies=usd&include_24hr_change=true`);
+
+        const quotes = {};
+        for (const id of ids) {
+            const quote = data[id];
+            if (quote && quote.usd !== undefined) {
+                quotes[id] = { price: quote.usd, change24h: quote.usd_24h_change || 0 };
+            }
+        }
+        return quotes;
+    }
+
+    // Hourly points for ranges up to 90 days, daily points (at 00:00 UTC) beyond
+    async fetchHistory(id, asset, from, to) {
+        const data = await this.request(`/coins/${encodeURIComponent(id)}/market_chart/range?vs_currency=usd&from=${Math.floor(from / 1000)}&to=${Math.ceil(to / 1000)}`);
+        return Array.isArray(data.prices) ? data.prices.filter(point => Number.isFinite(point[1])) : [];
+    }
+
+    // The full CoinGecko coin list ({ id, symbol, name }), cached for a day.
+    // An outdated list is still served while CoinGecko is unavailable.
+    async getCoinList() {
+        const cached = this.coinList;
+        if (cached && Date.now() - cached.fetchedAt < COIN_LIST_TTL_MS) {
+            return cached.coins;
+        }
+        if (!this.coinListRequest) {
+            this.coinListRequest = (this.inBackoff()
+                ? Promise.reject(new PriceUpstreamError(this.pausedMessage()))
+                : this.request('/coins/list')
+            ).then(coins => {
+                this.coinList = { coins: Array.isArray(coins) ? coins : [], fetchedAt: Date.now() };
+                return this.coinList.coins;
+            }).finally(() => {
+                this.coinListRequest = null;
+            });
+        }
+
+        try {
+            return await this.coinListRequest;
+        } catch (error) {
+            if (cached) return cached.coins;
+            throw error;
+        }
+    }
+}
+
+module.exports = CoinGeckoProvider;
+module.exports.COINGECKO_API_URL = COINGECKO_API_URL;
@@ -0,0 +1,286 @@
+const { PriceUpstreamError } = require('./base');
+const CoinGeckoProvider = require('./coingecko');
+const BinanceProvider = require('./binance');
+const ManualProvider = require('./manual');
+
+/**
+ * Server-side price service over several price providers.
+ *
+ * Each asset is priced by the first provider in its fallback order that has
+ * a quote: the asset's own `providers` list when the registry sets one,
+ * PRICE_PROVIDERS (coingecko, binance, manual by default) otherwise.
+ * Quotes are fetched in batches per provider, cached for a TTL and persisted
+ * so the last known price survives restarts. When every provider fails, the
+ * cached quote is served flagged as stale.
+ *
+ * Quotes use the same `cryptoData` shape the frontend builds:
+ * `{ [symbol]: { price, change24h, provider, updatedAt, stale } }` in USD.
+ */
+
+const PRICE_CACHE_KEY = 'price-cache';
+const PROVIDER_NAMES = ['coingecko', 'binance', 'manual'];
+const DEFAULT_PROVIDER_ORDER = PROVIDER_NAMES;
+
+const DEFAULT_TTL_MS = 60 * 1000;
+
+// Parse a comma-separated provider list, ignoring unknown names
+function parseProviderOrder(text) {
+    const names = String(text || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const order = names.filter((name, index) => PROVIDER_NAMES.includes(name) && names.indexOf(name) === index);
+    return order.length > 0 ? order : DEFAULT_PROVIDER_ORDER;
+}
+
+class PriceService {
+    constructor({
+        providers = {},
+        providerOrder = DEFAULT_PROVIDER_ORDER,
+        ttlMs = DEFAULT_TTL_MS,
+        storage = null
+    } = {}) {
+        this.providers = {
+            coingecko: providers.coingecko || new CoinGeckoProvider(),
+            binance: providers.binance || new BinanceProvider(),
+            manual: providers.manual || new ManualProvider()
+        };
+        this.providerOrder = providerOrder;
+        this.ttlMs = ttlMs;
+        this.storage = storage;
+
+        this.cache = new Map(); // 'provider:key' → { price, change24h, updatedAt }
+        this.inFlight = new Map(); // 'provider:key' → promise of the batch fetching it
+    }
+
+    // Seed the cache with the quotes persisted by earlier runs. Entries saved
+    // before there were several providers are CoinGecko ids.
+    async loadPersisted() {
+        if (!this.storage) return;
+        if (!this.persistedLoaded) {
+            this.persistedLoaded = this.storage.get(PRICE_CACHE_KEY).then(saved => {
+                for (const [key, quote] of Object.entries(saved || {})) {
+                    const cacheKey = key.includes(':') ? key : `coingecko:${key}`;
+                    if (!this.cache.has(cacheKey)) this.cache.set(cacheKey, quote);
+                }
+            }).catch(error => {
+                console.warn('Could not load cached prices:', error.message);
+            });
+        }
+        await this.persistedLoaded;
+    }
+
+    async persist(updates) {
+        if (!this.storage || Object.keys(updates).length === 0) return;
+        try {
+            await this.storage.update(PRICE_CACHE_KEY, cache => {
+                Object.assign(cache, updates);
+            }, { defaultValue: {} });
+        } catch (error) {
+            console.warn('Could not persist prices:', error.message);
+        }
+    }
+
+    isFresh(quote) {
+        return Boolean(quote) && Date.now() - new Date(quote.updatedAt).getTime() < this.ttlMs;
+    }
+
+    // The providers to try for an asset, in order, with their key for it
+    chainFor(asset) {
+        const order = Array.isArray(asset.providers) && asset.providers.length > 0 ? asset.providers : this.providerOrder;
+        const chain = [];
+        for (const name of order) {
+            const provider = this.providers[name];
+            const key = provider ? provider.keyFor(asset) : null;
+            if (key) chain.push({ provider, key, cacheKey: `${name}:${key}`, asset });
+        }
+        return chain;
+    }
+
+    async fetchBatch(provider, requests) {
+        const fetched = await provider.fetchQuotes(requests);
+
+        const updates = {};
+        const updatedAt = new Date().toISOString();
+        for (const { key, cacheKey } of requests) {
+            if (fetched[key]) {
+                updates[cacheKey] = { price: fetched[key].price, change24h: fetched[key].change24h, updatedAt };
+                this.cache.set(cacheKey, updates[cacheKey]);
+            }
+        }
+        await this.persist(updates);
+    }
+
+    // Fetch the given links of one provider in batches, joining batches
+    // already in flight. Resolves to the first failure message, or null.
+    async refresh(provider, links) {
+        if (provider.inBackoff()) {
+            return provider.pausedMessage();
+        }
+
+        const waiting = new Set();
+        const toFetch = new Map();
+        for (const link of links) {
+            if (this.inFlight.has(link.cacheKey)) {
+                waiting.add(this.inFlight.get(link.cacheKey));
+            } else {
+                toFetch.set(link.cacheKey, link);
+            }
+        }
+
+        const requests = [...toFetch.values()];
+        for (let i = 0; i < requests.length; i += provider.batchSize) {
+            const batch = requests.slice(i, i + provider.batchSize);
+            const promise = this.fetchBatch(provider, batch).finally(() => {
+                for (const link of batch) this.inFlight.delete(link.cacheKey);
+            });
+            for (const link of batch) this.inFlight.set(link.cacheKey, promise);
+            waiting.add(promise);
+        }
+
+        const results = await Promise.allSettled(waiting);
+        const failure = results.find(result => result.status === 'rejected');
+        return failure ? failure.reason.message : null;
+    }
+
+    // Quotes read straight from providers that are not cached
+    async readUncached(provider, links) {
+        const fetched = await provider.fetchQuotes(links);
+        const quotes = {};
+        for (const link of links) {
+            const quote = fetched[link.key];
+            if (quote) {
+                quotes[link.cacheKey] = { ...quote, updatedAt: quote.updatedAt || new Date().toISOString() };
+            }
+        }
+        return quotes;
+    }
+
+    // Quotes for the given assets, keyed by symbol. An asset only needs a
+    // `symbol` plus whatever its providers key on (coingeckoId, binanceSymbol,
+    // manualPrice). Providers are tried in rounds: everything still unpriced
+    // moves on to the next provider in its chain. Symbols without any quote,
+    // fresh or stale, are listed in `missing`; `error` explains why a quote is
+    // stale or missing.
+    async getQuotes(assetsBySymbol) {
+        await this.loadPersisted();
+
+        const chains = new Map();
+        for (const [symbol, asset] of Object.entries(assetsBySymbol)) {
+            chains.set(symbol, this.chainFor({ ...asset, symbol }));
+        }
+
+        const quotes = {};
+        const uncached = {};
+        const errors = [];
+        const pending = new Set(chains.keys());
+
+        for (let round = 0; pending.size > 0; round++) {
+            // Group the links this round still has to fetch by provider
+            const toRefresh = new Map();
+            for (const symbol of [...pending]) {
+                const link = chains.get(symbol)[round];
+                if (!link) {
+                    pending.delete(symbol);
+                    continue;
+                }
+                if (link.provider.cacheable && this.isFresh(this.cache.get(link.cacheKey))) {
+                    continue;
+                }
+                if (!toRefresh.has(link.provider)) toRefresh.set(link.provider, []);
+                toRefresh.get(link.provider).push(link);
+            }
+
+            await Promise.all([...toRefresh].map(async ([provider, links]) => {
+                try {
+                    if (provider.cacheable) {
+                        const error = await this.refresh(provider, links);
+                        if (error) errors.push(error);
+                    } else {
+                        Object.assign(uncached, await this.readUncached(provider, links));
+                    }
+                } catch (error) {
+                    errors.push(error.message);
+                }
+            }));
+
+            for (const symbol of [...pending]) {
+                const link = chains.get(symbol)[round];
+                const quote = link.provider.cacheable ? this.cache.get(link.cacheKey) : uncached[link.cacheKey];
+                if (quote && (!link.provider.cacheable || this.isFresh(quote))) {
+                    quotes[symbol] = { ...quote, provider: link.provider.name, stale: false };
+                    pending.delete(symbol);
+                }
+            }
+        }
+
+        // Nothing fresh: fall back to the preferred provider's last known quote
+        const missing = [];
+        for (const [symbol, chain] of chains) {
+            if (quotes[symbol]) continue;
+            const link = chain.find(candidate => candidate.provider.cacheable && this.cache.has(candidate.cacheKey));
+            if (link) {
+                quotes[symbol] = { ...this.cache.get(link.cacheKey), provider: link.provider.name, stale: true };
+            } else {
+                missing.push(symbol);
+            }
+        }
+
+        // A failed provider only matters when something ended up stale or missing
+        const degraded = missing.length > 0 || Object.values(quotes).some(quote => quote.stale);
+        return { quotes, missing, error: degraded ? errors[0] || null : null };
+    }
+
+    // Price history for the given assets between `from` and `to` (ms), taken
+    // from the first provider in each asset's chain that has any. Resolves to
+    // { history: { [symbol]: { provider, points } }, missing, errors }.
+    // Assets are fetched one after another to stay clear of rate limits.
+    async getHistory(assetsBySymbol, from, to) {
+        const history = {};
+        const missing = [];
+        const errors = [];
+
+        for (const [symbol, asset] of Object.entries(assetsBySymbol)) {
+            for (const { provider, key } of this.chainFor({ ...asset, symbol })) {
+                if (provider.inBackoff()) {
+                    errors.push(`${symbol}: ${provider.pausedMessage()}`);
+                    continue;
+                }
+                try {
+                    const points = await provider.fetchHistory(key, asset, from, to);
+                    if (points && points.length > 0) {
+                        history[symbol] = { provider: provider.name, points };
+                        break;
+                    }
+                } catch (error) {
+                    errors.push(`${symbol}: ${error.message}`);
+                }
+            }
+            if (!history[symbol]) missing.push(symbol);
+        }
+
+        return { history, missing, errors };
+    }
+
+    // The CoinGecko coin list the asset registry searches
+    getCoinList() {
+        return this.providers.coingecko.getCoinList();
+    }
+}
+
+function createPriceService(options = {}) {
+    const env = options.env || process.env;
+    return new PriceService({
+        providers: {
+            coingecko: new CoinGeckoProvider({ baseUrl: env.COINGECKO_API_URL || undefined }),
+            binance: new BinanceProvider({ baseUrl: env.BINANCE_API_URL || undefined })
+        },
+        providerOrder: parseProviderOrder(env.PRICE_PROVIDERS),
+        ttlMs: env.PRICE_CACHE_TTL_SECONDS ? Number(env.PRICE_CACHE_TTL_SECONDS) * 1000 : DEFAULT_TTL_MS,
+        storage: options.storage || null
+    });
+}
+
+module.exports = {
+    PROVIDER_NAMES,
+    PriceService,
+    PriceUpstreamError,
+    createPriceService
+};
@@ -0,0 +1,35 @@
+const PriceProvider = require('./base');
+
+/**
+ * Static prices entered in the asset registry (`manualPrice`), for tokens
+ * no exchange or aggregator lists. They are read from the asset on every
+ * request, and timestamped with the asset's last update.
+ */
+class ManualProvider extends PriceProvider {
+    constructor() {
+        super('manual', { label: 'Manual price', batchSize: Infinity });
+    }
+
+    keyFor(asset) {
+        return typeof asset.manualPrice === 'number' && asset.manualPrice >= 0 ? asset.symbol : null;
+    }
+
+    get cacheable() {
+        return false;
+    }
+
+    // A manual price has no history; it is used for every past day
+    async fetchHistory(key, asset, from) {
+        return [[from, asset.manualPrice]];
+    }
+
+    async fetchQuotes(requests) {
+        const quotes = {};
+        for (const { key, asset } of requests) {
+            quotes[key] = { price: asset.manualPrice, change24h: 0, updatedAt: asset.updatedAt || null };
+        }
+        return quotes;
+    }
+}
+
+module.exports = ManualProvider;
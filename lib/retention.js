@@ -0,0 +1,159 @@
+/**
+ * Snapshot retention and downsampling.
+ *
+ * A policy is a list of tiers ordered by age. Each tier covers snapshots up
+ * to `maxAge` old and keeps either all of them or the last snapshot of each
+ * hour/day/week/month bucket. Snapshots created manually, backfilled or
+ * pinned are never removed.
+ *
+ * Policies can be written as a spec string of `<age>:<resolution>` pairs,
+ * where age is a number with a unit (h, d, w, y) or `*` for everything older:
+ *
+ *     7d:all,90d:hour,365d:day,*:week
+ */
+
+const { HOUR_MS, DAY_MS } = require('./time');
+
+// Thrown for a malformed policy spec
+class RetentionPolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RetentionPolicyError';
+    }
+}
+
+const AGE_UNITS = { h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS, y: 365 * DAY_MS };
+
+// Bucket keys are computed in UTC; weeks start on Monday
+const RESOLUTIONS = {
+    all: null,
+    hour: time => Math.floor(time / HOUR_MS),
+    day: time => Math.floor(time / DAY_MS),
+    week: time => Math.floor((time + 3 * DAY_MS) / (7 * DAY_MS)),
+    month: time => {
+        const date = new Date(time);
+        return date.getUTCFullYear() * 12 + date.getUTCMonth();
+    }
+};
+
+const DEFAULT_RETENTION_SPEC = '7d:all,90d:hour,365d:day,*:week';
+
+// Snapshots taken automatically before `source` was recorded
+const LEGACY_AUTO_DESCRIPTIONS = ['Page Refresh'];
+
+function parseAge(text) {
+    if (text === '*') return Infinity;
+    const match = /^(\d+(?:\.\d+)?)([hdwy])$/.exec(text);
+    if (!match) {
+        throw new RetentionPolicyError(`Invalid retention age "${text}" (use e.g. 36h, 7d, 12w, 1y or *)`);
+    }
+    return Number(match[1]) * AGE_UNITS[match[2]];
+}
+
+// Parse a spec string into tiers sorted by maxAge
+function parseRetentionPolicy(spec = DEFAULT_RETENTION_SPEC) {
+    const tiers = String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [age, resolution = ''] = part.split(':').map(value => value.trim().toLowerCase());
+        if (!Object.prototype.hasOwnProperty.call(RESOLUTIONS, resolution)) {
+            throw new RetentionPolicyError(`Invalid retention resolution "${resolution}" (use ${Object.keys(RESOLUTIONS).join(', ')})`);
+        }
+        return { maxAge: parseAge(age), resolution };
+    });
+    if (tiers.length === 0) {
+        throw new RetentionPolicyError('Retention policy has no tiers');
+    }
+    return tiers.sort((a, b) => a.maxAge - b.maxAge);
+}
+
+function describeRetentionPolicy(tiers) {
+    return tiers.map(tier => {
+        if (tier.maxAge === Infinity) return `*:${tier.resolution}`;
+        const days = tier.maxAge / DAY_MS;
+        const age = Number.isInteger(days) ? `${days}d` : `${tier.maxAge / HOUR_MS}h`;
+        return `${age}:${tier.resolution}`;
+    }).join(',');
+}
+
+function isProtectedSnapshot(snapshot) {
+    if (snapshot.pinned) return true;
+    // Backfilled snapshots are already one per day and would only be
+    // recreated by the next backfill
+    if (snapshot.source) return snapshot.source === 'manual' || snapshot.source === 'backfill';
+    return !LEGACY_AUTO_DESCRIPTIONS.includes(snapshot.description);
+}
+
+// Decide which snapshots to keep. Within each tier bucket only the most
+// recent unprotected snapshot survives; snapshots older than the last tier
+// are kept. Returns the ids to keep and to remove.
+function planRetention(snapshots, tiers, now = Date.now()) {
+    const keep = [];
+    const remove = [];
+    const latestByBucket = new Map();
+    let protectedCount = 0;
+
+    for (const snapshot of snapshots) {
+        const time = new Date(snapshot.timestamp).getTime();
+        if (isProtectedSnapshot(snapshot)) {
+            protectedCount++;
+            keep.push(snapshot.id);
+            continue;
+        }
+
+        const age = now - time;
+        const tierIndex = tiers.findIndex(tier => age <= tier.maxAge);
+        const tier = tiers[tierIndex];
+        if (!tier || !Number.isFinite(time) || tier.resolution === 'all') {
+            keep.push(snapshot.id);
+            continue;
+        }
+
+        const bucket = `${tierIndex}:${RESOLUTIONS[tier.resolution](time)}`;
+        const latest = latestByBucket.get(bucket);
+        if (!latest) {
+            latestByBucket.set(bucket, { id: snapshot.id, time });
+        } else if (time >= latest.time) {
+            remove.push(latest.id);
+            latestByBucket.set(bucket, { id: snapshot.id, time });
+        } else {
+            remove.push(snapshot.id);
+        }
+    }
+
+    for (const latest of latestByBucket.values()) {
+        keep.push(latest.id);
+    }
+    return { keep, remove, protectedCount };
+}
+
+// Apply a retention policy to the stored snapshots. With `dryRun` nothing is
+// deleted and the result only reports what would be removed.
+async function compactSnapshots(storage, { spec, dryRun = false, now = Date.now() } = {}) {
+    const tiers = parseRetentionPolicy(spec || DEFAULT_RETENTION_SPEC);
+    const { snapshots } = await storage.querySnapshots({ fields: ['source', 'pinned', 'description'] });
+    const plan = planRetention(snapshots, tiers, now);
+
+    let removed = 0;
+    if (!dryRun && plan.remove.length > 0) {
+        removed = await storage.deleteSnapshots(plan.remove);
+    }
+
+    return {
+        policy: describeRetentionPolicy(tiers),
+        dryRun,
+        total: snapshots.length,
+        kept: plan.keep.length,
+        protected: plan.protectedCount,
+        removed: dryRun ? plan.remove.length : removed,
+        removedIds: plan.remove
+    };
+}
+
+module.exports = {
+    RetentionPolicyError,
+    DEFAULT_RETENTION_SPEC,
+    parseRetentionPolicy,
+    describeRetentionPolicy,
+    isProtectedSnapshot,
+    planRetention,
+    compactSnapshots
+};
@@ -0,0 +1,50 @@
+/**
+ * Portfolio settings, stored under the `settings` key.
+ *
+ * `costBasisMethod` decides which tax lots a sell consumes (see
+ * lib/ledger.js); `baseCurrency` is the currency values are shown and
+ * exported in (see lib/fx.js). Missing fields fall back to DEFAULT_SETTINGS.
+ */
+
+const { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } = require('./ledger');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, normalizeCurrency } = require('./fx');
+
+const SETTINGS_KEY = 'settings';
+
+const DEFAULT_SETTINGS = {
+    costBasisMethod: DEFAULT_COST_BASIS_METHOD,
+    baseCurrency: BASE_CURRENCY
+};
+
+// Stored settings merged over the defaults
+function withDefaults(settings) {
+    return { ...DEFAULT_SETTINGS, ...(settings || {}) };
+}
+
+// Apply request input to the current settings, or return { error }
+function buildSettings(input, existing) {
+    const settings = withDefaults(existing);
+    if (input.costBasisMethod !== undefined) {
+        const method = String(input.costBasisMethod).trim().toLowerCase();
+        if (!COST_BASIS_METHODS.includes(method)) {
+            return { error: `costBasisMethod must be one of: ${COST_BASIS_METHODS.join(', ')}` };
+        }
+        settings.costBasisMethod = method;
+    }
+    if (input.baseCurrency !== undefined) {
+        const currency = normalizeCurrency(input.baseCurrency);
+        if (!currency) {
+            return { error: `baseCurrency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` };
+        }
+        settings.baseCurrency = currency;
+    }
+    settings.updatedAt = new Date().toISOString();
+    return { settings };
+}
+
+module.exports = {
+    SETTINGS_KEY,
+    DEFAULT_SETTINGS,
+    withDefaults,
+    buildSettings
+};
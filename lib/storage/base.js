@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { VersionConflictError } = require('./errors');
+const { snapshotTime, compareEntries, inRange, pageEntries, projectSnapshot } = require('./snapshot-index');
+
+const MAX_UPDATE_ATTEMPTS = 5;
+const SNAPSHOT_INDEX_KEY = 'snapshot-index';
+
+// The version of a document is a hash of its compact JSON serialisation, so
+// every adapter agrees on the version of the same value
+function computeVersion(serialized) {
+    return crypto.createHash('sha1').update(serialized).digest('hex');
+}
+
+/**
+ * Base class for storage adapters.
+ *
+ * Every adapter stores JSON-serialisable documents under string keys.
+ * Subclasses implement get/set/delete/keys plus the conditional
+ * setIfVersion(); the snapshot helpers default to one key per snapshot plus
+ * an index document and can be overridden by backends with a native index.
+ */
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async get(key) {
+        throw new Error(`${this.name} storage does not implement get()`);
+    }
+
+    async set(key, value) {
+        throw new Error(`${this.name} storage does not implement set()`);
+    }
+
+    async delete(key) {
+        throw new Error(`${this.name} storage does not implement delete()`);
+    }
+
+    // List stored keys, optionally limited to those starting with `prefix`
+    async keys(prefix = '') {
+        throw new Error(`${this.name} storage does not implement keys()`);
+    }
+
+    // Returns { value, version }; both are null when the key does not exist
+    async getVersioned(key) {
+        const value = await this.get(key);
+        return { value, version: value === null ? null : computeVersion(JSON.stringify(value)) };
+    }
+
+    // Atomically write `value` only if the stored version still equals
+    // `expectedVersion` (null meaning the key must not exist yet). Resolves to
+    // the new version or throws VersionConflictError.
+    async setIfVersion(key, value, expectedVersion) {
+        throw new Error(`${this.name} storage does not implement setIfVersion()`);
+    }
+
+    // Read-modify-write with optimistic locking. `mutate` may change the value
+    // in place or return a replacement; returning false skips the write. When
+    // `expectedVersion` is given the stored version must match it, otherwise
+    // a concurrent writer just causes the mutation to be replayed.
+    async update(key, mutate, { defaultValue = null, expectedVersion } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            const current = await this.getVersioned(key);
+            if (expectedVersion !== undefined && current.version !== expectedVersion) {
+                throw new VersionConflictError(key, current);
+            }
+
+            let value = current.value !== null ? current.value : JSON.parse(JSON.stringify(defaultValue));
+            const result = await mutate(value);
+            if (result === false) {
+                return { value, version: current.version, written: false };
+            }
+            if (result !== undefined) {
+                value = result;
+            }
+
+            try {
+                const version = await this.setIfVersion(key, value, current.version);
+                return { value, version, written: true };
+            } catch (error) {
+                const canReplay = error instanceof VersionConflictError
+                    && expectedVersion === undefined
+                    && attempt < MAX_UPDATE_ATTEMPTS;
+                if (!canReplay) throw error;
+            }
+        }
+    }
+
+    // ----- Snapshots -----
+    //
+    // Snapshots are stored one per key under `snapshots:<id>` with a
+    // `snapshot-index` document listing `{ id, time, version }` in time order.
+    // Backends with a native index (sorted sets, tables, sorted filenames)
+    // override the primitives listSnapshotEntries, readSnapshots,
+    // writeSnapshots, removeSnapshots and readSnapshotsVersion.
+
+    snapshotKey(id) {
+        return `snapshots:${id}`;
+    }
+
+    async readSnapshotIndex() {
+        const index = await this.get(SNAPSHOT_INDEX_KEY);
+        return Array.isArray(index) ? index : [];
+    }
+
+    // Index entries within [from, to] (epoch ms), sorted by time then id
+    async listSnapshotEntries(range = {}) {
+        const index = await this.readSnapshotIndex();
+        return index.filter(entry => inRange(entry, range));
+    }
+
+    async readSnapshots(entries) {
+        const snapshots = await Promise.all(entries.map(entry => this.get(this.snapshotKey(entry.id))));
+        return snapshots.filter(Boolean);
+    }
+
+    async readSnapshotsVersion() {
+        const { version } = await this.getVersioned(SNAPSHOT_INDEX_KEY);
+        return version;
+    }
+
+    // The index is written first under optimistic locking; a reader that
+    // races the body writes just skips entries whose body is missing
+    async writeSnapshots(snapshots, expectedVersion) {
+        const { version } = await this.update(SNAPSHOT_INDEX_KEY, index => {
+            const byId = new Map(index.map(entry => [entry.id, entry]));
+            for (const snapshot of snapshots) {
+                byId.set(String(snapshot.id), {
+                    id: String(snapshot.id),
+                    time: snapshotTime(snapshot),
+                    version: computeVersion(JSON.stringify(snapshot))
+                });
+            }
+            return [...byId.values()].sort(compareEntries);
+        }, { defaultValue: [], expectedVersion });
+
+        for (const snapshot of snapshots) {
+            await this.set(this.snapshotKey(snapshot.id), snapshot);
+        }
+        return version;
+    }
+
+    async removeSnapshots(ids) {
+        const remove = new Set(ids.map(String));
+        let removed = 0;
+        await this.update(SNAPSHOT_INDEX_KEY, index => {
+            const kept = index.filter(entry => !remove.has(entry.id));
+            removed = index.length - kept.length;
+            if (removed === 0) return false;
+            return kept;
+        }, { defaultValue: [] });
+
+        for (const id of remove) {
+            await this.delete(this.snapshotKey(id));
+        }
+        return removed;
+    }
+
+    // Older versions kept every snapshot in a single `snapshots` array
+    async migrateLegacySnapshots() {
+        const legacy = await this.get('snapshots');
+        if (!Array.isArray(legacy)) return;
+        if (legacy.length > 0) {
+            await this.writeSnapshots(legacy.filter(snapshot => snapshot && snapshot.id));
+            console.log(`📸 Indexed ${legacy.length} snapshots from the legacy snapshots key`);
+        }
+        await this.delete('snapshots');
+    }
+
+    // Runs the legacy migration once per process before any snapshot access
+    async ensureSnapshotIndex() {
+        if (!this.snapshotIndexReady) {
+            this.snapshotIndexReady = this.migrateLegacySnapshots().catch(error => {
+                this.snapshotIndexReady = null;
+                throw error;
+            });
+        }
+        return this.snapshotIndexReady;
+    }
+
+    // Query snapshots by time. `from`/`to` are inclusive epoch milliseconds,
+    // `order` is 'asc' (default) or 'desc', `cursor` continues a previous page
+    // and `fields` projects each snapshot. Resolves to { snapshots, nextCursor }.
+    async querySnapshots({ from, to, order = 'asc', cursor, limit, fields } = {}) {
+        await this.ensureSnapshotIndex();
+        const entries = await this.listSnapshotEntries({ from, to });
+        const page = pageEntries(entries, { order, cursor, limit });
+        const snapshots = await this.readSnapshots(page.entries);
+        return {
+            snapshots: snapshots.map(snapshot => projectSnapshot(snapshot, fields)),
+            nextCursor: page.nextCursor
+        };
+    }
+
+    async getSnapshot(id) {
+        await this.ensureSnapshotIndex();
+        const entries = await this.listSnapshotEntries();
+        const [snapshot] = await this.readSnapshots(entries.filter(entry => entry.id === String(id)));
+        return snapshot || null;
+    }
+
+    async getSnapshots() {
+        const { snapshots } = await this.querySnapshots();
+        return snapshots;
+    }
+
+    // Version of the whole snapshot collection (null when it is empty)
+    async getSnapshotsVersion() {
+        await this.ensureSnapshotIndex();
+        return this.readSnapshotsVersion();
+    }
+
+    async getSnapshotsVersioned() {
+        const version = await this.getSnapshotsVersion();
+        return { snapshots: await this.getSnapshots(), version };
+    }
+
+    // Insert or replace snapshots by id, resolving to the new collection version
+    async upsertSnapshots(incoming, expectedVersion) {
+        await this.ensureSnapshotIndex();
+        return this.writeSnapshots(incoming, expectedVersion);
+    }
+
+    async saveSnapshot(snapshot) {
+        await this.upsertSnapshots([snapshot]);
+    }
+
+    // Delete snapshots by id, resolving to how many were removed
+    async deleteSnapshots(ids) {
+        await this.ensureSnapshotIndex();
+        return this.removeSnapshots(ids);
+    }
+
+    // Replace the whole snapshot collection (used by migrations)
+    async saveSnapshots(snapshots) {
+        await this.ensureSnapshotIndex();
+        const keep = new Set(snapshots.map(snapshot => String(snapshot.id)));
+        const existing = await this.listSnapshotEntries();
+        const stale = existing.filter(entry => !keep.has(entry.id)).map(entry => entry.id);
+        if (stale.length > 0) {
+            await this.removeSnapshots(stale);
+        }
+        if (snapshots.length > 0) {
+            await this.writeSnapshots(snapshots);
+        }
+    }
+
+    // Release any handles held by the adapter
+    async close() {}
+}
+
+module.exports = StorageAdapter;
+module.exports.computeVersion = computeVersion;
@@ -0,0 +1,14 @@
+/**
+ * Raised when a conditional write finds a different version than expected.
+ * `current` holds the stored `{ value, version }` at the time of the check.
+ */
+class VersionConflictError extends Error {
+    constructor(key, current) {
+        super(`Version conflict on "${key}"`);
+        this.name = 'VersionConflictError';
+        this.key = key;
+        this.current = current;
+    }
+}
+
+module.exports = { VersionConflictError };
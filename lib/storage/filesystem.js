@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./base');
+const { computeVersion } = require('./base');
+const { VersionConflictError } = require('./errors');
+const { snapshotTime, compareEntries, inRange } = require('./snapshot-index');
+
+// snapshot-2024-01-31T12-00-00-000Z-<id>.json
+const SNAPSHOT_FILE_PATTERN = /^snapshot-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-(.+)\.json$/;
+
+/**
+ * JSON files on local disk (the default for local development).
+ *
+ * Documents live in `dataDir/<key>.json`. Snapshots are kept as one file per
+ * snapshot in `snapshotDir`, named `snapshot-<timestamp>-<id>.json`.
+ *
+ * All file access is synchronous, which keeps conditional writes atomic
+ * within the single server process.
+ */
+class FilesystemStorage extends StorageAdapter {
+    constructor({ dataDir, snapshotDir }) {
+        super('filesystem');
+        this.dataDir = dataDir;
+        this.snapshotDir = snapshotDir;
+
+        for (const dir of [dataDir, snapshotDir]) {
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        }
+    }
+
+    getFilePath(key) {
+        if (key.startsWith('snapshot:')) {
+            const snapshotId = key.replace('snapshot:', '');
+            return path.join(this.snapshotDir, `${snapshotId}.json`);
+        }
+        return path.join(this.dataDir, `${key}.json`);
+    }
+
+    async get(key) {
+        return this.readVersioned(key).value;
+    }
+
+    async set(key, value) {
+        fs.writeFileSync(this.getFilePath(key), JSON.stringify(value, null, 2));
+    }
+
+    async delete(key) {
+        const filePath = this.getFilePath(key);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+
+    async keys(prefix = '') {
+        const keys = fs.readdirSync(this.dataDir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => f.slice(0, -'.json'.length));
+        return keys.filter(key => key.startsWith(prefix));
+    }
+
+    async getVersioned(key) {
+        return this.readVersioned(key);
+    }
+
+    readVersioned(key) {
+        const filePath = this.getFilePath(key);
+        if (!fs.existsSync(filePath)) return { value: null, version: null };
+        const value = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { value, version: computeVersion(JSON.stringify(value)) };
+    }
+
+    async setIfVersion(key, value, expectedVersion) {
+        const current = this.readVersioned(key);
+        if (current.version !== expectedVersion) {
+            throw new VersionConflictError(key, current);
+        }
+        fs.writeFileSync(this.getFilePath(key), JSON.stringify(value, null, 2));
+        return computeVersion(JSON.stringify(value));
+    }
+
+    // Snapshot files are named `snapshot-<timestamp>-<id>.json`, so sorting
+    // the directory listing orders them by time without opening any file
+    snapshotFileName(snapshot) {
+        const stamp = new Date(snapshotTime(snapshot)).toISOString().replace(/[:.]/g, '-');
+        return `snapshot-${stamp}-${snapshot.id}.json`;
+    }
+
+    parseSnapshotFileName(file) {
+        const match = SNAPSHOT_FILE_PATTERN.exec(file);
+        if (!match) return null;
+        const [, date, hours, minutes, seconds, millis, id] = match;
+        return { id, time: Date.parse(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`), file };
+    }
+
+    listSnapshotFiles() {
+        if (!fs.existsSync(this.snapshotDir)) return [];
+        return fs.readdirSync(this.snapshotDir)
+            .filter(f => f.endsWith('.json') && f.startsWith('snapshot-') && !f.startsWith('snapshots-'))
+            .sort();
+    }
+
+    // Index entries (with their file name) sorted by time then id
+    listSnapshotFileEntries() {
+        return this.listSnapshotFiles()
+            .map(file => this.parseSnapshotFileName(file))
+            .filter(Boolean)
+            .sort(compareEntries);
+    }
+
+    // Files written before the time index were named `snapshot-<id>-<timestamp>.json`
+    async migrateLegacySnapshots() {
+        let renamed = 0;
+        for (const file of this.listSnapshotFiles()) {
+            if (this.parseSnapshotFileName(file)) continue;
+            const filePath = path.join(this.snapshotDir, file);
+            const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!snapshot || !snapshot.id) continue;
+            fs.renameSync(filePath, path.join(this.snapshotDir, this.snapshotFileName(snapshot)));
+            renamed++;
+        }
+        if (renamed > 0) {
+            console.log(`📸 Renamed ${renamed} snapshot files for the time index`);
+        }
+    }
+
+    async listSnapshotEntries(range = {}) {
+        return this.listSnapshotFileEntries().filter(entry => inRange(entry, range));
+    }
+
+    async readSnapshots(entries) {
+        return entries
+            .map(entry => path.join(this.snapshotDir, entry.file))
+            .filter(filePath => fs.existsSync(filePath))
+            .map(filePath => JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    // The snapshot collection has no single document to hash, so its version
+    // is derived from the file listing and each file's size and mtime
+    snapshotsVersion(files) {
+        if (files.length === 0) return null;
+        const signature = files.map(file => {
+            const stat = fs.statSync(path.join(this.snapshotDir, file));
+            return `${file}:${stat.size}:${stat.mtimeMs}`;
+        });
+        return computeVersion(JSON.stringify(signature));
+    }
+
+    async readSnapshotsVersion() {
+        return this.snapshotsVersion(this.listSnapshotFiles());
+    }
+
+    async writeSnapshots(snapshots, expectedVersion) {
+        const entries = this.listSnapshotFileEntries();
+        if (expectedVersion !== undefined) {
+            const version = this.snapshotsVersion(this.listSnapshotFiles());
+            if (version !== expectedVersion) {
+                throw new VersionConflictError('snapshots', { value: null, version });
+            }
+        }
+
+        const filesById = new Map(entries.map(entry => [entry.id, entry.file]));
+        for (const snapshot of snapshots) {
+            const file = this.snapshotFileName(snapshot);
+            fs.writeFileSync(path.join(this.snapshotDir, file), JSON.stringify(snapshot, null, 2));
+            // A changed timestamp moves the snapshot to a new file name
+            const previous = filesById.get(String(snapshot.id));
+            if (previous && previous !== file) {
+                fs.unlinkSync(path.join(this.snapshotDir, previous));
+            }
+        }
+        return this.snapshotsVersion(this.listSnapshotFiles());
+    }
+
+    async removeSnapshots(ids) {
+        const remove = new Set(ids.map(String));
+        let removed = 0;
+        for (const entry of this.listSnapshotFileEntries()) {
+            if (!remove.has(entry.id)) continue;
+            fs.unlinkSync(path.join(this.snapshotDir, entry.file));
+            removed++;
+        }
+        return removed;
+    }
+}
+
+module.exports = FilesystemStorage;
@@ -0,0 +1,68 @@
+const path = require('path');
+const { VersionConflictError } = require('./errors');
+const { decodeCursor } = require('./snapshot-index');
+
+/**
+ * Storage adapter selection.
+ *
+ * The driver comes from STORAGE_DRIVER (filesystem, upstash, sqlite, memory).
+ * When it is not set, Upstash is used if the Vercel KV credentials are
+ * present and the local filesystem otherwise.
+ *
+ * A `namespace` keeps a separate set of documents and snapshots next to the
+ * un-namespaced ones: subdirectories for the filesystem, a key prefix for
+ * Upstash, a database file of its own for SQLite.
+ */
+const DRIVERS = ['filesystem', 'upstash', 'sqlite', 'memory'];
+
+function resolveDriver(env = process.env) {
+    if (env.STORAGE_DRIVER) {
+        return env.STORAGE_DRIVER.trim().toLowerCase();
+    }
+    if (env.KV_REST_API_URL && env.KV_REST_API_TOKEN) {
+        return 'upstash';
+    }
+    return 'filesystem';
+}
+
+function createStorage(options = {}) {
+    const env = options.env || process.env;
+    const driver = options.driver || resolveDriver(env);
+    const namespace = options.namespace || null;
+
+    // Adapters are required lazily so a missing optional dependency only
+    // matters when that driver is actually selected
+    switch (driver) {
+        case 'filesystem': {
+            const FilesystemStorage = require('./filesystem');
+            const nested = dir => (namespace ? path.join(dir, 'portfolios', namespace) : dir);
+            return new FilesystemStorage({ dataDir: nested(options.dataDir), snapshotDir: nested(options.snapshotDir) });
+        }
+        case 'upstash': {
+            const UpstashStorage = require('./upstash');
+            return new UpstashStorage({
+                url: env.KV_REST_API_URL,
+                token: env.KV_REST_API_TOKEN,
+                keyPrefix: namespace ? `portfolios:${namespace}:` : ''
+            });
+        }
+        case 'sqlite': {
+            const SqliteStorage = require('./sqlite');
+            const base = env.SQLITE_PATH || path.join(options.dataDir, 'profolio.db');
+            const extension = path.extname(base);
+            // Every :memory: database is a fresh one, so namespaces keep it
+            const filename = namespace && base !== ':memory:'
+                ? `${base.slice(0, base.length - extension.length)}-${namespace}${extension}`
+                : base;
+            return new SqliteStorage({ filename });
+        }
+        case 'memory': {
+            const MemoryStorage = require('./memory');
+            return new MemoryStorage();
+        }
+        default:
+            throw new Error(`Unknown storage driver "${driver}" (expected one of: ${DRIVERS.join(', ')})`);
+    }
+}
+
+module.exports = { createStorage, resolveDriver, DRIVERS, VersionConflictError, decodeCursor };
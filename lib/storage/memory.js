@@ -0,0 +1,54 @@
+const StorageAdapter = require('./base');
+const { computeVersion } = require('./base');
+const { VersionConflictError } = require('./errors');
+
+/**
+ * In-memory storage, mainly for tests and throwaway instances.
+ * Values are stored serialised so callers never share references with the store.
+ */
+class MemoryStorage extends StorageAdapter {
+    constructor() {
+        super('memory');
+        this.store = new Map();
+    }
+
+    async get(key) {
+        const raw = this.store.get(key);
+        return raw === undefined ? null : JSON.parse(raw);
+    }
+
+    async set(key, value) {
+        this.store.set(key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        this.store.delete(key);
+    }
+
+    async keys(prefix = '') {
+        return [...this.store.keys()].filter(key => key.startsWith(prefix));
+    }
+
+    async getVersioned(key) {
+        return this.readVersioned(key);
+    }
+
+    // Synchronous so the check-and-set below cannot interleave with other writers
+    readVersioned(key) {
+        const raw = this.store.get(key);
+        if (raw === undefined) return { value: null, version: null };
+        return { value: JSON.parse(raw), version: computeVersion(raw) };
+    }
+
+    async setIfVersion(key, value, expectedVersion) {
+        const current = this.readVersioned(key);
+        if (current.version !== expectedVersion) {
+            throw new VersionConflictError(key, current);
+        }
+        const raw = JSON.stringify(value);
+        this.store.set(key, raw);
+        return computeVersion(raw);
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,85 @@
+/**
+ * Helpers shared by the snapshot indexes of every storage adapter.
+ *
+ * Adapters index snapshots by time as `{ id, time }` entries, where `time` is
+ * the snapshot timestamp in epoch milliseconds. Entries are ordered by time
+ * and then by id, which is also the order cursors walk through.
+ */
+
+// Snapshot timestamps that cannot be parsed sort first
+function snapshotTime(snapshot) {
+    const time = new Date(snapshot && snapshot.timestamp).getTime();
+    return Number.isFinite(time) ? time : 0;
+}
+
+function compareEntries(a, b) {
+    if (a.time !== b.time) return a.time - b.time;
+    if (a.id === b.id) return 0;
+    return a.id < b.id ? -1 : 1;
+}
+
+function inRange(entry, { from, to } = {}) {
+    if (from !== undefined && entry.time < from) return false;
+    if (to !== undefined && entry.time > to) return false;
+    return true;
+}
+
+// Cursors are opaque to clients: base64url of the last entry returned
+function encodeCursor(entry) {
+    return Buffer.from(JSON.stringify([entry.time, entry.id])).toString('base64url');
+}
+
+// Returns the entry a cursor points at, or null when it is malformed
+function decodeCursor(cursor) {
+    try {
+        const [time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Number.isFinite(time) || typeof id !== 'string') return null;
+        return { time, id };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Apply order, cursor and limit to entries already sorted ascending.
+// Resolves to the page plus the cursor of its last entry when more remain.
+function pageEntries(entries, { order = 'asc', cursor, limit } = {}) {
+    let list = order === 'desc' ? [...entries].reverse() : entries;
+    if (cursor) {
+        const after = decodeCursor(cursor);
+        if (after) {
+            list = list.filter(entry => {
+                const comparison = compareEntries(entry, after);
+                return order === 'desc' ? comparison < 0 : comparison > 0;
+            });
+        }
+    }
+
+    if (!limit || list.length <= limit) {
+        return { entries: list, nextCursor: null };
+    }
+    const page = list.slice(0, limit);
+    return { entries: page, nextCursor: encodeCursor(page[page.length - 1]) };
+}
+
+// Keep only the requested fields; id and timestamp are always returned so
+// clients can order and page through projected snapshots
+function projectSnapshot(snapshot, fields) {
+    if (!fields || fields.length === 0) return snapshot;
+    const projected = { id: snapshot.id, timestamp: snapshot.timestamp };
+    for (const field of fields) {
+        if (snapshot[field] !== undefined) {
+            projected[field] = snapshot[field];
+        }
+    }
+    return projected;
+}
+
+module.exports = {
+    snapshotTime,
+    compareEntries,
+    inRange,
+    encodeCursor,
+    decodeCursor,
+    pageEntries,
+    projectSnapshot
+};
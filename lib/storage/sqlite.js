@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./base');
+const { computeVersion } = require('./base');
+const { VersionConflictError } = require('./errors');
+const { snapshotTime } = require('./snapshot-index');
+
+const SNAPSHOT_REVISION_KEY = 'snapshot-revision';
+
+/**
+ * Embedded SQLite database via better-sqlite3, for self-hosted installs that
+ * want a transactional store without Vercel KV.
+ *
+ * Documents live in a `kv` table. Snapshots get their own table indexed by
+ * time, and a revision counter in `kv` versions the snapshot collection.
+ */
+class SqliteStorage extends StorageAdapter {
+    constructor({ filename }) {
+        super('sqlite');
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (e) {
+            throw new Error('SQLite storage requires the "better-sqlite3" package (npm install better-sqlite3)');
+        }
+
+        if (filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+        }
+        this.filename = filename;
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS kv (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS snapshots (
+                id TEXT PRIMARY KEY,
+                taken_at INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS snapshots_taken_at ON snapshots (taken_at, id);
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT value FROM kv WHERE key = ?'),
+            set: this.db.prepare(`
+                INSERT INTO kv (key, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `),
+            delete: this.db.prepare('DELETE FROM kv WHERE key = ?'),
+            keys: this.db.prepare('SELECT key FROM kv WHERE substr(key, 1, length(?)) = ? ORDER BY key'),
+            snapshotEntries: this.db.prepare(`
+                SELECT id, taken_at AS time FROM snapshots
+                WHERE taken_at >= ? AND taken_at <= ? ORDER BY taken_at, id
+            `),
+            snapshotData: this.db.prepare('SELECT data FROM snapshots WHERE id = ?'),
+            upsertSnapshot: this.db.prepare(`
+                INSERT INTO snapshots (id, taken_at, data) VALUES (?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET taken_at = excluded.taken_at, data = excluded.data
+            `),
+            deleteSnapshot: this.db.prepare('DELETE FROM snapshots WHERE id = ?')
+        };
+
+        // IMMEDIATE takes the write lock up front, so the check-and-set is
+        // atomic even with several processes sharing the database file
+        this.setIfVersionTx = this.db.transaction((key, raw, expectedVersion) => {
+            const row = this.statements.get.get(key);
+            const version = row ? computeVersion(row.value) : null;
+            if (version !== expectedVersion) {
+                throw new VersionConflictError(key, { value: row ? JSON.parse(row.value) : null, version });
+            }
+            this.statements.set.run(key, raw, new Date().toISOString());
+        }).immediate;
+
+        this.writeSnapshotsTx = this.db.transaction((snapshots, expectedVersion) => {
+            const version = this.readSnapshotsVersionSync();
+            if (expectedVersion !== undefined && version !== expectedVersion) {
+                throw new VersionConflictError('snapshots', { value: null, version });
+            }
+            for (const snapshot of snapshots) {
+                this.statements.upsertSnapshot.run(String(snapshot.id), snapshotTime(snapshot), JSON.stringify(snapshot));
+            }
+            return this.bumpSnapshotRevision();
+        }).immediate;
+
+        this.removeSnapshotsTx = this.db.transaction(ids => {
+            let removed = 0;
+            for (const id of ids) {
+                removed += this.statements.deleteSnapshot.run(String(id)).changes;
+            }
+            if (removed > 0) this.bumpSnapshotRevision();
+            return removed;
+        }).immediate;
+    }
+
+    async get(key) {
+        const row = this.statements.get.get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async set(key, value) {
+        this.statements.set.run(key, JSON.stringify(value), new Date().toISOString());
+    }
+
+    async delete(key) {
+        this.statements.delete.run(key);
+    }
+
+    async keys(prefix = '') {
+        return this.statements.keys.all(prefix, prefix).map(row => row.key);
+    }
+
+    async getVersioned(key) {
+        const row = this.statements.get.get(key);
+        if (!row) return { value: null, version: null };
+        return { value: JSON.parse(row.value), version: computeVersion(row.value) };
+    }
+
+    async setIfVersion(key, value, expectedVersion) {
+        const raw = JSON.stringify(value);
+        this.setIfVersionTx(key, raw, expectedVersion);
+        return computeVersion(raw);
+    }
+
+    readSnapshotsVersionSync() {
+        const row = this.statements.get.get(SNAPSHOT_REVISION_KEY);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    bumpSnapshotRevision() {
+        const version = String(Number(this.readSnapshotsVersionSync() || 0) + 1);
+        this.statements.set.run(SNAPSHOT_REVISION_KEY, JSON.stringify(version), new Date().toISOString());
+        return version;
+    }
+
+    async listSnapshotEntries({ from, to } = {}) {
+        return this.statements.snapshotEntries.all(
+            from !== undefined ? from : Number.MIN_SAFE_INTEGER,
+            to !== undefined ? to : Number.MAX_SAFE_INTEGER
+        );
+    }
+
+    async readSnapshots(entries) {
+        return entries
+            .map(entry => this.statements.snapshotData.get(entry.id))
+            .filter(Boolean)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async readSnapshotsVersion() {
+        return this.readSnapshotsVersionSync();
+    }
+
+    async writeSnapshots(snapshots, expectedVersion) {
+        return this.writeSnapshotsTx(snapshots, expectedVersion);
+    }
+
+    async removeSnapshots(ids) {
+        return this.removeSnapshotsTx(ids);
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStorage;
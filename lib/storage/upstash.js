@@ -0,0 +1,157 @@
+const StorageAdapter = require('./base');
+const { computeVersion } = require('./base');
+const { VersionConflictError } = require('./errors');
+const { snapshotTime, compareEntries } = require('./snapshot-index');
+
+const SNAPSHOT_INDEX_KEY = 'snapshot-index';
+const SNAPSHOT_REVISION_KEY = 'snapshot-revision';
+
+// Compare-and-set in a single round trip. The stored string is the compact
+// JSON we wrote, so SHA1 on the server matches computeVersion() here.
+const SET_IF_VERSION_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local version = ''
+if current then version = redis.sha1hex(current) end
+if version ~= ARGV[2] then return 0 end
+redis.call('SET', KEYS[1], ARGV[1])
+return 1
+`;
+
+// Upsert snapshots and bump the collection revision atomically.
+// KEYS: revision, index, then one body key per snapshot.
+// ARGV: '1' to check the revision, expected revision, then id/score/body triples.
+const WRITE_SNAPSHOTS_SCRIPT = `
+local revision = redis.call('GET', KEYS[1]) or ''
+if ARGV[1] == '1' and revision ~= ARGV[2] then return -1 end
+for i = 3, #KEYS do
+  local arg = (i - 3) * 3 + 3
+  redis.call('ZADD', KEYS[2], ARGV[arg + 1], ARGV[arg])
+  redis.call('SET', KEYS[i], ARGV[arg + 2])
+end
+return redis.call('INCR', KEYS[1])
+`;
+
+// Batch size for MGET when loading snapshot bodies
+const SNAPSHOT_READ_BATCH = 100;
+
+/**
+ * Upstash Redis over REST (used on Vercel via the KV integration).
+ *
+ * Snapshots are stored one per key with a sorted set scored by timestamp as
+ * the time index, and a revision counter that versions the collection.
+ * With `keyPrefix` every Redis key is prefixed, so several namespaces can
+ * share one database.
+ */
+class UpstashStorage extends StorageAdapter {
+    constructor({ url, token, keyPrefix = '' }) {
+        super('upstash');
+        this.keyPrefix = keyPrefix;
+        if (!url || !token) {
+            throw new Error('Upstash storage requires KV_REST_API_URL and KV_REST_API_TOKEN');
+        }
+        const { Redis } = require('@upstash/redis');
+        // Keep raw strings so versions can be computed over the stored bytes
+        this.redis = new Redis({ url, token, automaticDeserialization: false });
+    }
+
+    // Redis key for a storage key
+    key(name) {
+        return this.keyPrefix + name;
+    }
+
+    parse(raw) {
+        const data = JSON.parse(raw);
+        // Older writes may have double-encoded the JSON
+        return typeof data === 'string' ? JSON.parse(data) : data;
+    }
+
+    async get(key) {
+        const raw = await this.redis.get(this.key(key));
+        return raw === null ? null : this.parse(raw);
+    }
+
+    async set(key, value) {
+        await this.redis.set(this.key(key), JSON.stringify(value));
+    }
+
+    async delete(key) {
+        await this.redis.del(this.key(key));
+    }
+
+    async keys(prefix = '') {
+        const keys = await this.redis.keys(`${this.key(prefix)}*`);
+        return keys.map(key => key.slice(this.keyPrefix.length));
+    }
+
+    async getVersioned(key) {
+        const raw = await this.redis.get(this.key(key));
+        if (raw === null) return { value: null, version: null };
+        return { value: this.parse(raw), version: computeVersion(raw) };
+    }
+
+    async setIfVersion(key, value, expectedVersion) {
+        const raw = JSON.stringify(value);
+        const applied = await this.redis.eval(SET_IF_VERSION_SCRIPT, [this.key(key)], [raw, expectedVersion || '']);
+        if (Number(applied) !== 1) {
+            throw new VersionConflictError(key, await this.getVersioned(key));
+        }
+        return computeVersion(raw);
+    }
+
+    async listSnapshotEntries({ from, to } = {}) {
+        const flat = await this.redis.zrange(
+            this.key(SNAPSHOT_INDEX_KEY),
+            from !== undefined ? from : '-inf',
+            to !== undefined ? to : '+inf',
+            { byScore: true, withScores: true }
+        );
+        const entries = [];
+        for (let i = 0; i < flat.length; i += 2) {
+            entries.push({ id: String(flat[i]), time: Number(flat[i + 1]) });
+        }
+        return entries.sort(compareEntries);
+    }
+
+    async readSnapshots(entries) {
+        const snapshots = [];
+        for (let i = 0; i < entries.length; i += SNAPSHOT_READ_BATCH) {
+            const keys = entries.slice(i, i + SNAPSHOT_READ_BATCH).map(entry => this.key(this.snapshotKey(entry.id)));
+            const raws = await this.redis.mget(...keys);
+            for (const raw of raws) {
+                if (raw !== null) snapshots.push(this.parse(raw));
+            }
+        }
+        return snapshots;
+    }
+
+    async readSnapshotsVersion() {
+        const revision = await this.redis.get(this.key(SNAPSHOT_REVISION_KEY));
+        return revision === null ? null : String(revision);
+    }
+
+    async writeSnapshots(snapshots, expectedVersion) {
+        const keys = [SNAPSHOT_INDEX_KEY, ...snapshots.map(snapshot => this.snapshotKey(snapshot.id))].map(key => this.key(key));
+        const args = [expectedVersion !== undefined ? '1' : '0', expectedVersion || ''];
+        for (const snapshot of snapshots) {
+            args.push(String(snapshot.id), String(snapshotTime(snapshot)), JSON.stringify(snapshot));
+        }
+
+        const revision = await this.redis.eval(WRITE_SNAPSHOTS_SCRIPT, [this.key(SNAPSHOT_REVISION_KEY), ...keys], args);
+        if (Number(revision) === -1) {
+            throw new VersionConflictError('snapshots', { value: null, version: await this.readSnapshotsVersion() });
+        }
+        return String(revision);
+    }
+
+    async removeSnapshots(ids) {
+        if (ids.length === 0) return 0;
+        const transaction = this.redis.multi();
+        transaction.zrem(this.key(SNAPSHOT_INDEX_KEY), ...ids.map(String));
+        transaction.del(...ids.map(id => this.key(this.snapshotKey(id))));
+        transaction.incr(this.key(SNAPSHOT_REVISION_KEY));
+        const [removed] = await transaction.exec();
+        return Number(removed);
+    }
+}
+
+module.exports = UpstashStorage;
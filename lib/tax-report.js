@@ -0,0 +1,224 @@
+/**
+ * Realized vs unrealized P&L and Form 8949-style disposals.
+ *
+ * Realized gains come from replaying the ledger: every lot a sell or swap consumed
+ * becomes a disposal with its acquisition date, sale date, share of the
+ * proceeds and cost basis. Unrealized gains are the remaining lots valued at
+ * current prices. Holdings of more than one year are long-term, anything
+ * else short-term; both are judged per lot.
+ */
+
+const { sortTransactions, replayLedger } = require('./ledger');
+const { transactionAccount } = require('./accounts');
+const { toCsv } = require('./csv');
+
+const TERMS = ['shortTerm', 'longTerm'];
+
+// Long-term means sold (or valued) after the first anniversary of acquisition
+function holdingTerm(acquiredAt, disposedAt) {
+    const acquired = new Date(acquiredAt);
+    if (!Number.isFinite(acquired.getTime())) return 'shortTerm';
+    const anniversary = new Date(acquired);
+    anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+    return new Date(disposedAt) > anniversary ? 'longTerm' : 'shortTerm';
+}
+
+function emptyTotals() {
+    return { proceeds: 0, costBasis: 0, gain: 0 };
+}
+
+function emptySplit() {
+    return { shortTerm: emptyTotals(), longTerm: emptyTotals(), total: emptyTotals() };
+}
+
+function addTo(split, term, proceeds, costBasis) {
+    for (const totals of [split[term], split.total]) {
+        totals.proceeds += proceeds;
+        totals.costBasis += costBasis;
+        totals.gain += proceeds - costBasis;
+    }
+}
+
+// One disposal per lot consumed by a sell or swap, in sale order
+function listDisposals(transactions, { method } = {}) {
+    const { sales } = replayLedger(transactions, { method });
+    const disposals = [];
+    for (const transaction of sortTransactions(transactions || [])) {
+        const sale = sales.get(transaction.id);
+        if (!sale) continue;
+        const soldAmount = sale.lotsSold.reduce((total, lot) => total + lot.amount, 0);
+        for (const lot of sale.lotsSold) {
+            const proceeds = soldAmount > 0 ? sale.proceeds * (lot.amount / soldAmount) : 0;
+            disposals.push({
+                symbol: transaction.symbol,
+                account: transactionAccount(transaction),
+                amount: lot.amount,
+                acquiredAt: lot.acquiredAt,
+                soldAt: transaction.timestamp,
+                proceeds,
+                costBasis: lot.costBasis,
+                gain: proceeds - lot.costBasis,
+                term: holdingTerm(lot.acquiredAt, transaction.timestamp)
+            });
+        }
+    }
+    return disposals;
+}
+
+function disposalYear(disposal) {
+    return new Date(disposal.soldAt).getUTCFullYear();
+}
+
+// Realized gains per year (each with its assets) and per asset. With `year`
+// only that year's disposals are counted.
+function summarizeRealized(disposals, year) {
+    const years = new Map();
+    const assets = new Map();
+    for (const disposal of disposals) {
+        const soldYear = disposalYear(disposal);
+        if (year !== undefined && soldYear !== year) continue;
+
+        if (!years.has(soldYear)) years.set(soldYear, { year: soldYear, ...emptySplit(), assets: new Map() });
+        const yearEntry = years.get(soldYear);
+        if (!yearEntry.assets.has(disposal.symbol)) yearEntry.assets.set(disposal.symbol, { symbol: disposal.symbol, ...emptySplit() });
+        if (!assets.has(disposal.symbol)) assets.set(disposal.symbol, { symbol: disposal.symbol, ...emptySplit() });
+
+        for (const split of [yearEntry, yearEntry.assets.get(disposal.symbol), assets.get(disposal.symbol)]) {
+            addTo(split, disposal.term, disposal.proceeds, disposal.costBasis);
+        }
+    }
+
+    const total = emptySplit();
+    for (const entry of years.values()) {
+        for (const term of TERMS) addTo(total, term, entry[term].proceeds, entry[term].costBasis);
+    }
+    return {
+        years: [...years.values()]
+            .sort((a, b) => a.year - b.year)
+            .map(entry => ({ ...entry, assets: [...entry.assets.values()].sort((a, b) => a.symbol.localeCompare(b.symbol)) })),
+        byAsset: [...assets.values()].sort((a, b) => a.symbol.localeCompare(b.symbol)),
+        total
+    };
+}
+
+// Unrealized totals carry the lots' current value instead of proceeds
+function valueSplit(split) {
+    const result = { ...split };
+    for (const key of [...TERMS, 'total']) {
+        const { proceeds, costBasis, gain } = split[key];
+        result[key] = { value: proceeds, costBasis, gain };
+    }
+    return result;
+}
+
+// Unrealized gains of the open lots at `prices` ({ [symbol]: price }).
+// Symbols without a price are listed in `unpriced` and left out of the totals.
+function summarizeUnrealized(positions, prices, now = new Date()) {
+    const assets = new Map();
+    const unpriced = new Set();
+    for (const position of positions) {
+        const price = prices[position.symbol];
+        if (typeof price !== 'number') {
+            unpriced.add(position.symbol);
+            continue;
+        }
+        if (!assets.has(position.symbol)) assets.set(position.symbol, { symbol: position.symbol, amount: 0, price, ...emptySplit() });
+        const entry = assets.get(position.symbol);
+        entry.amount += position.amount;
+        for (const lot of position.lots || []) {
+            addTo(entry, holdingTerm(lot.acquiredAt, now), lot.amount * price, lot.totalCost);
+        }
+    }
+
+    const total = emptySplit();
+    for (const entry of assets.values()) {
+        for (const term of TERMS) addTo(total, term, entry[term].proceeds, entry[term].costBasis);
+    }
+    return {
+        byAsset: [...assets.values()].sort((a, b) => a.symbol.localeCompare(b.symbol)).map(valueSplit),
+        total: valueSplit(total),
+        unpriced: [...unpriced]
+    };
+}
+
+// Full report: realized (optionally for one year) and unrealized as of now
+function buildPnlReport(transactions, prices, { method, year, now = new Date() } = {}) {
+    const { positions } = replayLedger(transactions, { method });
+    const disposals = listDisposals(transactions, { method });
+    return {
+        costBasisMethod: method,
+        year: year !== undefined ? year : null,
+        asOf: now.toISOString(),
+        availableYears: [...new Set(disposals.map(disposalYear))].sort((a, b) => a - b),
+        realized: summarizeRealized(disposals, year),
+        unrealized: summarizeUnrealized(positions, prices, now)
+    };
+}
+
+// ============================================
+// Form 8949 CSV
+// ============================================
+
+const FORM_8949_HEADER = [
+    'Part',
+    '(a) Description of property',
+    '(b) Date acquired',
+    '(c) Date sold or disposed of',
+    '(d) Proceeds',
+    '(e) Cost or other basis',
+    '(f) Code',
+    '(g) Amount of adjustment',
+    '(h) Gain or (loss)'
+];
+
+// Dates as printed on the form: MM/DD/YYYY
+function formDate(value) {
+    const date = new Date(value);
+    if (!Number.isFinite(date.getTime())) return 'VARIOUS';
+    const pad = number => String(number).padStart(2, '0');
+    return `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+}
+
+function formAmount(amount) {
+    return Number(amount.toFixed(8)).toString();
+}
+
+// Disposals as Form 8949 rows: Part I (short-term) first, then Part II
+// (long-term), each in sale order, followed by a totals row per part
+function buildForm8949Csv(disposals, { year } = {}) {
+    const selected = disposals.filter(disposal => year === undefined || disposalYear(disposal) === year);
+    const rows = [FORM_8949_HEADER];
+
+    for (const [term, part] of [['shortTerm', 'I (Short-term)'], ['longTerm', 'II (Long-term)']]) {
+        const partDisposals = selected.filter(disposal => disposal.term === term);
+        if (partDisposals.length === 0) continue;
+
+        const totals = emptyTotals();
+        for (const disposal of partDisposals) {
+            totals.proceeds += disposal.proceeds;
+            totals.costBasis += disposal.costBasis;
+            totals.gain += disposal.gain;
+            rows.push([
+                part,
+                `${formAmount(disposal.amount)} ${disposal.symbol}`,
+                formDate(disposal.acquiredAt),
+                formDate(disposal.soldAt),
+                disposal.proceeds.toFixed(2),
+                disposal.costBasis.toFixed(2),
+                '',
+                '',
+                disposal.gain.toFixed(2)
+            ]);
+        }
+        rows.push([part, 'Totals', '', '', totals.proceeds.toFixed(2), totals.costBasis.toFixed(2), '', '', totals.gain.toFixed(2)]);
+    }
+
+    return toCsv(rows);
+}
+
+module.exports = {
+    holdingTerm,
+    listDisposals,
+    buildPnlReport,
+    buildForm8949Csv
+};
@@ -0,0 +1,31 @@
+/**
+ * Time constants and the from/to date range of the query endpoints.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read the from/to parameters of `params` (ISO dates or epoch ms, inclusive)
+// into epoch ms. A `to` date without a time runs to the end of that day in
+// UTC. Returns { from, to } with the ones given, or { error }.
+function readDateRange(params) {
+    const range = {};
+    for (const name of ['from', 'to']) {
+        if (params[name] === undefined || params[name] === '') continue;
+        const raw = String(params[name]);
+        const time = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+        if (!Number.isFinite(time)) {
+            return { error: `Invalid ${name} date: ${raw}` };
+        }
+        range[name] = name === 'to' && DATE_ONLY.test(raw) ? time + DAY_MS - 1 : time;
+    }
+    return range;
+}
+
+module.exports = {
+    HOUR_MS,
+    DAY_MS,
+    readDateRange
+};
@@ -0,0 +1,236 @@
+/**
+ * Transaction queries: filters, sorting and cursor pagination over the
+ * ledger, and its CSV export.
+ *
+ * Filters are combined with AND; a list filter matches any of its values.
+ * `symbol` matches either side of a swap and `account` either side of a
+ * transfer or swap. `q` searches the note. Transactions are ordered by the
+ * sort field and then by id, which is also the order cursors walk through.
+ * A cursor is base64url of `[sort, value, key]` for the last transaction of
+ * a page, so it only continues a query sorted the same way.
+ */
+
+const { TRANSACTION_TYPES } = require('./ledger');
+const { transactionAccount, transactionToAccount } = require('./accounts');
+const { readDateRange } = require('./time');
+const { toCsv } = require('./csv');
+
+// The parameters that make GET /api/transactions answer a query
+const QUERY_PARAMS = ['symbol', 'type', 'account', 'from', 'to', 'q', 'sort', 'order', 'limit', 'cursor'];
+const SORT_FIELDS = ['timestamp', 'amount', 'total', 'symbol', 'type'];
+const FORMATS = ['csv', 'json'];
+const MAX_TRANSACTION_LIMIT = 500;
+
+function list(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function transactionTime(transaction) {
+    const time = new Date(transaction.timestamp).getTime();
+    return Number.isFinite(time) ? time : 0;
+}
+
+function transactionType(transaction) {
+    return (transaction.type || 'buy').toLowerCase();
+}
+
+// Transactions of the all portfolios view share ids across portfolios
+function transactionKey(transaction) {
+    const id = String(transaction.id);
+    return transaction.portfolioId ? `${transaction.portfolioId}:${id}` : id;
+}
+
+function sortValue(transaction, sort) {
+    if (sort === 'amount') return Number(transaction.amount) || 0;
+    if (sort === 'total') return Number(transaction.totalCost) || 0;
+    if (sort === 'symbol') return String(transaction.symbol || '').toUpperCase();
+    if (sort === 'type') return transactionType(transaction);
+    return transactionTime(transaction);
+}
+
+function encodeCursor(sort, value, key) {
+    return Buffer.from(JSON.stringify([sort, value, key])).toString('base64url');
+}
+
+// Returns { sort, value, key }, or null when the cursor is malformed
+function decodeCursor(cursor) {
+    try {
+        const [sort, value, key] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!SORT_FIELDS.includes(sort) || typeof key !== 'string') return null;
+        const numeric = !['symbol', 'type'].includes(sort);
+        if (numeric ? !Number.isFinite(value) : typeof value !== 'string') return null;
+        return { sort, value, key };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Query parameters as a transaction query: symbol, type and account
+// (comma separated), from/to (ISO dates or epoch ms, inclusive; a `to` date
+// without a time runs to the end of that day in UTC), q, sort, order
+// (asc/desc, newest first by default), limit and cursor (from the
+// X-Next-Cursor header of the previous page). Returns { query } or { error }.
+function readTransactionQuery(params) {
+    const range = readDateRange(params);
+    if (range.error) {
+        return { error: range.error };
+    }
+    const query = { sort: 'timestamp', order: 'desc', ...range };
+
+    if (params.symbol) {
+        query.symbols = list(params.symbol).map(symbol => symbol.toUpperCase());
+    }
+
+    if (params.type) {
+        query.types = list(params.type).map(type => type.toLowerCase());
+        const unknown = query.types.find(type => !TRANSACTION_TYPES.includes(type));
+        if (unknown) {
+            return { error: `Unknown transaction type "${unknown}"; expected one of: ${TRANSACTION_TYPES.join(', ')}` };
+        }
+    }
+
+    // The default account has the empty id, so an empty value selects it
+    if (params.account !== undefined) {
+        query.accounts = String(params.account).split(',').map(account => account.trim());
+    }
+
+    if (params.q) {
+        query.text = String(params.q).trim().toLowerCase();
+    }
+
+    if (params.sort !== undefined && params.sort !== '') {
+        if (!SORT_FIELDS.includes(params.sort)) {
+            return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+        }
+        query.sort = params.sort;
+    }
+
+    if (params.order !== undefined && params.order !== '') {
+        if (params.order !== 'asc' && params.order !== 'desc') {
+            return { error: 'order must be asc or desc' };
+        }
+        query.order = params.order;
+    }
+
+    if (params.limit !== undefined && params.limit !== '') {
+        const limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TRANSACTION_LIMIT) {
+            return { error: `limit must be an integer between 1 and ${MAX_TRANSACTION_LIMIT}` };
+        }
+        query.limit = limit;
+    }
+
+    if (params.cursor) {
+        const cursor = decodeCursor(params.cursor);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+        if (cursor.sort !== query.sort) {
+            return { error: `The cursor continues a query sorted by ${cursor.sort}` };
+        }
+        query.cursor = cursor;
+    }
+
+    if (params.format !== undefined && params.format !== '') {
+        const format = String(params.format).toLowerCase();
+        if (!FORMATS.includes(format)) {
+            return { error: `format must be one of: ${FORMATS.join(', ')}` };
+        }
+        query.format = format;
+    }
+
+    return { query };
+}
+
+function matches(transaction, query) {
+    if (query.symbols) {
+        const symbols = [transaction.symbol, transaction.toSymbol].map(symbol => String(symbol || '').toUpperCase());
+        if (!query.symbols.some(symbol => symbols.includes(symbol))) return false;
+    }
+    if (query.types && !query.types.includes(transactionType(transaction))) return false;
+    if (query.accounts) {
+        const accounts = [transactionAccount(transaction), transactionToAccount(transaction)];
+        if (!query.accounts.some(account => accounts.includes(account))) return false;
+    }
+    const time = transactionTime(transaction);
+    if (query.from !== undefined && time < query.from) return false;
+    if (query.to !== undefined && time > query.to) return false;
+    if (query.text && !String(transaction.note || '').toLowerCase().includes(query.text)) return false;
+    return true;
+}
+
+function compare(a, b) {
+    if (a.value !== b.value) return a.value < b.value ? -1 : 1;
+    if (a.key === b.key) return 0;
+    return a.key < b.key ? -1 : 1;
+}
+
+// The transactions matching `query`, sorted, from its cursor on. Returns
+// { transactions, total, nextCursor }: `total` counts every match, and
+// nextCursor is set when more remain after the page.
+function queryTransactions(transactions, query) {
+    const sort = query.sort || 'timestamp';
+    const direction = query.order === 'asc' ? 1 : -1;
+    const entries = transactions
+        .filter(transaction => matches(transaction, query))
+        .map(transaction => ({ transaction, value: sortValue(transaction, sort), key: transactionKey(transaction) }))
+        .sort((a, b) => compare(a, b) * direction);
+    const total = entries.length;
+
+    let rest = entries;
+    if (query.cursor) {
+        rest = entries.filter(entry => compare(entry, query.cursor) * direction > 0);
+    }
+    if (!query.limit || rest.length <= query.limit) {
+        return { transactions: rest.map(entry => entry.transaction), total, nextCursor: null };
+    }
+    const page = rest.slice(0, query.limit);
+    const last = page[page.length - 1];
+    return {
+        transactions: page.map(entry => entry.transaction),
+        total,
+        nextCursor: encodeCursor(sort, last.value, last.key)
+    };
+}
+
+// The transactions as CSV, one row each. `accountName(id)` names accounts;
+// a portfolio column is added for the all portfolios view.
+function buildTransactionsCsv(transactions, { accountName = id => id } = {}) {
+    const withPortfolio = transactions.some(transaction => transaction.portfolioId);
+    const header = [
+        'date', 'type', 'symbol', 'amount', 'price_usd', 'total_usd', 'to_symbol', 'to_amount',
+        'account', 'to_account', 'realized_pnl_usd', 'note', 'id'
+    ];
+    if (withPortfolio) header.push('portfolio');
+
+    const lines = transactions.map(transaction => {
+        const toAccount = transactionToAccount(transaction);
+        const fields = [
+            transaction.timestamp,
+            transactionType(transaction),
+            transaction.symbol,
+            transaction.amount,
+            transaction.purchasePrice,
+            transaction.totalCost,
+            transaction.toSymbol,
+            transaction.toAmount,
+            accountName(transactionAccount(transaction)),
+            toAccount !== undefined ? accountName(toAccount) : '',
+            transaction.realizedPnl,
+            transaction.note,
+            transaction.id
+        ];
+        if (withPortfolio) fields.push(transaction.portfolioName || transaction.portfolioId);
+        return fields;
+    });
+    return toCsv([header, ...lines]);
+}
+
+module.exports = {
+    QUERY_PARAMS,
+    SORT_FIELDS,
+    MAX_TRANSACTION_LIMIT,
+    readTransactionQuery,
+    queryTransactions,
+    buildTransactionsCsv
+};
@@ -0,0 +1,222 @@
+/**
+ * Validation for transactions posted to the ledger.
+ *
+ * buildTransaction() turns request input into a stored transaction, checking
+ * the fields each type needs (see lib/ledger.js for what each type does).
+ * checkHoldings() rejects outgoing transactions for more than is held.
+ * editTransaction() applies changes to a recorded transaction, and
+ * findNewOverdraft() checks that an edited ledger still holds enough at the
+ * time of every outgoing transaction.
+ */
+
+const {
+    TRANSACTION_TYPES,
+    OUTGOING_TYPES,
+    SALE_FIELDS,
+    positionId,
+    sortTransactions,
+    normalizeCostBasisMethod,
+    applyTransaction
+} = require('./ledger');
+const { normalizeSymbol } = require('./assets');
+const { DEFAULT_ACCOUNT, transactionAccount } = require('./accounts');
+
+// Allow for rounding when a whole position is moved or sold
+const HOLDINGS_TOLERANCE = 1e-9;
+
+function isProvided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// A number ≥ 0 from optional input, undefined when absent, NaN when invalid
+function optionalNonNegative(value) {
+    if (!isProvided(value)) return undefined;
+    const number = Number(value);
+    return number >= 0 ? number : NaN;
+}
+
+function validDate(value) {
+    return Number.isFinite(new Date(value).getTime());
+}
+
+// An account id from input that names the default account or one in
+// `accounts`, undefined when absent, or { error }
+function accountInput(value, field, accounts) {
+    if (value === undefined || value === null) return undefined;
+    const id = String(value).trim();
+    if (id === DEFAULT_ACCOUNT || !accounts || accounts.some(account => account.id === id)) return id;
+    return { error: `${field} "${id}" is not a known account` };
+}
+
+// Build the transaction to store from request input, or return { error }.
+// With `accounts` (the registry) the account fields must name one of them.
+function buildTransaction(input, { accounts } = {}) {
+    const type = String(input.type || 'buy').trim().toLowerCase();
+    if (!TRANSACTION_TYPES.includes(type)) {
+        return { error: `Unknown transaction type "${input.type}"; expected one of: ${TRANSACTION_TYPES.join(', ')}` };
+    }
+
+    const symbol = normalizeSymbol(input.symbol);
+    if (!symbol) {
+        return { error: 'symbol is required' };
+    }
+    const amount = Number(input.amount);
+    if (type === 'adjustment' ? !(Number.isFinite(amount) && amount !== 0) : !(amount > 0)) {
+        return { error: type === 'adjustment' ? 'amount must be a non-zero number' : 'amount must be a positive number' };
+    }
+    if (isProvided(input.timestamp) && !validDate(input.timestamp)) {
+        return { error: 'timestamp must be a date' };
+    }
+    const account = accountInput(input.account, 'account', accounts);
+    if (account && account.error) return account;
+    const toAccount = accountInput(input.toAccount, 'toAccount', accounts);
+    if (toAccount && toAccount.error) return toAccount;
+
+    const transaction = {
+        id: input.id || Date.now().toString(),
+        timestamp: isProvided(input.timestamp) ? new Date(input.timestamp).toISOString() : new Date().toISOString(),
+        symbol,
+        amount,
+        purchasePrice: 0,
+        totalCost: 0,
+        account: account || DEFAULT_ACCOUNT,
+        note: input.note || '',
+        type
+    };
+    if (isProvided(input.description)) transaction.description = String(input.description);
+    // The exchange's id for imported transactions, so they are not imported twice
+    if (isProvided(input.externalId)) transaction.externalId = String(input.externalId);
+
+    const price = optionalNonNegative(input.purchasePrice);
+    const totalCost = optionalNonNegative(input.totalCost);
+    if (Number.isNaN(price)) return { error: 'purchasePrice must be a non-negative number' };
+    if (Number.isNaN(totalCost)) return { error: 'totalCost must be a non-negative number' };
+
+    switch (type) {
+        case 'buy':
+        case 'sell':
+            // The price is what the trade was made at, so it is required
+            if (price === undefined && totalCost === undefined) {
+                return { error: `purchasePrice is required for a ${type}` };
+            }
+            break;
+        case 'deposit':
+            // Cost basis carried over from elsewhere, with its original date
+            if (isProvided(input.acquiredAt)) {
+                if (!validDate(input.acquiredAt)) return { error: 'acquiredAt must be a date' };
+                if (new Date(input.acquiredAt) > new Date(transaction.timestamp)) {
+                    return { error: 'acquiredAt cannot be after the deposit' };
+                }
+                transaction.acquiredAt = new Date(input.acquiredAt).toISOString();
+            }
+            break;
+        case 'transfer': {
+            if (toAccount === undefined) {
+                return { error: 'toAccount is required for a transfer' };
+            }
+            if (toAccount === transaction.account) {
+                return { error: 'A transfer must move coins to a different account' };
+            }
+            transaction.toAccount = toAccount;
+            break;
+        }
+        case 'swap': {
+            const toSymbol = normalizeSymbol(input.toSymbol);
+            const toAmount = Number(input.toAmount);
+            if (!toSymbol) return { error: 'toSymbol is required for a swap' };
+            if (toSymbol === symbol) return { error: 'A swap must be between two different symbols' };
+            if (!(toAmount > 0)) return { error: 'toAmount must be a positive number' };
+            if (price === undefined && totalCost === undefined) {
+                return { error: 'A swap needs its USD value as totalCost, or purchasePrice per unit swapped out' };
+            }
+            transaction.toSymbol = toSymbol;
+            transaction.toAmount = toAmount;
+            if (toAccount !== undefined) transaction.toAccount = toAccount;
+            break;
+        }
+        case 'adjustment':
+            // Cost deltas may be negative
+            transaction.totalCost = Number(input.totalCost) || 0;
+            transaction.purchasePrice = Number(input.purchasePrice) || 0;
+            return { transaction };
+        default:
+            // withdrawal, fee, staking_reward and airdrop: the price is the
+            // optional market value per coin
+            break;
+    }
+
+    if (totalCost !== undefined) {
+        transaction.totalCost = totalCost;
+        transaction.purchasePrice = price !== undefined ? price : totalCost / amount;
+    } else if (price !== undefined) {
+        transaction.purchasePrice = price;
+        transaction.totalCost = amount * price;
+    }
+    return { transaction };
+}
+
+// An error message when an outgoing transaction takes more than `positions`
+// hold, otherwise null
+function checkHoldings(transaction, positions) {
+    if (!OUTGOING_TYPES.includes(transaction.type)) return null;
+    const account = transactionAccount(transaction);
+    const id = positionId(transaction.symbol, account);
+    const position = positions.find(p => positionId(p.symbol, p.account) === id);
+    const held = position ? position.amount : 0;
+    if (transaction.amount > held * (1 + HOLDINGS_TOLERANCE)) {
+        const where = account ? ` (${account})` : '';
+        return `The ${transaction.type} of ${transaction.amount} ${transaction.symbol}${where} is more than the ${held} held`;
+    }
+    return null;
+}
+
+// Apply `changes` to a recorded transaction, keeping its id. Fields derived
+// from others are dropped so they are worked out again: a new amount or
+// price recomputes the total, a new total recomputes the price, and the
+// realized P&L of sells and swaps comes from the next replay.
+function editTransaction(existing, changes, options) {
+    const input = { ...existing };
+    for (const field of SALE_FIELDS) delete input[field];
+    delete input.updatedAt;
+    input.account = transactionAccount(existing);
+
+    const changed = field => changes[field] !== undefined;
+    if ((changed('amount') || changed('purchasePrice')) && !changed('totalCost')) delete input.totalCost;
+    if (changed('totalCost') && !changed('purchasePrice')) delete input.purchasePrice;
+
+    const result = buildTransaction({ ...input, ...changes, id: existing.id }, options);
+    if (result.transaction) result.transaction.updatedAt = new Date().toISOString();
+    return result;
+}
+
+// Outgoing transactions that take more than is held at their point in the
+// ledger, as a Map of transaction id → error message
+function listOverdrafts(transactions, { method } = {}) {
+    const costBasisMethod = normalizeCostBasisMethod(method);
+    const positions = new Map();
+    const overdrafts = new Map();
+    for (const transaction of sortTransactions(transactions || [])) {
+        const error = checkHoldings(transaction, [...positions.values()]);
+        if (error) overdrafts.set(transaction.id, error);
+        applyTransaction(positions, transaction, costBasisMethod);
+    }
+    return overdrafts;
+}
+
+// The first overdraft `after` has that `before` did not, or null. Ledgers
+// recorded before holdings were checked may already overdraw; those
+// transactions do not block unrelated edits.
+function findNewOverdraft(before, after, options) {
+    const existing = listOverdrafts(before, options);
+    for (const [id, error] of listOverdrafts(after, options)) {
+        if (!existing.has(id)) return error;
+    }
+    return null;
+}
+
+module.exports = {
+    buildTransaction,
+    checkHoldings,
+    editTransaction,
+    findNewOverdraft
+};
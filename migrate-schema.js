@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Schema Migration - upgrade stored data to the current schema version
+ *
+ * Usage:
+ *   node migrate-schema.js                       # Migrate every portfolio
+ *   node migrate-schema.js --dry-run             # Only report what would change
+ *   node migrate-schema.js --portfolio fund      # Migrate one portfolio
+ *
+ * The server runs the same migrations at startup; this runs them ahead of
+ * a deploy, or shows what they would do. Uses the same storage driver as
+ * the server (STORAGE_DRIVER, or Upstash when .env.local provides
+ * KV_REST_API_URL and KV_REST_API_TOKEN).
+ */
+
+const path = require('path');
+const { createStorage } = require('./lib/storage');
+const { SCHEMA_VERSION, migrateInstance } = require('./lib/migrations');
+const { DEFAULT_PORTFOLIO_ID } = require('./lib/portfolios');
+const { loadEnv } = require('./lib/env');
+
+function parseArgs(argv) {
+    const options = { dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--portfolio') {
+            options.portfolio = argv[++i];
+        } else if (arg.startsWith('--portfolio=')) {
+            options.portfolio = arg.slice('--portfolio='.length);
+        } else {
+            console.log('Usage: node migrate-schema.js [--dry-run] [--portfolio <id>]');
+            process.exit(arg === '--help' || arg === '-h' ? 0 : 1);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    loadEnv();
+    const options = parseArgs(process.argv.slice(2));
+
+    const dirs = {
+        dataDir: path.join(__dirname, 'data'),
+        snapshotDir: path.join(__dirname, 'snapshot')
+    };
+    const storage = createStorage(dirs);
+    const books = new Map();
+    const storageForPortfolio = id => {
+        if (id === DEFAULT_PORTFOLIO_ID) return storage;
+        if (!books.has(id)) books.set(id, createStorage({ ...dirs, namespace: id }));
+        return books.get(id);
+    };
+
+    try {
+        console.log(`🧬 Migrating ${storage.name} storage to schema ${SCHEMA_VERSION}${options.dryRun ? ' (dry run)' : ''}...`);
+        const reports = await migrateInstance({
+            storage,
+            storageForPortfolio,
+            dryRun: options.dryRun,
+            portfolios: options.portfolio ? [options.portfolio] : undefined
+        });
+        if (options.portfolio && !reports[options.portfolio]) {
+            throw new Error(`Portfolio "${options.portfolio}" not found`);
+        }
+
+        for (const [id, { from, to, migrations }] of Object.entries(reports)) {
+            if (migrations.length === 0) {
+                console.log(`✅ ${id}: already at schema ${from}`);
+                continue;
+            }
+            console.log(`📁 ${id}: schema ${from} → ${options.dryRun ? SCHEMA_VERSION : to}`);
+            for (const migration of migrations) {
+                const verb = options.dryRun ? 'would change' : 'changed';
+                console.log(`   ${migration.version}. ${migration.name}: ${migration.description} (${verb} ${migration.changed})`);
+            }
+        }
+    } finally {
+        await Promise.all([storage, ...books.values()].map(book => book.close()));
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
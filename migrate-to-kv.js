@@ -1,99 +1,104 @@
 #!/usr/bin/env node
 /**
- * Migration Script: Upload local JSON data to Vercel KV
- * 
+ * Migration Script: Upload local data to another instance
+ *
+ * Builds a backup of the local data directory (every portfolio, with its
+ * transactions, settings and snapshots) and restores it on the target with
+ * POST /api/restore.
+ *
  * Usage:
  * 1. First deploy to Vercel and set up KV storage
- * 2. Run: node migrate-to-kv.js <your-vercel-url>
- * 
+ * 2. Run: node migrate-to-kv.js <your-vercel-url> [password] [--replace] [--dry-run]
+ *
  * Example:
  *   node migrate-to-kv.js https://profolio.vercel.app
+ *   node migrate-to-kv.js https://profolio.vercel.app --dry-run
+ *
+ * The backup is merged into the target's data unless --replace is given.
+ * --dry-run only reports what would change.
  */
 
-const fs = require('fs');
 const path = require('path');
+const { createStorage } = require('./lib/storage');
+const { DEFAULT_PORTFOLIO_ID } = require('./lib/portfolios');
+const { createBackup } = require('./lib/backup');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const SNAPSHOT_DIR = path.join(__dirname, 'snapshot');
-const BACKUP_DIR = path.join(__dirname, 'backup');
 
 async function migrate() {
-    const vercelUrl = process.argv[2];
-    const authPassword = process.argv[3] || '19900830';
-    
+    const args = process.argv.slice(2);
+    const flags = args.filter(arg => arg.startsWith('--'));
+    const [vercelUrl, authPassword = '19900830'] = args.filter(arg => !arg.startsWith('--'));
+    const mode = flags.includes('--replace') ? 'replace' : 'merge';
+    const dryRun = flags.includes('--dry-run');
+
     if (!vercelUrl) {
-        console.log('Usage: node migrate-to-kv.js <vercel-url> [password]');
+        console.log('Usage: node migrate-to-kv.js <vercel-url> [password] [--replace] [--dry-run]');
         console.log('Example: node migrate-to-kv.js https://profolio.vercel.app');
         process.exit(1);
     }
-    
-    console.log('🚀 Starting migration to Vercel KV...');
+
+    console.log(`🚀 Starting migration (${mode}${dryRun ? ', dry run' : ''})...`);
     console.log(`📍 Target: ${vercelUrl}`);
     console.log('');
-    
-    // Load local data
-    const portfolio = loadJson(path.join(DATA_DIR, 'portfolio.json'), []);
-    const transactions = loadJson(path.join(DATA_DIR, 'transactions.json'), []);
-    const projects = loadJson(path.join(DATA_DIR, 'projects.json'), { projects: [], customTags: [] });
-    
-    // Load snapshots
-    const snapshots = [];
-    if (fs.existsSync(SNAPSHOT_DIR)) {
-        const files = fs.readdirSync(SNAPSHOT_DIR).filter(f => f.endsWith('.json'));
-        console.log(`📸 Found ${files.length} snapshot files`);
-        
-        for (const file of files) {
-            if (file.startsWith('snapshot-') && !file.startsWith('snapshots-')) {
-                const snapshot = loadJson(path.join(SNAPSHOT_DIR, file));
-                if (snapshot) {
-                    snapshots.push(snapshot);
-                }
-            }
-        }
-    }
-    
+
+    // Back up the local data. Positions are included so data from before the
+    // transaction ledger is adopted as opening balances.
+    const options = { driver: 'filesystem', dataDir: DATA_DIR, snapshotDir: SNAPSHOT_DIR };
+    const storage = createStorage(options);
+    const books = new Map();
+    const storageForPortfolio = id => {
+        if (id === DEFAULT_PORTFOLIO_ID) return storage;
+        if (!books.has(id)) books.set(id, createStorage({ ...options, namespace: id }));
+        return books.get(id);
+    };
+    const backup = await createBackup({ storage, storageForPortfolio, positions: true });
+
     console.log(`📊 Data to migrate:`);
-    console.log(`   - Portfolio: ${portfolio.length} assets`);
-    console.log(`   - Transactions: ${transactions.length} records`);
-    console.log(`   - Projects: ${projects.projects?.length || 0} projects`);
-    console.log(`   - Snapshots: ${snapshots.length} snapshots`);
+    for (const [id, { documents, snapshots }] of Object.entries(backup.portfolios)) {
+        console.log(`   - ${id}: ${(documents.transactions || []).length} transactions, ` +
+            `${(documents.portfolio || []).length} positions, ` +
+            `${((documents.projects || {}).projects || []).length} projects, ` +
+            `${snapshots.length} snapshots`);
+    }
     console.log('');
-    
+
     // Generate auth token
     const authToken = Buffer.from(authPassword).toString('base64');
-    
-    // Send to Vercel
-    console.log('📤 Uploading to Vercel KV...');
-    
+
+    console.log('📤 Uploading backup...');
+
     try {
-        const response = await fetch(`${vercelUrl}/api/migrate`, {
+        const response = await fetch(`${vercelUrl}/api/restore`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'X-Auth-Token': authToken
             },
-            body: JSON.stringify({
-                portfolio,
-                transactions,
-                projects,
-                snapshots
-            })
+            body: JSON.stringify({ backup, mode, dryRun })
         });
-        
+
         if (!response.ok) {
             const error = await response.text();
             throw new Error(`HTTP ${response.status}: ${error}`);
         }
-        
+
         const result = await response.json();
-        
+        const { summary } = result;
+
         console.log('');
-        console.log('✅ Migration successful!');
-        console.log('📦 Migrated:', result.migrated.join(', '));
+        console.log(dryRun ? '🔍 Dry run, nothing was written' : '✅ Migration successful!');
+        console.log(`📦 ${summary.added} added, ${summary.changed} changed, ${summary.removed} removed, ${summary.unchanged} unchanged`);
+        for (const [id, { action, ...diff }] of Object.entries(result.portfolios)) {
+            const changes = Object.entries(diff)
+                .filter(([, counts]) => counts.added + counts.changed + counts.removed > 0)
+                .map(([document, counts]) => `${document} +${counts.added} ~${counts.changed} -${counts.removed}`);
+            console.log(`   - ${id} (${action}): ${changes.join(', ') || 'no changes'}`);
+        }
         console.log('');
-        console.log('🎉 Your data is now stored in Vercel KV!');
-        console.log(`🔗 Visit ${vercelUrl} to verify`);
-        
+        if (!dryRun) console.log(`🔗 Visit ${vercelUrl} to verify`);
+
     } catch (error) {
         console.error('');
         console.error('❌ Migration failed:', error.message);
@@ -103,19 +108,9 @@ async function migrate() {
         console.error('2. Make sure Vercel KV is configured');
         console.error('3. Check the password is correct');
         process.exit(1);
+    } finally {
+        await Promise.all([storage, ...books.values()].map(book => book.close()));
     }
 }
 
-function loadJson(filePath, defaultValue = null) {
-    try {
-        if (fs.existsSync(filePath)) {
-            const data = fs.readFileSync(filePath, 'utf8');
-            return JSON.parse(data);
-        }
-    } catch (error) {
-        console.error(`Warning: Failed to load ${filePath}:`, error.message);
-    }
-    return defaultValue;
-}
-
 migrate();
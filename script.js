@@ -10,7 +10,7 @@
         window.history.replaceState({}, document.title, window.location.pathname);
     }
     
-    // Override fetch to include auth token in all requests
+    // Override fetch to include the auth token and the selected portfolio in all requests
     const originalFetch = window.fetch;
     window.fetch = function(url, options = {}) {
         const token = localStorage.getItem('profolio_auth');
@@ -18,6 +18,11 @@
             options.headers = options.headers || {};
             options.headers['X-Auth-Token'] = token;
         }
+        const portfolioId = localStorage.getItem('profolio_portfolio');
+        if (portfolioId) {
+            options.headers = options.headers || {};
+            options.headers['X-Portfolio-Id'] = portfolioId;
+        }
         return originalFetch(url, options);
     };
     
@@ -56,6 +61,87 @@
     });
 })();
 
+// Portfolio switcher - the selected portfolio is kept in localStorage and
+// sent with every request. "All portfolios" is read-only, so elements marked
+// .requires-portfolio are hidden while it is selected.
+(function initPortfolioSwitcher() {
+    const portfolioId = localStorage.getItem('profolio_portfolio') || 'default';
+    document.documentElement.setAttribute('data-portfolio', portfolioId === 'all' ? 'all' : 'single');
+
+    document.addEventListener('DOMContentLoaded', async function() {
+        const select = document.getElementById('portfolioSwitcher');
+        if (!select) return;
+
+        try {
+            const response = await fetch('/api/portfolios');
+            if (!response.ok) return;
+            const portfolios = await response.json();
+            if (portfolioId !== 'all' && !portfolios.some(portfolio => portfolio.id === portfolioId)) {
+                // The selected portfolio was deleted
+                localStorage.removeItem('profolio_portfolio');
+                window.location.reload();
+                return;
+            }
+            const option = (value, label) => {
+                const element = document.createElement('option');
+                element.value = value;
+                element.textContent = label;
+                return element;
+            };
+            select.replaceChildren(
+                ...portfolios.map(portfolio => option(portfolio.id, portfolio.name)),
+                option('all', 'All portfolios'),
+                option('__new', '+ New portfolio…')
+            );
+            select.value = portfolioId;
+        } catch (error) {
+            console.error('Error loading portfolios:', error);
+        }
+
+        select.addEventListener('change', async function() {
+            let selected = select.value;
+            if (selected === '__new') {
+                const name = prompt('Name of the new portfolio:');
+                if (!name || !name.trim()) {
+                    select.value = portfolioId;
+                    return;
+                }
+                const response = await fetch('/api/portfolios', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name: name.trim() })
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    alert(result.error || 'Failed to create portfolio');
+                    select.value = portfolioId;
+                    return;
+                }
+                selected = result.portfolio.id;
+            }
+            localStorage.setItem('profolio_portfolio', selected);
+            window.location.reload();
+        });
+    });
+})();
+
+// Ledger transaction types (see lib/ledger.js) and how they are labelled
+const TRANSACTION_TYPE_LABELS = {
+    buy: 'Buy',
+    sell: 'Sell',
+    deposit: 'Deposit',
+    withdrawal: 'Withdrawal',
+    transfer: 'Transfer',
+    staking_reward: 'Staking reward',
+    airdrop: 'Airdrop',
+    fee: 'Fee',
+    swap: 'Swap',
+    adjustment: 'Adjustment'
+};
+
+// Transactions fetched per page of the transactions dialog
+const TRANSACTIONS_PAGE_SIZE = 50;
+
 class CryptoPortfolio {
     constructor() {
         this.portfolio = [];
@@ -67,6 +153,18 @@ class CryptoPortfolio {
         this.sortColumn = null;
         this.sortOrder = 'asc';
         this.useSnapshotData = true; // Default to using snapshot data
+        this.ledgerVersion = null; // ETag of the transaction ledger the portfolio is derived from
+        this.transactions = []; // Transactions loaded into the transactions dialog so far
+        this.transactionsPage = null; // { nextCursor, total, loading } of the dialog's list
+        this.transactionsRequest = 0; // Bumped on every reload so stale pages are dropped
+        this.transactionsObserver = null; // Loads the next page when the end of the list shows
+        this.settingsVersion = null; // ETag of the portfolio settings (cost basis method)
+        this.accountsVersion = null; // ETag of the account registry
+        this.assets = {}; // Asset registry by symbol (CoinGecko id and display name)
+        this.accounts = []; // Account registry (exchanges, wallets, custodians)
+        this.accountFilter = '*'; // Account shown in the table and pie chart, '*' for all
+        this.baseCurrency = 'USD'; // Currency values are shown in (portfolio setting)
+        this.fxRates = { USD: 1 }; // Units of each currency per USD
         
         // Use setTimeout to ensure DOM is ready
         setTimeout(() => {
@@ -84,8 +182,12 @@ class CryptoPortfolio {
         await this.loadPortfolio();
         console.log('Portfolio loaded, length:', this.portfolio.length);
         
-        // Load latest totalCost from snapshot
-        await this.loadLatestTotalCost();
+        await this.loadAssets();
+        await this.loadAccounts();
+        await this.loadCurrency();
+        
+        // Load the cash-flow ledger behind the total cost
+        await this.loadCashFlows();
         
         this.loadPortfolioHistory();
         await this.loadPortfolioSnapshots();
@@ -121,7 +223,7 @@ class CryptoPortfolio {
             setTimeout(async () => {
                 const shouldCreateSnapshot = await this.shouldCreateAutoSnapshot();
                 if (shouldCreateSnapshot) {
-                    this.createSnapshot('Page Refresh');
+                    this.createSnapshot('Page Refresh', 'auto');
                 } else {
                     console.log('Skipping automatic snapshot - last snapshot was less than 1 hour ago');
                 }
@@ -167,7 +269,24 @@ class CryptoPortfolio {
             this.clearPortfolio();
         });
 
-        // Set total cost button
+        // Record a deposit or withdrawal
+        document.getElementById('cashFlowForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const date = document.getElementById('cashFlowDate').value;
+            const saved = await this.saveCashFlow('/api/cash-flows', 'POST', {
+                type: document.getElementById('cashFlowType').value,
+                amount: parseFloat(document.getElementById('cashFlowAmount').value),
+                timestamp: date ? new Date(`${date}T12:00:00`).toISOString() : undefined,
+                description: document.getElementById('cashFlowDescription').value.trim()
+            });
+            if (saved) e.target.reset();
+        });
+
+        document.getElementById('viewCashFlows').addEventListener('click', () => {
+            this.showCashFlowsModal();
+        });
+
+        // Set total cost button (recorded as a manual adjustment)
         document.getElementById('setTotalCost').addEventListener('click', async () => {
             const newTotalCost = parseFloat(document.getElementById('newTotalCost').value);
             if (isNaN(newTotalCost)) {
@@ -178,7 +297,7 @@ class CryptoPortfolio {
             document.getElementById('newTotalCost').value = ''; // Clear the input
         });
 
-        // Reset total cost button
+        // Reset total cost button (cancels the manual adjustments)
         document.getElementById('resetTotalCost').addEventListener('click', async () => {
             await this.resetTotalCost();
         });
@@ -193,6 +312,11 @@ class CryptoPortfolio {
             this.importData(e);
         });
 
+        // Import an exchange CSV export
+        document.getElementById('importCsv').addEventListener('change', (e) => {
+            this.importCsv(e);
+        });
+
         // Snapshot buttons
         document.getElementById('createSnapshot').addEventListener('click', async () => {
             await this.createSnapshot();
@@ -210,6 +334,22 @@ class CryptoPortfolio {
             this.showTransactionsModal();
         });
 
+        document.getElementById('baseCurrency').addEventListener('change', (e) => {
+            this.setBaseCurrency(e.target.value);
+        });
+
+        document.getElementById('viewPnlReport').addEventListener('click', () => {
+            this.showPnlReportModal();
+        });
+
+        document.getElementById('accountFilter').addEventListener('change', (e) => {
+            this.setAccountFilter(e.target.value);
+        });
+
+        document.getElementById('manageAccounts').addEventListener('click', () => {
+            this.showAccountsModal();
+        });
+
         document.getElementById('loadLatestSnapshot').addEventListener('click', async () => {
             const loaded = await this.loadLatestSnapshot();
             if (loaded) {
@@ -242,147 +382,19 @@ class CryptoPortfolio {
         if (symbols.length === 0) return;
 
         try {
-            // Convert symbol to CoinGecko ID mapping
-            const symbolToId = {
-                'BTC': 'bitcoin',
-                'ETH': 'ethereum',
-                'ADA': 'cardano',
-                'DOT': 'polkadot',
-                'LINK': 'chainlink',
-                'LTC': 'litecoin',
-                'BCH': 'bitcoin-cash',
-                'XRP': 'ripple',
-                'DOGE': 'dogecoin',
-                'SHIB': 'shiba-inu',
-                'MATIC': 'matic-network',
-                'AVAX': 'avalanche-2',
-                'SOL': 'solana',
-                'ATOM': 'cosmos',
-                'ALGO': 'algorand',
-                'ASTER': 'aster-2',
-                'VET': 'vechain',
-                'FIL': 'filecoin',
-                'TRX': 'tron',
-                'EOS': 'eos',
-                'XLM': 'stellar',
-                'HUMA': 'huma-finance',
-                'S': 'sonic-3',
-                'ENA': 'ethena',
-                'HYPE': 'hyperliquid',
-                'USDC': 'usd-coin',
-                'USDT': 'tether',
-                'BNB': 'binancecoin',
-                'ARB': 'arbitrum',
-                'OP': 'optimism',
-                'UNI': 'uniswap',
-                'AAVE': 'aave',
-                'COMP': 'compound-governance-token',
-                'MKR': 'maker',
-                'CRV': 'curve-dao-token',
-                'SUSHI': 'sushi',
-                '1INCH': '1inch',
-                'YFI': 'yearn-finance',
-                'SNX': 'havven',
-                'BAL': 'balancer',
-                'LDO': 'lido-dao',
-                'RPL': 'rocket-pool',
-                'FXS': 'frax-share',
-                'FRAX': 'frax',
-                'LQTY': 'liquity',
-                'CVX': 'convex-finance',
-                'CRV': 'curve-dao-token',
-                'PENDLE': 'pendle',
-                'GMX': 'gmx',
-                'MAGIC': 'magic',
-                'RDNT': 'radiant-capital',
-                'GRAIL': 'camelot-token',
-                'JONES': 'jones-dao',
-                'DPX': 'dopex',
-                'PLS': 'plutusdao',
-                'UMAMI': 'umami-finance',
-                'Y2K': 'y2k',
-                'GMD': 'gmd-protocol',
-                'DOPEX': 'dopex',
-                'RND': 'random',
-                'VSTA': 'vesta-finance',
-                'HOP': 'hop-protocol',
-                'VELO': 'velodrome-finance',
-                'BEETS': 'beethoven-x',
-                'SPIRIT': 'spiritswap',
-                'BOO': 'spookyswap',
-                'TOMB': 'tomb',
-                'SPELL': 'spell-token',
-                'MIM': 'magic-internet-money',
-                'FTM': 'fantom',
-                'NEAR': 'near',
-                'FTT': 'ftx-token',
-                'LUNA': 'terra-luna',
-                'UST': 'terrausd',
-                'LUNC': 'terra-luna-classic',
-                'USTC': 'terrausd-classic',
-                'APT': 'aptos',
-                'SUI': 'sui',
-                'SEI': 'sei-network',
-                'TIA': 'celestia',
-                'INJ': 'injective-protocol',
-                'OSMO': 'osmosis',
-                'JUNO': 'juno-network',
-                'SCRT': 'secret',
-                'AKT': 'akash-network',
-                'REGEN': 'regen',
-                'IOV': 'starname',
-                'NGM': 'e-money',
-                'BAND': 'band-protocol',
-                'KAVA': 'kava',
-                'HARD': 'hard-protocol',
-                'SWP': 'kava-swap',
-                'XPRT': 'persistence',
-                'PSTAKE': 'pstake-finance',
-                'STKATOM': 'stkatom',
-                'STKOSMO': 'stkosmo',
-                'STKJUNO': 'stkjuno',
-                'STKSCRT': 'stksecret',
-                'STKREGEN': 'stkregen',
-                'STKIOV': 'stkiov',
-                'STKNGM': 'stkngm',
-                'STKBAND': 'stkband',
-                'STKKAVA': 'stkkava',
-                'STKHARD': 'stkhard',
-                'STKSWP': 'stkswp',
-                'STKXPRT': 'stkxprt',
-                'STKPSTAKE': 'stkpstake',
-                'FORM': 'four',
-                'SYRUP': 'syrup',
-                'FF': 'falcon-finance-ff'
-            };
-
-            // Get the CoinGecko IDs for the symbols in our portfolio
-            const coinIds = symbols.map(symbol => symbolToId[symbol]).filter(id => id);
-            
-            if (coinIds.length === 0) {
-                console.log('No valid coin IDs found for symbols:', symbols);
-                return;
-            }
-
-            console.log('Fetching prices for:', coinIds);
-            const response = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${coinIds.join(',')}&vs_currencies=usd&include_24hr_change=true`);
+            // Prices come from the server, which batches and caches provider requests
+            console.log('Fetching prices for:', symbols);
+            const response = await fetch(`/api/prices?symbols=${encodeURIComponent(symbols.join(','))}`);
+            const data = await response.json();
             
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
             }
-            
-            const data = await response.json();
-            console.log('API Response:', data);
-
-            this.cryptoData = {};
-            for (const [symbol, id] of Object.entries(symbolToId)) {
-                if (data[id] && symbols.includes(symbol)) {
-                    this.cryptoData[symbol] = {
-                        price: data[id].usd,
-                        change24h: data[id].usd_24h_change || 0
-                    };
-                    console.log(`Loaded price for ${symbol}: $${data[id].usd}`);
-                }
+            console.log('Price response:', data);
+
+            this.cryptoData = data.prices || {};
+            if (data.missing && data.missing.length > 0) {
+                console.log('No price available for:', data.missing);
             }
 
             console.log('Final crypto data:', this.cryptoData);
@@ -391,6 +403,11 @@ class CryptoPortfolio {
             this.sortPortfolio('currentValue', 'desc');
             this.updateTotalValue();
             this.updateCharts();
+            
+            if (data.stale) {
+                const staleSymbols = Object.keys(this.cryptoData).filter(symbol => this.cryptoData[symbol].stale);
+                this.showMessage(`Price providers are unavailable, showing last known prices for ${staleSymbols.join(', ')}.`, 'warning');
+            }
         } catch (error) {
             console.error('Error loading crypto prices:', error);
             this.showMessage(`Error loading cryptocurrency prices: ${error.message}. Please try again.`, 'error');
@@ -403,58 +420,36 @@ class CryptoPortfolio {
         const amount = parseFloat(document.getElementById('coinAmount').value);
         const purchasePrice = parseFloat(document.getElementById('purchasePrice').value);
         const note = document.getElementById('note').value.trim();
+        const account = document.getElementById('coinAccount').value;
 
-        console.log('Form values:', { symbol, amount, purchasePrice, note });
+        console.log('Form values:', { symbol, amount, purchasePrice, account, note });
 
         if (!symbol || !amount || purchasePrice === undefined || purchasePrice === null || purchasePrice === '') {
             this.showMessage('Please fill in all required fields.', 'error');
             return;
         }
 
-        if (amount === 0 || purchasePrice < 0) {
-            this.showMessage('Amount cannot be zero and purchase price cannot be negative.', 'error');
+        if (amount <= 0 || purchasePrice < 0) {
+            this.showMessage('Amount must be positive and purchase price cannot be negative.', 'error');
             return;
         }
 
-        // Create unique identifier based on symbol and note
-        const uniqueId = `${symbol}_${note || 'default'}`;
-        
-        // Check if coin with same symbol and note already exists
-        const existingCoin = this.portfolio.find(coin => 
-            coin.symbol === symbol && coin.note === (note || '')
-        );
-        
-        if (existingCoin) {
-            // Update existing coin with same symbol and note
-            existingCoin.amount += amount;
-            existingCoin.totalCost += amount * purchasePrice;
-            existingCoin.averagePrice = existingCoin.totalCost / existingCoin.amount;
-            // Update purchasePrice to reflect the average purchase price
-            existingCoin.purchasePrice = existingCoin.averagePrice;
-        } else {
-            // Add new coin entry (even if symbol exists with different note)
-            this.portfolio.push({
-                id: uniqueId,
-                symbol: symbol,
-                amount: amount,
-                purchasePrice: purchasePrice,
-                totalCost: amount * purchasePrice,
-                averagePrice: purchasePrice,
-                note: note || ''
-            });
-        }
+        // Make sure the registry knows which coin the symbol is priced from
+        const assetReady = await this.ensureAsset(symbol);
+        if (!assetReady) return;
 
-        // Record transaction
-        await this.saveTransaction({
+        // Record the buy; the server replays the ledger and returns the new positions
+        const recorded = await this.saveTransaction({
             symbol: symbol,
             amount: amount,
             purchasePrice: purchasePrice,
             totalCost: amount * purchasePrice,
+            account: account,
             note: note || '',
             type: 'buy'
         });
+        if (!recorded) return;
 
-        await this.savePortfolio();
         this.renderPortfolio();
         // Apply default sort to current value (descending) after adding coin
         this.sortPortfolio('currentValue', 'desc');
@@ -467,41 +462,165 @@ class CryptoPortfolio {
         this.loadCryptoPrices();
     }
 
-    async removeCoin(symbol, note = '') {
+    async removeCoin(positionId) {
         // Find the coin being removed to record transaction
-        const coinToRemove = this.portfolio.find(coin => 
-            coin.symbol === symbol && coin.note === note
-        );
+        const coinToRemove = this.portfolio.find(coin => coin.id === positionId);
         
-        // Record sell transaction if coin exists
-        if (coinToRemove) {
-            const currentPrice = this.cryptoData[symbol]?.price || coinToRemove.averagePrice;
-            await this.saveTransaction({
-                symbol: symbol,
-                amount: coinToRemove.amount,
-                purchasePrice: currentPrice,
-                totalCost: coinToRemove.amount * currentPrice,
-                note: note || '',
-                type: 'sell'
-            });
-        }
+        if (!coinToRemove) return;
+        
+        // Record a sell of the whole position at the current price
+        const { symbol, account } = coinToRemove;
+        const currentPrice = this.cryptoData[symbol]?.price || coinToRemove.averagePrice;
+        const recorded = await this.saveTransaction({
+            symbol: symbol,
+            amount: coinToRemove.amount,
+            purchasePrice: currentPrice,
+            totalCost: coinToRemove.amount * currentPrice,
+            account: account || '',
+            type: 'sell'
+        });
+        if (!recorded) return;
         
-        this.portfolio = this.portfolio.filter(coin => 
-            !(coin.symbol === symbol && coin.note === note)
-        );
-        await this.savePortfolio();
         this.renderPortfolio();
         // Apply default sort to current value (descending) after removing coin
         this.sortPortfolio('currentValue', 'desc');
         this.updateTotalValue();
         this.updateCharts();
-        this.showMessage(`${symbol}${note ? ` (${note})` : ''} removed from portfolio.`, 'success');
+        this.showMessage(`${symbol}${account ? ` (${this.accountName(account)})` : ''} removed from portfolio.`, 'success');
+    }
+
+    // Ask for the amount, price and date of a sell from the position `positionId`
+    showSellModal(positionId) {
+        const coin = this.portfolio.find(position => position.id === positionId);
+        if (!coin) return;
+
+        let modal = document.getElementById('sellModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'sellModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+
+        const currentPrice = this.cryptoData[coin.symbol]?.price || coin.averagePrice;
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2><i class="fas fa-hand-holding-usd"></i> Sell ${coin.symbol}${coin.account ? ` (${this.accountName(coin.account)})` : ''}</h2>
+                    <span class="close" data-action="cancel">&times;</span>
+                </div>
+                <div class="modal-body">
+                    <form id="sellForm" class="sell-form">
+                        <div class="form-group">
+                            <label for="sellAmount">Amount (holding ${this.formatAmount(coin.amount)})</label>
+                            <div class="sell-amount-row">
+                                <input type="number" id="sellAmount" step="any" min="0" max="${coin.amount}" required>
+                                <button type="button" class="btn btn-secondary btn-sm" data-action="max">Max</button>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="sellPrice">Price per coin (USD)</label>
+                            <input type="number" id="sellPrice" step="any" min="0" value="${currentPrice}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="sellDate">Date (optional, defaults to now)</label>
+                            <input type="datetime-local" id="sellDate">
+                        </div>
+                        <p class="transactions-hint" id="sellProceeds"></p>
+                        <button type="submit" class="btn btn-primary">
+                            <i class="fas fa-check"></i> Record Sell
+                        </button>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const amountInput = modal.querySelector('#sellAmount');
+        const priceInput = modal.querySelector('#sellPrice');
+        const updateProceeds = () => {
+            const proceeds = (parseFloat(amountInput.value) || 0) * (parseFloat(priceInput.value) || 0);
+            modal.querySelector('#sellProceeds').textContent = `Proceeds: ${this.formatPrice(proceeds)}`;
+        };
+        amountInput.addEventListener('input', updateProceeds);
+        priceInput.addEventListener('input', updateProceeds);
+        updateProceeds();
+
+        modal.onclick = (event) => {
+            const action = event.target.closest('[data-action]')?.dataset.action;
+            if (action === 'max') {
+                amountInput.value = coin.amount;
+                updateProceeds();
+            } else if (action === 'cancel' || event.target === modal) {
+                modal.style.display = 'none';
+            }
+        };
+        modal.querySelector('#sellForm').onsubmit = async (event) => {
+            event.preventDefault();
+            const date = modal.querySelector('#sellDate').value;
+            const sold = await this.sellPosition(coin, {
+                amount: parseFloat(amountInput.value),
+                price: parseFloat(priceInput.value),
+                timestamp: date ? new Date(date).toISOString() : undefined
+            });
+            if (sold) modal.style.display = 'none';
+        };
+        modal.style.display = 'block';
+        amountInput.focus();
+    }
+
+    // Record a sell of part of `coin`; the server consumes its lots and
+    // returns the realized gain. Resolves to whether the sell was recorded.
+    async sellPosition(coin, { amount, price, timestamp }) {
+        if (!(amount > 0) || !(price >= 0)) {
+            this.showMessage('Enter a positive amount and a price of zero or more.', 'error');
+            return false;
+        }
+
+        try {
+            // A rejected If-Match means nothing was written, so retrying is safe
+            for (let attempt = 1; attempt <= 3; attempt++) {
+                const headers = { 'Content-Type': 'application/json' };
+                if (this.ledgerVersion) {
+                    headers['If-Match'] = this.ledgerVersion;
+                }
+                const response = await fetch(`/api/positions/${encodeURIComponent(coin.id)}/sell`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({ amount, price, timestamp })
+                });
+                const data = await response.json();
+
+                if (response.status === 409) {
+                    this.ledgerVersion = data.version;
+                    continue;
+                }
+                if (!response.ok) {
+                    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+                }
+
+                this.ledgerVersion = response.headers.get('ETag');
+                this.portfolio = data.portfolio || this.portfolio;
+                this.renderPortfolio();
+                this.sortPortfolio('currentValue', 'desc');
+                this.updateTotalValue();
+                this.updateCharts();
+
+                const realized = data.transaction.realizedPnl || 0;
+                this.showMessage(`Sold ${this.formatAmount(amount)} ${coin.symbol}. Realized ${realized >= 0 ? 'gain' : 'loss'}: ${this.formatPrice(Math.abs(realized))}.`, 'success');
+                return true;
+            }
+            throw new Error('Transactions kept changing during save');
+        } catch (error) {
+            console.error('Error selling position:', error);
+            this.showMessage(`Error recording sell: ${error.message}`, 'error');
+            return false;
+        }
     }
 
     async clearPortfolio() {
         if (confirm('Are you sure you want to clear your entire portfolio? This action cannot be undone.')) {
             this.portfolio = [];
-            await this.savePortfolio();
+            await this.savePortfolio(() => []);
             this.renderPortfolio();
             // Apply default sort to current value (descending) after clearing portfolio
             this.sortPortfolio('currentValue', 'desc');
@@ -589,30 +708,33 @@ class CryptoPortfolio {
         console.log('Portfolio length:', this.portfolio.length);
         
         const tbody = document.getElementById('portfolioBody');
+        this.renderAccountSubtotals();
+        const positions = this.visiblePositions();
         
-        if (this.portfolio.length === 0) {
+        if (positions.length === 0) {
             console.log('Portfolio is empty, showing empty message');
+            const filtered = this.portfolio.length > 0;
             tbody.innerHTML = `
                 <tr>
                     <td colspan="9" class="empty-portfolio">
                         <i class="fas fa-coins"></i>
-                        <h3>No coins in portfolio</h3>
-                        <p>Add your first cryptocurrency to get started!</p>
+                        <h3>${filtered ? `No coins in ${this.accountName(this.accountFilter)}` : 'No coins in portfolio'}</h3>
+                        <p>${filtered ? 'Pick another account or show all accounts.' : 'Add your first cryptocurrency to get started!'}</p>
                     </td>
                 </tr>
             `;
             return;
         }
         
-        console.log('Rendering portfolio with', this.portfolio.length, 'coins');
+        console.log('Rendering portfolio with', positions.length, 'coins');
 
-        // Calculate total portfolio value for percentage calculations
-        const totalPortfolioValue = this.portfolio.reduce((total, coin) => {
+        // Calculate total value of the shown positions for percentage calculations
+        const totalPortfolioValue = positions.reduce((total, coin) => {
             const currentPrice = this.cryptoData[coin.symbol]?.price || 0;
             return total + (coin.amount * currentPrice);
         }, 0);
 
-        tbody.innerHTML = this.portfolio.map(coin => {
+        tbody.innerHTML = positions.map(coin => {
             const currentPrice = this.cryptoData[coin.symbol]?.price || 0;
             const currentValue = coin.amount * currentPrice;
             const pnl = currentValue - coin.totalCost;
@@ -632,7 +754,7 @@ class CryptoPortfolio {
                     </td>
                     <td data-label="Amount">${this.formatAmount(coin.amount)}</td>
                     <td data-label="Price">
-                        <div class="price-value">${this.formatPrice(currentPrice)}</div>
+                        <div class="price-value${this.cryptoData[coin.symbol]?.stale ? ' price-stale' : ''}" title="${this.describePriceSource(this.cryptoData[coin.symbol])}">${this.formatPrice(currentPrice)}</div>
                         <div class="price-change ${change24h >= 0 ? 'positive' : 'negative'}">
                             ${change24h >= 0 ? '+' : ''}${change24h.toFixed(2)}%
                         </div>
@@ -646,7 +768,7 @@ class CryptoPortfolio {
                     </td>
                     <td data-label="P&L">
                         <div class="pnl ${pnl >= 0 ? 'positive' : 'negative'}">
-                            ${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)}
+                            ${this.formatPnl(pnl)}
                         </div>
                     </td>
                     <td data-label="P&L %">
@@ -654,25 +776,28 @@ class CryptoPortfolio {
                             ${pnlPercent === 'N/A' ? 'N/A' : (pnlPercent >= 0 ? '+' : '') + pnlPercent.toFixed(2) + '%'}
                         </div>
                     </td>
-                    <td data-label="Note" class="note-cell">
-                        <span class="note-text" title="${coin.note || ''}">${coin.note || '-'}</span>
+                    <td data-label="Account" class="note-cell">
+                        <span class="note-text" title="${this.accountName(coin.account)}">${coin.account ? this.accountName(coin.account) : '-'}</span>
                     </td>
-                    <td data-label="">
-                        <button class="btn btn-danger btn-sm" onclick="portfolio.removeCoin('${coin.symbol}', '${coin.note || ''}')">
+                    <td data-label="" class="row-actions">
+                        <button class="btn btn-secondary btn-sm requires-portfolio" onclick="portfolio.showSellModal('${coin.id}')" title="Sell part of this position">
+                            <i class="fas fa-hand-holding-usd"></i>
+                        </button>
+                        <button class="btn btn-danger btn-sm requires-portfolio" onclick="portfolio.removeCoin('${coin.id}')" title="Sell the whole position">
                             <i class="fas fa-trash"></i>
                         </button>
                     </td>
                 </tr>
             `;
-        }).join('') + this.renderSummaryRow(totalPortfolioValue);
+        }).join('') + this.renderSummaryRow(totalPortfolioValue, positions);
     }
 
-    renderSummaryRow(totalPortfolioValue) {
+    renderSummaryRow(totalPortfolioValue, positions = this.portfolio) {
         let totalCost = 0;
         let totalPnl = 0;
         let totalPnlPercent = 0;
 
-        this.portfolio.forEach(coin => {
+        positions.forEach(coin => {
             totalCost += coin.totalCost;
         });
 
@@ -681,7 +806,7 @@ class CryptoPortfolio {
 
         return `
             <tr class="summary-row">
-                <td data-label=""><strong>Total</strong></td>
+                <td data-label=""><strong>${this.accountFilter === '*' ? 'Total' : `Total (${this.accountName(this.accountFilter)})`}</strong></td>
                 <td data-label="Amount">-</td>
                 <td data-label="Price">-</td>
                 <td data-label="Avg Cost">-</td>
@@ -689,7 +814,7 @@ class CryptoPortfolio {
                 <td data-label="Weight"><strong>100.00%</strong></td>
                 <td data-label="P&L">
                     <div class="pnl ${totalPnl >= 0 ? 'positive' : 'negative'}">
-                        <strong>${totalPnl >= 0 ? '+' : ''}$${totalPnl.toFixed(2)}</strong>
+                        <strong>${this.formatPnl(totalPnl)}</strong>
                     </div>
                 </td>
                 <td data-label="P&L %">
@@ -697,7 +822,7 @@ class CryptoPortfolio {
                         <strong>${totalPnlPercent === 'N/A' ? 'N/A' : (totalPnlPercent >= 0 ? '+' : '') + totalPnlPercent.toFixed(2) + '%'}</strong>
                     </div>
                 </td>
-                <td data-label="Note">-</td>
+                <td data-label="Account">-</td>
                 <td data-label="">-</td>
             </tr>
         `;
@@ -878,12 +1003,12 @@ class CryptoPortfolio {
                             size: 12
                         },
                         callbacks: {
-                            label: function(context) {
+                            label: (context) => {
                                 const label = context.label || '';
                                 const value = context.parsed;
                                 const total = context.dataset.data.reduce((a, b) => a + b, 0);
                                 const percentage = ((value / total) * 100).toFixed(1);
-                                return ` ${label}: $${value.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})} (${percentage}%)`;
+                                return ` ${label}: ${this.currencySymbol()}${this.toBaseCurrency(value).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})} (${percentage}%)`;
                             }
                         }
                     }
@@ -979,7 +1104,8 @@ class CryptoPortfolio {
             return;
         }
 
-        if (this.portfolio.length === 0) {
+        const positions = this.visiblePositions();
+        if (positions.length === 0) {
             this.charts.pie.data.labels = [];
             this.charts.pie.data.datasets[0].data = [];
             this.updateTopHoldings([]);
@@ -987,7 +1113,7 @@ class CryptoPortfolio {
             // Group portfolio entries by symbol and sum their values
             const symbolGroups = {};
             
-            this.portfolio.forEach(coin => {
+            positions.forEach(coin => {
                 const currentPrice = this.cryptoData[coin.symbol]?.price || 0;
                 const currentValue = coin.amount * currentPrice;
                 
@@ -1234,26 +1360,117 @@ class CryptoPortfolio {
         console.log('History chart updated with snapshot data');
     }
 
-    formatPrice(price) {
-        if (price === 0) return '$0.00';
+    // Base currency setting plus the current FX rates; values stay in USD
+    // until they are shown
+    async loadCurrency() {
+        const [settings, fx] = await Promise.all([
+            this.loadSettings(),
+            fetch('/api/fx').then(response => response.ok ? response.json() : null).catch(() => null)
+        ]);
+        if (settings) this.baseCurrency = settings.baseCurrency || 'USD';
+        if (fx) this.fxRates = fx.rates;
+
+        const select = document.getElementById('baseCurrency');
+        if (select && fx) {
+            select.innerHTML = fx.currencies.map(currency => `<option value="${currency}">${currency}</option>`).join('');
+        }
+        if (select) select.value = this.baseCurrency;
+
+        if (this.displayCurrency() !== this.baseCurrency) {
+            this.showMessage(`No exchange rate for ${this.baseCurrency}${fx && fx.error ? ` (${fx.error})` : ''}. Showing USD.`, 'warning');
+        } else if (fx && fx.stale) {
+            this.showMessage('Exchange rates are unavailable, using the last known rates.', 'warning');
+        }
+    }
+
+    async setBaseCurrency(currency) {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.settingsVersion) headers['If-Match'] = this.settingsVersion;
+            const response = await fetch('/api/settings', {
+                method: 'PUT',
+                headers,
+                body: JSON.stringify({ baseCurrency: currency })
+            });
+            const data = await response.json();
+            if (response.status === 409) {
+                this.settingsVersion = data.version;
+                this.showMessage('Settings were changed elsewhere. Please pick the currency again.', 'error');
+                await this.loadCurrency();
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            this.settingsVersion = response.headers.get('ETag');
+            await this.loadCurrency();
+            this.renderPortfolio();
+            this.sortPortfolio('currentValue', 'desc');
+            this.updateTotalValue();
+            this.updateCharts();
+            this.renderCashFlowSummary();
+            this.updateSnapshotsModal();
+            this.showMessage(`Values are now shown in ${this.displayCurrency()}.`, 'success');
+        } catch (error) {
+            console.error('Error saving base currency:', error);
+            this.showMessage(`Error saving base currency: ${error.message}`, 'error');
+        }
+    }
+
+    // The base currency, or USD while there is no rate for it
+    displayCurrency() {
+        return this.fxRates[this.baseCurrency] ? this.baseCurrency : 'USD';
+    }
+
+    currencySymbol(currency = this.displayCurrency()) {
+        const symbols = { USD: '$', EUR: '€', CNY: '¥', GBP: '£', JPY: '¥', HKD: 'HK$', SGD: 'S$', CHF: 'CHF ', CAD: 'C$', AUD: 'A$', KRW: '₩' };
+        return symbols[currency] || `${currency} `;
+    }
+
+    // Convert a USD amount to the display currency, at `rates` (a snapshot's
+    // stored fxRates) when they have one, else at the current rates
+    toBaseCurrency(amount, rates = null) {
+        const currency = this.displayCurrency();
+        return amount * ((rates && rates[currency]) || this.fxRates[currency] || 1);
+    }
+
+    // Format an amount that is already in the display currency
+    formatMoney(amount) {
+        const symbol = this.currencySymbol();
+        if (amount === 0) return symbol + '0.00';
+        if (amount < 0) return '-' + this.formatMoney(-amount);
         
-        // For very small prices (< $0.01), show more decimal places
-        if (price < 0.01) {
-            return '$' + price.toFixed(6);
+        // For very small prices (< 0.01), show more decimal places
+        if (amount < 0.01) {
+            return symbol + amount.toFixed(6);
         }
         
-        // For small prices (< $1), show 4 decimal places
-        if (price < 1) {
-            return '$' + price.toFixed(4);
+        // For small prices (< 1), show 4 decimal places
+        if (amount < 1) {
+            return symbol + amount.toFixed(4);
         }
         
-        // For medium prices (< $100), show 3 decimal places
-        if (price < 100) {
-            return '$' + price.toFixed(3);
+        // For medium prices (< 100), show 3 decimal places
+        if (amount < 100) {
+            return symbol + amount.toFixed(3);
         }
         
         // For larger prices, show 2 decimal places
-        return '$' + price.toFixed(2);
+        return symbol + amount.toFixed(2);
+    }
+
+    // Gains and changes: always signed, two decimals
+    formatSignedMoney(amount) {
+        return `${amount >= 0 ? '+' : '-'}${this.currencySymbol()}${Math.abs(amount).toFixed(2)}`;
+    }
+
+    formatPrice(price, rates = null) {
+        return this.formatMoney(this.toBaseCurrency(price, rates));
+    }
+
+    formatPnl(pnl, rates = null) {
+        return this.formatSignedMoney(this.toBaseCurrency(pnl, rates));
     }
 
     calculatePnlPercent(currentValue, totalCost) {
@@ -1275,33 +1492,16 @@ class CryptoPortfolio {
     }
 
     getCoinName(symbol) {
-        const coinNames = {
-            'BTC': 'Bitcoin',
-            'ETH': 'Ethereum',
-            'ADA': 'Cardano',
-            'DOT': 'Polkadot',
-            'LINK': 'Chainlink',
-            'LTC': 'Litecoin',
-            'BCH': 'Bitcoin Cash',
-            'XRP': 'Ripple',
-            'DOGE': 'Dogecoin',
-            'SHIB': 'Shiba Inu',
-            'MATIC': 'Polygon',
-            'AVAX': 'Avalanche',
-            'SOL': 'Solana',
-            'ATOM': 'Cosmos',
-            'ALGO': 'Algorand',
-            'VET': 'VeChain',
-            'FIL': 'Filecoin',
-            'TRX': 'TRON',
-            'EOS': 'EOS',
-            'XLM': 'Stellar',
-            'HUMA': 'Huma Finance',
-            'S': 'Sonic',
-            'ENA': 'Ethena',
-            'HYPE': 'Hyperliquid'
-        };
-        return coinNames[symbol] || symbol;
+        return this.assets[symbol]?.name || symbol;
+    }
+
+    // Tooltip text for a price: which provider it came from and when
+    describePriceSource(quote) {
+        if (!quote) return 'No price available';
+        const providers = { coingecko: 'CoinGecko', binance: 'Binance', manual: 'manual price' };
+        const source = providers[quote.provider] || quote.provider || 'CoinGecko';
+        const updated = quote.updatedAt ? `, updated ${new Date(quote.updatedAt).toLocaleString()}` : '';
+        return `${quote.stale ? 'Last known price' : 'Price'} from ${source}${updated}`;
     }
 
     clearForm() {
@@ -1343,6 +1543,7 @@ class CryptoPortfolio {
             
             if (response.ok) {
                 this.portfolio = await response.json();
+                this.ledgerVersion = response.headers.get('ETag');
                 console.log('Portfolio data received:', this.portfolio);
                 console.log('Portfolio length:', this.portfolio.length);
             } else {
@@ -1355,172 +1556,1013 @@ class CryptoPortfolio {
         }
     }
 
-    async loadLatestTotalCost() {
+    async loadAssets() {
         try {
-            console.log('Fetching latest totalCost from snapshot...');
-            const response = await fetch('/api/latest-totalcost');
-            
-            if (response.ok) {
-                const data = await response.json();
-                if (data.totalCost !== null && data.totalCost !== undefined) {
-                    this.portfolioTotalCost = data.totalCost;
-                    console.log('Latest totalCost loaded from snapshot:', this.portfolioTotalCost);
-                } else {
-                    console.log('No totalCost found in snapshots, using individual coin costs');
-                    this.portfolioTotalCost = undefined;
-                }
-            } else {
-                console.error('Failed to load latest totalCost:', response.statusText);
-                this.portfolioTotalCost = undefined;
+            const response = await fetch('/api/assets');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
             }
+            const assets = await response.json();
+            this.assets = {};
+            assets.forEach(asset => {
+                this.assets[asset.symbol] = asset;
+            });
+            console.log('Asset registry loaded:', assets.length, 'assets');
         } catch (error) {
-            console.error('Error loading latest totalCost:', error);
-            this.portfolioTotalCost = undefined;
+            console.error('Error loading asset registry:', error);
         }
     }
 
-    async savePortfolio() {
+    async loadAccounts() {
         try {
-            console.log('Saving portfolio:', this.portfolio);
-            const response = await fetch('/api/portfolio', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(this.portfolio)
-            });
-            
-            console.log('Save response status:', response.status);
-            const responseData = await response.json();
-            console.log('Save response data:', responseData);
-            
+            const response = await fetch('/api/accounts');
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            
-            console.log('Portfolio saved successfully');
+            this.accounts = await response.json();
+            this.accountsVersion = response.headers.get('ETag');
+            console.log('Accounts loaded:', this.accounts.length, 'accounts');
         } catch (error) {
-            console.error('Error saving portfolio:', error);
-            this.showMessage('Error saving portfolio data. Please try again.', 'error');
+            console.error('Error loading accounts:', error);
         }
+        this.renderAccountOptions();
     }
 
-    async saveTransaction(transactionData) {
-        try {
-            const transaction = {
-                id: Date.now().toString(),
-                timestamp: new Date().toISOString(),
-                symbol: transactionData.symbol,
-                amount: transactionData.amount,
-                purchasePrice: transactionData.purchasePrice,
-                totalCost: transactionData.totalCost,
-                note: transactionData.note || '',
-                type: transactionData.type || 'buy'
-            };
+    // Fill the account filter and the add-asset account picker
+    renderAccountOptions() {
+        const options = this.accounts
+            .map(account => `<option value="${account.id}">${account.name}</option>`)
+            .join('');
 
-            console.log('Recording transaction:', transaction);
-            
-            const response = await fetch('/api/transactions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(transaction)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        const filter = document.getElementById('accountFilter');
+        if (filter) {
+            filter.innerHTML = `<option value="*">All accounts</option><option value="">Default</option>${options}`;
+            if (this.accountFilter !== '*' && this.accountFilter !== '' && !this.accounts.some(a => a.id === this.accountFilter)) {
+                this.accountFilter = '*';
             }
-            
-            console.log('Transaction recorded successfully');
-        } catch (error) {
-            console.error('Error saving transaction:', error);
-            // Don't show error message to user as it's not critical for portfolio functionality
+            filter.value = this.accountFilter;
         }
-    }
 
-    async exportData() {
-        try {
-            const response = await fetch('/api/export');
-            if (response.ok) {
-                const data = await response.json();
-                const dataStr = JSON.stringify(data, null, 2);
-                const dataBlob = new Blob([dataStr], {type: 'application/json'});
-                
-                const link = document.createElement('a');
-                link.href = URL.createObjectURL(dataBlob);
-                link.download = `crypto-portfolio-${new Date().toISOString().split('T')[0]}.json`;
-                link.click();
-                
-                this.showMessage('Portfolio data exported successfully!', 'success');
-            } else {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-        } catch (error) {
-            console.error('Error exporting portfolio:', error);
-            this.showMessage('Error exporting portfolio data. Please try again.', 'error');
+        const picker = document.getElementById('coinAccount');
+        if (picker) {
+            const selected = picker.value;
+            picker.innerHTML = `<option value="">Default</option>${options}`;
+            picker.value = this.accounts.some(a => a.id === selected) ? selected : '';
         }
     }
 
-    async importData(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    // Display name of an account id; the empty id is the default account
+    accountName(accountId) {
+        if (!accountId) return 'Default';
+        return this.accounts.find(account => account.id === accountId)?.name || accountId;
+    }
 
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                
-                if (data.portfolio && Array.isArray(data.portfolio)) {
-                    this.portfolio = data.portfolio;
-                    await this.savePortfolio();
-                    this.renderPortfolio();
-                    this.updateTotalValue();
-                    this.updateCharts();
-                    this.loadCryptoPrices();
-                    this.showMessage('Portfolio data imported successfully!', 'success');
-                } else {
-                    this.showMessage('Invalid portfolio file format.', 'error');
-                }
-            } catch (error) {
-                this.showMessage('Error reading portfolio file. Please check the file format.', 'error');
-            }
-        };
-        reader.readAsText(file);
-        
-        // Reset the file input
-        event.target.value = '';
+    // Positions in the account picked in the filter (all when '*')
+    visiblePositions() {
+        if (this.accountFilter === '*') return this.portfolio;
+        return this.portfolio.filter(coin => (coin.account || '') === this.accountFilter);
     }
 
-    // Snapshot functionality
-    async createSnapshot(description = 'Manual Snapshot') {
-        if (this.portfolio.length === 0) {
-            this.showMessage('Cannot create snapshot: Portfolio is empty', 'error');
+    setAccountFilter(accountId) {
+        this.accountFilter = accountId;
+        const filter = document.getElementById('accountFilter');
+        if (filter) filter.value = accountId;
+        this.renderPortfolio();
+        this.updateCharts();
+    }
+
+    // One chip per account holding something: value, share of the portfolio
+    // and P&L. Clicking a chip shows only that account.
+    renderAccountSubtotals() {
+        const container = document.getElementById('accountSubtotals');
+        if (!container) return;
+
+        const subtotals = new Map();
+        let totalValue = 0;
+        this.portfolio.forEach(coin => {
+            const account = coin.account || '';
+            const value = coin.amount * (this.cryptoData[coin.symbol]?.price || 0);
+            const subtotal = subtotals.get(account) || { account, value: 0, cost: 0 };
+            subtotal.value += value;
+            subtotal.cost += coin.totalCost;
+            subtotals.set(account, subtotal);
+            totalValue += value;
+        });
+
+        // A single account needs no breakdown
+        if (subtotals.size < 2) {
+            container.innerHTML = '';
             return;
         }
 
-        // Fetch projects data to include in snapshot
-        let projectsData = { projects: [] };
-        try {
-            const response = await fetch('/api/projects');
-            if (response.ok) {
-                projectsData = await response.json();
-            }
-        } catch (error) {
-            console.warn('Could not fetch projects for snapshot:', error);
+        container.innerHTML = [...subtotals.values()]
+            .sort((a, b) => b.value - a.value)
+            .map(subtotal => {
+                const share = totalValue > 0 ? (subtotal.value / totalValue) * 100 : 0;
+                const pnl = subtotal.value - subtotal.cost;
+                const active = this.accountFilter === subtotal.account ? ' active' : '';
+                const next = this.accountFilter === subtotal.account ? '*' : subtotal.account;
+                return `
+                    <button class="account-chip${active}" onclick="portfolio.setAccountFilter('${next}')" title="${active ? 'Show all accounts' : 'Show only this account'}">
+                        <span class="account-chip-name">${this.accountName(subtotal.account)}</span>
+                        <span>${this.formatPrice(subtotal.value)} · ${share.toFixed(1)}%</span>
+                        <span class="pnl ${pnl >= 0 ? 'positive' : 'negative'}">${this.formatPnl(pnl)}</span>
+                    </button>
+                `;
+            }).join('');
+    }
+
+    showAccountsModal() {
+        let modal = document.getElementById('accountsModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'accountsModal';
+            modal.className = 'modal';
+            modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2><i class="fas fa-wallet"></i> Accounts</h2>
+                        <span class="close" onclick="this.closest('.modal').style.display='none'">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="transactions-table-wrapper">
+                            <table class="portfolio-table transactions-table">
+                                <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>Type</th>
+                                        <th>Id</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody id="accountsBody"></tbody>
+                            </table>
+                        </div>
+                        <form id="accountForm" class="transactions-controls">
+                            <input type="text" id="accountName" placeholder="e.g. Binance, Ledger" class="transactions-filter-input" required>
+                            <select id="accountType" class="transactions-method-select">
+                                <option value="exchange">Exchange</option>
+                                <option value="wallet">Wallet</option>
+                                <option value="custodian">Custodian</option>
+                                <option value="other">Other</option>
+                            </select>
+                            <button type="submit" class="btn btn-primary"><i class="fas fa-plus"></i> Add Account</button>
+                        </form>
+                        <p class="transactions-hint">Positions are kept per symbol and account. Move coins between accounts with a transfer. An account can only be removed once no transaction uses it.</p>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+            modal.querySelector('#accountForm').onsubmit = async (event) => {
+                event.preventDefault();
+                const saved = await this.saveAccount(null, {
+                    name: modal.querySelector('#accountName').value.trim(),
+                    type: modal.querySelector('#accountType').value
+                });
+                if (saved) event.target.reset();
+            };
+        }
+        this.updateAccountsModal();
+        modal.style.display = 'block';
+    }
+
+    updateAccountsModal() {
+        const tbody = document.getElementById('accountsBody');
+        if (!tbody) return;
+        if (this.accounts.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="transactions-empty">No accounts yet. Positions without one are in the default account.</td></tr>';
+            return;
+        }
+        tbody.innerHTML = this.accounts.map(account => `
+            <tr>
+                <td><strong>${account.name}</strong></td>
+                <td>${account.type}</td>
+                <td>${account.id}</td>
+                <td class="row-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="portfolio.renameAccount('${account.id}')" title="Rename this account">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="btn btn-danger btn-sm" onclick="portfolio.deleteAccount('${account.id}')" title="Remove this account">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async renameAccount(accountId) {
+        const account = this.accounts.find(a => a.id === accountId);
+        if (!account) return;
+        const name = prompt('New name for this account:', account.name);
+        if (!name || !name.trim() || name.trim() === account.name) return;
+        await this.saveAccount(accountId, { name: name.trim() });
+    }
+
+    async deleteAccount(accountId) {
+        if (!confirm(`Remove the account "${this.accountName(accountId)}"?`)) return;
+        await this.saveAccount(accountId, null);
+    }
+
+    // Create (no id), update (`changes`) or remove (no changes) an account.
+    // Resolves to whether it was saved.
+    async saveAccount(accountId, changes) {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.accountsVersion) headers['If-Match'] = this.accountsVersion;
+            const url = accountId ? `/api/accounts/${encodeURIComponent(accountId)}` : '/api/accounts';
+            const response = await fetch(url, {
+                method: !accountId ? 'POST' : (changes ? 'PUT' : 'DELETE'),
+                headers,
+                body: changes ? JSON.stringify(changes) : undefined
+            });
+            const data = await response.json();
+            if (response.status === 409) {
+                await this.loadAccounts();
+                this.updateAccountsModal();
+                this.showMessage('Accounts were changed elsewhere. Please try again.', 'error');
+                return false;
+            }
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            await this.loadAccounts();
+            this.updateAccountsModal();
+            this.renderPortfolio();
+            this.updateCharts();
+            this.showMessage(data.message || `Account ${data.account.name} saved.`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Error saving account:', error);
+            this.showMessage(`Error saving account: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    // Register `coin` (from the CoinGecko coin list, or null for no price
+    // source) as the asset behind `symbol`
+    async saveAsset(symbol, coin) {
+        const existing = this.assets[symbol];
+        const body = {
+            symbol: symbol,
+            coingeckoId: coin ? coin.id : null,
+            name: coin ? coin.name : (existing?.name || symbol)
+        };
+        const response = await fetch(existing ? `/api/assets/${encodeURIComponent(symbol)}` : '/api/assets', {
+            method: existing ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        this.assets[symbol] = data.asset;
+    }
+
+    // Before adding a symbol, check which coin it refers to. A single match is
+    // registered automatically, several matches are offered for the user to
+    // pick from. Resolves to false when the user cancels.
+    async ensureAsset(symbol) {
+        const asset = this.assets[symbol];
+        if (asset && (asset.coingeckoId || asset.binanceSymbol || asset.manualPrice !== undefined)) return true;
+
+        let resolution;
+        try {
+            const response = await fetch(`/api/assets/resolve?symbol=${encodeURIComponent(symbol)}`);
+            resolution = await response.json();
+            if (!response.ok) {
+                throw new Error(resolution.error || `HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            // Without the coin list the asset can still be added and mapped later
+            console.warn('Could not resolve asset:', error);
+            return true;
+        }
+
+        try {
+            if (resolution.status === 'registered') {
+                this.assets[symbol] = resolution.asset;
+            } else if (resolution.status === 'unique') {
+                await this.saveAsset(symbol, resolution.candidates[0]);
+            } else if (resolution.status === 'ambiguous') {
+                const coin = await this.chooseAssetCandidate(symbol, resolution.candidates);
+                if (coin === undefined) return false;
+                await this.saveAsset(symbol, coin);
+            } else {
+                if (!confirm(`No CoinGecko coin uses the symbol ${symbol}. Add it anyway? It will only have a price if another provider lists it.`)) {
+                    return false;
+                }
+                if (!this.assets[symbol]) await this.saveAsset(symbol, null);
+            }
+        } catch (error) {
+            console.error('Error saving asset:', error);
+            this.showMessage(`Error saving asset ${symbol}: ${error.message}`, 'error');
+            return false;
+        }
+        return true;
+    }
+
+    // Let the user pick which coin an ambiguous symbol means. Resolves to the
+    // chosen coin, null for "no price source", or undefined when cancelled.
+    chooseAssetCandidate(symbol, candidates) {
+        return new Promise(resolve => {
+            let modal = document.getElementById('assetPickerModal');
+            if (!modal) {
+                modal = document.createElement('div');
+                modal.id = 'assetPickerModal';
+                modal.className = 'modal';
+                document.body.appendChild(modal);
+            }
+
+            modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2><i class="fas fa-coins"></i> Which ${symbol}?</h2>
+                        <span class="close" data-choice="cancel">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <p class="transactions-hint">Several coins use the symbol <strong>${symbol}</strong>. Pick the one you hold so its price can be tracked.</p>
+                        <div class="asset-candidates">
+                            ${candidates.map((coin, index) => `
+                                <button class="btn btn-secondary asset-candidate" data-choice="${index}">
+                                    <strong>${coin.name}</strong>
+                                    <span class="asset-candidate-id">${coin.id}</span>
+                                </button>
+                            `).join('')}
+                            <button class="btn btn-secondary asset-candidate" data-choice="none">
+                                <strong>None of these</strong>
+                                <span class="asset-candidate-id">Track without a live price</span>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            modal.onclick = (event) => {
+                const target = event.target.closest('[data-choice]');
+                if (!target && event.target !== modal) return;
+                const choice = target ? target.dataset.choice : 'cancel';
+                modal.style.display = 'none';
+                modal.onclick = null;
+                if (choice === 'cancel') resolve(undefined);
+                else if (choice === 'none') resolve(null);
+                else resolve(candidates[Number(choice)]);
+            };
+            modal.style.display = 'block';
+        });
+    }
+
+    // The cash-flow ledger and its totals; the total cost is derived from them
+    async loadCashFlows() {
+        try {
+            const response = await fetch('/api/cash-flows');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.cashFlows = data.cashFlows;
+            this.cashFlowSummary = data.summary;
+            this.cashFlowsVersion = response.headers.get('ETag');
+            console.log('Cash flows loaded:', this.cashFlows.length, 'entries');
+        } catch (error) {
+            console.error('Error loading cash flows:', error);
+            this.cashFlows = [];
+            this.cashFlowSummary = null;
+        }
+        this.renderCashFlowSummary();
+    }
+
+    renderCashFlowSummary() {
+        const element = document.getElementById('cashFlowSummary');
+        if (!element) return;
+        const summary = this.cashFlowSummary;
+        if (!summary) {
+            element.textContent = '';
+            return;
+        }
+        const parts = summary.basis === 'positions'
+            ? ['No deposits recorded yet; the total cost is the cost basis of your positions']
+            : [
+                `Net invested ${this.formatPrice(summary.netInvested)}`,
+                `deposits ${this.formatPrice(summary.deposits)}`,
+                `withdrawals ${this.formatPrice(summary.withdrawals)}`
+            ];
+        if (summary.adjustments !== 0) {
+            parts.push(`manual adjustments ${this.formatPnl(summary.adjustments)}`);
+        }
+        element.textContent = parts.join(' · ');
+    }
+
+    showCashFlowsModal() {
+        let modal = document.getElementById('cashFlowsModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'cashFlowsModal';
+            modal.className = 'modal';
+            modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2><i class="fas fa-money-bill-wave"></i> Cash Flows</h2>
+                        <span class="close" onclick="this.closest('.modal').style.display='none'">&times;</span>
+                    </div>
+                    <div class="modal-body">
+                        <div class="transactions-table-wrapper">
+                            <table class="portfolio-table transactions-table">
+                                <thead>
+                                    <tr>
+                                        <th>Date</th>
+                                        <th>Type</th>
+                                        <th>Amount</th>
+                                        <th>Description</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody id="cashFlowsBody"></tbody>
+                            </table>
+                        </div>
+                        <p class="transactions-hint">Deposits and withdrawals are the fiat money moved in and out; their difference is the net invested capital. Manual adjustments are recorded by "Set Cost" and "Reset".</p>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+        }
+        this.updateCashFlowsModal();
+        modal.style.display = 'block';
+    }
+
+    updateCashFlowsModal() {
+        const tbody = document.getElementById('cashFlowsBody');
+        if (!tbody) return;
+        if (this.cashFlows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="transactions-empty">No cash flows yet.</td></tr>';
+            return;
+        }
+        const labels = { deposit: 'Deposit', withdrawal: 'Withdrawal', adjustment: 'Manual adjustment' };
+        tbody.innerHTML = [...this.cashFlows]
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .map(flow => {
+                const sign = flow.type === 'withdrawal' ? -1 : 1;
+                return `
+                    <tr>
+                        <td>${new Date(flow.timestamp).toLocaleDateString()}</td>
+                        <td>${labels[flow.type] || flow.type}</td>
+                        <td class="pnl ${sign * flow.amount >= 0 ? 'positive' : 'negative'}">${this.formatPnl(sign * flow.amount)}</td>
+                        <td>${flow.description || ''}</td>
+                        <td class="row-actions">
+                            <button class="btn btn-danger btn-sm requires-portfolio" onclick="portfolio.deleteCashFlow('${flow.id}')" title="Delete this entry">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+    }
+
+    async deleteCashFlow(id) {
+        if (!confirm('Delete this cash flow entry?')) return;
+        await this.saveCashFlow(`/api/cash-flows/${encodeURIComponent(id)}`, 'DELETE');
+    }
+
+    // Send a change to the cash-flow ledger, guarded by its ETag, and refresh
+    // the totals. Resolves to the response data, or null when it failed.
+    async saveCashFlow(url, method, body) {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.cashFlowsVersion) headers['If-Match'] = this.cashFlowsVersion;
+            const response = await fetch(url, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            if (response.status === 409) {
+                await this.loadCashFlows();
+                this.updateCashFlowsModal();
+                this.showMessage('Cash flows were changed elsewhere. Please try again.', 'error');
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            await this.loadCashFlows();
+            this.updateCashFlowsModal();
+            this.renderPortfolio();
+            this.updateTotalValue();
+            this.updateCharts();
+            return data;
+        } catch (error) {
+            console.error('Error saving cash flow:', error);
+            this.showMessage(`Error saving cash flow: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    // Set the whole portfolio. The server records the difference as
+    // adjustment transactions, guarded by the ledger ETag. If another tab or
+    // device wrote in the meantime the server answers 409 with its current
+    // positions; `mutate` (the change being saved) is then re-applied on top
+    // of those and the save retried. Without `mutate` the local portfolio wins.
+    async savePortfolio(mutate = null) {
+        try {
+            for (let attempt = 1; attempt <= 3; attempt++) {
+                console.log('Saving portfolio:', this.portfolio);
+                const headers = { 'Content-Type': 'application/json' };
+                if (this.ledgerVersion) {
+                    headers['If-Match'] = this.ledgerVersion;
+                }
+                const response = await fetch('/api/portfolio', {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(this.portfolio)
+                });
+                
+                console.log('Save response status:', response.status);
+                const responseData = await response.json();
+                console.log('Save response data:', responseData);
+                
+                if (response.status === 409) {
+                    console.warn('Portfolio was changed elsewhere, re-applying local change');
+                    this.ledgerVersion = responseData.version;
+                    if (mutate) {
+                        const current = responseData.current || [];
+                        this.portfolio = mutate(current) || current;
+                    }
+                    continue;
+                }
+                
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                
+                this.ledgerVersion = response.headers.get('ETag');
+                this.portfolio = responseData.portfolio || this.portfolio;
+                console.log('Portfolio saved successfully');
+                return;
+            }
+            throw new Error('Portfolio kept changing during save');
+        } catch (error) {
+            console.error('Error saving portfolio:', error);
+            this.showMessage('Error saving portfolio data. Please try again.', 'error');
+        }
+    }
+
+    // Record a transaction in the ledger and adopt the positions the server
+    // derives from it. Resolves to true once the transaction is stored.
+    async saveTransaction(transactionData) {
+        try {
+            const transaction = {
+                timestamp: new Date().toISOString(),
+                symbol: transactionData.symbol,
+                amount: transactionData.amount,
+                purchasePrice: transactionData.purchasePrice,
+                totalCost: transactionData.totalCost,
+                account: transactionData.account || '',
+                note: transactionData.note || '',
+                type: transactionData.type || 'buy'
+            };
+
+            console.log('Recording transaction:', transaction);
+            
+            // Appending is safe to replay, so on a 409 just pick up the
+            // latest version and send the same transaction again
+            for (let attempt = 1; attempt <= 3; attempt++) {
+                const headers = { 'Content-Type': 'application/json' };
+                if (this.ledgerVersion) {
+                    headers['If-Match'] = this.ledgerVersion;
+                }
+                const response = await fetch('/api/transactions', {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(transaction)
+                });
+                
+                if (response.status === 409) {
+                    const conflict = await response.json();
+                    this.ledgerVersion = conflict.version;
+                    continue;
+                }
+                
+                const responseData = await response.json();
+                if (!response.ok) {
+                    throw new Error(responseData.error || `HTTP error! status: ${response.status}`);
+                }
+                
+                this.ledgerVersion = response.headers.get('ETag');
+                this.portfolio = responseData.portfolio || this.portfolio;
+                console.log('Transaction recorded successfully');
+                return true;
+            }
+            throw new Error('Transactions kept changing during save');
+        } catch (error) {
+            console.error('Error saving transaction:', error);
+            this.showMessage(`Error recording transaction: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    // Download a backup of every portfolio, with snapshots and settings
+    async exportData() {
+        try {
+            const response = await fetch('/api/backup');
+            if (response.ok) {
+                const data = await response.json();
+                const dataStr = JSON.stringify(data, null, 2);
+                const dataBlob = new Blob([dataStr], {type: 'application/json'});
+                
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(dataBlob);
+                link.download = `profolio-backup-${new Date().toISOString().split('T')[0]}.json`;
+                link.click();
+                
+                this.showMessage('Backup exported successfully!', 'success');
+            } else {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            this.showMessage('Error exporting backup. Please try again.', 'error');
+        }
+    }
+
+    // Read a backup (or an old portfolio export) and show what restoring it would change
+    async importData(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            let backup;
+            try {
+                backup = JSON.parse(e.target.result);
+            } catch (error) {
+                this.showMessage('Error reading backup file. Please check the file format.', 'error');
+                return;
+            }
+            this.restore = { backup, fileName: file.name, mode: 'merge' };
+            await this.previewRestore();
+        };
+        reader.readAsText(file);
+        
+        // Reset the file input
+        event.target.value = '';
+    }
+
+    // Send the backup to the restore endpoint; a dry run unless `commit`
+    async sendRestore(commit) {
+        const { backup, mode } = this.restore;
+        const portfolioId = localStorage.getItem('profolio_portfolio');
+        const response = await fetch('/api/restore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                backup,
+                mode,
+                dryRun: !commit,
+                portfolio: portfolioId && portfolioId !== 'all' ? portfolioId : undefined
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return data;
+    }
+
+    async previewRestore() {
+        const modal = this.restoreModal();
+        const body = modal.querySelector('.modal-body');
+        body.innerHTML = '<p class="transactions-empty">Reading the backup…</p>';
+        modal.style.display = 'block';
+        try {
+            this.renderRestorePreview(body, await this.sendRestore(false));
+        } catch (error) {
+            body.innerHTML = `<p class="transactions-empty">${error.message}</p>`;
+        }
+    }
+
+    restoreModal() {
+        let modal = document.getElementById('restoreModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'restoreModal';
+            modal.className = 'modal';
+            modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2><i class="fas fa-upload"></i> Restore Backup</h2>
+                        <span class="close" onclick="this.closest('.modal').style.display='none'">&times;</span>
+                    </div>
+                    <div class="modal-body"></div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+        }
+        return modal;
+    }
+
+    // What the restore would add, change and remove, per portfolio and document
+    renderRestorePreview(body, data) {
+        const { summary } = data;
+        const changes = summary.added + summary.changed + summary.removed;
+        const rows = [];
+        const addRows = (label, diff) => {
+            for (const [document, counts] of Object.entries(diff)) {
+                rows.push(`
+                    <tr>
+                        <td>${label}</td>
+                        <td>${document}</td>
+                        <td>${counts.added}</td>
+                        <td>${counts.changed}</td>
+                        <td>${counts.removed}</td>
+                        <td>${counts.unchanged}</td>
+                    </tr>
+                `);
+            }
+        };
+        addRows('Shared', data.shared);
+        for (const [id, { action, ...diff }] of Object.entries(data.portfolios)) {
+            addRows(action === 'update' ? id : `${id} (${action})`, diff);
+        }
+
+        body.innerHTML = `
+            <p><strong>${this.restore.fileName}</strong> · ${summary.added} added · ${summary.changed} changed · ${summary.removed} removed</p>
+            <p class="transactions-hint">${this.restore.mode === 'merge'
+                ? 'Merge adds the records this instance does not have and updates the ones it has. Nothing is removed.'
+                : 'Replace makes this instance equal to the backup. Records and portfolios the backup does not have are removed.'}</p>
+            ${summary.portfoliosRemoved > 0 ? `<p class="pnl negative">${summary.portfoliosRemoved} portfolios will be deleted.</p>` : ''}
+            <div class="transactions-table-wrapper">
+                <table class="portfolio-table transactions-table">
+                    <thead>
+                        <tr>
+                            <th>Portfolio</th>
+                            <th>Data</th>
+                            <th>Added</th>
+                            <th>Changed</th>
+                            <th>Removed</th>
+                            <th>Unchanged</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.length === 0 ? '<tr><td colspan="6" class="transactions-empty">The backup is empty.</td></tr>' : rows.join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="transactions-controls">
+                <select id="restoreMode" class="transactions-method-select" title="How to restore">
+                    <option value="merge" ${this.restore.mode === 'merge' ? 'selected' : ''}>Merge</option>
+                    <option value="replace" ${this.restore.mode === 'replace' ? 'selected' : ''}>Replace</option>
+                </select>
+                <button id="restoreCommit" class="btn btn-primary" ${changes === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-file-import"></i> Restore
+                </button>
+            </div>
+        `;
+
+        body.querySelector('#restoreMode').onchange = async (event) => {
+            this.restore.mode = event.target.value;
+            await this.previewRestore();
+        };
+        body.querySelector('#restoreCommit').onclick = async () => {
+            if (this.restore.mode === 'replace' && !confirm('Replace all data with the backup? This cannot be undone.')) return;
+            try {
+                const result = await this.sendRestore(true);
+                this.showMessage(`Restored ${result.summary.added + result.summary.changed} records from the backup.`, 'success');
+                // Portfolios, settings and positions may all have changed
+                setTimeout(() => window.location.reload(), 1000);
+            } catch (error) {
+                console.error('Error restoring backup:', error);
+                this.showMessage(`Error restoring backup: ${error.message}`, 'error');
+            }
+        };
+    }
+
+    // Read an exchange CSV and show what importing it would record
+    importCsv(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            this.csvImport = { csv: e.target.result, fileName: file.name, mapping: null, account: undefined };
+            await this.previewCsvImport();
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+
+    // Send the CSV to the import endpoint; a dry run unless `commit`
+    async sendCsvImport(commit) {
+        const { csv, mapping, account } = this.csvImport;
+        const headers = { 'Content-Type': 'application/json' };
+        if (commit && this.ledgerVersion) headers['If-Match'] = this.ledgerVersion;
+        const response = await fetch('/api/transactions/import', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ csv, mapping: mapping || undefined, account, dryRun: !commit })
+        });
+        const data = await response.json();
+        if (response.status === 409) {
+            this.ledgerVersion = data.version;
+            throw new Error('Transactions were changed elsewhere. Please review the preview and try again.');
+        }
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        if (commit) this.ledgerVersion = response.headers.get('ETag');
+        return data;
+    }
+
+    async previewCsvImport() {
+        const modal = this.csvImportModal();
+        const body = modal.querySelector('.modal-body');
+        body.innerHTML = '<p class="transactions-empty">Reading the file…</p>';
+        modal.style.display = 'block';
+        try {
+            const data = await this.sendCsvImport(false);
+            if (data.needsMapping) {
+                this.csvImport.layout = data;
+                this.renderCsvMapping(body, data);
+            } else {
+                this.renderCsvPreview(body, data);
+            }
+        } catch (error) {
+            if (this.csvImport.layout) {
+                this.renderCsvMapping(body, this.csvImport.layout);
+                this.showMessage(error.message, 'error');
+            } else {
+                body.innerHTML = `<p class="transactions-empty">${error.message}</p>`;
+            }
+        }
+    }
+
+    csvImportModal() {
+        let modal = document.getElementById('csvImportModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'csvImportModal';
+            modal.className = 'modal';
+            modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2><i class="fas fa-file-csv"></i> Import Exchange CSV</h2>
+                        <span class="close" onclick="this.closest('.modal').style.display='none'">&times;</span>
+                    </div>
+                    <div class="modal-body"></div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+        }
+        return modal;
+    }
+
+    // Unknown layout: pick the column for each field, guided by a sample
+    renderCsvMapping(body, data) {
+        const mapping = this.csvImport.mapping || data.suggestedMapping;
+        const required = ['timestamp', 'symbol', 'amount'];
+        const options = selected => ['<option value="">—</option>', ...data.headers.map(header =>
+            `<option value="${header}" ${header === selected ? 'selected' : ''}>${header}</option>`)].join('');
+        body.innerHTML = `
+            <p class="transactions-hint">${this.csvImport.fileName}: the layout was not recognised. Pick the column for each field; the date, asset and amount are required. Without a type column every row is a buy.</p>
+            <form id="csvMappingForm" class="csv-mapping">
+                ${data.fields.map(field => `
+                    <label>${field}${required.includes(field) ? ' *' : ''}
+                        <select name="${field}" class="transactions-method-select">${options(mapping[field])}</select>
+                    </label>
+                `).join('')}
+                <button type="submit" class="btn btn-primary"><i class="fas fa-eye"></i> Preview</button>
+            </form>
+            <div class="transactions-table-wrapper">
+                <table class="portfolio-table transactions-table">
+                    <thead><tr>${data.headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+                    <tbody>${data.sample.map(record => `<tr>${data.headers.map(header => `<td>${record[header]}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </div>
+        `;
+        body.querySelector('#csvMappingForm').onsubmit = async (event) => {
+            event.preventDefault();
+            const form = new FormData(event.target);
+            this.csvImport.mapping = Object.fromEntries([...form.entries()].filter(([, column]) => column));
+            await this.previewCsvImport();
+        };
+    }
+
+    // Known layout: what would be recorded, skipped and left out as duplicates
+    renderCsvPreview(body, data) {
+        const newCount = data.transactions.length;
+        const counts = Object.entries(data.byType).map(([type, count]) => `${count} ${type.replace('_', ' ')}`).join(', ');
+        const accountOptions = [
+            ...(data.account && !this.accounts.some(a => a.id === data.account) ? [{ id: data.account, name: `${data.format.exchange} (new)` }] : []),
+            { id: '', name: 'Default' },
+            ...this.accounts
+        ].map(account => `<option value="${account.id}" ${account.id === data.account ? 'selected' : ''}>${account.name}</option>`).join('');
+
+        body.innerHTML = `
+            <p><strong>${this.csvImport.fileName}</strong> · ${data.format.name} · ${data.rows} rows</p>
+            <p>${newCount} new transactions${counts ? ` (${counts})` : ''} · ${data.duplicates} already imported · ${data.skipped.length} skipped</p>
+            ${data.overdraft ? `<p class="pnl negative">${data.overdraft}. Import the deposits or earlier trades first.</p>` : ''}
+            ${data.errors.length > 0 ? `<p class="transactions-hint">Some prices could not be fetched: ${data.errors.join('; ')}</p>` : ''}
+            ${data.skipped.length > 0 ? `
+                <details>
+                    <summary>Skipped rows</summary>
+                    <ul>${data.skipped.map(row => `<li>Line ${row.line}: ${row.reason}</li>`).join('')}</ul>
+                </details>
+            ` : ''}
+            <div class="transactions-table-wrapper">
+                <table class="portfolio-table transactions-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Type</th>
+                            <th>Asset</th>
+                            <th>Amount</th>
+                            <th>Value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${newCount === 0 ? '<tr><td colspan="5" class="transactions-empty">Nothing new to import.</td></tr>' : ''}
+                        ${data.transactions.slice(0, 200).map(t => `
+                            <tr>
+                                <td>${new Date(t.timestamp).toLocaleString()}</td>
+                                <td>${t.type.replace('_', ' ')}</td>
+                                <td>${t.symbol}${t.toSymbol ? ` → ${t.toSymbol}` : ''}</td>
+                                <td>${this.formatAmount(t.amount)}${t.toSymbol ? ` → ${this.formatAmount(t.toAmount)}` : ''}</td>
+                                <td>${t.totalCost > 0 ? this.formatPrice(t.totalCost) : '—'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${newCount > 200 ? `<p class="transactions-hint">Showing the first 200 of ${newCount}.</p>` : ''}
+            <div class="transactions-controls">
+                <select id="csvImportAccount" class="transactions-method-select" title="Account to import into">${accountOptions}</select>
+                ${data.format.id === 'custom' ? '<button id="csvImportRemap" class="btn btn-secondary"><i class="fas fa-columns"></i> Change Mapping</button>' : ''}
+                <button id="csvImportCommit" class="btn btn-primary" ${newCount === 0 || data.overdraft ? 'disabled' : ''}>
+                    <i class="fas fa-file-import"></i> Import ${newCount} Transactions
+                </button>
+            </div>
+        `;
+
+        body.querySelector('#csvImportAccount').onchange = async (event) => {
+            this.csvImport.account = event.target.value;
+            await this.previewCsvImport();
+        };
+        const remap = body.querySelector('#csvImportRemap');
+        if (remap) {
+            remap.onclick = () => this.renderCsvMapping(body, this.csvImport.layout);
+        }
+        body.querySelector('#csvImportCommit').onclick = async () => {
+            try {
+                const result = await this.sendCsvImport(true);
+                this.portfolio = result.portfolio || this.portfolio;
+                await this.loadAccounts();
+                this.renderPortfolio();
+                this.sortPortfolio('currentValue', 'desc');
+                this.updateTotalValue();
+                this.updateCharts();
+                this.loadCryptoPrices();
+                document.getElementById('csvImportModal').style.display = 'none';
+                this.showMessage(`Imported ${result.imported} transactions from ${result.format.name}.`, 'success');
+            } catch (error) {
+                console.error('Error importing CSV:', error);
+                this.showMessage(`Error importing CSV: ${error.message}`, 'error');
+            }
+        };
+    }
+
+    // Snapshot functionality. `source` is 'manual' for snapshots the user
+    // asked for (retention never removes those) and 'auto' otherwise.
+    async createSnapshot(description = 'Manual Snapshot', source = 'manual') {
+        if (this.portfolio.length === 0) {
+            this.showMessage('Cannot create snapshot: Portfolio is empty', 'error');
+            return;
+        }
+
+        // Fetch projects data to include in snapshot
+        let projectsData = { projects: [] };
+        try {
+            const response = await fetch('/api/projects');
+            if (response.ok) {
+                projectsData = await response.json();
+            }
+        } catch (error) {
+            console.warn('Could not fetch projects for snapshot:', error);
         }
 
         const snapshot = {
             id: Date.now().toString(),
             timestamp: new Date().toISOString(),
             description: description,
+            source: source,
             portfolio: JSON.parse(JSON.stringify(this.portfolio)), // Deep copy
             cryptoData: JSON.parse(JSON.stringify(this.cryptoData)), // Deep copy
             projects: projectsData.projects || [], // Include projects data
             totalValue: this.calculateTotalValue(),
             totalCost: this.calculateTotalCost(),
             totalPnl: this.calculateTotalPnl(),
-            totalPnlPercent: this.calculateTotalPnlPercent()
+            totalPnlPercent: this.calculateTotalPnlPercent(),
+            fxRates: { ...this.fxRates } // Rates the values can be converted with later
         };
 
         this.portfolioSnapshots.unshift(snapshot); // Add to beginning
@@ -1537,7 +2579,8 @@ class CryptoPortfolio {
 
     async shouldCreateAutoSnapshot() {
         try {
-            const response = await fetch('/api/snapshots');
+            // Only the timestamp of the most recent snapshot is needed
+            const response = await fetch('/api/snapshots?order=desc&limit=1&fields=timestamp');
             if (!response.ok) {
                 return true; // If can't fetch snapshots, allow creation
             }
@@ -1547,10 +2590,7 @@ class CryptoPortfolio {
                 return true; // No snapshots exist, allow creation
             }
             
-            // Find the most recent snapshot by timestamp
-            const latestSnapshot = snapshots.reduce((latest, current) => {
-                return new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest;
-            });
+            const latestSnapshot = snapshots[0];
             
             const lastSnapshotTime = new Date(latestSnapshot.timestamp).getTime();
             const now = Date.now();
@@ -1573,15 +2613,13 @@ class CryptoPortfolio {
             
             // Also load from server for history chart
             try {
-                const response = await fetch('/api/snapshots');
+                // The server returns snapshots sorted by timestamp; only the totals are needed
+                const response = await fetch('/api/snapshots?fields=totalValue,totalCost,totalPnl,totalPnlPercent,description');
                 
                 if (response.ok) {
                     const serverSnapshots = await response.json();
                     
                     if (serverSnapshots && serverSnapshots.length > 0) {
-                        // Sort snapshots by timestamp
-                        serverSnapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-                        
                         // Create portfolio value history from snapshots
                         this.snapshotHistory = serverSnapshots.map(snapshot => ({
                             timestamp: snapshot.timestamp,
@@ -1652,7 +2690,7 @@ class CryptoPortfolio {
     async loadLatestSnapshot() {
         try {
             console.log('Attempting to load latest snapshot...');
-            const response = await fetch('/api/snapshots');
+            const response = await fetch('/api/snapshots?order=desc&limit=1');
             
             if (!response.ok) {
                 console.log('No snapshots available on server');
@@ -1666,10 +2704,7 @@ class CryptoPortfolio {
                 return false;
             }
             
-            // Find the most recent snapshot by timestamp
-            const latestSnapshot = snapshots.reduce((latest, current) => {
-                return new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest;
-            });
+            const latestSnapshot = snapshots[0];
             
             console.log('Latest snapshot found:', latestSnapshot.description, 'from', latestSnapshot.timestamp);
             
@@ -1714,118 +2749,53 @@ class CryptoPortfolio {
         } catch (error) {
             console.error('Error loading latest snapshot:', error);
             return false;
-        }
-    }
-
-    calculateTotalValue() {
-        return this.portfolio.reduce((total, coin) => {
-            const currentPrice = this.cryptoData[coin.symbol]?.price || 0;
-            return total + (coin.amount * currentPrice);
-        }, 0);
-    }
-
-    calculateTotalCost() {
-        // If portfolioTotalCost is set, use that; otherwise calculate from individual coins
-        if (this.portfolioTotalCost !== undefined) {
-            return this.portfolioTotalCost;
-        }
-        return this.portfolio.reduce((total, coin) => total + coin.totalCost, 0);
-    }
-
-    calculateTotalPnl() {
-        return this.calculateTotalValue() - this.calculateTotalCost();
-    }
-
-    calculateTotalPnlPercent() {
-        const totalCost = this.calculateTotalCost();
-        return totalCost > 0 ? (this.calculateTotalPnl() / totalCost) * 100 : 0;
-    }
-
-    async setTotalCost(newTotalCost) {
-        if (this.portfolio.length === 0) {
-            this.showMessage('Cannot set total cost: Portfolio is empty', 'error');
-            return;
-        }
-
-        if (newTotalCost < 0) {
-            this.showMessage('Total cost cannot be negative', 'error');
-            return;
-        }
-
-        // Store the new total cost as a portfolio property (not individual coin totalCost)
-        this.portfolioTotalCost = newTotalCost;
-
-        // Create a snapshot with the new total cost
-        const snapshot = {
-            id: Date.now().toString(),
-            timestamp: new Date().toISOString(),
-            description: `Total Cost Set to ${this.formatPrice(newTotalCost)}`,
-            portfolio: JSON.parse(JSON.stringify(this.portfolio)), // Deep copy - keep individual totalCost values unchanged
-            cryptoData: JSON.parse(JSON.stringify(this.cryptoData)), // Deep copy
-            totalValue: this.calculateTotalValue(),
-            totalCost: newTotalCost, // Use the new total cost
-            totalPnl: this.calculateTotalValue() - newTotalCost,
-            totalPnlPercent: newTotalCost > 0 ? ((this.calculateTotalValue() - newTotalCost) / newTotalCost) * 100 : 0
-        };
-
-        // Add to snapshots
-        this.portfolioSnapshots.unshift(snapshot);
-        
-        // Keep only last 50 snapshots to prevent data bloat
-        if (this.portfolioSnapshots.length > 50) {
-            this.portfolioSnapshots = this.portfolioSnapshots.slice(0, 50);
-        }
-
-        // Save snapshots to server
-        await this.savePortfolioSnapshots();
-
-        // Update display
-        this.renderPortfolio();
-        this.updateTotalValue();
-        this.updateCharts();
-        
-        this.showMessage(`Total cost set to ${this.formatPrice(newTotalCost)} and snapshot saved`, 'success');
+        }
     }
 
-    async resetTotalCost() {
-        if (this.portfolio.length === 0) {
-            this.showMessage('Cannot reset total cost: Portfolio is empty', 'error');
-            return;
-        }
+    calculateTotalValue() {
+        return this.portfolio.reduce((total, coin) => {
+            const currentPrice = this.cryptoData[coin.symbol]?.price || 0;
+            return total + (coin.amount * currentPrice);
+        }, 0);
+    }
 
-        // Clear the portfolioTotalCost property to use individual coin totalCost values
-        this.portfolioTotalCost = undefined;
+    calculateTotalCost() {
+        // Until a deposit or withdrawal is recorded, the positions' cost plus
+        // any manual adjustments; afterwards the ledger's total
+        const positionsCost = this.portfolio.reduce((total, coin) => total + coin.totalCost, 0);
+        const summary = this.cashFlowSummary;
+        if (!summary) return positionsCost;
+        return summary.basis === 'positions' ? positionsCost + summary.adjustments : summary.totalCost;
+    }
 
-        // Create a snapshot showing the reset
-        const snapshot = {
-            id: Date.now().toString(),
-            timestamp: new Date().toISOString(),
-            description: 'Total Cost Reset to Individual Coin Values',
-            portfolio: JSON.parse(JSON.stringify(this.portfolio)), // Deep copy
-            cryptoData: JSON.parse(JSON.stringify(this.cryptoData)), // Deep copy
-            totalValue: this.calculateTotalValue(),
-            totalCost: this.portfolio.reduce((total, coin) => total + coin.totalCost, 0),
-            totalPnl: this.calculateTotalPnl(),
-            totalPnlPercent: this.calculateTotalPnlPercent()
-        };
+    calculateTotalPnl() {
+        return this.calculateTotalValue() - this.calculateTotalCost();
+    }
 
-        // Add to snapshots
-        this.portfolioSnapshots.unshift(snapshot);
-        
-        // Keep only last 50 snapshots to prevent data bloat
-        if (this.portfolioSnapshots.length > 50) {
-            this.portfolioSnapshots = this.portfolioSnapshots.slice(0, 50);
+    calculateTotalPnlPercent() {
+        const totalCost = this.calculateTotalCost();
+        return totalCost > 0 ? (this.calculateTotalPnl() / totalCost) * 100 : 0;
+    }
+
+    // Record the manual adjustment that brings the total cost to `newTotalCost`
+    async setTotalCost(newTotalCost) {
+        if (newTotalCost < 0) {
+            this.showMessage('Total cost cannot be negative', 'error');
+            return;
         }
 
-        // Save snapshots to server
-        await this.savePortfolioSnapshots();
+        const data = await this.saveCashFlow('/api/cash-flows/total-cost', 'PUT', { totalCost: newTotalCost });
+        if (!data) return;
+        this.showMessage(data.cashFlow
+            ? `Total cost set to ${this.formatPrice(newTotalCost)} with a manual adjustment of ${this.formatPnl(data.cashFlow.amount)}`
+            : `Total cost is already ${this.formatPrice(newTotalCost)}`, 'success');
+    }
 
-        // Update display
-        this.renderPortfolio();
-        this.updateTotalValue();
-        this.updateCharts();
-        
-        this.showMessage('Total cost reset to individual coin values and snapshot saved', 'success');
+    // Record the manual adjustment that cancels all earlier ones
+    async resetTotalCost() {
+        const data = await this.saveCashFlow('/api/cash-flows/total-cost', 'PUT', { totalCost: null });
+        if (!data) return;
+        this.showMessage(data.cashFlow ? 'Manual adjustments to the total cost reset' : 'There are no manual adjustments to reset', 'success');
     }
 
     ensureHistoryEntry() {
@@ -1864,13 +2834,13 @@ class CryptoPortfolio {
                 </div>
                 <div class="modal-body">
                     <div class="snapshots-controls">
-                        <button id="createNewSnapshot" class="btn btn-primary">
+                        <button id="createNewSnapshot" class="btn btn-primary requires-portfolio">
                             <i class="fas fa-plus"></i> Create New Snapshot
                         </button>
                         <button id="exportSnapshots" class="btn btn-secondary">
                             <i class="fas fa-download"></i> Export Snapshots
                         </button>
-                        <button id="clearSnapshots" class="btn btn-danger">
+                        <button id="clearSnapshots" class="btn btn-danger requires-portfolio">
                             <i class="fas fa-trash"></i> Clear All Snapshots
                         </button>
                     </div>
@@ -1931,8 +2901,35 @@ class CryptoPortfolio {
                     <div class="transactions-controls">
                         <label for="transactionsSymbolFilter">Filter by symbol:</label>
                         <input type="text" id="transactionsSymbolFilter" placeholder="e.g. BTC (leave empty for all)" class="transactions-filter-input">
+                        <label for="transactionsTypeFilter">Type:</label>
+                        <select id="transactionsTypeFilter" class="transactions-method-select">
+                            <option value="">All types</option>
+                            ${Object.entries(TRANSACTION_TYPE_LABELS).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                        </select>
+                        <label for="transactionsAccountFilter">Account:</label>
+                        <select id="transactionsAccountFilter" class="transactions-method-select">
+                            <option value="*">All accounts</option>
+                        </select>
+                    </div>
+                    <div class="transactions-controls">
+                        <label for="transactionsFromFilter">From:</label>
+                        <input type="date" id="transactionsFromFilter" class="transactions-method-select">
+                        <label for="transactionsToFilter">To:</label>
+                        <input type="date" id="transactionsToFilter" class="transactions-method-select">
+                        <input type="text" id="transactionsNoteFilter" placeholder="Search notes" class="transactions-filter-input">
                         <button id="transactionsFilterApply" class="btn btn-primary"><i class="fas fa-filter"></i> Apply</button>
                     </div>
+                    <div class="transactions-controls">
+                        <button class="btn btn-secondary" data-export="csv" title="Download the transactions matching the filters"><i class="fas fa-file-csv"></i> Download CSV</button>
+                        <button class="btn btn-secondary" data-export="json" title="Download the transactions matching the filters"><i class="fas fa-file-code"></i> Download JSON</button>
+                        <label for="costBasisMethod">Cost basis:</label>
+                        <select id="costBasisMethod" class="transactions-method-select" title="Which lots a sell consumes">
+                            <option value="fifo">FIFO</option>
+                            <option value="lifo">LIFO</option>
+                            <option value="hifo">HIFO</option>
+                            <option value="average">Average</option>
+                        </select>
+                    </div>
                     <div class="transactions-table-wrapper">
                         <table class="portfolio-table transactions-table" id="transactionsTable">
                             <thead>
@@ -1943,75 +2940,597 @@ class CryptoPortfolio {
                                     <th>Amount</th>
                                     <th>Price</th>
                                     <th>Total</th>
-                                    <th>Note</th>
+                                    <th>Realized P&amp;L</th>
+                                    <th>Account</th>
+                                    <th></th>
                                 </tr>
                             </thead>
                             <tbody id="transactionsBody"></tbody>
                         </table>
+                        <div id="transactionsMore" class="transactions-more"></div>
                     </div>
-                    <p class="transactions-hint">Only buy/sell actions from this app are recorded. To see BTC only, enter <strong>BTC</strong> in the filter and click Apply.</p>
+                    <p class="transactions-hint">Your portfolio is built from these transactions. Buys, deposits, staking rewards and airdrops add tax lots; sells and swaps consume lots by the cost basis method and record their realized P&amp;L. Withdrawals and fees remove lots without realizing anything, and transfers move lots between accounts. Setting or restoring the whole portfolio is recorded as adjustments. Editing or deleting a transaction rebuilds the positions, and its previous values are kept in the change history. To see BTC only, enter <strong>BTC</strong> in the filter and click Apply; the downloads hold every transaction matching the filters.</p>
                 </div>
             </div>
         `;
         document.body.appendChild(modal);
 
-        document.getElementById('transactionsSymbolFilter').addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') this.updateTransactionsModal();
-        });
+        for (const id of ['transactionsSymbolFilter', 'transactionsNoteFilter']) {
+            document.getElementById(id).addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.updateTransactionsModal();
+            });
+        }
         document.getElementById('transactionsFilterApply').addEventListener('click', () => {
             this.updateTransactionsModal();
         });
+        for (const id of ['transactionsTypeFilter', 'transactionsAccountFilter', 'transactionsFromFilter', 'transactionsToFilter']) {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateTransactionsModal();
+            });
+        }
+        modal.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportTransactions(button.dataset.export));
+        });
+        // Infinite scroll: load the next page when the end of the list shows
+        const more = document.getElementById('transactionsMore');
+        this.transactionsObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) this.loadMoreTransactions();
+        });
+        this.transactionsObserver.observe(more);
+        more.addEventListener('click', (e) => {
+            if (e.target.closest('button')) this.loadMoreTransactions();
+        });
+        document.getElementById('costBasisMethod').addEventListener('change', (e) => {
+            this.setCostBasisMethod(e.target.value);
+        });
         return modal;
     }
 
-    async loadTransactions() {
+    async loadSettings() {
+        try {
+            const response = await fetch('/api/settings');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.settingsVersion = response.headers.get('ETag');
+            return await response.json();
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            return null;
+        }
+    }
+
+    // Switch the cost basis method; the server re-realizes every sell and
+    // returns positions rebuilt from the new lots
+    async setCostBasisMethod(method) {
         try {
-            const response = await fetch('/api/transactions');
-            if (!response.ok) return [];
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.settingsVersion) headers['If-Match'] = this.settingsVersion;
+            const response = await fetch('/api/settings', {
+                method: 'PUT',
+                headers,
+                body: JSON.stringify({ costBasisMethod: method })
+            });
             const data = await response.json();
-            return Array.isArray(data) ? data : [];
-        } catch (err) {
-            console.error('Error loading transactions:', err);
-            return [];
+            if (response.status === 409) {
+                this.settingsVersion = data.version;
+                this.showMessage('Settings were changed elsewhere. Please pick the method again.', 'error');
+                await this.updateTransactionsModal();
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            this.settingsVersion = response.headers.get('ETag');
+            this.portfolio = data.portfolio;
+            this.renderPortfolio();
+            this.sortPortfolio('currentValue', 'desc');
+            this.updateTotalValue();
+            this.updateCharts();
+            await this.updateTransactionsModal();
+            this.showMessage(`Cost basis method set to ${method.toUpperCase()}.`, 'success');
+        } catch (error) {
+            console.error('Error saving cost basis method:', error);
+            this.showMessage(`Error saving cost basis method: ${error.message}`, 'error');
+        }
+    }
+
+    // The transactions dialog's filters as query parameters
+    transactionsQuery() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+        const params = new URLSearchParams();
+        if (value('transactionsSymbolFilter')) params.set('symbol', value('transactionsSymbolFilter'));
+        if (value('transactionsTypeFilter')) params.set('type', value('transactionsTypeFilter'));
+        const account = document.getElementById('transactionsAccountFilter')?.value ?? '*';
+        if (account !== '*') params.set('account', account);
+        // Date inputs are local days; send the instants they start and end at
+        if (value('transactionsFromFilter')) params.set('from', new Date(`${value('transactionsFromFilter')}T00:00`).toISOString());
+        if (value('transactionsToFilter')) params.set('to', new Date(`${value('transactionsToFilter')}T23:59:59.999`).toISOString());
+        if (value('transactionsNoteFilter')) params.set('q', value('transactionsNoteFilter'));
+        return params;
+    }
+
+    // One page of the filtered transactions, newest first
+    async loadTransactions(cursor) {
+        const params = this.transactionsQuery();
+        params.set('limit', TRANSACTIONS_PAGE_SIZE);
+        if (cursor) params.set('cursor', cursor);
+        const response = await fetch(`/api/transactions?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
         }
+        this.ledgerVersion = response.headers.get('ETag');
+        return {
+            transactions: Array.isArray(data) ? data : [],
+            nextCursor: response.headers.get('X-Next-Cursor'),
+            total: Number(response.headers.get('X-Total-Count')) || 0
+        };
     }
 
+    // Reload the dialog from the first page of the current filters
     async updateTransactionsModal() {
         const tbody = document.getElementById('transactionsBody');
-        const filterInput = document.getElementById('transactionsSymbolFilter');
         if (!tbody) return;
 
-        const all = await this.loadTransactions();
-        const symbolFilter = (filterInput && filterInput.value.trim()) ? filterInput.value.trim().toUpperCase() : '';
-        let list = symbolFilter ? all.filter(t => (t.symbol || '').toUpperCase() === symbolFilter) : [...all];
-        list.sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+        const request = ++this.transactionsRequest;
+        const accountSelect = document.getElementById('transactionsAccountFilter');
+        if (accountSelect) {
+            const selected = accountSelect.value;
+            accountSelect.innerHTML = [{ id: '*', name: 'All accounts' }, { id: '', name: 'Default' }, ...this.accounts]
+                .map(account => `<option value="${account.id}">${account.name}</option>`).join('');
+            accountSelect.value = [...accountSelect.options].some(option => option.value === selected) ? selected : '*';
+        }
+
+        let page;
+        let settings;
+        try {
+            [page, settings] = await Promise.all([this.loadTransactions(), this.loadSettings()]);
+        } catch (error) {
+            console.error('Error loading transactions:', error);
+            this.showMessage(`Error loading transactions: ${error.message}`, 'error');
+            return;
+        }
+        if (request !== this.transactionsRequest) return;
+
+        this.transactions = page.transactions;
+        this.transactionsPage = { nextCursor: page.nextCursor, total: page.total, loading: false };
+        const methodSelect = document.getElementById('costBasisMethod');
+        if (methodSelect && settings) methodSelect.value = settings.costBasisMethod;
 
-        if (list.length === 0) {
+        if (this.transactions.length === 0) {
+            const filtered = [...this.transactionsQuery().keys()].length > 0;
             tbody.innerHTML = `
-                <tr><td colspan="7" class="transactions-empty">
-                    ${symbolFilter ? `No transactions for ${symbolFilter}. Try "All" by clearing the filter.` : 'No transactions yet. Add or remove assets to record buy/sell history.'}
+                <tr><td colspan="9" class="transactions-empty">
+                    ${filtered ? 'No transactions match the filters. Clear them to see all transactions.' : 'No transactions yet. Add or remove assets to record buy/sell history.'}
                 </td></tr>
             `;
+        } else {
+            tbody.innerHTML = this.transactions.map(t => this.transactionRow(t)).join('');
+        }
+        this.updateTransactionsMore();
+    }
+
+    // Append the next page of transactions, if any
+    async loadMoreTransactions() {
+        const page = this.transactionsPage;
+        const modal = document.getElementById('transactionsModal');
+        if (!page || !page.nextCursor || page.loading || !modal || modal.style.display === 'none') return;
+
+        const request = this.transactionsRequest;
+        page.loading = true;
+        this.updateTransactionsMore();
+        try {
+            const next = await this.loadTransactions(page.nextCursor);
+            if (request !== this.transactionsRequest) return;
+            this.transactions.push(...next.transactions);
+            page.nextCursor = next.nextCursor;
+            page.total = next.total;
+            document.getElementById('transactionsBody')
+                .insertAdjacentHTML('beforeend', next.transactions.map(t => this.transactionRow(t)).join(''));
+        } catch (error) {
+            console.error('Error loading more transactions:', error);
+            this.showMessage(`Error loading transactions: ${error.message}`, 'error');
+        } finally {
+            page.loading = false;
+            if (request === this.transactionsRequest) this.updateTransactionsMore();
+        }
+    }
+
+    updateTransactionsMore() {
+        const more = document.getElementById('transactionsMore');
+        const page = this.transactionsPage;
+        if (!more || !page) return;
+        if (page.loading) {
+            more.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading more transactions...';
+        } else if (page.nextCursor) {
+            more.innerHTML = `Showing ${this.transactions.length} of ${page.total}. <button class="btn btn-secondary btn-sm">Load more</button>`;
+            // Observing again reports whether the end is still in view,
+            // as it is when a page does not fill the dialog
+            if (this.transactionsObserver) {
+                this.transactionsObserver.unobserve(more);
+                this.transactionsObserver.observe(more);
+            }
+        } else {
+            more.innerHTML = page.total > 0 ? `${page.total} transaction${page.total === 1 ? '' : 's'}` : '';
+        }
+    }
+
+    // Download every transaction matching the dialog's filters
+    async exportTransactions(format) {
+        try {
+            const params = this.transactionsQuery();
+            params.set('format', format);
+            const response = await fetch(`/api/transactions/export?${params}`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `transactions.${format}`;
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(a.href);
+        } catch (error) {
+            console.error('Error exporting transactions:', error);
+            this.showMessage(`Error exporting transactions: ${error.message}`, 'error');
+        }
+    }
+
+    // One row of the transactions dialog
+    transactionRow(t) {
+        const date = t.timestamp ? new Date(t.timestamp).toLocaleString() : '—';
+        const type = (t.type || 'buy').toLowerCase();
+        const typeClass = `tx-type-${type}`;
+        let detail = '';
+        if (type === 'swap') detail = `→ ${this.formatAmount(t.toAmount)} ${t.toSymbol}`;
+        if (type === 'transfer') detail = `${this.accountName(t.account)} → ${this.accountName(t.toAccount)}`;
+        if (type === 'deposit' && t.acquiredAt) detail = `acquired ${new Date(t.acquiredAt).toLocaleDateString()}`;
+        const realized = (type === 'sell' || type === 'swap') && typeof t.realizedPnl === 'number'
+            ? `<span class="pnl ${t.realizedPnl >= 0 ? 'positive' : 'negative'}" title="Cost basis ${this.formatPrice(t.costBasis)} (${(t.costBasisMethod || '').toUpperCase()})">${this.formatPnl(t.realizedPnl)}</span>`
+            : '—';
+        const edited = t.updatedAt
+            ? `<div class="tx-detail" title="Edited ${new Date(t.updatedAt).toLocaleString()}">edited</div>`
+            : '';
+        return `
+            <tr>
+                <td>${date}${edited}</td>
+                <td><strong>${(t.symbol || '—')}</strong></td>
+                <td>
+                    <span class="${typeClass}">${TRANSACTION_TYPE_LABELS[type] || type}</span>
+                    ${detail ? `<div class="tx-detail">${detail}</div>` : ''}
+                </td>
+                <td>${this.formatAmount(t.amount)}</td>
+                <td>${this.formatPrice(t.purchasePrice)}</td>
+                <td>${this.formatPrice(t.totalCost)}</td>
+                <td>${realized}</td>
+                <td>
+                    ${this.accountName(t.account)}
+                    ${t.note ? `<div class="tx-detail">${t.note}</div>` : ''}
+                </td>
+                <td class="row-actions">
+                    <button class="btn btn-secondary btn-sm requires-portfolio" onclick="portfolio.showEditTransactionModal('${t.id}')" title="Edit this transaction">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="btn btn-danger btn-sm requires-portfolio" onclick="portfolio.deleteTransaction('${t.id}')" title="Delete this transaction">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Edit the fields of a recorded transaction; its type stays the same
+    showEditTransactionModal(transactionId) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction) return;
+        const type = (transaction.type || 'buy').toLowerCase();
+
+        let modal = document.getElementById('editTransactionModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'editTransactionModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+
+        // datetime-local and date inputs take local time without a zone
+        const localInput = (value, length) => {
+            const date = new Date(value);
+            if (!Number.isFinite(date.getTime())) return '';
+            return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, length);
+        };
+        const field = (name, label, value, attributes = 'type="number" step="any"') => `
+            <div class="form-group">
+                <label for="edit-${name}">${label}</label>
+                <input ${attributes} id="edit-${name}" name="${name}" value="${value ?? ''}" data-initial="${value ?? ''}">
+            </div>
+        `;
+        const accountField = (name, label, value = '') => `
+            <div class="form-group">
+                <label for="edit-${name}">${label}</label>
+                <select id="edit-${name}" name="${name}" data-initial="${value}">
+                    ${[{ id: '', name: 'Default' }, ...this.accounts].map(account => `
+                        <option value="${account.id}" ${account.id === value ? 'selected' : ''}>${account.name}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+
+        let typeFields = '';
+        if (type === 'transfer') typeFields = accountField('toAccount', 'To account', transaction.toAccount);
+        if (type === 'swap') {
+            typeFields = field('toSymbol', 'Swapped into (symbol)', transaction.toSymbol, 'type="text"')
+                + field('toAmount', 'Amount received', transaction.toAmount)
+                + accountField('toAccount', 'Received into account', transaction.toAccount ?? transaction.account);
+        }
+        if (type === 'deposit') typeFields = field('acquiredAt', 'Originally acquired (optional)', localInput(transaction.acquiredAt, 10), 'type="date"');
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2><i class="fas fa-pen"></i> Edit ${TRANSACTION_TYPE_LABELS[type] || type} of ${transaction.symbol}</h2>
+                    <span class="close" data-action="cancel">&times;</span>
+                </div>
+                <div class="modal-body">
+                    <form id="editTransactionForm" class="sell-form">
+                        ${field('timestamp', 'Date', localInput(transaction.timestamp, 16), 'type="datetime-local" required')}
+                        ${field('amount', 'Amount', transaction.amount, 'type="number" step="any" required')}
+                        ${field('purchasePrice', 'Price per coin (USD)', transaction.purchasePrice)}
+                        ${field('totalCost', 'Total (USD)', transaction.totalCost)}
+                        ${accountField('account', 'Account', transaction.account)}
+                        ${typeFields}
+                        ${field('note', 'Note', transaction.note, 'type="text"')}
+                        <p class="transactions-hint">Only the fields you change are saved. Changing the amount or price recomputes the total; changing the total recomputes the price.</p>
+                        <button type="submit" class="btn btn-primary">
+                            <i class="fas fa-check"></i> Save Changes
+                        </button>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        modal.onclick = (event) => {
+            const action = event.target.closest('[data-action]')?.dataset.action;
+            if (action === 'cancel' || event.target === modal) {
+                modal.style.display = 'none';
+            }
+        };
+        modal.querySelector('#editTransactionForm').onsubmit = async (event) => {
+            event.preventDefault();
+            const changes = {};
+            for (const input of event.target.querySelectorAll('input, select')) {
+                if (input.value === input.dataset.initial) continue;
+                if (input.type === 'number') changes[input.name] = input.value === '' ? undefined : parseFloat(input.value);
+                else if (input.type === 'datetime-local' || input.type === 'date') changes[input.name] = input.value ? new Date(input.value).toISOString() : null;
+                else changes[input.name] = input.value.trim();
+            }
+            if (Object.keys(changes).length === 0) {
+                modal.style.display = 'none';
+                return;
+            }
+            const saved = await this.changeTransaction(transaction, 'PUT', changes);
+            if (saved) modal.style.display = 'none';
+        };
+        modal.style.display = 'block';
+    }
+
+    async deleteTransaction(transactionId) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction) return;
+        const label = TRANSACTION_TYPE_LABELS[(transaction.type || 'buy').toLowerCase()] || transaction.type;
+        if (!confirm(`Delete this ${label.toLowerCase()} of ${this.formatAmount(transaction.amount)} ${transaction.symbol}? Your positions will be recomputed without it.`)) {
             return;
         }
+        await this.changeTransaction(transaction, 'DELETE');
+    }
 
-        const rows = list.map(t => {
-            const date = t.timestamp ? new Date(t.timestamp).toLocaleString() : '—';
-            const type = (t.type || 'buy').toLowerCase();
-            const typeClass = type === 'sell' ? 'tx-type-sell' : 'tx-type-buy';
-            return `
-                <tr>
-                    <td>${date}</td>
-                    <td><strong>${(t.symbol || '—')}</strong></td>
-                    <td><span class="${typeClass}">${type}</span></td>
-                    <td>${this.formatAmount(t.amount)}</td>
-                    <td>${this.formatPrice(t.purchasePrice)}</td>
-                    <td>${this.formatPrice(t.totalCost)}</td>
-                    <td>${(t.note || '—')}</td>
-                </tr>
-            `;
-        }).join('');
-        tbody.innerHTML = rows;
+    // Edit (PUT) or delete (DELETE) a transaction against the ledger version
+    // the dialog was showing. Unlike appending, a change is not retried on a
+    // conflict: the transaction itself may be what changed elsewhere.
+    // Resolves to whether the change was saved.
+    async changeTransaction(transaction, method, changes) {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.ledgerVersion) {
+                headers['If-Match'] = this.ledgerVersion;
+            }
+            const response = await fetch(`/api/transactions/${encodeURIComponent(transaction.id)}`, {
+                method,
+                headers,
+                body: changes ? JSON.stringify(changes) : undefined
+            });
+            const data = await response.json();
+
+            if (response.status === 409) {
+                this.showMessage('Transactions were changed elsewhere. Please review them and try again.', 'error');
+                await this.updateTransactionsModal();
+                return false;
+            }
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            this.ledgerVersion = response.headers.get('ETag');
+            this.portfolio = data.portfolio || this.portfolio;
+            this.renderPortfolio();
+            this.sortPortfolio('currentValue', 'desc');
+            this.updateTotalValue();
+            this.updateCharts();
+            await this.updateTransactionsModal();
+            this.showMessage(`Transaction ${method === 'DELETE' ? 'deleted' : 'updated'}; positions recomputed.`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Error changing transaction:', error);
+            this.showMessage(`Error ${method === 'DELETE' ? 'deleting' : 'updating'} transaction: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    async showPnlReportModal() {
+        let modal = document.getElementById('pnlReportModal');
+        if (!modal) {
+            modal = this.createPnlReportModal();
+        }
+        await this.updatePnlReportModal();
+        modal.style.display = 'block';
+    }
+
+    createPnlReportModal() {
+        const modal = document.createElement('div');
+        modal.id = 'pnlReportModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2><i class="fas fa-file-invoice-dollar"></i> P&amp;L Report / 盈亏报告</h2>
+                    <span class="close" onclick="this.closest('.modal').style.display='none'">&times;</span>
+                </div>
+                <div class="modal-body">
+                    <div class="transactions-controls">
+                        <label for="pnlReportYear">Tax year:</label>
+                        <select id="pnlReportYear" class="transactions-method-select">
+                            <option value="all">All years</option>
+                        </select>
+                        <button id="exportForm8949" class="btn btn-primary"><i class="fas fa-download"></i> Export Form 8949 CSV</button>
+                    </div>
+                    <div class="snapshot-summary pnl-report-summary" id="pnlReportSummary"></div>
+                    <h3 class="pnl-report-heading">Realized</h3>
+                    <div class="transactions-table-wrapper">
+                        <table class="portfolio-table transactions-table">
+                            <thead>
+                                <tr>
+                                    <th>Symbol</th>
+                                    <th>Proceeds</th>
+                                    <th>Cost Basis</th>
+                                    <th>Short-term</th>
+                                    <th>Long-term</th>
+                                    <th>Total</th>
+                                </tr>
+                            </thead>
+                            <tbody id="pnlRealizedBody"></tbody>
+                        </table>
+                    </div>
+                    <h3 class="pnl-report-heading">Unrealized</h3>
+                    <div class="transactions-table-wrapper">
+                        <table class="portfolio-table transactions-table">
+                            <thead>
+                                <tr>
+                                    <th>Symbol</th>
+                                    <th>Value</th>
+                                    <th>Cost Basis</th>
+                                    <th>Short-term</th>
+                                    <th>Long-term</th>
+                                    <th>Total</th>
+                                </tr>
+                            </thead>
+                            <tbody id="pnlUnrealizedBody"></tbody>
+                        </table>
+                    </div>
+                    <p class="transactions-hint" id="pnlReportHint"></p>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        document.getElementById('pnlReportYear').addEventListener('change', () => {
+            this.updatePnlReportModal();
+        });
+        document.getElementById('exportForm8949').addEventListener('click', () => {
+            this.exportForm8949();
+        });
+        return modal;
+    }
+
+    async updatePnlReportModal() {
+        const yearSelect = document.getElementById('pnlReportYear');
+        if (!yearSelect) return;
+
+        const selectedYear = yearSelect.value;
+        let report;
+        try {
+            const params = selectedYear === 'all' ? '' : `?year=${selectedYear}`;
+            const response = await fetch(`/api/reports/pnl${params}`);
+            report = await response.json();
+            if (!response.ok) {
+                throw new Error(report.error || `HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Error loading P&L report:', error);
+            this.showMessage(`Error loading P&L report: ${error.message}`, 'error');
+            return;
+        }
+
+        // Keep the year list in step with the years that have sells
+        yearSelect.innerHTML = '<option value="all">All years</option>' +
+            [...report.availableYears].reverse().map(year => `<option value="${year}">${year}</option>`).join('');
+        yearSelect.value = report.availableYears.includes(Number(selectedYear)) ? selectedYear : 'all';
+
+        const pnl = (value) => `<span class="pnl ${value >= 0 ? 'positive' : 'negative'}">${this.formatPnl(value)}</span>`;
+        const summaryItem = (label, value) => `
+            <div class="summary-item">
+                <span class="label">${label}</span>
+                <span class="value ${value >= 0 ? 'positive' : 'negative'}">${this.formatPnl(value)}</span>
+            </div>
+        `;
+        const { realized, unrealized } = report;
+        document.getElementById('pnlReportSummary').innerHTML = [
+            summaryItem('Realized short-term', realized.total.shortTerm.gain),
+            summaryItem('Realized long-term', realized.total.longTerm.gain),
+            summaryItem('Realized total', realized.total.total.gain),
+            summaryItem('Unrealized', unrealized.total.total.gain)
+        ].join('');
+
+        const assetRow = (asset, amountField) => `
+            <tr>
+                <td><strong>${asset.symbol}</strong></td>
+                <td>${this.formatPrice(asset.total[amountField])}</td>
+                <td>${this.formatPrice(asset.total.costBasis)}</td>
+                <td>${pnl(asset.shortTerm.gain)}</td>
+                <td>${pnl(asset.longTerm.gain)}</td>
+                <td>${pnl(asset.total.gain)}</td>
+            </tr>
+        `;
+        document.getElementById('pnlRealizedBody').innerHTML = realized.byAsset.length > 0
+            ? realized.byAsset.map(asset => assetRow(asset, 'proceeds')).join('')
+            : `<tr><td colspan="6" class="transactions-empty">No sells ${report.year ? `in ${report.year}` : 'yet'}.</td></tr>`;
+        document.getElementById('pnlUnrealizedBody').innerHTML = unrealized.byAsset.length > 0
+            ? unrealized.byAsset.map(asset => assetRow(asset, 'value')).join('')
+            : '<tr><td colspan="6" class="transactions-empty">No priced open positions.</td></tr>';
+
+        const unpriced = unrealized.unpriced.length > 0 ? ` No price for ${unrealized.unpriced.join(', ')}; left out of unrealized.` : '';
+        document.getElementById('pnlReportHint').textContent =
+            `Lots are matched by ${report.costBasisMethod.toUpperCase()}. Lots held more than one year are long-term. Unrealized gains use current prices.${unpriced}`;
+    }
+
+    // Download the selected year's disposals laid out like Form 8949
+    async exportForm8949() {
+        const year = document.getElementById('pnlReportYear')?.value || 'all';
+        try {
+            const response = await fetch(`/api/reports/form-8949${year === 'all' ? '' : `?year=${year}`}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `form-8949-${year}.csv`;
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(a.href);
+        } catch (error) {
+            console.error('Error exporting Form 8949:', error);
+            this.showMessage(`Error exporting Form 8949: ${error.message}`, 'error');
+        }
     }
 
     updateSnapshotsModal() {
@@ -2041,13 +3560,16 @@ class CryptoPortfolio {
                             <span class="snapshot-time">${date.toLocaleString()} (${timeAgo})</span>
                         </div>
                         <div class="snapshot-actions">
-                            <button class="btn btn-sm btn-primary" onclick="portfolio.restoreSnapshot('${snapshot.id}')">
+                            <button class="btn btn-sm ${snapshot.pinned ? 'btn-primary' : 'btn-secondary'} requires-portfolio" onclick="portfolio.toggleSnapshotPin('${snapshot.id}')" title="${snapshot.pinned ? 'Unpin' : 'Pin to keep it through retention'}">
+                                <i class="fas fa-thumbtack"></i>
+                            </button>
+                            <button class="btn btn-sm btn-primary requires-portfolio" onclick="portfolio.restoreSnapshot('${snapshot.id}')">
                                 <i class="fas fa-undo"></i> Restore
                             </button>
                             <button class="btn btn-sm btn-secondary" onclick="portfolio.compareSnapshot('${snapshot.id}')">
                                 <i class="fas fa-balance-scale"></i> Compare
                             </button>
-                            <button class="btn btn-sm btn-danger" onclick="portfolio.deleteSnapshot('${snapshot.id}')">
+                            <button class="btn btn-sm btn-danger requires-portfolio" onclick="portfolio.deleteSnapshot('${snapshot.id}')">
                                 <i class="fas fa-trash"></i>
                             </button>
                         </div>
@@ -2055,16 +3577,16 @@ class CryptoPortfolio {
                     <div class="snapshot-summary">
                         <div class="summary-item">
                             <span class="label">Total Value:</span>
-                            <span class="value">${this.formatPrice(snapshot.totalValue)}</span>
+                            <span class="value">${this.formatPrice(snapshot.totalValue, snapshot.fxRates)}</span>
                         </div>
                         <div class="summary-item">
                             <span class="label">Total Cost:</span>
-                            <span class="value">${this.formatPrice(snapshot.totalCost)}</span>
+                            <span class="value">${this.formatPrice(snapshot.totalCost, snapshot.fxRates)}</span>
                         </div>
                         <div class="summary-item">
                             <span class="label">P&L:</span>
                             <span class="value ${snapshot.totalPnl >= 0 ? 'positive' : 'negative'}">
-                                ${snapshot.totalPnl >= 0 ? '+' : ''}$${snapshot.totalPnl.toFixed(2)}
+                                ${this.formatPnl(snapshot.totalPnl, snapshot.fxRates)}
                             </span>
                         </div>
                         <div class="summary-item">
@@ -2159,9 +3681,10 @@ class CryptoPortfolio {
         const currentTotalPnl = this.calculateTotalPnl();
         const currentTotalPnlPercent = this.calculateTotalPnlPercent();
 
-        const valueChange = currentTotalValue - snapshot.totalValue;
-        const costChange = currentTotalCost - snapshot.totalCost;
-        const pnlChange = currentTotalPnl - snapshot.totalPnl;
+        // Changes are taken in the display currency, each side at its own FX rates
+        const valueChange = this.toBaseCurrency(currentTotalValue) - this.toBaseCurrency(snapshot.totalValue, snapshot.fxRates);
+        const costChange = this.toBaseCurrency(currentTotalCost) - this.toBaseCurrency(snapshot.totalCost, snapshot.fxRates);
+        const pnlChange = this.toBaseCurrency(currentTotalPnl) - this.toBaseCurrency(snapshot.totalPnl, snapshot.fxRates);
         const pnlPercentChange = currentTotalPnlPercent - snapshot.totalPnlPercent;
 
         comparisonContent.innerHTML = `
@@ -2171,7 +3694,7 @@ class CryptoPortfolio {
                     <div class="comparison-values">
                         <div class="value-item">
                             <span class="label">Snapshot:</span>
-                            <span class="value">${this.formatPrice(snapshot.totalValue)}</span>
+                            <span class="value">${this.formatPrice(snapshot.totalValue, snapshot.fxRates)}</span>
                         </div>
                         <div class="value-item">
                             <span class="label">Current:</span>
@@ -2180,7 +3703,7 @@ class CryptoPortfolio {
                         <div class="value-item change">
                             <span class="label">Change:</span>
                             <span class="value ${valueChange >= 0 ? 'positive' : 'negative'}">
-                                ${valueChange >= 0 ? '+' : ''}${this.formatPrice(valueChange).substring(1)}
+                                ${this.formatSignedMoney(valueChange)}
                             </span>
                         </div>
                     </div>
@@ -2191,7 +3714,7 @@ class CryptoPortfolio {
                     <div class="comparison-values">
                         <div class="value-item">
                             <span class="label">Snapshot:</span>
-                            <span class="value">${this.formatPrice(snapshot.totalCost)}</span>
+                            <span class="value">${this.formatPrice(snapshot.totalCost, snapshot.fxRates)}</span>
                         </div>
                         <div class="value-item">
                             <span class="label">Current:</span>
@@ -2200,7 +3723,7 @@ class CryptoPortfolio {
                         <div class="value-item change">
                             <span class="label">Change:</span>
                             <span class="value ${costChange >= 0 ? 'positive' : 'negative'}">
-                                ${costChange >= 0 ? '+' : ''}${this.formatPrice(costChange).substring(1)}
+                                ${this.formatSignedMoney(costChange)}
                             </span>
                         </div>
                     </div>
@@ -2212,19 +3735,19 @@ class CryptoPortfolio {
                         <div class="value-item">
                             <span class="label">Snapshot:</span>
                             <span class="value ${snapshot.totalPnl >= 0 ? 'positive' : 'negative'}">
-                                ${snapshot.totalPnl >= 0 ? '+' : ''}$${snapshot.totalPnl.toFixed(2)}
+                                ${this.formatPnl(snapshot.totalPnl, snapshot.fxRates)}
                             </span>
                         </div>
                         <div class="value-item">
                             <span class="label">Current:</span>
                             <span class="value ${currentTotalPnl >= 0 ? 'positive' : 'negative'}">
-                                ${currentTotalPnl >= 0 ? '+' : ''}$${currentTotalPnl.toFixed(2)}
+                                ${this.formatPnl(currentTotalPnl)}
                             </span>
                         </div>
                         <div class="value-item change">
                             <span class="label">Change:</span>
                             <span class="value ${pnlChange >= 0 ? 'positive' : 'negative'}">
-                                ${pnlChange >= 0 ? '+' : ''}$${pnlChange.toFixed(2)}
+                                ${this.formatSignedMoney(pnlChange)}
                             </span>
                         </div>
                     </div>
@@ -2257,6 +3780,32 @@ class CryptoPortfolio {
         `;
     }
 
+    // Pinned snapshots are never removed by the server's retention policy
+    async toggleSnapshotPin(snapshotId) {
+        const snapshot = this.portfolioSnapshots.find(s => s.id === snapshotId);
+        if (!snapshot) return;
+
+        const pinned = !snapshot.pinned;
+        try {
+            const response = await fetch(`/api/snapshots/${encodeURIComponent(snapshotId)}/pin`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pinned })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            snapshot.pinned = pinned;
+            localStorage.setItem('cryptoPortfolioSnapshots', JSON.stringify(this.portfolioSnapshots));
+            this.updateSnapshotsModal();
+            this.showMessage(pinned ? 'Snapshot pinned' : 'Snapshot unpinned', 'success');
+        } catch (error) {
+            console.error('Error pinning snapshot:', error);
+            this.showMessage('Error pinning snapshot. Please try again.', 'error');
+        }
+    }
+
     deleteSnapshot(snapshotId) {
         if (confirm('Are you sure you want to delete this snapshot?')) {
             this.portfolioSnapshots = this.portfolioSnapshots.filter(s => s.id !== snapshotId);
@@ -1,141 +1,436 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
-// Upstash Redis import (for Vercel deployment)
-let redis = null;
-try {
-    const { Redis } = require('@upstash/redis');
-    // Upstash via Vercel uses KV_REST_API_URL format
-    if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
-        redis = new Redis({
-            url: process.env.KV_REST_API_URL,
-            token: process.env.KV_REST_API_TOKEN,
-        });
-        console.log('🔴 Running with Upstash Redis storage');
-    }
-} catch (e) {
-    console.log('📁 Running in local mode (filesystem storage)');
-}
+const { createStorage, VersionConflictError, decodeCursor } = require('./lib/storage');
+const { PORTFOLIO_VIEW_KEY, positionId, replayTransactions, reconcileTransactions, annotateSales } = require('./lib/ledger');
+const { SETTINGS_KEY, withDefaults, buildSettings } = require('./lib/settings');
+const {
+    ACCOUNTS_KEY,
+    DEFAULT_ACCOUNT,
+    accountId,
+    buildAccount,
+    addAccountForName,
+    positionNoteNames,
+    transactionAccount,
+    transactionToAccount
+} = require('./lib/accounts');
+const { buildTransaction, editTransaction, findNewOverdraft } = require('./lib/transactions');
+const { compactSnapshots, RetentionPolicyError } = require('./lib/retention');
+const { backfillSnapshots, BackfillRangeError } = require('./lib/backfill');
+const { readImport, valuationNeeds, createUsdRate, buildImport } = require('./lib/exchange-import');
+const { listDisposals, buildPnlReport, buildForm8949Csv } = require('./lib/tax-report');
+const { PERIODS, buildPerformanceReport } = require('./lib/performance');
+const { CASH_FLOWS_KEY, buildCashFlow, summarizeCashFlows, buildTotalCostAdjustment } = require('./lib/cash-flows');
+const { RESTORE_MODES, BackupFormatError, createBackup, readBackup, planRestore, describePlan } = require('./lib/backup');
+const { markCurrent, migrateStorage, migrateInstance } = require('./lib/migrations');
+const { readExportOptions, dateRange, buildHistoryExport, buildHistoryCsv } = require('./lib/history-export');
+const { QUERY_PARAMS, readTransactionQuery, queryTransactions, buildTransactionsCsv } = require('./lib/transaction-query');
+const { createPriceService, PriceUpstreamError } = require('./lib/prices');
+const { SUPPORTED_CURRENCIES, normalizeCurrency, createFxService } = require('./lib/fx');
+const { ASSETS_KEY, DEFAULT_ASSETS, normalizeSymbol, buildAsset, assetMap, findCandidates, searchCoins } = require('./lib/assets');
+const {
+    PORTFOLIOS_KEY,
+    DEFAULT_PORTFOLIO_ID,
+    AGGREGATE_PORTFOLIO_ID,
+    listPortfolios,
+    buildPortfolio,
+    aggregatePositions,
+    aggregateTransactions,
+    aggregateProjects,
+    aggregateSnapshots,
+    aggregateCashFlows
+} = require('./lib/portfolios');
+const { DAY_MS, readDateRange } = require('./lib/time');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DATA_DIR = path.join(__dirname, 'data');
 const SNAPSHOT_DIR = path.join(__dirname, 'snapshot');
-const PORTFOLIO_FILE = path.join(DATA_DIR, 'portfolio.json');
-const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
-const PROJECTS_FILE = path.join(DATA_DIR, 'projects.json');
-
-// Check if we're running on Vercel with Redis configured
-const isVercelKV = () => redis && process.env.KV_REST_API_URL;
 
 // ============================================
 // Storage Abstraction Layer
 // ============================================
 
+// Driver is picked from STORAGE_DRIVER, falling back to Upstash when the
+// Vercel KV credentials are present and the local filesystem otherwise
+const storage = createStorage({ dataDir: DATA_DIR, snapshotDir: SNAPSHOT_DIR });
+const priceService = createPriceService({ storage });
+const fxService = createFxService({ storage });
+console.log(`💾 Running with ${storage.name} storage`);
+
+// Each portfolio keeps its documents and snapshots in a storage namespace of
+// its own (see lib/portfolios.js). The default portfolio uses `storage`
+// itself, as do the documents every portfolio shares.
+const SHARED_KEYS = [ASSETS_KEY, PORTFOLIOS_KEY];
+const portfolioContext = new AsyncLocalStorage();
+const portfolioStorages = new Map();
+
+function storageForPortfolio(id) {
+    if (id === DEFAULT_PORTFOLIO_ID) return storage;
+    if (!portfolioStorages.has(id)) {
+        portfolioStorages.set(id, createStorage({ dataDir: DATA_DIR, snapshotDir: SNAPSHOT_DIR, namespace: id }));
+    }
+    return portfolioStorages.get(id);
+}
+
+// Run `fn` against the data of `portfolio`
+function inPortfolio(portfolio, fn) {
+    return portfolioContext.run({ portfolio, storage: storageForPortfolio(portfolio.id) }, fn);
+}
+
+// The storage of the portfolio being worked on (the default one outside a request)
+function portfolioStorage() {
+    const context = portfolioContext.getStore();
+    return context ? context.storage : storage;
+}
+
+function storageFor(key) {
+    return SHARED_KEYS.includes(key) ? storage : portfolioStorage();
+}
+
 async function getData(key, defaultValue = null) {
-    if (isVercelKV()) {
-        const data = await redis.get(key);
-        // Upstash returns parsed JSON automatically for objects, but strings need parsing
-        if (data !== null) {
-            return typeof data === 'string' ? JSON.parse(data) : data;
+    const data = await storageFor(key).get(key);
+    return data !== null ? data : defaultValue;
+}
+
+async function setData(key, value) {
+    await storageFor(key).set(key, value);
+}
+
+// Query snapshots by time range (see parseSnapshotQuery for the options)
+async function querySnapshots(query) {
+    return portfolioStorage().querySnapshots(query);
+}
+
+// The most recent snapshot, or null when there are none
+async function getLatestSnapshot(fields) {
+    const { snapshots } = await querySnapshots({ order: 'desc', limit: 1, fields });
+    return snapshots[0] || null;
+}
+
+// ============================================
+// Schema Migrations
+// ============================================
+
+// Stored data is upgraded to the current schema (see lib/migrations.js)
+// before any request is served, so the routes only deal with current shapes.
+// Resolves to the error when a migration failed.
+const schemaReady = migrateInstance({ storage, storageForPortfolio })
+    .then(reports => {
+        for (const [id, { from, to, migrations }] of Object.entries(reports)) {
+            if (migrations.length === 0) continue;
+            const changes = migrations.map(migration => `${migration.name} (${migration.changed})`).join(', ');
+            console.log(`🧬 Migrated ${id} from schema ${from} to ${to}: ${changes}`);
         }
-        return defaultValue;
-    } else {
-        // Filesystem fallback for local development
-        const filePath = getFilePath(key);
-        if (fs.existsSync(filePath)) {
-            const data = fs.readFileSync(filePath, 'utf8');
-            return JSON.parse(data);
+        return null;
+    }, error => {
+        console.error('❌ Data migration failed:', error);
+        return error;
+    });
+
+// ============================================
+// Optimistic Concurrency Control
+// ============================================
+
+// Every stored document has a version that is sent as its ETag. Writes may
+// send it back in If-Match and get a 409 with the current state if the
+// document changed in the meantime. A missing document has the ETag "0".
+const EMPTY_VERSION = '0';
+
+function toEtag(version) {
+    return `"${version || EMPTY_VERSION}"`;
+}
+
+// Returns the expected version from If-Match, null for a document that must
+// not exist yet, or undefined when the client sent no precondition
+function parseIfMatch(req) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return undefined;
+    const version = header.trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+    return version === EMPTY_VERSION ? null : version;
+}
+
+async function getVersionedData(key, defaultValue = null) {
+    const { value, version } = await storageFor(key).getVersioned(key);
+    return { value: value !== null ? value : defaultValue, version };
+}
+
+// Read-modify-write a document, honouring the request's If-Match header.
+// `mutate` may edit the value in place or return a replacement; returning
+// false skips the write.
+async function updateData(req, key, defaultValue, mutate) {
+    return storageFor(key).update(key, mutate, { defaultValue, expectedVersion: parseIfMatch(req) });
+}
+
+function sendConflict(res, error, defaultValue = null) {
+    const { value, version } = error.current;
+    res.setHeader('ETag', toEtag(version));
+    res.status(409).json({
+        error: 'The data was changed by someone else. Reload and try again.',
+        current: value !== null ? value : defaultValue,
+        version: toEtag(version)
+    });
+}
+
+// ============================================
+// Snapshot Queries
+// ============================================
+
+const MAX_SNAPSHOT_LIMIT = 1000;
+
+// Turns GET /api/snapshots query parameters into a storage query:
+// from/to (see readDateRange in lib/time.js), limit, cursor (from the
+// X-Next-Cursor header of the previous page), order (asc/desc) and fields
+// (comma separated). Returns { query } or { error } for a 400 response.
+function parseSnapshotQuery(params) {
+    const range = readDateRange(params);
+    if (range.error) {
+        return { error: range.error };
+    }
+    const query = { ...range };
+
+    if (params.limit !== undefined && params.limit !== '') {
+        const limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SNAPSHOT_LIMIT) {
+            return { error: `limit must be an integer between 1 and ${MAX_SNAPSHOT_LIMIT}` };
+        }
+        query.limit = limit;
+    }
+
+    if (params.cursor) {
+        if (!decodeCursor(params.cursor)) {
+            return { error: 'Invalid cursor' };
+        }
+        query.cursor = String(params.cursor);
+    }
+
+    if (params.order !== undefined && params.order !== '') {
+        if (params.order !== 'asc' && params.order !== 'desc') {
+            return { error: 'order must be asc or desc' };
         }
-        return defaultValue;
+        query.order = params.order;
+    }
+
+    if (params.fields) {
+        query.fields = String(params.fields).split(',').map(field => field.trim()).filter(Boolean);
     }
+
+    return { query };
 }
 
-async function setData(key, value) {
-    if (isVercelKV()) {
-        await redis.set(key, JSON.stringify(value));
-    } else {
-        // Filesystem fallback for local development
-        const filePath = getFilePath(key);
-        fs.writeFileSync(filePath, JSON.stringify(value, null, 2));
+// ============================================
+// Transaction Queries
+// ============================================
+
+// GET /api/transactions without query parameters lists the whole ledger.
+// With any of QUERY_PARAMS it answers one filtered, sorted page (see
+// lib/transaction-query.js); X-Total-Count counts every match and
+// X-Next-Cursor continues the page. Other parameters, like `portfolio` and
+// `auth`, leave the whole ledger listed.
+function sendTransactions(req, res, transactions) {
+    if (!QUERY_PARAMS.some(name => req.query[name] !== undefined)) {
+        return res.json(transactions);
+    }
+    const { query, error } = readTransactionQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
     }
+    const { transactions: page, total, nextCursor } = queryTransactions(transactions, query);
+    res.setHeader('X-Total-Count', String(total));
+    if (nextCursor) {
+        res.setHeader('X-Next-Cursor', nextCursor);
+    }
+    res.json(page);
 }
 
-function getFilePath(key) {
-    switch (key) {
-        case 'portfolio': return PORTFOLIO_FILE;
-        case 'transactions': return TRANSACTIONS_FILE;
-        case 'projects': return PROJECTS_FILE;
-        default:
-            if (key.startsWith('snapshot:')) {
-                const snapshotId = key.replace('snapshot:', '');
-                return path.join(SNAPSHOT_DIR, `${snapshotId}.json`);
-            }
-            return path.join(DATA_DIR, `${key}.json`);
+// Download every transaction matching the query as CSV (the default) or
+// JSON; limit and cursor are ignored
+function sendTransactionsExport(req, res, transactions, accounts) {
+    const { query, error } = readTransactionQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
     }
+    const format = query.format || 'csv';
+    const { transactions: matching } = queryTransactions(transactions, { ...query, limit: undefined, cursor: undefined });
+
+    const context = portfolioContext.getStore();
+    const name = context ? context.portfolio.id : AGGREGATE_PORTFOLIO_ID;
+    const filename = `transactions-${name}-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+        return res.json(matching);
+    }
+    const names = new Map(accounts.map(account => [account.id, account.name]));
+    res.setHeader('Content-Type', 'text/csv');
+    res.send(buildTransactionsCsv(matching, { accountName: id => (id ? names.get(id) || id : '') }));
 }
 
-// Get all snapshots - OPTIMIZED: single key instead of many
-async function getAllSnapshots() {
-    if (isVercelKV()) {
-        // Single read from Redis - much more efficient!
-        const snapshots = await getData('snapshots', []);
-        return Array.isArray(snapshots) ? snapshots : [];
-    } else {
-        // Filesystem fallback - read individual files
-        if (!fs.existsSync(SNAPSHOT_DIR)) return [];
-        const files = fs.readdirSync(SNAPSHOT_DIR).filter(f => f.endsWith('.json'));
-        const snapshots = [];
-        
-        for (const file of files) {
-            if (file.startsWith('snapshot-') && !file.startsWith('snapshots-')) {
-                const filePath = path.join(SNAPSHOT_DIR, file);
-                const data = fs.readFileSync(filePath, 'utf8');
-                snapshots.push(JSON.parse(data));
-            }
-        }
-        return snapshots;
+// ============================================
+// Ledger & Portfolio View
+// ============================================
+
+// `transactions` is the source of truth. `portfolio` holds the positions
+// materialised from it, and PORTFOLIO_VIEW_KEY records which transactions
+// version and cost basis method they were built from so a stale view is
+// rebuilt on read.
+
+async function getSettings() {
+    return withDefaults(await getData(SETTINGS_KEY));
+}
+
+async function getCostBasisMethod() {
+    return (await getSettings()).costBasisMethod;
+}
+
+// The account registry
+async function getAccounts() {
+    return getData(ACCOUNTS_KEY, []);
+}
+
+// Make sure accounts named `names` exist, created with `type`; resolves to
+// the registry
+async function registerAccountNames(names, type) {
+    const { value } = await portfolioStorage().update(ACCOUNTS_KEY, accounts => {
+        const added = names.filter(name => addAccountForName(accounts, name, type));
+        if (added.length === 0) return false;
+    }, { defaultValue: [] });
+    return value;
+}
+
+// Register the accounts positions saved before accounts existed name in
+// `note`, so restoring them keeps the names
+async function registerPositionAccounts(positions) {
+    const names = positionNoteNames(positions);
+    if (names.length > 0) await registerAccountNames(names);
+}
+
+async function rebuildPortfolioView(transactions, transactionsVersion, method) {
+    const positions = replayTransactions(transactions, { method });
+    await setData('portfolio', positions);
+    await setData(PORTFOLIO_VIEW_KEY, {
+        transactionsVersion,
+        costBasisMethod: method,
+        transactionCount: transactions.length,
+        rebuiltAt: new Date().toISOString()
+    });
+    return positions;
+}
+
+// Current positions plus the transactions version they reflect
+async function getPortfolioView({ rebuild = false } = {}) {
+    const method = await getCostBasisMethod();
+    const view = await getData(PORTFOLIO_VIEW_KEY);
+    const { value: transactions, version } = await getVersionedData('transactions', []);
+    if (!rebuild && view && view.transactionsVersion === version && (view.costBasisMethod || method) === method) {
+        return { positions: await getData('portfolio', []), version, transactions, rebuilt: false };
     }
+
+    const positions = await rebuildPortfolioView(transactions, version, method);
+    return { positions, version, transactions, rebuilt: true };
 }
 
-// Save a snapshot - OPTIMIZED: append to single array
-async function saveSnapshot(snapshot) {
-    if (isVercelKV()) {
-        // Get existing snapshots, append new one, save back
-        const snapshots = await getAllSnapshots();
-        
-        // Check if snapshot already exists (by id)
-        const existingIndex = snapshots.findIndex(s => s.id === snapshot.id);
-        if (existingIndex >= 0) {
-            snapshots[existingIndex] = snapshot;
-        } else {
-            snapshots.push(snapshot);
+// Append transactions (honouring If-Match) and refresh the view. Sells and
+// swaps get their realized P&L recorded as they are appended. `validate` may
+// inspect the positions the new transactions apply to and return an error
+// message, in which case nothing is written and { error } is returned. The
+// ledger is replayed so a back-dated transaction cannot overdraw a position
+// at any earlier point either.
+async function appendTransactions(req, newTransactions, { validate } = {}) {
+    const method = await getCostBasisMethod();
+    let validationError = null;
+    const { value: transactions, version } = await updateData(req, 'transactions', [], transactions => {
+        validationError = validate ? validate(replayTransactions(transactions, { method })) : null;
+        if (!validationError) {
+            validationError = findNewOverdraft(transactions, [...transactions, ...newTransactions], { method });
         }
-        
-        await setData('snapshots', snapshots);
-    } else {
-        // Filesystem fallback - save individual files
-        const snapshotTimestamp = new Date(snapshot.timestamp).toISOString().replace(/[:.]/g, '-');
-        const filePath = path.join(SNAPSHOT_DIR, `snapshot-${snapshot.id}-${snapshotTimestamp}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2));
+        if (validationError) return false;
+        transactions.push(...newTransactions);
+        annotateSales(transactions, { method });
+    });
+    if (validationError) {
+        return { error: validationError };
     }
+    const positions = await rebuildPortfolioView(transactions, version, method);
+    return { positions, version, transactions };
 }
 
-// Save multiple snapshots at once (for migration)
-async function saveAllSnapshots(snapshots) {
-    if (isVercelKV()) {
-        await setData('snapshots', snapshots);
-    } else {
-        for (const snapshot of snapshots) {
-            await saveSnapshot(snapshot);
+// Prior values of edited and deleted transactions, oldest first
+const TRANSACTION_HISTORY_KEY = 'transaction-history';
+
+// Replace or remove one transaction (honouring If-Match) and refresh the view.
+// `change(existing)` resolves to { transaction } to replace it, {} to delete
+// it or { error }. Changes that leave a later transaction taking more than is
+// held are refused. The prior value is kept in the transaction history.
+async function changeTransaction(req, id, change) {
+    const method = await getCostBasisMethod();
+    let previous = null;
+    let updated = null;
+    let error = null;
+    const { value: transactions, version, written } = await updateData(req, 'transactions', [], transactions => {
+        const index = transactions.findIndex(t => t.id === id);
+        if (index === -1) {
+            previous = null;
+            return false;
         }
-    }
+        previous = transactions[index];
+        const result = change(previous);
+        error = result.error || null;
+        if (error) return false;
+
+        updated = result.transaction || null;
+        const next = [...transactions];
+        if (updated) next[index] = updated;
+        else next.splice(index, 1);
+        error = findNewOverdraft(transactions, next, { method });
+        if (error) return false;
+        annotateSales(next, { method });
+        return next;
+    });
+    if (!previous) return { notFound: true };
+    if (!written) return { error };
+
+    await portfolioStorage().update(TRANSACTION_HISTORY_KEY, history => {
+        history.push({
+            transactionId: id,
+            action: updated ? 'update' : 'delete',
+            changedAt: new Date().toISOString(),
+            previous
+        });
+    }, { defaultValue: [] });
+
+    const positions = await rebuildPortfolioView(transactions, version, method);
+    return { positions, version, transaction: updated && transactions.find(t => t.id === id) };
+}
+
+// Make the ledger produce `target` by appending adjustment transactions
+async function setPortfolioPositions(req, target, description) {
+    const method = await getCostBasisMethod();
+    await registerPositionAccounts(target);
+    let adjustments = [];
+    const { value: transactions, version } = await updateData(req, 'transactions', [], transactions => {
+        adjustments = reconcileTransactions(replayTransactions(transactions, { method }), target, { description });
+        if (adjustments.length === 0) return false;
+        transactions.push(...adjustments);
+        annotateSales(transactions, { method });
+    });
+    const positions = await rebuildPortfolioView(transactions, version, method);
+    return { positions, version, adjustments };
+}
+
+// Portfolio writes are checked against the transactions version, so answer
+// conflicts with the positions the client would see rather than raw transactions
+async function sendPortfolioConflict(res, error) {
+    const { value, version } = error.current;
+    const method = await getCostBasisMethod();
+    sendConflict(res, { current: { value: replayTransactions(value || [], { method }), version } }, []);
 }
 
 // Password Protection Middleware
 const SITE_PASSWORD = process.env.SITE_PASSWORD || '19900830';
+const CRON_SECRET = process.env.CRON_SECRET;
+const CRON_PATHS = ['/api/snapshots/capture'];
 
 function basicAuth(req, res, next) {
     // Skip auth if no password is set
@@ -169,6 +464,10 @@ function basicAuth(req, res, next) {
         if (token === expectedToken) {
             return next();
         }
+        // Vercel Cron sends CRON_SECRET, which only grants the cron endpoints
+        if (CRON_SECRET && token === CRON_SECRET && CRON_PATHS.includes(req.path)) {
+            return next();
+        }
     }
     
     // Show login page for HTML requests
@@ -340,25 +639,269 @@ app.use(basicAuth);
 // Serve static files (after auth)
 app.use(express.static(__dirname));
 
-// Ensure data and snapshot directories exist (for local development)
-if (!isVercelKV()) {
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
+// ============================================
+// Portfolios
+// ============================================
+
+// The portfolio registry, default portfolio first (see lib/portfolios.js)
+async function getPortfolios() {
+    return listPortfolios(await getData(PORTFOLIOS_KEY, []));
+}
+
+// Resolves to fn(portfolio) for every portfolio, each run against its own data
+async function mapPortfolios(fn) {
+    const portfolios = await getPortfolios();
+    return Promise.all(portfolios.map(portfolio => inPortfolio(portfolio, () => fn(portfolio))));
+}
+
+// Routes that read or write data every portfolio shares
+const SHARED_ROUTES = ['/prices', '/fx', '/assets', '/portfolios', '/backup', '/restore'];
+
+// Read-only routes of the aggregate "all portfolios" view
+const AGGREGATE_ROUTES = {
+    '/portfolio': async (req, res) => {
+        const books = await mapPortfolios(async portfolio => ({ portfolio, positions: (await getPortfolioView()).positions }));
+        res.json(aggregatePositions(books));
+    },
+    '/transactions': async (req, res) => {
+        const books = await mapPortfolios(async portfolio => ({ portfolio, transactions: await getData('transactions', []) }));
+        sendTransactions(req, res, aggregateTransactions(books));
+    },
+    '/transactions/export': async (req, res) => {
+        const books = await mapPortfolios(async portfolio => ({ portfolio, transactions: await getData('transactions', []) }));
+        const accounts = (await mapPortfolios(() => getAccounts())).flat();
+        sendTransactionsExport(req, res, aggregateTransactions(books), accounts);
+    },
+    '/projects': async (req, res) => {
+        const books = await mapPortfolios(async portfolio => ({ portfolio, projects: await getData('projects', EMPTY_PROJECTS) }));
+        res.json(aggregateProjects(books));
+    },
+    '/accounts': async (req, res) => {
+        const accounts = new Map();
+        for (const list of await mapPortfolios(() => getAccounts())) {
+            for (const account of list) {
+                if (!accounts.has(account.id)) accounts.set(account.id, account);
+            }
+        }
+        res.json([...accounts.values()]);
+    },
+    // Values are shown in the currency of the default portfolio
+    '/settings': async (req, res) => {
+        res.json(await getSettings());
+    },
+    '/snapshots': async (req, res) => {
+        const { query, error } = parseSnapshotQuery(req.query);
+        if (error || query.cursor) {
+            return res.status(400).json({ error: error || 'cursor is not supported for all portfolios' });
+        }
+        res.json(await queryAggregateSnapshots(query));
+    },
+    '/performance': async (req, res) => {
+        const { periods, error } = parsePerformancePeriods(req.query.periods);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const books = await mapPortfolios(async portfolio => ({ portfolio, transactions: (await getPortfolioView()).transactions }));
+        const snapshots = await queryAggregateSnapshots({ fields: PERFORMANCE_FIELDS });
+        res.json(buildPerformanceReport(aggregateTransactions(books), snapshots, { periods }));
+    },
+    '/cash-flows': async (req, res) => {
+        const books = await mapPortfolios(async portfolio => {
+            const cashFlows = await getCashFlows();
+            return { portfolio, cashFlows, summary: await getCashFlowSummary(cashFlows) };
+        });
+        res.json(aggregateCashFlows(books));
+    }
+};
+
+// Snapshots of every portfolio summed per day. Each portfolio also
+// contributes its last snapshot before `from`, which counts until its next one.
+async function queryAggregateSnapshots({ from, to, order, limit, fields }) {
+    const bookFields = fields && [...new Set([...fields, 'totalValue', 'totalCost', 'fxRates'])];
+    const books = await mapPortfolios(async portfolio => {
+        const { snapshots } = await querySnapshots({ from, to, fields: bookFields });
+        const { snapshots: before } = from !== undefined
+            ? await querySnapshots({ to: from - 1, order: 'desc', limit: 1, fields: bookFields })
+            : { snapshots: [] };
+        return { portfolio, snapshots: [...before, ...snapshots] };
+    });
+    return aggregateSnapshots(books, { from, to, order, limit, fields });
+}
+
+// Hold API requests until the data is migrated
+app.use('/api', async (req, res, next) => {
+    const error = await schemaReady;
+    if (error) {
+        return res.status(503).json({ error: `Data migration failed: ${error.message}` });
     }
-    if (!fs.existsSync(SNAPSHOT_DIR)) {
-        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    next();
+});
+
+// Pick the portfolio a request works on from the X-Portfolio-Id header or
+// the `portfolio` query parameter (the default portfolio when neither is
+// given). "all" only answers the aggregate routes, and capturing snapshots.
+app.use('/api', async (req, res, next) => {
+    try {
+        if (SHARED_ROUTES.some(route => req.path === route || req.path.startsWith(`${route}/`))) {
+            return next();
+        }
+        const id = String(req.get('X-Portfolio-Id') || req.query.portfolio || DEFAULT_PORTFOLIO_ID).trim();
+
+        if (id === AGGREGATE_PORTFOLIO_ID) {
+            if (req.path === '/snapshots/capture') {
+                return handleCaptureAllSnapshots(req, res);
+            }
+            const route = AGGREGATE_ROUTES[req.path];
+            if (req.method !== 'GET') {
+                return res.status(400).json({ error: 'All portfolios is a read-only view; choose a portfolio to make changes' });
+            }
+            if (!route) {
+                return res.status(400).json({ error: 'This is not available for all portfolios; choose a portfolio' });
+            }
+            return await route(req, res);
+        }
+
+        const portfolio = (await getPortfolios()).find(p => p.id === id);
+        if (!portfolio) {
+            return res.status(404).json({ error: `Portfolio "${id}" not found` });
+        }
+        inPortfolio(portfolio, next);
+    } catch (error) {
+        console.error('Error resolving portfolio:', error);
+        res.status(500).json({ error: 'Failed to load portfolio' });
+    }
+});
+
+app.get('/api/portfolios', async (req, res) => {
+    try {
+        const { value, version } = await getVersionedData(PORTFOLIOS_KEY, []);
+        res.setHeader('ETag', toEtag(version));
+        res.json(listPortfolios(value));
+    } catch (error) {
+        console.error('Error reading portfolios:', error);
+        res.status(500).json({ error: 'Failed to read portfolios' });
+    }
+});
+
+app.post('/api/portfolios', async (req, res) => {
+    try {
+        const { portfolio, error } = buildPortfolio(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        let exists = false;
+        const { version } = await updateData(req, PORTFOLIOS_KEY, [], portfolios => {
+            exists = listPortfolios(portfolios).some(p => p.id === portfolio.id);
+            if (exists) return false;
+            portfolios.push(portfolio);
+        });
+        if (exists) {
+            return res.status(400).json({ error: `Portfolio "${portfolio.id}" already exists` });
+        }
+
+        await markCurrent(storageForPortfolio(portfolio.id));
+        console.log(`📁 Created portfolio ${portfolio.id}`);
+        res.setHeader('ETag', toEtag(version));
+        res.status(201).json({ success: true, portfolio });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error creating portfolio:', error);
+        res.status(500).json({ error: 'Failed to create portfolio' });
+    }
+});
+
+// Rename a portfolio; its id, and so where its data is kept, stays the same
+app.put('/api/portfolios/:id', async (req, res) => {
+    try {
+        let updated = null;
+        let validationError = null;
+
+        const { version } = await updateData(req, PORTFOLIOS_KEY, [], portfolios => {
+            const existing = listPortfolios(portfolios).find(p => p.id === req.params.id);
+            if (!existing) return false;
+            const { portfolio, error } = buildPortfolio({ name: req.body?.name }, existing);
+            if (error) {
+                validationError = error;
+                return false;
+            }
+            updated = portfolio;
+            const index = portfolios.findIndex(p => p.id === portfolio.id);
+            if (index === -1) portfolios.unshift(portfolio);
+            else portfolios[index] = portfolio;
+        });
+
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!updated) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, portfolio: updated });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error updating portfolio:', error);
+        res.status(500).json({ error: 'Failed to update portfolio' });
     }
+});
+
+// Remove every document and snapshot of portfolio `id`; resolves to the
+// number of snapshots removed
+async function purgePortfolio(id) {
+    const book = storageForPortfolio(id);
+    const snapshotIds = (await book.querySnapshots({ fields: ['id'] })).snapshots.map(snapshot => snapshot.id);
+    if (snapshotIds.length > 0) await book.deleteSnapshots(snapshotIds);
+    for (const key of await book.keys()) {
+        await book.delete(key);
+    }
+    await book.close();
+    portfolioStorages.delete(id);
+    return snapshotIds.length;
 }
 
+// Delete a portfolio together with all of its data. The default portfolio
+// cannot be deleted.
+app.delete('/api/portfolios/:id', async (req, res) => {
+    try {
+        if (req.params.id === DEFAULT_PORTFOLIO_ID) {
+            return res.status(400).json({ error: 'The default portfolio cannot be deleted' });
+        }
+
+        let removed = null;
+        const { version } = await updateData(req, PORTFOLIOS_KEY, [], portfolios => {
+            const index = portfolios.findIndex(p => p.id === req.params.id);
+            if (index === -1) return false;
+            [removed] = portfolios.splice(index, 1);
+        });
+        if (!removed) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        const snapshotCount = await purgePortfolio(removed.id);
+        console.log(`🗑️  Deleted portfolio ${removed.id} (${snapshotCount} snapshots)`);
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, portfolio: removed });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error deleting portfolio:', error);
+        res.status(500).json({ error: 'Failed to delete portfolio' });
+    }
+});
+
 // ============================================
 // API Routes
 // ============================================
 
 // Portfolio routes
+// Positions are derived from the transaction ledger; the ETag is the
+// transactions version
 app.get('/api/portfolio', async (req, res) => {
     try {
-        const portfolio = await getData('portfolio', []);
-        res.json(portfolio);
+        const { positions, version } = await getPortfolioView();
+        res.setHeader('ETag', toEtag(version));
+        res.json(positions);
     } catch (error) {
         console.error('Error reading portfolio:', error);
         res.status(500).json({ error: 'Failed to read portfolio data' });
@@ -368,44 +911,49 @@ app.get('/api/portfolio', async (req, res) => {
 app.post('/api/portfolio', async (req, res) => {
     try {
         const portfolio = req.body;
-        await setData('portfolio', portfolio);
-        res.json({ success: true, message: 'Portfolio saved successfully' });
+        if (!Array.isArray(portfolio)) {
+            return res.status(400).json({ error: 'Invalid portfolio data format' });
+        }
+        
+        // Setting the whole portfolio records the difference as adjustments
+        const { positions, version, adjustments } = await setPortfolioPositions(req, portfolio, 'Portfolio set directly');
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, message: 'Portfolio saved successfully', adjustments: adjustments.length, portfolio: positions });
     } catch (error) {
+        if (error instanceof VersionConflictError) return sendPortfolioConflict(res, error);
         console.error('Error saving portfolio:', error);
         res.status(500).json({ error: 'Failed to save portfolio data' });
     }
 });
 
-app.get('/api/export', async (req, res) => {
-    try {
-        const portfolio = await getData('portfolio', []);
-        const exportData = {
-            portfolio: portfolio,
-            exportDate: new Date().toISOString(),
-            version: '1.0'
-        };
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', `attachment; filename="crypto-portfolio-${new Date().toISOString().split('T')[0]}.json"`);
-        res.json(exportData);
-    } catch (error) {
-        console.error('Error exporting portfolio:', error);
-        res.status(500).json({ error: 'Failed to export portfolio data' });
-    }
-});
-
-app.post('/api/import', async (req, res) => {
+// Rebuild the positions from the full transaction history and report any
+// positions that had drifted from the cached view
+app.post('/api/portfolio/rebuild', async (req, res) => {
     try {
-        const { portfolio } = req.body;
-        if (!Array.isArray(portfolio)) {
-            return res.status(400).json({ error: 'Invalid portfolio data format' });
-        }
-        
-        await setData('portfolio', portfolio);
-        res.json({ success: true, message: 'Portfolio imported successfully' });
+        const cached = await getData('portfolio', []);
+        const { positions, version, transactions } = await getPortfolioView({ rebuild: true });
+        
+        const cachedById = new Map(cached.map(p => [p.id, p]));
+        const changed = positions
+            .filter(p => {
+                const before = cachedById.get(p.id);
+                cachedById.delete(p.id);
+                return !before || Math.abs(before.amount - p.amount) > 1e-9 || Math.abs(before.totalCost - p.totalCost) > 1e-6;
+            })
+            .map(p => p.id)
+            .concat([...cachedById.keys()]);
+        
+        res.setHeader('ETag', toEtag(version));
+        res.json({
+            success: true,
+            transactions: transactions.length,
+            positions: positions.length,
+            changed,
+            portfolio: positions
+        });
     } catch (error) {
-        console.error('Error importing portfolio:', error);
-        res.status(500).json({ error: 'Failed to import portfolio data' });
+        console.error('Error rebuilding portfolio:', error);
+        res.status(500).json({ error: 'Failed to rebuild portfolio' });
     }
 });
 
@@ -413,14 +961,22 @@ app.post('/api/import', async (req, res) => {
 app.post('/api/snapshots', async (req, res) => {
     try {
         const snapshots = req.body;
-        
-        for (const snapshot of snapshots) {
-            await saveSnapshot(snapshot);
+        if (!Array.isArray(snapshots)) {
+            return res.status(400).json({ error: 'The body must be a list of snapshots' });
         }
+        const invalid = snapshots.findIndex(snapshot => !snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot) ||
+            snapshot.id === undefined || snapshot.id === null || snapshot.id === '');
+        if (invalid !== -1) {
+            return res.status(400).json({ error: `Snapshot ${invalid} must be an object with an id` });
+        }
+        
+        const version = await portfolioStorage().upsertSnapshots(snapshots, parseIfMatch(req));
         
         console.log(`Saved ${snapshots.length} snapshots`);
+        res.setHeader('ETag', toEtag(version));
         res.json({ success: true, message: 'Snapshots saved successfully' });
     } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error);
         console.error('Error saving snapshots:', error);
         res.status(500).json({ error: 'Failed to save snapshots' });
     }
@@ -428,7 +984,18 @@ app.post('/api/snapshots', async (req, res) => {
 
 app.get('/api/snapshots', async (req, res) => {
     try {
-        const snapshots = await getAllSnapshots();
+        const { query, error } = parseSnapshotQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const version = await portfolioStorage().getSnapshotsVersion();
+        const { snapshots, nextCursor } = await querySnapshots(query);
+        
+        res.setHeader('ETag', toEtag(version));
+        if (nextCursor) {
+            res.setHeader('X-Next-Cursor', nextCursor);
+        }
         res.json(snapshots);
     } catch (error) {
         console.error('Error loading snapshots:', error);
@@ -436,151 +1003,1132 @@ app.get('/api/snapshots', async (req, res) => {
     }
 });
 
-// Get latest snapshot's totalCost
-app.get('/api/latest-totalcost', async (req, res) => {
+// Apply the retention policy (SNAPSHOT_RETENTION, or `policy` in the body).
+// Manual and pinned snapshots are always kept; `dryRun` only reports.
+app.post('/api/snapshots/compact', async (req, res) => {
     try {
-        const snapshots = await getAllSnapshots();
-        
-        if (snapshots.length === 0) {
-            return res.json({ totalCost: null });
-        }
-        
-        // Find the latest snapshot
-        let latestSnapshot = snapshots[0];
-        let latestTimestamp = new Date(latestSnapshot.timestamp).getTime();
-        
-        for (const snapshot of snapshots) {
-            const timestamp = new Date(snapshot.timestamp).getTime();
-            if (timestamp > latestTimestamp) {
-                latestTimestamp = timestamp;
-                latestSnapshot = snapshot;
-            }
-        }
+        const { dryRun = false, policy } = req.body || {};
+        const result = await compactSnapshots(portfolioStorage(), {
+            spec: policy || process.env.SNAPSHOT_RETENTION,
+            dryRun: Boolean(dryRun)
+        });
         
-        if (latestSnapshot && latestSnapshot.totalCost !== undefined) {
-            res.json({ totalCost: latestSnapshot.totalCost });
-        } else {
-            res.json({ totalCost: null });
-        }
+        console.log(`🧹 Snapshot compaction (${result.policy})${result.dryRun ? ' [dry run]' : ''}: ${result.removed} of ${result.total} removed`);
+        res.json({ success: true, ...result });
     } catch (error) {
-        console.error('Error loading latest totalCost:', error);
-        res.status(500).json({ error: 'Failed to load latest totalCost' });
+        if (error instanceof RetentionPolicyError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error compacting snapshots:', error);
+        res.status(500).json({ error: 'Failed to compact snapshots' });
     }
 });
 
-// Transaction routes
-app.get('/api/transactions', async (req, res) => {
+// Rebuild daily snapshots for days before snapshots were taken, from the
+// transaction ledger and historical closing prices
+app.post('/api/snapshots/backfill', async (req, res) => {
     try {
-        const transactions = await getData('transactions', []);
-        res.json(transactions);
+        const { from, to, force = false, dryRun = false } = req.body || {};
+        const result = await backfillSnapshots(portfolioStorage(), priceService, {
+            fxService,
+            assetStorage: storage,
+            from: from || undefined,
+            to: to || undefined,
+            force: Boolean(force),
+            dryRun: Boolean(dryRun)
+        });
+        
+        console.log(`⏪ Snapshot backfill ${result.from} → ${result.to}${result.dryRun ? ' [dry run]' : ''}: ${result.created} created, ${result.replaced} replaced`);
+        res.json({ success: true, ...result });
     } catch (error) {
-        console.error('Error reading transactions:', error);
-        res.status(500).json({ error: 'Failed to read transactions data' });
+        if (error instanceof BackfillRangeError) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof PriceUpstreamError) {
+            return res.status(502).json({ error: error.message });
+        }
+        console.error('Error backfilling snapshots:', error);
+        res.status(500).json({ error: 'Failed to backfill snapshots' });
     }
 });
 
-app.post('/api/transactions', async (req, res) => {
+// Pin or unpin a snapshot so retention never removes it
+app.post('/api/snapshots/:id/pin', async (req, res) => {
     try {
-        const transaction = req.body;
-        
-        // Validate transaction data
-        if (!transaction.symbol || !transaction.amount || transaction.purchasePrice === undefined) {
-            return res.status(400).json({ error: 'Invalid transaction data' });
+        const snapshot = await portfolioStorage().getSnapshot(req.params.id);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
         }
         
-        // Load existing transactions
-        let transactions = await getData('transactions', []);
+        snapshot.pinned = req.body.pinned !== false;
+        const version = await portfolioStorage().upsertSnapshots([snapshot], parseIfMatch(req));
         
-        // Add new transaction
-        transactions.push({
-            id: transaction.id || Date.now().toString(),
-            timestamp: transaction.timestamp || new Date().toISOString(),
-            symbol: transaction.symbol,
-            amount: transaction.amount,
-            purchasePrice: transaction.purchasePrice,
-            totalCost: transaction.totalCost || (transaction.amount * transaction.purchasePrice),
-            note: transaction.note || '',
-            type: transaction.type || 'buy'
-        });
-        
-        // Save transactions
-        await setData('transactions', transactions);
-        res.json({ success: true, message: 'Transaction recorded successfully' });
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, snapshot: { id: snapshot.id, pinned: snapshot.pinned } });
     } catch (error) {
-        console.error('Error saving transaction:', error);
-        res.status(500).json({ error: 'Failed to save transaction data' });
+        if (error instanceof VersionConflictError) return sendConflict(res, error);
+        console.error('Error pinning snapshot:', error);
+        res.status(500).json({ error: 'Failed to pin snapshot' });
     }
 });
 
-// Export portfolio history with date range and daily aggregation (CSV format)
-app.get('/api/export-history', async (req, res) => {
+// ============================================
+// Asset Registry & Prices
+// ============================================
+
+// Quotes for the given symbols, priced through the asset registry. Symbols
+// missing from the registry are still tried on providers keyed by symbol.
+async function getPrices(symbols) {
+    const registered = assetMap(await getData(ASSETS_KEY, DEFAULT_ASSETS));
+    const assets = {};
+    for (const symbol of symbols.map(normalizeSymbol).filter(Boolean)) {
+        assets[symbol] = registered[symbol] || { symbol };
+    }
+    return priceService.getQuotes(assets);
+}
+
+// GET /api/prices?symbols=BTC,ETH → { prices, missing, stale, error }
+// Each quote names the provider it came from. Stale ones are the last known
+// price, served while every provider for the asset is failing or rate limited.
+app.get('/api/prices', async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
-        
-        // Parse date parameters
-        const start = startDate ? new Date(startDate) : null;
-        const end = endDate ? new Date(endDate) : null;
-        
-        // If end date is provided, set it to end of day
-        if (end) {
-            end.setHours(23, 59, 59, 999);
+        const symbols = String(req.query.symbols || '').split(',').map(symbol => symbol.trim()).filter(Boolean);
+        if (symbols.length === 0) {
+            return res.status(400).json({ error: 'symbols query parameter is required' });
         }
         
-        // Get all snapshots
-        const allSnapshots = await getAllSnapshots();
-        
-        // Sort by timestamp
-        allSnapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        
-        // Filter by date range
-        let filteredSnapshots = allSnapshots.filter(snapshot => {
-            const snapshotDate = new Date(snapshot.timestamp);
-            if (start && snapshotDate < start) return false;
-            if (end && snapshotDate > end) return false;
-            return true;
-        });
-        
-        // Aggregate to one data point per day (use the last snapshot of each day)
-        const dailySnapshots = {};
-        filteredSnapshots.forEach(snapshot => {
-            const dateKey = new Date(snapshot.timestamp).toISOString().split('T')[0]; // YYYY-MM-DD
-            // Keep the latest snapshot for each day
-            if (!dailySnapshots[dateKey] || new Date(snapshot.timestamp) > new Date(dailySnapshots[dateKey].timestamp)) {
-                dailySnapshots[dateKey] = snapshot;
-            }
-        });
-        
-        // Convert to array and sort by date
-        const dailyData = Object.entries(dailySnapshots)
-            .sort((a, b) => a[0].localeCompare(b[0]))
-            .map(([date, snapshot]) => ({
-                date: date,
-                portfolio: snapshot.totalValue
-            }));
-        
-        // Generate CSV content
-        const csvHeader = 'date,portfolio';
-        const csvRows = dailyData.map(row => `${row.date},${row.portfolio.toFixed(2)}`);
-        const csvContent = [csvHeader, ...csvRows].join('\n');
-        
-        // Generate filename
-        const startStr = start ? start.toISOString().split('T')[0] : dailyData[0]?.date || 'all';
-        const endStr = end ? end.toISOString().split('T')[0] : dailyData[dailyData.length - 1]?.date || 'all';
-        const filename = `portfolio-history-${startStr}-to-${endStr}.csv`;
+        const { quotes, missing, error } = await getPrices(symbols);
+        const stale = Object.values(quotes).some(quote => quote.stale);
+        if (error && Object.keys(quotes).length === 0) {
+            return res.status(502).json({ error: `Prices unavailable: ${error}`, missing });
+        }
         
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.send(csvContent);
+        res.json({ prices: quotes, missing, stale, error: error || null });
     } catch (error) {
-        console.error('Error exporting portfolio history:', error);
-        res.status(500).json({ error: 'Failed to export portfolio history' });
+        console.error('Error loading prices:', error);
+        res.status(500).json({ error: 'Failed to load prices' });
     }
 });
 
-// Project routes
-app.get('/api/projects', async (req, res) => {
+// GET /api/fx → { base: 'USD', date, rates: { EUR: 0.92, ... }, stale, error,
+// currencies }. Rates are units of each currency per USD; stale ones are the
+// last known rates, served while the FX provider is unavailable.
+app.get('/api/fx', async (req, res) => {
     try {
-        const projects = await getData('projects', { projects: [], customTags: [] });
+        const rates = await fxService.getRates();
+        res.json({ ...rates, currencies: SUPPORTED_CURRENCIES });
+    } catch (error) {
+        console.error('Error loading FX rates:', error);
+        res.status(500).json({ error: 'Failed to load FX rates' });
+    }
+});
+
+app.get('/api/assets', async (req, res) => {
+    try {
+        const { value: assets, version } = await getVersionedData(ASSETS_KEY, DEFAULT_ASSETS);
+        res.setHeader('ETag', toEtag(version));
+        res.json(assets);
+    } catch (error) {
+        console.error('Error reading assets:', error);
+        res.status(500).json({ error: 'Failed to read assets' });
+    }
+});
+
+// Search the CoinGecko coin list: GET /api/assets/search?q=curve
+app.get('/api/assets/search', async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim();
+        if (!query) {
+            return res.status(400).json({ error: 'q query parameter is required' });
+        }
+        
+        const coins = await priceService.getCoinList();
+        res.json(searchCoins(coins, query));
+    } catch (error) {
+        console.error('Error searching coins:', error);
+        res.status(502).json({ error: 'Coin list unavailable: ' + error.message });
+    }
+});
+
+// How a symbol would be priced: already registered with a price source, a
+// single CoinGecko match, several matches to choose from, or unknown
+app.get('/api/assets/resolve', async (req, res) => {
+    try {
+        const symbol = normalizeSymbol(req.query.symbol);
+        if (!symbol) {
+            return res.status(400).json({ error: 'symbol query parameter is required' });
+        }
+        
+        const assets = await getData(ASSETS_KEY, DEFAULT_ASSETS);
+        const asset = assets.find(a => a.symbol === symbol);
+        if (asset && (asset.coingeckoId || asset.binanceSymbol || asset.manualPrice !== undefined)) {
+            return res.json({ symbol, status: 'registered', asset, candidates: [] });
+        }
+        
+        const candidates = findCandidates(await priceService.getCoinList(), symbol);
+        const status = candidates.length === 0 ? 'unknown' : candidates.length === 1 ? 'unique' : 'ambiguous';
+        res.json({ symbol, status, asset: asset || null, candidates });
+    } catch (error) {
+        console.error('Error resolving asset:', error);
+        res.status(502).json({ error: 'Coin list unavailable: ' + error.message });
+    }
+});
+
+app.get('/api/assets/:symbol', async (req, res) => {
+    try {
+        const assets = await getData(ASSETS_KEY, DEFAULT_ASSETS);
+        const asset = assets.find(a => a.symbol === normalizeSymbol(req.params.symbol));
+        if (!asset) {
+            return res.status(404).json({ error: 'Asset not found' });
+        }
+        res.json(asset);
+    } catch (error) {
+        console.error('Error reading asset:', error);
+        res.status(500).json({ error: 'Failed to read asset' });
+    }
+});
+
+app.post('/api/assets', async (req, res) => {
+    try {
+        const { asset, error } = buildAsset(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const { version, written } = await updateData(req, ASSETS_KEY, DEFAULT_ASSETS, assets => {
+            if (assets.some(a => a.symbol === asset.symbol)) return false;
+            assets.push(asset);
+        });
+        
+        if (!written) {
+            return res.status(400).json({ error: `Asset ${asset.symbol} already exists` });
+        }
+        
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, asset });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, DEFAULT_ASSETS);
+        console.error('Error adding asset:', error);
+        res.status(500).json({ error: 'Failed to add asset' });
+    }
+});
+
+app.put('/api/assets/:symbol', async (req, res) => {
+    try {
+        const symbol = normalizeSymbol(req.params.symbol);
+        let updatedAsset = null;
+        let validationError = null;
+        
+        const { version, written } = await updateData(req, ASSETS_KEY, DEFAULT_ASSETS, assets => {
+            const index = assets.findIndex(a => a.symbol === symbol);
+            if (index === -1) return false;
+            
+            const { asset, error } = buildAsset(req.body || {}, assets[index]);
+            if (error) {
+                validationError = error;
+                return false;
+            }
+            assets[index] = asset;
+            updatedAsset = asset;
+        });
+        
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!written) {
+            return res.status(404).json({ error: 'Asset not found' });
+        }
+        
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, asset: updatedAsset });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, DEFAULT_ASSETS);
+        console.error('Error updating asset:', error);
+        res.status(500).json({ error: 'Failed to update asset' });
+    }
+});
+
+app.delete('/api/assets/:symbol', async (req, res) => {
+    try {
+        const symbol = normalizeSymbol(req.params.symbol);
+        
+        const { version, written } = await updateData(req, ASSETS_KEY, DEFAULT_ASSETS, assets => {
+            const index = assets.findIndex(a => a.symbol === symbol);
+            if (index === -1) return false;
+            assets.splice(index, 1);
+        });
+        
+        if (!written) {
+            return res.status(404).json({ error: 'Asset not found' });
+        }
+        
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, message: `Asset ${symbol} removed` });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, DEFAULT_ASSETS);
+        console.error('Error deleting asset:', error);
+        res.status(500).json({ error: 'Failed to delete asset' });
+    }
+});
+
+// ============================================
+// Accounts
+// ============================================
+
+app.get('/api/accounts', async (req, res) => {
+    try {
+        await getAccounts();
+        const { value: accounts, version } = await getVersionedData(ACCOUNTS_KEY, []);
+        res.setHeader('ETag', toEtag(version));
+        res.json(accounts);
+    } catch (error) {
+        console.error('Error reading accounts:', error);
+        res.status(500).json({ error: 'Failed to read accounts' });
+    }
+});
+
+app.post('/api/accounts', async (req, res) => {
+    try {
+        const { account, error } = buildAccount(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await getAccounts();
+        const { version, written } = await updateData(req, ACCOUNTS_KEY, [], accounts => {
+            if (accounts.some(a => a.id === account.id)) return false;
+            accounts.push(account);
+        });
+
+        if (!written) {
+            return res.status(400).json({ error: `Account ${account.id} already exists` });
+        }
+
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, account });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error adding account:', error);
+        res.status(500).json({ error: 'Failed to add account' });
+    }
+});
+
+// Rename or retype an account; its id, and so its positions, stay the same
+app.put('/api/accounts/:id', async (req, res) => {
+    try {
+        let updatedAccount = null;
+        let validationError = null;
+
+        const { version, written } = await updateData(req, ACCOUNTS_KEY, [], accounts => {
+            const index = accounts.findIndex(a => a.id === req.params.id);
+            if (index === -1) return false;
+
+            const { account, error } = buildAccount(req.body || {}, accounts[index]);
+            if (error) {
+                validationError = error;
+                return false;
+            }
+            accounts[index] = account;
+            updatedAccount = account;
+        });
+
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!written) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, account: updatedAccount });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error updating account:', error);
+        res.status(500).json({ error: 'Failed to update account' });
+    }
+});
+
+// Only accounts no transaction refers to can be removed
+app.delete('/api/accounts/:id', async (req, res) => {
+    try {
+        const id = req.params.id;
+        const transactions = await getData('transactions', []);
+        const inUse = transactions.filter(t => transactionAccount(t) === id || transactionToAccount(t) === id).length;
+        if (inUse > 0) {
+            return res.status(400).json({ error: `Account ${id} is used by ${inUse} transactions; move or delete them first` });
+        }
+
+        const { version, written } = await updateData(req, ACCOUNTS_KEY, [], accounts => {
+            const index = accounts.findIndex(a => a.id === id);
+            if (index === -1) return false;
+            accounts.splice(index, 1);
+        });
+
+        if (!written) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, message: `Account ${id} removed` });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error deleting account:', error);
+        res.status(500).json({ error: 'Failed to delete account' });
+    }
+});
+
+// ============================================
+// Cash Flows
+// ============================================
+
+function positionsCost(positions) {
+    return positions.reduce((total, coin) => total + coin.totalCost, 0);
+}
+
+// The cash-flow ledger
+async function getCashFlows() {
+    return getData(CASH_FLOWS_KEY, []);
+}
+
+// The ledger's totals for the current positions
+async function getCashFlowSummary(cashFlows) {
+    const { positions } = await getPortfolioView();
+    return summarizeCashFlows(cashFlows, positionsCost(positions));
+}
+
+app.get('/api/cash-flows', async (req, res) => {
+    try {
+        const { value: cashFlows, version } = await getVersionedData(CASH_FLOWS_KEY, []);
+        res.setHeader('ETag', toEtag(version));
+        res.json({ cashFlows, summary: await getCashFlowSummary(cashFlows) });
+    } catch (error) {
+        console.error('Error reading cash flows:', error);
+        res.status(500).json({ error: 'Failed to read cash flows' });
+    }
+});
+
+// Record a deposit, withdrawal or manual adjustment
+app.post('/api/cash-flows', async (req, res) => {
+    try {
+        const { cashFlow, error } = buildCashFlow({ ...(req.body || {}), id: undefined });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { value: cashFlows, version } = await updateData(req, CASH_FLOWS_KEY, [], list => {
+            list.push(cashFlow);
+        });
+
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, cashFlow, summary: await getCashFlowSummary(cashFlows) });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error adding cash flow:', error);
+        res.status(500).json({ error: 'Failed to add cash flow' });
+    }
+});
+
+// Set the total cost to `totalCost` with a manual adjustment, or cancel the
+// earlier adjustments when it is null
+app.put('/api/cash-flows/total-cost', async (req, res) => {
+    try {
+        const totalCost = (req.body || {}).totalCost;
+        if (totalCost !== null && !(typeof totalCost === 'number' && Number.isFinite(totalCost) && totalCost >= 0)) {
+            return res.status(400).json({ error: 'totalCost must be a non-negative number, or null to reset' });
+        }
+
+        const { positions } = await getPortfolioView();
+        let adjustment = null;
+        const { value: cashFlows, version } = await updateData(req, CASH_FLOWS_KEY, [], list => {
+            adjustment = buildTotalCostAdjustment(list, positionsCost(positions), totalCost);
+            if (!adjustment) return false;
+            list.push(adjustment);
+        });
+
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, cashFlow: adjustment, summary: summarizeCashFlows(cashFlows, positionsCost(positions)) });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error setting total cost:', error);
+        res.status(500).json({ error: 'Failed to set total cost' });
+    }
+});
+
+app.delete('/api/cash-flows/:id', async (req, res) => {
+    try {
+        const { value: cashFlows, version, written } = await updateData(req, CASH_FLOWS_KEY, [], list => {
+            const index = list.findIndex(flow => flow.id === req.params.id);
+            if (index === -1) return false;
+            list.splice(index, 1);
+        });
+
+        if (!written) {
+            return res.status(404).json({ error: 'Cash flow not found' });
+        }
+
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, summary: await getCashFlowSummary(cashFlows) });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error deleting cash flow:', error);
+        res.status(500).json({ error: 'Failed to delete cash flow' });
+    }
+});
+
+// ============================================
+// Scheduled Snapshot Capture
+// ============================================
+
+// Minutes between scheduled captures when running locally (0 disables the scheduler)
+const SNAPSHOT_CAPTURE_INTERVAL_MINUTES = Number(process.env.SNAPSHOT_CAPTURE_INTERVAL_MINUTES ?? 60);
+// A capture is skipped when the latest snapshot is younger than this, unless forced
+const SNAPSHOT_MIN_AGE_MINUTES = Number(process.env.SNAPSHOT_MIN_AGE_MINUTES ?? 55);
+
+// Build a snapshot in the same shape as createSnapshot() in script.js,
+// pricing the positions server-side
+async function buildSnapshot(description, source) {
+    const { positions } = await getPortfolioView();
+    const { quotes: cryptoData, missing, error } = await getPrices(positions.map(coin => coin.symbol));
+    if (error && missing.length > 0) {
+        throw new Error(`Prices unavailable for ${missing.join(', ')}: ${error}`);
+    }
+    const projectsData = await getData('projects', EMPTY_PROJECTS);
+    const { rates: fxRates } = await fxService.getRates();
+
+    const totalValue = positions.reduce((total, coin) => total + coin.amount * (cryptoData[coin.symbol]?.price || 0), 0);
+    const { totalCost } = summarizeCashFlows(await getCashFlows(), positionsCost(positions));
+    const totalPnl = totalValue - totalCost;
+
+    return {
+        id: Date.now().toString(),
+        timestamp: new Date().toISOString(),
+        description,
+        source,
+        portfolio: positions,
+        cryptoData,
+        projects: projectsData.projects,
+        totalValue,
+        totalCost,
+        totalPnl,
+        totalPnlPercent: totalCost > 0 ? (totalPnl / totalCost) * 100 : 0,
+        fxRates
+    };
+}
+
+// Capture a snapshot unless the portfolio is empty or the latest snapshot
+// is recent enough. Resolves to { snapshot } or { skipped: reason }.
+async function captureSnapshot({ force = false, description = 'Scheduled Snapshot' } = {}) {
+    if (!force) {
+        const latestSnapshot = await getLatestSnapshot(['timestamp']);
+        const age = latestSnapshot ? Date.now() - new Date(latestSnapshot.timestamp).getTime() : Infinity;
+        if (age < SNAPSHOT_MIN_AGE_MINUTES * 60 * 1000) {
+            return { skipped: `Latest snapshot is only ${Math.round(age / 60000)} minutes old` };
+        }
+    }
+
+    const snapshot = await buildSnapshot(description, 'auto');
+    if (snapshot.portfolio.length === 0) {
+        return { skipped: 'Portfolio is empty' };
+    }
+    await portfolioStorage().saveSnapshot(snapshot);
+    return { snapshot };
+}
+
+// POST from the app, GET from Vercel Cron (which authenticates with CRON_SECRET)
+async function handleCaptureSnapshot(req, res) {
+    try {
+        const force = req.body?.force === true || req.query.force === 'true';
+        const { snapshot, skipped } = await captureSnapshot({ force });
+        
+        if (skipped) {
+            console.log(`⏭️  Snapshot capture skipped: ${skipped}`);
+            return res.json({ success: true, skipped: true, reason: skipped });
+        }
+        
+        console.log(`📸 Captured snapshot ${snapshot.id} (total value ${snapshot.totalValue.toFixed(2)})`);
+        const { portfolio, cryptoData, projects, ...summary } = snapshot;
+        res.json({ success: true, skipped: false, snapshot: summary });
+    } catch (error) {
+        console.error('Error capturing snapshot:', error);
+        res.status(500).json({ error: 'Failed to capture snapshot: ' + error.message });
+    }
+}
+
+app.post('/api/snapshots/capture', handleCaptureSnapshot);
+app.get('/api/snapshots/capture', handleCaptureSnapshot);
+
+// Capture a snapshot of every portfolio. Resolves to one
+// { portfolioId, snapshot } / { portfolioId, skipped } / { portfolioId, error }
+// per portfolio; one failing does not stop the others.
+async function captureAllSnapshots(options) {
+    return mapPortfolios(portfolio => captureSnapshot(options)
+        .then(({ snapshot, skipped }) => (snapshot ? { portfolioId: portfolio.id, snapshot } : { portfolioId: portfolio.id, skipped }))
+        .catch(error => ({ portfolioId: portfolio.id, error: error.message })));
+}
+
+// Capture for ?portfolio=all, which is what Vercel Cron calls
+async function handleCaptureAllSnapshots(req, res) {
+    try {
+        const force = req.body?.force === true || req.query.force === 'true';
+        const results = await captureAllSnapshots({ force });
+
+        const portfolios = results.map(({ portfolioId, snapshot, skipped, error }) => {
+            if (error) {
+                console.error(`Capturing snapshot of ${portfolioId} failed:`, error);
+                return { portfolioId, error };
+            }
+            if (skipped) {
+                console.log(`⏭️  Snapshot capture of ${portfolioId} skipped: ${skipped}`);
+                return { portfolioId, skipped: true, reason: skipped };
+            }
+            console.log(`📸 Captured snapshot ${snapshot.id} of ${portfolioId} (total value ${snapshot.totalValue.toFixed(2)})`);
+            const { portfolio, cryptoData, projects, ...summary } = snapshot;
+            return { portfolioId, skipped: false, snapshot: summary };
+        });
+        const failed = portfolios.filter(result => result.error);
+        res.status(failed.length > 0 && failed.length === portfolios.length ? 500 : 200).json({
+            success: failed.length === 0,
+            portfolios
+        });
+    } catch (error) {
+        console.error('Error capturing snapshots:', error);
+        res.status(500).json({ error: 'Failed to capture snapshots: ' + error.message });
+    }
+}
+
+function startSnapshotScheduler() {
+    if (!(SNAPSHOT_CAPTURE_INTERVAL_MINUTES > 0)) return;
+
+    const run = () => schemaReady
+        .then(error => {
+            if (error) throw error;
+            return captureAllSnapshots();
+        })
+        .then(results => {
+            for (const { portfolioId, snapshot, skipped, error } of results) {
+                if (snapshot) console.log(`📸 Scheduled snapshot ${snapshot.id} of ${portfolioId} captured`);
+                else if (skipped) console.log(`⏭️  Scheduled snapshot of ${portfolioId} skipped: ${skipped}`);
+                else console.error(`Scheduled snapshot of ${portfolioId} failed:`, error);
+            }
+        })
+        .catch(error => console.error('Scheduled snapshot failed:', error.message));
+
+    // Catch up shortly after startup, then capture on the interval
+    setTimeout(run, 10 * 1000).unref();
+    setInterval(run, SNAPSHOT_CAPTURE_INTERVAL_MINUTES * 60 * 1000).unref();
+    console.log(`⏰ Capturing snapshots every ${SNAPSHOT_CAPTURE_INTERVAL_MINUTES} minutes`);
+}
+
+// Settings routes
+app.get('/api/settings', async (req, res) => {
+    try {
+        const { value, version } = await getVersionedData(SETTINGS_KEY);
+        res.setHeader('ETag', toEtag(version));
+        res.json(withDefaults(value));
+    } catch (error) {
+        console.error('Error reading settings:', error);
+        res.status(500).json({ error: 'Failed to read settings' });
+    }
+});
+
+// Changing the cost basis method re-realizes every sell and rebuilds the
+// positions' lots
+app.put('/api/settings', async (req, res) => {
+    try {
+        let updatedSettings = null;
+        let validationError = null;
+
+        const { version } = await updateData(req, SETTINGS_KEY, {}, current => {
+            const { settings, error } = buildSettings(req.body || {}, current);
+            if (error) {
+                validationError = error;
+                return false;
+            }
+            updatedSettings = settings;
+            return settings;
+        });
+
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const method = updatedSettings.costBasisMethod;
+        await portfolioStorage().update('transactions', transactions => {
+            if (!annotateSales(transactions, { method })) return false;
+        }, { defaultValue: [] });
+        const { positions } = await getPortfolioView();
+
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, settings: updatedSettings, portfolio: positions });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, {});
+        console.error('Error updating settings:', error);
+        res.status(500).json({ error: 'Failed to update settings' });
+    }
+});
+
+// Transaction routes
+app.get('/api/transactions', async (req, res) => {
+    try {
+        const { value: transactions, version } = await getVersionedData('transactions', []);
+        res.setHeader('ETag', toEtag(version));
+        sendTransactions(req, res, transactions);
+    } catch (error) {
+        console.error('Error reading transactions:', error);
+        res.status(500).json({ error: 'Failed to read transactions data' });
+    }
+});
+
+// Download the transactions matching the same filters as GET
+// /api/transactions: ?format=csv (default) or json
+app.get('/api/transactions/export', async (req, res) => {
+    try {
+        const [transactions, accounts] = await Promise.all([getData('transactions', []), getAccounts()]);
+        sendTransactionsExport(req, res, transactions, accounts);
+    } catch (error) {
+        console.error('Error exporting transactions:', error);
+        res.status(500).json({ error: 'Failed to export transactions' });
+    }
+});
+
+// Record a transaction of any type (see lib/ledger.js). Each type has its
+// own required fields; outgoing types cannot take more than is held. The id
+// is assigned here, so a client cannot reuse one already in the ledger.
+app.post('/api/transactions', async (req, res) => {
+    try {
+        const accounts = await getAccounts();
+        const { transaction: newTransaction, error: validationError } = buildTransaction({ ...(req.body || {}), id: undefined }, { accounts });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        // Append to the ledger; the response carries the updated positions
+        // and, for sells and swaps, the realized P&L recorded on the transaction
+        const { positions, version, transactions, error } = await appendTransactions(req, [newTransaction]);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const recorded = transactions.find(t => t.id === newTransaction.id) || newTransaction;
+        
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, message: 'Transaction recorded successfully', transaction: recorded, portfolio: positions });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error saving transaction:', error);
+        res.status(500).json({ error: 'Failed to save transaction data' });
+    }
+});
+
+// USD rates to value imported entries with, from historical FX rates and
+// prices. Resolves to { usdRate, errors }; what could not be fetched is
+// left unpriced and listed in `errors`.
+async function loadImportRates(entries) {
+    const needs = valuationNeeds(entries);
+    const errors = [];
+    let fxSeries = [];
+    let history = {};
+    if (needs.currencies.length > 0) {
+        try {
+            fxSeries = await fxService.getHistory(needs.from, needs.to);
+        } catch (error) {
+            errors.push(`FX rates: ${error.message}`);
+        }
+    }
+    if (needs.assets.length > 0) {
+        const registered = assetMap(await getData(ASSETS_KEY, DEFAULT_ASSETS));
+        const assets = Object.fromEntries(needs.assets.map(symbol => [symbol, registered[symbol] || { symbol }]));
+        const result = await priceService.getHistory(assets, needs.from - DAY_MS, needs.to);
+        history = result.history;
+        errors.push(...result.errors);
+    }
+    return { usdRate: createUsdRate({ fxSeries, history }), errors };
+}
+
+// Import an exchange CSV export (see lib/exchange-import.js) with
+// { csv, format, mapping, account, dryRun }. Rows imported before are
+// skipped by their exchange id. Without `account` the rows go to an account
+// named after the exchange. `dryRun` only reports what would be recorded.
+app.post('/api/transactions/import', async (req, res) => {
+    try {
+        const { csv, format, mapping, account, dryRun = false } = req.body || {};
+        if (typeof csv !== 'string' || !csv.trim()) {
+            return res.status(400).json({ error: 'csv must be the text of a CSV file' });
+        }
+        const parsed = readImport(csv, { format: format || undefined, mapping: mapping || undefined });
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        if (parsed.needsMapping) {
+            return res.json({ success: false, message: 'The layout was not recognised; map its columns to import it', ...parsed });
+        }
+
+        const accounts = await getAccounts();
+        let targetAccount = account !== undefined && account !== null ? String(account).trim() : undefined;
+        if (targetAccount !== undefined && targetAccount !== DEFAULT_ACCOUNT && !accounts.some(a => a.id === targetAccount)) {
+            return res.status(400).json({ error: `account "${targetAccount}" is not a known account` });
+        }
+        const newAccount = targetAccount === undefined && parsed.format.exchange ? parsed.format.exchange : null;
+        if (targetAccount === undefined) targetAccount = newAccount ? accountId(newAccount) : DEFAULT_ACCOUNT;
+
+        const method = await getCostBasisMethod();
+        const { value: ledger } = await getVersionedData('transactions', []);
+        const known = new Set(ledger.map(t => t.externalId).filter(Boolean));
+        const entries = parsed.entries.filter(entry => !known.has(entry.externalId));
+
+        const { usdRate, errors } = await loadImportRates(entries);
+        const built = buildImport(entries, { usdRate, account: targetAccount, description: `${parsed.format.name} import` });
+        const skipped = [...parsed.skipped, ...built.skipped];
+        const transactions = [];
+        const accountsAfter = newAccount ? [...accounts, { id: targetAccount }] : accounts;
+        const lines = new Map(entries.map(entry => [entry.externalId, entry.line]));
+        built.transactions.forEach(input => {
+            const { transaction, error } = buildTransaction(input, { accounts: accountsAfter });
+            if (error) skipped.push({ line: lines.get(input.externalId), reason: error });
+            else transactions.push(transaction);
+        });
+        skipped.sort((a, b) => a.line - b.line);
+
+        const summary = {
+            format: parsed.format,
+            account: targetAccount,
+            rows: parsed.rows,
+            duplicates: parsed.entries.length - entries.length,
+            skipped,
+            byType: transactions.reduce((counts, t) => ({ ...counts, [t.type]: (counts[t.type] || 0) + 1 }), {}),
+            errors
+        };
+
+        if (dryRun) {
+            const overdraft = findNewOverdraft(ledger, [...ledger, ...transactions], { method });
+            return res.json({ success: true, dryRun: true, ...summary, imported: transactions.length, overdraft, transactions });
+        }
+
+        if (newAccount && transactions.length > 0) await registerAccountNames([newAccount], 'exchange');
+        let imported = [];
+        let overdraft = null;
+        const { value: recorded, version, written } = await updateData(req, 'transactions', [], current => {
+            const ids = new Set(current.map(t => t.externalId).filter(Boolean));
+            imported = transactions.filter(t => !ids.has(t.externalId));
+            if (imported.length === 0) return false;
+            const next = [...current, ...imported];
+            overdraft = findNewOverdraft(current, next, { method });
+            if (overdraft) return false;
+            annotateSales(next, { method });
+            return next;
+        });
+        if (overdraft) {
+            return res.status(400).json({ error: overdraft });
+        }
+        const positions = written ? await rebuildPortfolioView(recorded, version, method) : (await getPortfolioView()).positions;
+
+        console.log(`📥 Imported ${imported.length} transactions from ${parsed.format.name} (${summary.duplicates} already imported, ${skipped.length} skipped)`);
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, dryRun: false, ...summary, imported: imported.length, portfolio: positions });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error importing transactions:', error);
+        res.status(500).json({ error: 'Failed to import transactions' });
+    }
+});
+
+// Prior values of edited and deleted transactions, optionally for one
+// transaction: GET /api/transactions/history?id=<transaction id>
+app.get('/api/transactions/history', async (req, res) => {
+    try {
+        const history = await getData(TRANSACTION_HISTORY_KEY, []);
+        res.json(req.query.id ? history.filter(entry => entry.transactionId === req.query.id) : history);
+    } catch (error) {
+        console.error('Error reading transaction history:', error);
+        res.status(500).json({ error: 'Failed to read transaction history' });
+    }
+});
+
+// Edit a transaction. The body holds the fields to change; the result is
+// validated like a new transaction and the positions are rebuilt.
+app.put('/api/transactions/:id', async (req, res) => {
+    try {
+        const accounts = await getAccounts();
+        const { positions, version, transaction, error, notFound } = await changeTransaction(req, req.params.id,
+            existing => editTransaction(existing, req.body || {}, { accounts }));
+        if (notFound) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        console.log(`✏️ Edited transaction ${req.params.id}`);
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, transaction, portfolio: positions });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error editing transaction:', error);
+        res.status(500).json({ error: 'Failed to edit transaction' });
+    }
+});
+
+app.delete('/api/transactions/:id', async (req, res) => {
+    try {
+        const { positions, version, error, notFound } = await changeTransaction(req, req.params.id, () => ({}));
+        if (notFound) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        console.log(`🗑️ Deleted transaction ${req.params.id}`);
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, portfolio: positions });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, []);
+        console.error('Error deleting transaction:', error);
+        res.status(500).json({ error: 'Failed to delete transaction' });
+    }
+});
+
+// Sell part (or all) of one position: POST /api/positions/BTC_default/sell
+// with { amount, price, timestamp? }. Position ids are `<symbol>_<account>`,
+// or `<symbol>_default` in the default account, as returned by GET /api/portfolio.
+app.post('/api/positions/:id/sell', async (req, res) => {
+    try {
+        const { amount, price, timestamp } = req.body || {};
+        const sellAmount = Number(amount);
+        const sellPrice = Number(price);
+        if (!(sellAmount > 0)) {
+            return res.status(400).json({ error: 'amount must be a positive number' });
+        }
+        if (price === undefined || price === null || price === '' || !(sellPrice >= 0)) {
+            return res.status(400).json({ error: 'price must be a non-negative number' });
+        }
+        if (timestamp !== undefined && !Number.isFinite(new Date(timestamp).getTime())) {
+            return res.status(400).json({ error: 'timestamp must be a date' });
+        }
+        
+        let position = null;
+        let notFound = false;
+        // Symbol and account are filled in from the position once it is found
+        const sell = {
+            id: Date.now().toString(),
+            timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
+            symbol: null,
+            amount: sellAmount,
+            purchasePrice: sellPrice,
+            totalCost: sellAmount * sellPrice,
+            account: '',
+            note: '',
+            type: 'sell'
+        };
+        
+        const { positions, version, transactions, error } = await appendTransactions(req, [sell], {
+            validate: current => {
+                position = current.find(p => positionId(p.symbol, p.account) === req.params.id);
+                if (!position) {
+                    notFound = true;
+                    return 'Position not found';
+                }
+                // Allow for rounding when the whole position is sold
+                if (sellAmount > position.amount * (1 + 1e-9)) {
+                    return `Cannot sell ${sellAmount} ${position.symbol}; the position holds ${position.amount}`;
+                }
+                sell.symbol = position.symbol;
+                sell.account = position.account || '';
+                return null;
+            }
+        });
+        
+        if (error) {
+            return res.status(notFound ? 404 : 400).json({ error });
+        }
+        
+        const recorded = transactions.find(t => t.id === sell.id) || sell;
+        console.log(`💸 Sold ${sellAmount} ${recorded.symbol} (realized ${recorded.realizedPnl?.toFixed(2)})`);
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, transaction: recorded, portfolio: positions });
+    } catch (error) {
+        if (error instanceof VersionConflictError) return sendPortfolioConflict(res, error);
+        console.error('Error selling position:', error);
+        res.status(500).json({ error: 'Failed to record sell' });
+    }
+});
+
+
+// Export portfolio history between startDate and endDate (calendar days in
+// `timezone`), bucketed per `interval` (see lib/history-export.js). Values
+// are converted to `currency` (the base currency by default) at the FX rates
+// stored with each snapshot, or today's rates for older snapshots.
+// `format=json` returns the rows instead of a CSV file.
+app.get('/api/export-history', async (req, res) => {
+    try {
+        const { options, error } = readExportOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { interval, aggregation, columns, timeZone, format } = options;
+        const { startDate, endDate } = req.query;
+        const currency = req.query.currency ? normalizeCurrency(req.query.currency) : (await getSettings()).baseCurrency;
+        if (!currency) {
+            return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+        }
+
+        // The range covers whole days in the time zone
+        const range = dateRange(startDate, endDate, timeZone);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+        const withAssets = columns.includes('asset_value') || columns.includes('asset_amount');
+        const { snapshots } = await querySnapshots({
+            from: range.from,
+            to: range.to,
+            fields: ['totalValue', 'totalCost', 'fxRates', ...(withAssets ? ['portfolio', 'cryptoData'] : [])]
+        });
+        
+        // Snapshots taken before FX rates were stored convert at today's rate
+        const rateFor = snapshot => snapshot.fxRates?.[currency];
+        const needsCurrentRate = snapshots.some(snapshot => !rateFor(snapshot));
+        const currentRates = needsCurrentRate ? (await fxService.getRates()).rates : {};
+        if (needsCurrentRate && !currentRates[currency]) {
+            return res.status(502).json({ error: `No FX rate available for ${currency}` });
+        }
+        const history = buildHistoryExport(snapshots, {
+            interval,
+            aggregation,
+            timeZone,
+            columns,
+            rate: snapshot => rateFor(snapshot) || currentRates[currency]
+        });
+        
+        // Generate filename
+        const { rows } = history;
+        const startStr = startDate || rows[0]?.date || 'all';
+        const endStr = endDate || rows[rows.length - 1]?.date || 'all';
+        const filename = `portfolio-history-${currency}-${interval}-${startStr}-to-${endStr}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        
+        if (format === 'json') {
+            return res.json({ currency, interval, aggregation, timezone: timeZone, columns, ...history });
+        }
+        res.setHeader('Content-Type', 'text/csv');
+        res.send(buildHistoryCsv(history, { columns, currency }));
+    } catch (error) {
+        console.error('Error exporting portfolio history:', error);
+        res.status(500).json({ error: 'Failed to export portfolio history' });
+    }
+});
+
+// ============================================
+// P&L Reports
+// ============================================
+
+// Optional ?year=YYYY; undefined when absent, null when not a valid year
+function parseReportYear(value) {
+    if (value === undefined || value === '' || value === 'all') return undefined;
+    const year = Number(value);
+    return Number.isInteger(year) && year >= 1970 && year <= 9999 ? year : null;
+}
+
+// GET /api/reports/pnl?year=2025 → realized gains per year and asset (only
+// that year when given), split short/long-term, plus unrealized gains of the
+// open lots at current prices
+app.get('/api/reports/pnl', async (req, res) => {
+    try {
+        const year = parseReportYear(req.query.year);
+        if (year === null) {
+            return res.status(400).json({ error: 'year must be a four-digit year' });
+        }
+        
+        const transactions = await getData('transactions', []);
+        const method = await getCostBasisMethod();
+        const symbols = [...new Set(replayTransactions(transactions, { method }).map(p => p.symbol))];
+        
+        const prices = {};
+        if (symbols.length > 0) {
+            const { quotes } = await getPrices(symbols);
+            for (const [symbol, quote] of Object.entries(quotes)) prices[symbol] = quote.price;
+        }
+        
+        res.json(buildPnlReport(transactions, prices, { method, year }));
+    } catch (error) {
+        console.error('Error building P&L report:', error);
+        res.status(500).json({ error: 'Failed to build P&L report' });
+    }
+});
+
+// Snapshot fields the performance report needs: values, and prices to value
+// deposits and withdrawals at
+const PERFORMANCE_FIELDS = ['totalValue', 'cryptoData'];
+
+// `?periods=mtd,ytd` limits the report to some of PERIODS; { error } when invalid
+function parsePerformancePeriods(value) {
+    if (!value) return { periods: PERIODS };
+    const periods = String(value).split(',').map(period => period.trim().toLowerCase()).filter(Boolean);
+    const unknown = periods.filter(period => !PERIODS.includes(period));
+    if (unknown.length > 0) {
+        return { error: `Unknown period "${unknown[0]}"; expected one of: ${PERIODS.join(', ')}` };
+    }
+    return { periods };
+}
+
+// GET /api/performance → time-weighted (TWR) and money-weighted (XIRR)
+// returns for month, quarter and year to date and since inception, from the
+// snapshot values and the ledger's cash flows (see lib/performance.js)
+app.get('/api/performance', async (req, res) => {
+    try {
+        const { periods, error } = parsePerformancePeriods(req.query.periods);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const { transactions } = await getPortfolioView();
+        const { snapshots } = await querySnapshots({ fields: PERFORMANCE_FIELDS });
+        res.json(buildPerformanceReport(transactions, snapshots, { periods }));
+    } catch (error) {
+        console.error('Error building performance report:', error);
+        res.status(500).json({ error: 'Failed to build performance report' });
+    }
+});
+
+// Realized disposals laid out like Form 8949 (CSV format)
+app.get('/api/reports/form-8949', async (req, res) => {
+    try {
+        const year = parseReportYear(req.query.year);
+        if (year === null) {
+            return res.status(400).json({ error: 'year must be a four-digit year' });
+        }
+        
+        const transactions = await getData('transactions', []);
+        const disposals = listDisposals(transactions, { method: await getCostBasisMethod() });
+        const csvContent = buildForm8949Csv(disposals, { year });
+        
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="form-8949-${year || 'all'}.csv"`);
+        res.send(csvContent);
+    } catch (error) {
+        console.error('Error exporting Form 8949:', error);
+        res.status(500).json({ error: 'Failed to export Form 8949' });
+    }
+});
+
+// Project routes
+const EMPTY_PROJECTS = { projects: [], customTags: [] };
+
+// The tags list of project input, or { error }. Clients from before the
+// project-tags migration send a single `tag`, which joins the list so the
+// old shape is never stored again.
+function readProjectTags(input) {
+    if (input.tags !== undefined && !Array.isArray(input.tags)) {
+        return { error: 'tags must be a list' };
+    }
+    if (input.tag === undefined) return { tags: input.tags };
+    const tags = [...(input.tags || [])];
+    if (input.tag && !tags.includes(input.tag)) tags.push(input.tag);
+    return { tags };
+}
+
+app.get('/api/projects', async (req, res) => {
+    try {
+        const { value: projects, version } = await getVersionedData('projects', EMPTY_PROJECTS);
+        res.setHeader('ETag', toEtag(version));
         res.json(projects);
     } catch (error) {
         console.error('Error reading projects:', error);
@@ -596,23 +2144,23 @@ app.post('/api/projects', async (req, res) => {
         if (!project.name || project.invested === undefined) {
             return res.status(400).json({ error: 'Missing required fields: name, invested' });
         }
-        
-        // Load existing projects
-        let data = await getData('projects', { projects: [], customTags: [] });
-        if (!data.customTags) data.customTags = [];
-        
-        // Handle tags - convert single tag to array for backward compatibility
-        let tags = project.tags || [];
-        if (project.tag && !Array.isArray(project.tags)) {
-            tags = [project.tag];
+        const { tags, error: tagsError } = readProjectTags(project);
+        if (tagsError) {
+            return res.status(400).json({ error: tagsError });
+        }
+        // Amounts are kept in the currency they were entered in
+        const currency = project.currency ? normalizeCurrency(project.currency) : 'USD';
+        if (!currency) {
+            return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
         }
         
         // Create new project with ID
         const newProject = {
             id: Date.now().toString(),
             name: project.name,
-            tags: tags,
+            tags: tags || [],
             invested: parseFloat(project.invested) || 0,
+            currency,
             projectLink: project.projectLink || '',
             notionLink: project.notionLink || '',
             // Optional fields
@@ -625,11 +2173,14 @@ app.post('/api/projects', async (req, res) => {
             updatedAt: new Date().toISOString()
         };
         
-        data.projects.push(newProject);
-        await setData('projects', data);
+        const { version } = await updateData(req, 'projects', EMPTY_PROJECTS, data => {
+            data.projects.push(newProject);
+        });
         
+        res.setHeader('ETag', toEtag(version));
         res.json({ success: true, project: newProject });
     } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, EMPTY_PROJECTS);
         console.error('Error adding project:', error);
         res.status(500).json({ error: 'Failed to add project' });
     }
@@ -638,38 +2189,43 @@ app.post('/api/projects', async (req, res) => {
 app.put('/api/projects/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const updates = req.body;
-        
-        // Load existing projects
-        const data = await getData('projects', { projects: [], customTags: [] });
-        if (!data.customTags) data.customTags = [];
+        const { tag, ...updates } = req.body || {};
         
-        const projectIndex = data.projects.findIndex(p => p.id === id);
-        if (projectIndex === -1) {
-            return res.status(404).json({ error: 'Project not found' });
+        const { tags, error: tagsError } = readProjectTags(req.body || {});
+        if (tagsError) {
+            return res.status(400).json({ error: tagsError });
         }
-        
-        // Handle backward compatibility: convert tag to tags array
-        if (updates.tag && !updates.tags) {
-            updates.tags = [updates.tag];
-            delete updates.tag;
+        if (tags !== undefined) updates.tags = tags;
+        if (updates.currency !== undefined) {
+            updates.currency = normalizeCurrency(updates.currency);
+            if (!updates.currency) {
+                return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+            }
         }
         
-        // Update project
-        data.projects[projectIndex] = {
-            ...data.projects[projectIndex],
-            ...updates,
-            updatedAt: new Date().toISOString()
-        };
+        let updatedProject = null;
+        const { version, written } = await updateData(req, 'projects', EMPTY_PROJECTS, data => {
+            
+            const projectIndex = data.projects.findIndex(p => p.id === id);
+            if (projectIndex === -1) return false;
+            
+            // Update project
+            data.projects[projectIndex] = {
+                ...data.projects[projectIndex],
+                ...updates,
+                updatedAt: new Date().toISOString()
+            };
+            updatedProject = data.projects[projectIndex];
+        });
         
-        // Remove old 'tag' field if present and replace with 'tags'
-        if (data.projects[projectIndex].tag && data.projects[projectIndex].tags) {
-            delete data.projects[projectIndex].tag;
+        if (!written) {
+            return res.status(404).json({ error: 'Project not found' });
         }
         
-        await setData('projects', data);
-        res.json({ success: true, project: data.projects[projectIndex] });
+        res.setHeader('ETag', toEtag(version));
+        res.json({ success: true, project: updatedProject });
     } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, EMPTY_PROJECTS);
         console.error('Error updating project:', error);
         res.status(500).json({ error: 'Failed to update project' });
     }
@@ -679,20 +2235,22 @@ app.delete('/api/projects/:id', async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Load existing projects
-        const data = await getData('projects', { projects: [], customTags: [] });
+        const { version, written } = await updateData(req, 'projects', EMPTY_PROJECTS, data => {
+            const projectIndex = data.projects.findIndex(p => p.id === id);
+            if (projectIndex === -1) return false;
+            
+            // Remove project
+            data.projects.splice(projectIndex, 1);
+        });
         
-        const projectIndex = data.projects.findIndex(p => p.id === id);
-        if (projectIndex === -1) {
+        if (!written) {
             return res.status(404).json({ error: 'Project not found' });
         }
         
-        // Remove project
-        data.projects.splice(projectIndex, 1);
-        await setData('projects', data);
-        
+        res.setHeader('ETag', toEtag(version));
         res.json({ success: true, message: 'Project deleted' });
     } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, EMPTY_PROJECTS);
         console.error('Error deleting project:', error);
         res.status(500).json({ error: 'Failed to delete project' });
     }
@@ -709,21 +2267,23 @@ app.post('/api/projects/tags', async (req, res) => {
         
         const normalizedTag = tag.trim().toLowerCase();
         
-        // Load existing data
-        let data = await getData('projects', { projects: [], customTags: [] });
-        if (!data.customTags) data.customTags = [];
+        const { value: data, version, written } = await updateData(req, 'projects', EMPTY_PROJECTS, data => {
+            
+            // Check if tag already exists
+            if (data.customTags.includes(normalizedTag)) return false;
+            
+            // Add new tag
+            data.customTags.push(normalizedTag);
+        });
         
-        // Check if tag already exists
-        if (data.customTags.includes(normalizedTag)) {
+        if (!written) {
             return res.status(400).json({ error: 'Tag already exists' });
         }
         
-        // Add new tag
-        data.customTags.push(normalizedTag);
-        await setData('projects', data);
-        
+        res.setHeader('ETag', toEtag(version));
         res.json({ success: true, tag: normalizedTag, allTags: data.customTags });
     } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, EMPTY_PROJECTS);
         console.error('Error adding tag:', error);
         res.status(500).json({ error: 'Failed to add tag' });
     }
@@ -733,121 +2293,103 @@ app.delete('/api/projects/tags/:tag', async (req, res) => {
     try {
         const { tag } = req.params;
         
-        // Load existing data
-        const data = await getData('projects', { projects: [], customTags: [] });
-        
-        if (!data.customTags) {
-            return res.status(404).json({ error: 'Tag not found' });
-        }
+        const { value: data, version, written } = await updateData(req, 'projects', EMPTY_PROJECTS, data => {
+            const tagIndex = data.customTags.indexOf(tag);
+            if (tagIndex === -1) return false;
+            
+            // Remove tag from customTags
+            data.customTags.splice(tagIndex, 1);
+        });
         
-        const tagIndex = data.customTags.indexOf(tag);
-        if (tagIndex === -1) {
+        if (!written) {
             return res.status(404).json({ error: 'Tag not found' });
         }
         
-        // Remove tag from customTags
-        data.customTags.splice(tagIndex, 1);
-        await setData('projects', data);
-        
+        res.setHeader('ETag', toEtag(version));
         res.json({ success: true, message: 'Tag deleted', allTags: data.customTags });
     } catch (error) {
+        if (error instanceof VersionConflictError) return sendConflict(res, error, EMPTY_PROJECTS);
         console.error('Error deleting tag:', error);
         res.status(500).json({ error: 'Failed to delete tag' });
     }
 });
 
 // ============================================
-// Migration endpoint (for uploading local data to KV)
+// Backup & Restore
 // ============================================
-app.post('/api/migrate', async (req, res) => {
+
+// Everything the instance stores as one archive (see lib/backup.js). The
+// portfolio views are brought up to date first so the positions match the
+// ledger.
+async function buildInstanceBackup(options) {
+    await mapPortfolios(() => getPortfolioView());
+    return createBackup({ storage, storageForPortfolio, ...options });
+}
+
+// GET /api/backup downloads the archive; ?snapshots=false leaves them out
+app.get('/api/backup', async (req, res) => {
     try {
-        const { portfolio, transactions, projects, snapshots } = req.body;
-        
-        if (!isVercelKV()) {
-            return res.status(400).json({ error: 'Migration only works on Vercel with KV configured' });
-        }
-        
-        let migrated = [];
-        
-        if (portfolio) {
-            await setData('portfolio', portfolio);
-            migrated.push(`portfolio (${portfolio.length} items)`);
-        }
-        
-        if (transactions) {
-            await setData('transactions', transactions);
-            migrated.push(`transactions (${transactions.length} items)`);
-        }
-        
-        if (projects) {
-            await setData('projects', projects);
-            migrated.push(`projects (${projects.projects?.length || 0} items)`);
-        }
-        
-        if (snapshots && Array.isArray(snapshots)) {
-            // Use optimized single-key storage
-            await saveAllSnapshots(snapshots);
-            migrated.push(`snapshots (${snapshots.length} items)`);
-        }
-        
-        res.json({ success: true, migrated });
+        const backup = await buildInstanceBackup({ snapshots: req.query.snapshots !== 'false' });
+        res.setHeader('Content-Disposition', `attachment; filename="profolio-backup-${backup.createdAt.split('T')[0]}.json"`);
+        res.json(backup);
     } catch (error) {
-        console.error('Error during migration:', error);
-        res.status(500).json({ error: 'Migration failed: ' + error.message });
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: 'Failed to create backup' });
     }
 });
 
-// Consolidate old snapshot:* keys into single snapshots key
-app.post('/api/consolidate-snapshots', async (req, res) => {
+// POST /api/restore { backup, mode: 'merge' | 'replace', dryRun, portfolio }
+// `merge` adds and updates records by id, `replace` makes the instance equal
+// to the backup. `dryRun` only reports what would change. Old exports are
+// restored into `portfolio` (the default one when not given).
+app.post('/api/restore', async (req, res) => {
     try {
-        if (!isVercelKV()) {
-            return res.status(400).json({ error: 'Consolidation only works on Vercel with KV configured' });
+        const { backup: input, mode = 'merge', dryRun = false, portfolio } = req.body || {};
+        if (!RESTORE_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of: ${RESTORE_MODES.join(', ')}` });
         }
-        
-        // Get all old snapshot:* keys
-        const oldKeys = await redis.keys('snapshot:*');
-        
-        if (oldKeys.length === 0) {
-            return res.json({ success: true, message: 'No old snapshot keys to consolidate' });
+        const backup = readBackup(input, { portfolio });
+        const current = await buildInstanceBackup({ snapshots: true, positions: true });
+        const plan = planRestore(current, backup, mode);
+        if (dryRun) {
+            return res.json({ dryRun: true, ...describePlan(plan) });
         }
-        
-        console.log(`Found ${oldKeys.length} old snapshot keys to consolidate`);
-        
-        // Read all old snapshots
-        const snapshots = [];
-        for (const key of oldKeys) {
-            const data = await redis.get(key);
-            if (data) {
-                const snapshot = typeof data === 'string' ? JSON.parse(data) : data;
-                snapshots.push(snapshot);
-            }
+
+        for (const [key, value] of Object.entries(plan.shared.writes)) {
+            await storage.set(key, value);
         }
-        
-        // Get any existing snapshots in new format
-        const existingSnapshots = await getData('snapshots', []);
-        
-        // Merge (avoiding duplicates by id)
-        const existingIds = new Set(existingSnapshots.map(s => s.id));
-        const newSnapshots = snapshots.filter(s => !existingIds.has(s.id));
-        const allSnapshots = [...existingSnapshots, ...newSnapshots];
-        
-        // Save to single key
-        await setData('snapshots', allSnapshots);
-        
-        // Delete old keys
-        for (const key of oldKeys) {
-            await redis.del(key);
+        for (const [id, book] of Object.entries(plan.portfolios)) {
+            if (book.action === 'remove') {
+                await purgePortfolio(id);
+                continue;
+            }
+            const bookStorage = storageForPortfolio(id);
+            for (const [key, value] of Object.entries(book.writes)) {
+                await bookStorage.set(key, value);
+            }
+            if (book.snapshots) {
+                await bookStorage.saveSnapshots(book.snapshots);
+            }
+            // Positions are rebuilt on the next read. Positions from an old
+            // export are adopted as opening balances; otherwise the stored
+            // ones are dropped so they are not.
+            if (Object.keys(book.writes).length > 0) {
+                if (!book.writes.portfolio) await bookStorage.delete('portfolio');
+                await bookStorage.delete(PORTFOLIO_VIEW_KEY);
+            }
+            // The backup may hold older shapes
+            await migrateStorage(bookStorage, { from: 0 });
         }
-        
-        res.json({ 
-            success: true, 
-            consolidated: oldKeys.length,
-            total: allSnapshots.length,
-            message: `Consolidated ${oldKeys.length} old keys into single 'snapshots' key`
-        });
+
+        const { summary } = plan;
+        console.log(`♻️  Restored backup (${mode}): ${summary.added} added, ${summary.changed} changed, ${summary.removed} removed`);
+        res.json({ success: true, ...describePlan(plan) });
     } catch (error) {
-        console.error('Error during consolidation:', error);
-        res.status(500).json({ error: 'Consolidation failed: ' + error.message });
+        if (error instanceof BackupFormatError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error restoring backup:', error);
+        res.status(500).json({ error: 'Failed to restore backup' });
     }
 });
 
@@ -860,11 +2402,14 @@ app.get('/', (req, res) => {
 if (!process.env.VERCEL) {
     app.listen(PORT, () => {
         console.log(`🚀 Crypto Portfolio Tracker running at http://localhost:${PORT}`);
-        console.log(`📁 Data stored in: ${DATA_DIR}`);
-        console.log(`📸 Snapshots stored in: ${SNAPSHOT_DIR}`);
-        console.log(`💾 Portfolio file: ${PORTFOLIO_FILE}`);
-        console.log(`📝 Transactions file: ${TRANSACTIONS_FILE}`);
-        console.log(`🔧 Storage mode: ${isVercelKV() ? 'Vercel KV' : 'Local Filesystem'}`);
+        console.log(`🔧 Storage driver: ${storage.name}`);
+        if (storage.name === 'filesystem') {
+            console.log(`📁 Data stored in: ${DATA_DIR}`);
+            console.log(`📸 Snapshots stored in: ${SNAPSHOT_DIR}`);
+        } else if (storage.name === 'sqlite') {
+            console.log(`🗄️  Database file: ${storage.filename}`);
+        }
+        startSnapshotScheduler();
     });
 }
 
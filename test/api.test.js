@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Run the app against in-memory storage without the listener and scheduler
+process.env.VERCEL = '1';
+process.env.STORAGE_DRIVER = 'memory';
+const app = require('../server');
+
+const AUTH = { 'X-Auth-Token': Buffer.from(process.env.SITE_PASSWORD || '19900830').toString('base64') };
+
+test('If-Match on stored documents', async (t) => {
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const url = `http://localhost:${server.address().port}/api`;
+    const send = (method, path, body, headers = {}) => fetch(`${url}${path}`, {
+        method,
+        headers: { ...AUTH, 'Content-Type': 'application/json', ...headers },
+        body: body && JSON.stringify(body)
+    });
+
+    await t.test('"0" only matches a document that does not exist yet', async () => {
+        const response = await send('POST', '/projects', { name: 'Alpha', invested: 100 }, { 'If-Match': '"0"' });
+        assert.equal(response.status, 200);
+        const again = await send('POST', '/projects', { name: 'Beta', invested: 100 }, { 'If-Match': '"0"' });
+        assert.equal(again.status, 409);
+    });
+
+    const etag = (await send('GET', '/projects')).headers.get('ETag');
+
+    await t.test('a matching version is written', async () => {
+        const response = await send('POST', '/projects', { name: 'Beta', invested: 200 }, { 'If-Match': etag });
+        assert.equal(response.status, 200);
+        assert.notEqual(response.headers.get('ETag'), etag);
+    });
+
+    await t.test('a stale version gets a 409 with the current state', async () => {
+        const response = await send('POST', '/projects', { name: 'Gamma', invested: 300 }, { 'If-Match': etag });
+        assert.equal(response.status, 409);
+        const conflict = await response.json();
+        assert.deepEqual(conflict.current.projects.map(project => project.name), ['Alpha', 'Beta']);
+        assert.equal(conflict.version, response.headers.get('ETag'));
+
+        const retried = await send('POST', '/projects', { name: 'Gamma', invested: 300 }, { 'If-Match': conflict.version });
+        assert.equal(retried.status, 200);
+    });
+});
+
+test('/api/snapshots', async (t) => {
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const url = `http://localhost:${server.address().port}/api/snapshots`;
+    const ids = async query => (await (await fetch(`${url}?${query}`, { headers: AUTH })).json()).map(snapshot => snapshot.id);
+
+    const saved = await fetch(url, {
+        method: 'POST',
+        headers: { ...AUTH, 'Content-Type': 'application/json' },
+        body: JSON.stringify(['2024-01-30T12:00:00Z', '2024-01-31T00:00:00Z', '2024-01-31T18:00:00Z', '2024-02-01T00:00:00Z']
+            .map((timestamp, index) => ({ id: `s${index + 1}`, timestamp, totalValue: 0 })))
+    });
+    assert.equal(saved.status, 200);
+
+    await t.test('a to date without a time includes the whole day', async () => {
+        assert.deepEqual(await ids('to=2024-01-31'), ['s1', 's2', 's3']);
+        assert.deepEqual(await ids('from=2024-01-31&to=2024-01-31'), ['s2', 's3']);
+    });
+
+    await t.test('a to time is taken as given', async () => {
+        assert.deepEqual(await ids('to=2024-01-31T00:00:00Z'), ['s1', 's2']);
+        assert.deepEqual(await ids(`to=${Date.parse('2024-01-31T00:00:00Z')}`), ['s1', 's2']);
+    });
+
+    await t.test('an invalid date is a 400', async () => {
+        const response = await fetch(`${url}?to=someday`, { headers: AUTH });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /Invalid to date/);
+    });
+
+    await t.test('a body that is not a list of snapshots with ids is a 400', async () => {
+        for (const body of [{ id: 's5' }, [{ timestamp: '2024-02-02T00:00:00Z' }]]) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { ...AUTH, 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            assert.equal(response.status, 400);
+        }
+    });
+});
+
+test('POST /api/transactions refuses back-dated overdrafts', async (t) => {
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const post = body => fetch(`http://localhost:${server.address().port}/api/transactions`, {
+        method: 'POST',
+        headers: { ...AUTH, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    const buy = await post({ type: 'buy', symbol: 'BTC', amount: 1, purchasePrice: 100, timestamp: '2024-02-01T00:00:00Z' });
+    assert.equal(buy.status, 200);
+
+    const early = await post({ type: 'sell', symbol: 'BTC', amount: 0.5, purchasePrice: 100, timestamp: '2024-01-01T00:00:00Z' });
+    assert.equal(early.status, 400);
+    assert.match((await early.json()).error, /more than the 0 held/);
+
+    const later = await post({ type: 'sell', symbol: 'BTC', amount: 0.5, purchasePrice: 100, timestamp: '2024-03-01T00:00:00Z' });
+    assert.equal(later.status, 200);
+
+    // Enough is held on its own date, but the later sell would then overdraw
+    const between = await post({ type: 'withdrawal', symbol: 'BTC', amount: 0.6, timestamp: '2024-02-15T00:00:00Z' });
+    assert.equal(between.status, 400);
+});
+
+test('POST /api/transactions assigns ids instead of taking them from the body', async (t) => {
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const url = `http://localhost:${server.address().port}/api/transactions`;
+    const send = (method, path, body) => fetch(`${url}${path}`, {
+        method,
+        headers: { ...AUTH, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+
+    const first = await (await send('POST', '', { id: 'dup', type: 'buy', symbol: 'ETH', amount: 1, purchasePrice: 2000 })).json();
+    const second = await (await send('POST', '', { id: first.transaction.id, type: 'buy', symbol: 'ETH', amount: 2, purchasePrice: 2000 })).json();
+    assert.notEqual(first.transaction.id, 'dup');
+    assert.notEqual(second.transaction.id, first.transaction.id);
+
+    // Each id still names exactly one transaction, so a delete removes only it
+    assert.equal((await send('DELETE', `/${second.transaction.id}`)).status, 200);
+    const ledger = await (await send('GET', '')).json();
+    assert.deepEqual(ledger.filter(transaction => transaction.symbol === 'ETH').map(transaction => transaction.amount), [1]);
+});
+
+test('POST /api/projects folds a legacy tag into tags', async (t) => {
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const post = body => fetch(`http://localhost:${server.address().port}/api/projects`, {
+        method: 'POST',
+        headers: { ...AUTH, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    const { project } = await (await post({ name: 'Legacy', invested: 100, tag: 'defi', tags: ['airdrop'] })).json();
+    assert.deepEqual(project.tags, ['airdrop', 'defi']);
+    assert.equal(project.tag, undefined);
+
+    const invalid = await post({ name: 'Broken', invested: 100, tags: 'defi' });
+    assert.equal(invalid.status, 400);
+});
+
+test('GET /api/transactions only answers a query for query parameters', async (t) => {
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const url = `http://localhost:${server.address().port}/api/transactions`;
+    const get = query => fetch(`${url}?${query}`, { headers: AUTH });
+    for (const amount of [1, 2]) {
+        await fetch(url, {
+            method: 'POST',
+            headers: { ...AUTH, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'buy', symbol: 'SOL', amount, purchasePrice: 100 })
+        });
+    }
+
+    const listed = await get(`auth=${AUTH['X-Auth-Token']}&portfolio=default&_=1700000000000`);
+    assert.equal(listed.status, 200);
+    assert.equal(listed.headers.get('X-Total-Count'), null);
+    const ledger = await listed.json();
+    assert.ok(ledger.length > 1);
+
+    const page = await get('limit=1&_=1700000000000');
+    assert.equal(page.headers.get('X-Total-Count'), String(ledger.length));
+    assert.equal((await page.json()).length, 1);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKUP_FORMAT, BACKUP_VERSION, BackupFormatError, readBackup } = require('../lib/backup');
+
+function backup(portfolios, shared = {}) {
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, shared, portfolios };
+}
+
+test('portfolio ids that buildPortfolio() could have made are read', () => {
+    const input = backup({ default: {}, 'long-term': { documents: { transactions: [] } } });
+    assert.equal(readBackup(input), input);
+});
+
+test('portfolio ids that are not storage-safe are refused', () => {
+    for (const id of ['../data', 'a/b', 'Long Term', '']) {
+        assert.throws(() => readBackup(backup({ [id]: {} })), BackupFormatError);
+    }
+});
+
+test('the aggregate portfolio id is reserved', () => {
+    assert.throws(() => readBackup(backup({ all: {} })), /reserved/);
+});
+
+test('the portfolio registry in the shared documents is checked too', () => {
+    const shared = { portfolios: [{ id: 'default', name: 'Main' }, { id: '../x', name: 'Escape' }] };
+    assert.throws(() => readBackup(backup({ default: {} }, shared)), /Invalid portfolio id "..\/x"/);
+});
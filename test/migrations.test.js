@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { MIGRATIONS, SCHEMA_VERSION, migrateStorage } = require('../lib/migrations');
+
+function migration(name) {
+    return MIGRATIONS.find(candidate => candidate.name === name);
+}
+
+// Run one migration as a dry run and for real, and then once more as
+// restoring a backup would
+async function run(storage, name) {
+    const up = options => migration(name).up(storage, options);
+    return { dryRun: await up({ dryRun: true }), changed: await up({ dryRun: false }), again: await up({ dryRun: false }) };
+}
+
+test('versions are in order up to SCHEMA_VERSION', () => {
+    assert.deepEqual(MIGRATIONS.map(m => m.version), MIGRATIONS.map((m, index) => index + 1));
+    assert.equal(SCHEMA_VERSION, MIGRATIONS.length);
+});
+
+test('transaction-accounts moves notes onto accounts', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    await storage.set('transactions', [
+        { id: '1', type: 'buy', symbol: 'BTC', amount: 1, totalCost: 100, note: 'Binance Spot', timestamp: '2024-01-01T00:00:00Z' },
+        { id: '2', type: 'transfer', symbol: 'BTC', amount: 1, note: 'Binance Spot', toNote: 'Ledger', timestamp: '2024-02-01T00:00:00Z' },
+        { id: '3', type: 'buy', symbol: 'ETH', amount: 1, totalCost: 100, account: '', note: 'a memo', timestamp: '2024-03-01T00:00:00Z' }
+    ]);
+
+    assert.deepEqual(await run(storage, 'transaction-accounts'), { dryRun: 2, changed: 2, again: 0 });
+    const transactions = await storage.get('transactions');
+    assert.deepEqual(transactions.map(t => [t.account, t.toAccount, t.note]), [
+        ['binance-spot', undefined, ''],
+        ['binance-spot', 'ledger', ''],
+        ['', undefined, 'a memo']
+    ]);
+    assert.deepEqual((await storage.get('accounts')).map(account => account.name), ['Binance Spot', 'Ledger']);
+});
+
+test('opening-balances records what the stored portfolio holds beyond the ledger', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    await storage.set('transactions', [
+        { id: '1', type: 'buy', symbol: 'BTC', amount: 1, totalCost: 100, account: '', timestamp: '2024-01-01T00:00:00Z' }
+    ]);
+    await storage.set('portfolio', [
+        { id: 'BTC', symbol: 'BTC', amount: 1.5, totalCost: 175 },
+        { id: 'ETH_cold', symbol: 'ETH', amount: 2, totalCost: 400, note: 'Cold wallet' }
+    ]);
+
+    assert.deepEqual(await run(storage, 'opening-balances'), { dryRun: 2, changed: 2, again: 0 });
+    const adjustments = (await storage.get('transactions')).filter(t => t.type === 'adjustment');
+    assert.deepEqual(adjustments.map(t => [t.symbol, t.account, t.amount, t.totalCost, t.description]), [
+        ['BTC', '', 0.5, 75, 'Opening balance'],
+        ['ETH', 'cold-wallet', 2, 400, 'Opening balance']
+    ]);
+    assert.deepEqual((await storage.get('accounts')).map(account => account.id), ['cold-wallet']);
+});
+
+test('opening-balances leaves positions built from the ledger alone', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    await storage.set('portfolio', [{ id: 'BTC', symbol: 'BTC', amount: 1, totalCost: 100 }]);
+    await storage.set('portfolio-view', { transactionsVersion: null, costBasisMethod: 'average' });
+
+    assert.deepEqual(await run(storage, 'opening-balances'), { dryRun: 0, changed: 0, again: 0 });
+    assert.equal(await storage.get('transactions'), null);
+});
+
+test('total-cost-override carries the latest snapshot override into the cash flows', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    await storage.set('transactions', [
+        { id: '1', type: 'buy', symbol: 'BTC', amount: 1, totalCost: 100, account: '', timestamp: '2024-01-01T00:00:00Z' }
+    ]);
+    await storage.saveSnapshots([
+        { id: 's1', timestamp: '2024-01-02T00:00:00Z', portfolio: [{ symbol: 'BTC', amount: 1, totalCost: 100 }], totalCost: 100 },
+        { id: 's2', timestamp: '2024-01-03T00:00:00Z', description: 'Manual', portfolio: [{ symbol: 'BTC', amount: 1, totalCost: 100 }], totalCost: 250 }
+    ]);
+
+    assert.deepEqual(await run(storage, 'total-cost-override'), { dryRun: 1, changed: 1, again: 0 });
+    const [adjustment, ...rest] = await storage.get('cash-flows');
+    assert.equal(rest.length, 0);
+    assert.equal(adjustment.type, 'adjustment');
+    assert.equal(adjustment.amount, 150);
+    assert.equal(adjustment.description, 'Manual adjustment carried over from snapshot "Manual"');
+});
+
+test('total-cost-override ignores snapshots whose total is their positions\' cost', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    await storage.saveSnapshots([
+        { id: 's1', timestamp: '2024-01-02T00:00:00Z', portfolio: [{ symbol: 'BTC', amount: 1, totalCost: 100 }], totalCost: 100 }
+    ]);
+
+    assert.deepEqual(await run(storage, 'total-cost-override'), { dryRun: 0, changed: 0, again: 0 });
+    assert.equal(await storage.get('cash-flows'), null);
+});
+
+test('migrateStorage runs what the stored version has not had', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    await storage.set('schema', { version: 3, applied: [] });
+    await storage.set('transactions', [
+        { id: '1', type: 'buy', symbol: 'BTC', amount: 1, totalCost: 100, note: 'Kraken', timestamp: '2024-01-01T00:00:00Z' }
+    ]);
+
+    const report = await migrateStorage(storage);
+    assert.deepEqual(report.migrations.map(m => [m.version, m.changed]), [[4, 1], [5, 0], [6, 0]]);
+    assert.equal((await storage.get('schema')).version, SCHEMA_VERSION);
+    assert.deepEqual((await migrateStorage(storage)).migrations, []);
+});
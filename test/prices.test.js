@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PriceService } = require('../lib/prices');
+const CoinGeckoProvider = require('../lib/prices/coingecko');
+const BinanceProvider = require('../lib/prices/binance');
+const { PriceUpstreamError } = require('../lib/prices/base');
+
+const ASSETS = { BTC: { coingeckoId: 'bitcoin' }, ETH: { coingeckoId: 'ethereum' } };
+
+// A stand-in for the CoinGecko and Binance APIs. `routes[path]` answers a
+// request with { status, headers, body }; every request is recorded.
+async function startMockApi(t) {
+    const api = { routes: {}, requests: [] };
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        api.requests.push(url.pathname);
+        const route = api.routes[url.pathname];
+        const { status = 404, headers = {}, body = {} } = route ? route(url) : {};
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    api.url = `http://localhost:${server.address().port}`;
+    api.count = path => api.requests.filter(requested => requested === path).length;
+    return api;
+}
+
+function coingeckoPrices(prices) {
+    return () => ({
+        status: 200,
+        body: Object.fromEntries(Object.entries(prices).map(([id, usd]) => [id, { usd, usd_24h_change: 1.5 }]))
+    });
+}
+
+function binanceTickers(prices) {
+    return () => ({
+        status: 200,
+        body: Object.entries(prices).map(([symbol, lastPrice]) => ({ symbol, lastPrice: String(lastPrice), priceChangePercent: '2' }))
+    });
+}
+
+function createService(api, options = {}) {
+    return new PriceService({
+        providers: {
+            coingecko: new CoinGeckoProvider({ baseUrl: api.url }),
+            binance: new BinanceProvider({ baseUrl: api.url })
+        },
+        providerOrder: ['coingecko', 'binance'],
+        ...options
+    });
+}
+
+test('quotes come from the first provider that has them', async (t) => {
+    const api = await startMockApi(t);
+    api.routes['/simple/price'] = coingeckoPrices({ bitcoin: 60000 });
+    api.routes['/api/v3/ticker/24hr'] = binanceTickers({ ETHUSDT: 3000 });
+
+    const { quotes, missing, error } = await createService(api).getQuotes(ASSETS);
+    assert.equal(quotes.BTC.price, 60000);
+    assert.equal(quotes.BTC.provider, 'coingecko');
+    assert.equal(quotes.ETH.price, 3000);
+    assert.equal(quotes.ETH.provider, 'binance');
+    assert.deepEqual(missing, []);
+    assert.equal(error, null);
+});
+
+test('a rate limited provider backs off for Retry-After and is skipped meanwhile', async (t) => {
+    const api = await startMockApi(t);
+    api.routes['/simple/price'] = () => ({ status: 429, headers: { 'Retry-After': '120' } });
+    api.routes['/api/v3/ticker/24hr'] = binanceTickers({ BTCUSDT: 61000, ETHUSDT: 3100 });
+    const service = createService(api, { ttlMs: 0 });
+
+    const before = Date.now();
+    const first = await service.getQuotes(ASSETS);
+    assert.equal(first.quotes.BTC.provider, 'binance');
+    assert.equal(first.quotes.BTC.price, 61000);
+
+    const coingecko = service.providers.coingecko;
+    assert.ok(coingecko.inBackoff());
+    assert.ok(coingecko.backoffUntil >= before + 120 * 1000);
+
+    // While paused CoinGecko is not asked again; Binance still answers
+    const second = await service.getQuotes(ASSETS);
+    assert.equal(api.count('/simple/price'), 1);
+    assert.equal(api.count('/api/v3/ticker/24hr'), 2);
+    assert.equal(second.quotes.ETH.provider, 'binance');
+});
+
+test('failures back off exponentially until a request succeeds', async (t) => {
+    const api = await startMockApi(t);
+    api.routes['/simple/price'] = () => ({ status: 503 });
+    const provider = new CoinGeckoProvider({ baseUrl: api.url });
+
+    const delays = [];
+    for (let i = 0; i < 3; i++) {
+        const before = Date.now();
+        await assert.rejects(provider.fetchQuotes([{ key: 'bitcoin' }]), PriceUpstreamError);
+        delays.push(provider.backoffUntil - before);
+        provider.backoffUntil = 0;
+    }
+    assert.ok(delays[0] >= 30 * 1000 && delays[0] < 31 * 1000);
+    assert.ok(delays[1] >= 60 * 1000 && delays[1] < 61 * 1000);
+    assert.ok(delays[2] >= 120 * 1000 && delays[2] < 121 * 1000);
+
+    api.routes['/simple/price'] = coingeckoPrices({ bitcoin: 60000 });
+    assert.deepEqual(await provider.fetchQuotes([{ key: 'bitcoin' }]), { bitcoin: { price: 60000, change24h: 1.5 } });
+    assert.equal(provider.failures, 0);
+    assert.equal(provider.inBackoff(), false);
+});
+
+test('an unreachable provider backs off too', async () => {
+    const provider = new BinanceProvider({ baseUrl: 'http://127.0.0.1:1' });
+    await assert.rejects(provider.fetchQuotes([{ key: 'BTCUSDT' }]), PriceUpstreamError);
+    assert.ok(provider.inBackoff());
+});
+
+test('the last known quote is served as stale when every provider fails', async (t) => {
+    const api = await startMockApi(t);
+    api.routes['/simple/price'] = coingeckoPrices({ bitcoin: 60000 });
+    api.routes['/api/v3/ticker/24hr'] = binanceTickers({});
+    const service = createService(api, { ttlMs: 0 });
+    await service.getQuotes({ BTC: ASSETS.BTC });
+
+    // With a TTL of 0 the cached quote is never fresh, so both are asked again
+    api.routes['/simple/price'] = () => ({ status: 500 });
+    api.routes['/api/v3/ticker/24hr'] = () => ({ status: 500 });
+    const { quotes, missing, error } = await service.getQuotes(ASSETS);
+    assert.equal(quotes.BTC.price, 60000);
+    assert.equal(quotes.BTC.stale, true);
+    assert.deepEqual(missing, ['ETH']);
+    assert.match(error, /status 500/);
+});
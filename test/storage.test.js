@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, VersionConflictError } = require('../lib/storage');
+
+// Every local driver; Upstash needs a live Redis and is left out
+const DRIVERS = {
+    memory: () => createStorage({ driver: 'memory' }),
+    filesystem: dir => createStorage({ driver: 'filesystem', dataDir: path.join(dir, 'data'), snapshotDir: path.join(dir, 'snapshot') }),
+    sqlite: () => createStorage({ driver: 'sqlite', env: { SQLITE_PATH: ':memory:' } })
+};
+
+for (const [driver, create] of Object.entries(DRIVERS)) {
+    test(`${driver} storage`, async (t) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profolio-storage-'));
+        let storage;
+        try {
+            storage = create(dir);
+        } catch (error) {
+            // better-sqlite3 is an optional dependency
+            t.skip(error.message);
+            return;
+        }
+        t.after(async () => {
+            await storage.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        await t.test('documents round-trip as JSON', async () => {
+            assert.equal(await storage.get('missing'), null);
+            await storage.set('doc', { a: 1, list: [1, 'two', null] });
+            assert.deepEqual(await storage.get('doc'), { a: 1, list: [1, 'two', null] });
+
+            await storage.set('doc', []);
+            assert.deepEqual(await storage.get('doc'), []);
+            await storage.delete('doc');
+            assert.equal(await storage.get('doc'), null);
+        });
+
+        await t.test('keys() lists the stored keys with a prefix', async () => {
+            await storage.set('price:BTC', 1);
+            await storage.set('price:ETH', 2);
+            await storage.set('settings', {});
+            assert.deepEqual((await storage.keys('price:')).sort(), ['price:BTC', 'price:ETH']);
+            assert.ok((await storage.keys()).includes('settings'));
+        });
+
+        await t.test('versions follow the stored value', async () => {
+            assert.deepEqual(await storage.getVersioned('doc'), { value: null, version: null });
+            const version = await storage.setIfVersion('doc', { a: 1 }, null);
+            assert.deepEqual(await storage.getVersioned('doc'), { value: { a: 1 }, version });
+
+            await storage.set('doc', { a: 2 });
+            assert.notEqual((await storage.getVersioned('doc')).version, version);
+        });
+
+        await t.test('setIfVersion refuses a stale version', async () => {
+            await storage.set('stale', [1]);
+            const { version } = await storage.getVersioned('stale');
+            await storage.setIfVersion('stale', [1, 2], version);
+
+            await assert.rejects(storage.setIfVersion('stale', [1, 3], version), error => {
+                assert.ok(error instanceof VersionConflictError);
+                assert.deepEqual(error.current.value, [1, 2]);
+                return true;
+            });
+            await assert.rejects(storage.setIfVersion('stale', [], null), VersionConflictError);
+            assert.deepEqual(await storage.get('stale'), [1, 2]);
+        });
+
+        await t.test('update() with an expected version throws on a conflict', async () => {
+            await storage.set('ledger', ['a']);
+            const { version } = await storage.getVersioned('ledger');
+            await storage.set('ledger', ['a', 'b']);
+
+            let calls = 0;
+            await assert.rejects(storage.update('ledger', list => {
+                calls++;
+                list.push('c');
+            }, { expectedVersion: version }), VersionConflictError);
+            assert.equal(calls, 0);
+            assert.deepEqual(await storage.get('ledger'), ['a', 'b']);
+
+            const current = (await storage.getVersioned('ledger')).version;
+            const result = await storage.update('ledger', list => {
+                list.push('c');
+            }, { expectedVersion: current });
+            assert.equal(result.written, true);
+            assert.deepEqual(await storage.get('ledger'), ['a', 'b', 'c']);
+        });
+
+        await t.test('update() replays the mutation after a concurrent write', async () => {
+            let calls = 0;
+            const result = await storage.update('counter', async value => {
+                calls++;
+                // Another writer gets in between the read and the write once
+                if (calls === 1) await storage.set('counter', { count: 10 });
+                value.count++;
+            }, { defaultValue: { count: 0 } });
+
+            assert.equal(calls, 2);
+            assert.deepEqual(result.value, { count: 11 });
+            assert.deepEqual(await storage.get('counter'), { count: 11 });
+        });
+
+        await t.test('update() keeps concurrent writers from losing changes', async () => {
+            await Promise.all(Array.from({ length: 3 }, (_, i) => storage.update('list', list => {
+                list.push(i);
+            }, { defaultValue: [] })));
+            assert.deepEqual((await storage.get('list')).sort(), [0, 1, 2]);
+        });
+
+        await t.test('update() skips the write when the mutation returns false', async () => {
+            const result = await storage.update('untouched', () => false, { defaultValue: { a: 1 } });
+            assert.equal(result.written, false);
+            assert.equal(await storage.get('untouched'), null);
+        });
+    });
+}
+
+test('namespaced storages are kept apart', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profolio-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    await t.test('filesystem namespaces get directories of their own', async () => {
+        const options = { driver: 'filesystem', dataDir: path.join(dir, 'data'), snapshotDir: path.join(dir, 'snapshot') };
+        const storage = createStorage(options);
+        const other = createStorage({ ...options, namespace: 'other' });
+        await storage.set('doc', 'default');
+        await other.set('doc', 'other');
+        assert.equal(await storage.get('doc'), 'default');
+        assert.equal(await other.get('doc'), 'other');
+    });
+
+    await t.test('an SQLite :memory: namespace stays in memory', async (t) => {
+        let storage;
+        try {
+            storage = createStorage({ driver: 'sqlite', namespace: 'other', env: { SQLITE_PATH: ':memory:' } });
+        } catch (error) {
+            t.skip(error.message);
+            return;
+        }
+        t.after(() => storage.close());
+        assert.equal(storage.filename, ':memory:');
+    });
+});
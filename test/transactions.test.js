@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findNewOverdraft } = require('../lib/transactions');
+
+function tx(id, type, symbol, amount, timestamp, fields = {}) {
+    return { id, type, symbol, amount, purchasePrice: 100, totalCost: amount * 100, account: '', timestamp, ...fields };
+}
+
+const LEDGER = [
+    tx('1', 'buy', 'BTC', 1, '2024-02-01T00:00:00Z'),
+    tx('2', 'sell', 'BTC', 0.5, '2024-03-01T00:00:00Z')
+];
+
+test('a back-dated sell cannot take what was only bought later', () => {
+    const sell = tx('3', 'sell', 'BTC', 0.5, '2024-01-01T00:00:00Z');
+    assert.match(findNewOverdraft(LEDGER, [...LEDGER, sell]), /sell of 0.5 BTC is more than the 0 held/);
+});
+
+test('a transaction that leaves a later one overdrawn is refused', () => {
+    // Enough is held at its own date, but the sell of 2024-03-01 then is not
+    const withdrawal = tx('3', 'withdrawal', 'BTC', 0.8, '2024-02-15T00:00:00Z');
+    assert.match(findNewOverdraft(LEDGER, [...LEDGER, withdrawal]), /sell of 0.5 BTC is more than/);
+});
+
+test('every outgoing type is checked per account', () => {
+    const transfer = tx('3', 'transfer', 'BTC', 0.5, '2024-04-01T00:00:00Z', { account: 'binance', toAccount: '' });
+    assert.match(findNewOverdraft(LEDGER, [...LEDGER, transfer]), /transfer of 0.5 BTC \(binance\)/);
+
+    const fee = tx('3', 'fee', 'BTC', 0.6, '2024-04-01T00:00:00Z');
+    assert.match(findNewOverdraft(LEDGER, [...LEDGER, fee]), /fee of 0.6 BTC/);
+
+    const swap = tx('3', 'swap', 'BTC', 0.1, '2024-01-15T00:00:00Z', { toSymbol: 'ETH', toAmount: 2 });
+    assert.match(findNewOverdraft(LEDGER, [...LEDGER, swap]), /swap of 0.1 BTC/);
+});
+
+test('transactions within what is held pass', () => {
+    const sell = tx('3', 'sell', 'BTC', 0.5, '2024-04-01T00:00:00Z');
+    assert.equal(findNewOverdraft(LEDGER, [...LEDGER, sell]), null);
+});
+
+test('overdrafts already in the ledger do not block unrelated changes', () => {
+    const overdrawn = [...LEDGER, tx('3', 'sell', 'ETH', 1, '2024-01-01T00:00:00Z')];
+    const buy = tx('4', 'buy', 'SOL', 10, '2024-05-01T00:00:00Z');
+    assert.equal(findNewOverdraft(overdrawn, [...overdrawn, buy]), null);
+});